@@ -9,6 +9,28 @@
 //       Website: https://feascript.com/             \__|  //
 
 import { assembleSolidHeatTransferMat } from "./solvers/solidHeatTransferScript.js";
+import { assembleLinearElasticityMat } from "./solvers/linearElasticityScript.js";
+import { assembleConvectionDiffusionMat } from "./solvers/convectionDiffusionScript.js";
+import { assembleWeakFormMat } from "./solvers/weakFormScript.js";
+import { solveLinearSystem, validateSolverMethod } from "./methods/linearSolversScript.js";
+import {
+  thetaMethodSolver,
+  validateTransientConfig,
+  evaluateInitialCondition,
+} from "./methods/timeIntegrationScript.js";
+import { subspaceIterationSolver, validateModalConfig } from "./methods/eigenSolverScript.js";
+import { addSparseMatrices } from "./methods/sparseMatrixScript.js";
+import { normalizeBoundaryConditions } from "./methods/boundaryConditionsScript.js";
+import { newtonRaphson, validateNewtonRaphsonOptions } from "./methods/newtonRaphsonScript.js";
+import {
+  thermalBoundaryConditionTypes,
+  convectionDiffusionBoundaryConditionTypes,
+} from "./methods/thermalBoundaryConditionsScript.js";
+import { elasticBoundaryConditionTypes } from "./methods/elasticBoundaryConditionsScript.js";
+import { weakFormBoundaryConditionTypes } from "./methods/weakFormBoundaryConditionsScript.js";
+import { isTemperatureDependent } from "./methods/materialPropertiesScript.js";
+import { computeNodalStress } from "./postprocessing/elasticStressScript.js";
+import { createModelDocument, readModelDocument } from "./utilities/modelDocumentScript.js";
 
 /**
  * FEAScript: An open-source finite element simulation library developed in JavaScript
@@ -22,7 +44,57 @@ export class FEAScriptModel {
     this.solverConfig = null;
     this.meshConfig = {};
     this.boundaryConditions = {};
+    this.materialConfig = {};
+    this.transientConfig = null; // Steady-state analysis by default
+    this.modalConfig = null; // No modal analysis by default
     this.solverMethod = "lusolve"; // Default solver method
+    this.solverOptions = {}; // Options of the iterative solvers
+    this.newtonOptions = {}; // Options of the Newton-Raphson method (nonlinear problems)
+    this.solution = null; // Last solution (returned by solve or loaded from a model document)
+  }
+
+  /**
+   * Create a model from a JSON document written by toJSON, upgrading documents of older schema versions
+   * Errors give the path of the offending entry, e.g. "model.boundaryConditions.top"
+   * @param {string|object} document - The model document, as a JSON string or a parsed object
+   * @returns {FEAScriptModel} The model, with the embedded solution (if any) in its solution property
+   */
+  static fromJSON(document) {
+    const { modelSettings, solution } = readModelDocument(document);
+    const model = new FEAScriptModel();
+    model.setSolverConfig(modelSettings.solverConfig);
+    model.setMeshConfig(modelSettings.meshConfig);
+    Object.keys(modelSettings.boundaryConditions).forEach((boundaryKey) => {
+      model.addBoundaryCondition(boundaryKey, modelSettings.boundaryConditions[boundaryKey]);
+    });
+    model.setMaterialConfig(modelSettings.materialConfig);
+    if (modelSettings.transientConfig !== null) {
+      model.setTransientConfig(modelSettings.transientConfig);
+    }
+    if (modelSettings.modalConfig !== null) {
+      model.setModalConfig(modelSettings.modalConfig);
+    }
+    model.setSolverMethod(modelSettings.solverMethod, modelSettings.solverOptions);
+    model.setNewtonRaphsonOptions(modelSettings.newtonOptions);
+    model.solution = solution;
+    return model;
+  }
+
+  /**
+   * Save the complete problem definition as a versioned JSON document (also used by JSON.stringify)
+   * Material properties, boundary conditions and initial conditions given as functions cannot be saved, and
+   * the onStep callback of transient analyses is left out
+   * @param {object} [options] - Options of the document
+   * @param {boolean} [options.includeSolution=false] - Whether the last solution is embedded in the document
+   * @returns {object} The model document
+   */
+  toJSON(options = {}) {
+    // JSON.stringify calls toJSON with the key of the model (a string)
+    const { includeSolution = false } = typeof options === "object" && options !== null ? options : {};
+    if (includeSolution && this.solution === null) {
+      throw new Error("The model has no solution to include in the document, call solve first");
+    }
+    return createModelDocument(this, includeSolution ? this.solution : null);
   }
 
   setSolverConfig(solverConfig) {
@@ -33,12 +105,108 @@ export class FEAScriptModel {
     this.meshConfig = meshConfig;
   }
 
+  /**
+   * Define the material and physics properties of the model
+   * @param {object} materialConfig - Object containing the material properties
+   * @param {*} [materialConfig.k=1] - Thermal conductivity: a constant, a 2x2 tensor [[kxx, kxy], [kyx, kyy]],
+   * a function of (x, y) returning either, or an array of per-element values
+   * @param {*} [materialConfig.Q=0] - Volumetric heat source: a constant, a function of (x, y), or an array of
+   * per-element values
+   * Temperature-dependent k and Q are given as functions of (x, y, T) or as tables of values at increasing
+   * temperatures, e.g. { T: [20, 400, 800], values: [45, 38, 26] }, and are solved with the Newton-Raphson method
+   * The convectionDiffusionScript solver also takes the prescribed velocity, with density and specificHeat
+   * (see assembleConvectionDiffusionMat)
+   * The weakFormScript solver takes the coefficients A, b, c and f of -div(A grad u) + b . grad u + c u = f,
+   * and/or the weakForm callback of the element contributions, with numComponents (see assembleWeakFormMat)
+   * The linearElasticityScript solver takes E, nu, bodyForceX, bodyForceY, stressState and density (modal
+   * analyses) instead (see assembleLinearElasticityMat)
+   */
+  setMaterialConfig(materialConfig) {
+    this.materialConfig = materialConfig;
+  }
+
+  /**
+   * Enable a transient analysis with the theta method (requires the density and specificHeat material properties)
+   * @param {object} transientConfig - Object containing the time-stepping details
+   * @param {*} transientConfig.initialTemperature - Initial temperature: a constant, a function of (x, y), or an
+   * array of nodal values
+   * @param {number} transientConfig.timeStep - The time step
+   * @param {number} transientConfig.endTime - The end time of the analysis, which must be a whole number of
+   * time steps (the time step is constant)
+   * @param {number|string} [transientConfig.theta=1] - 0 (or "explicitEuler"), 0.5 (or "crankNicolson"),
+   * 1 (or "implicitEuler"), or any value in between
+   * @param {number} [transientConfig.outputInterval=1] - Number of time steps between stored solutions
+   * @param {function} [transientConfig.onStep] - Callback called after every time step with
+   * { step, numTimeSteps, time, solutionVector }, e.g. for progress reporting
+   */
+  setTransientConfig(transientConfig) {
+    validateTransientConfig(transientConfig);
+    this.transientConfig = transientConfig;
+  }
+
+  /**
+   * Enable a modal analysis, computing the lowest eigenpairs of K phi = lambda M phi instead of a
+   * solution: the thermal time constants 1 / lambda of the solidHeatTransferScript solver (requires the
+   * density and specificHeat material properties) or the natural frequencies and mode shapes of the
+   * linearElasticityScript solver (requires the density); the constant temperatures and prescribed
+   * displacements set the constrained degrees of freedom (their prescribed values are ignored)
+   * @param {object} modalConfig - Object containing the modal analysis details
+   * @param {number} modalConfig.numModes - The number of modes to compute
+   * @param {number} [modalConfig.tolerance=1e-8] - Tolerance on the relative change of the eigenvalues
+   * between subspace iterations
+   * @param {number} [modalConfig.maxIterations=100] - Maximum number of subspace iterations
+   */
+  setModalConfig(modalConfig) {
+    validateModalConfig(modalConfig);
+    this.modalConfig = modalConfig;
+  }
+
+  /**
+   * Define the condition of a boundary (checked when solving)
+   * @param {string} boundaryKey - The boundary name: "bottom", "left", "top" or "right" for structured meshes
+   * (or their legacy indices "0"-"3"), or the name of a physical group of an imported mesh
+   * @param {object|array} condition - The condition in object form, e.g. { type: "constantTemp", T: 200 },
+   * { type: "convection", h: 10, Tinf: 20 } or { type: "symmetry" } (or, for the linearElasticityScript solver,
+   * { type: "fixed" }, { type: "roller", normal: "x" }, { type: "traction", tx: 0, ty: -1e6 }, ..., and for the
+   * convectionDiffusionScript solver also { type: "inflow", T: 20 } and { type: "outflow" }, or for the
+   * weakFormScript solver { type: "dirichlet", u: 0 }, { type: "neumann", g: 1 }, { type: "robin", alpha: 2,
+   * g: 0 } and { type: "natural" }), or in the positional form ["conditionType", ...parameters]
+   */
   addBoundaryCondition(boundaryKey, condition) {
     this.boundaryConditions[boundaryKey] = condition;
   }
 
-  setSolverMethod(solverMethod) {
+  /**
+   * Select the method used to solve the system of linear equations
+   * @param {string} solverMethod - "lusolve" (sparse LU decomposition, limited to the band profile of the
+   * matrix), "cg" (Conjugate Gradient, for symmetric systems), "bicgstab" (BiCGSTAB) or "gmres" (restarted GMRES)
+   * @param {object} [solverOptions] - Options of the iterative solvers
+   * @param {number} [solverOptions.tolerance=1e-8] - Tolerance on the relative residual norm
+   * @param {number} [solverOptions.maxIterations=1000] - Maximum number of iterations
+   * @param {string} [solverOptions.preconditioner] - "none", "jacobi", "ilu0" or "ssor"
+   * @param {number} [solverOptions.relaxationFactor=1] - Relaxation factor of the SSOR preconditioner
+   * @param {number} [solverOptions.restart=30] - Number of iterations between GMRES restarts
+   */
+  setSolverMethod(solverMethod, solverOptions = {}) {
+    validateSolverMethod(solverMethod, solverOptions);
     this.solverMethod = solverMethod;
+    this.solverOptions = solverOptions;
+  }
+
+  /**
+   * Set the options of the Newton-Raphson method, used for nonlinear problems (radiation boundary conditions or
+   * temperature-dependent material properties)
+   * @param {object} newtonOptions - Options of the Newton-Raphson method
+   * @param {number} [newtonOptions.maxIterations=50] - Maximum number of iterations
+   * @param {number} [newtonOptions.tolerance=1e-6] - Tolerance on the relative norm of the update
+   * @param {number} [newtonOptions.residualTolerance=1e-6] - Tolerance on the relative norm of the residual
+   * @param {number} [newtonOptions.damping=1] - Fraction of the Newton update applied at every iteration
+   * @param {boolean} [newtonOptions.lineSearch=false] - Whether a backtracking line search is performed
+   * @param {number} [newtonOptions.maxLineSearchSteps=10] - Maximum number of halvings of the update
+   */
+  setNewtonRaphsonOptions(newtonOptions) {
+    validateNewtonRaphsonOptions(newtonOptions);
+    this.newtonOptions = newtonOptions;
   }
 
   solve() {
@@ -46,33 +214,337 @@ export class FEAScriptModel {
       throw new Error("Solver config, mesh config, and boundary conditions must be set before solving.");
     }
 
-    let jacobianMatrix = []; // Jacobian matrix
+    // Check the boundary conditions before any computation
+    let nonlinear = false; // Whether the problem is solved with the Newton-Raphson method
+    let initialGuess = 0; // Uniform initial guess of the Newton-Raphson method
+    const convective = this.solverConfig === "convectionDiffusionScript";
+    if (this.solverConfig === "solidHeatTransferScript" || convective) {
+      const thermalBoundaryConditions = Object.values(
+        normalizeBoundaryConditions(
+          this.boundaryConditions,
+          convective ? convectionDiffusionBoundaryConditionTypes : thermalBoundaryConditionTypes
+        )
+      );
+      const { k: thermalConductivity, Q: heatSource } = this.materialConfig;
+      nonlinear =
+        thermalBoundaryConditions.some(({ type }) => type === "radiation") ||
+        isTemperatureDependent(thermalConductivity) ||
+        isTemperatureDependent(heatSource);
+      // Start from the mean of the boundary temperatures
+      const boundaryTemps = thermalBoundaryConditions
+        .map(({ T, Tinf }) => (T !== undefined ? T : Tinf))
+        .filter((temp) => temp !== undefined);
+      if (boundaryTemps.length > 0) {
+        initialGuess = boundaryTemps.reduce((sum, temp) => sum + temp, 0) / boundaryTemps.length;
+      }
+      if (convective && this.transientConfig !== null) {
+        throw new Error("The convectionDiffusionScript solver only supports steady-state analyses");
+      }
+    } else if (this.solverConfig === "linearElasticityScript") {
+      normalizeBoundaryConditions(this.boundaryConditions, elasticBoundaryConditionTypes);
+      if (this.transientConfig !== null) {
+        throw new Error("The linearElasticityScript solver only supports static analyses");
+      }
+    } else if (this.solverConfig === "weakFormScript") {
+      normalizeBoundaryConditions(this.boundaryConditions, weakFormBoundaryConditionTypes);
+      if (this.transientConfig !== null) {
+        throw new Error("The weakFormScript solver only supports steady-state analyses");
+      }
+    } else {
+      throw new Error(
+        `Unknown solver config "${this.solverConfig}". Solvers: solidHeatTransferScript, ` +
+          "convectionDiffusionScript, linearElasticityScript, weakFormScript"
+      );
+    }
+    if (nonlinear && this.transientConfig !== null) {
+      throw new Error(
+        "Radiation boundary conditions and temperature-dependent material properties are only supported in " +
+          "steady-state analyses"
+      );
+    }
+    if (this.modalConfig !== null) {
+      if (!["solidHeatTransferScript", "linearElasticityScript"].includes(this.solverConfig)) {
+        throw new Error(
+          `Modal analyses require the solidHeatTransferScript or linearElasticityScript solver, got ` +
+            `"${this.solverConfig}"`
+        );
+      }
+      if (this.transientConfig !== null) {
+        throw new Error("A model cannot have both a transient and a modal analysis");
+      }
+      if (nonlinear) {
+        throw new Error(
+          "Modal analyses do not support radiation boundary conditions and temperature-dependent material " +
+            "properties"
+        );
+      }
+      return this.solveModal();
+    }
+
+    let jacobianMatrix = null; // Jacobian matrix (CSR format)
     let residualVector = []; // Galerkin residuals
+    let capacitanceMatrix = null; // Capacitance matrix (CSR format, transient analyses)
+    let constantTempValues = null; // Prescribed nodal temperatures (transient analyses)
     let solutionVector = []; // Solution vector
+    let solverInfo = null; // Convergence information of the iterative solvers
     let nodesCoordinates = {}; // Object to store x and y coordinates of nodes
+    let meshData = null; // Nodes coordinates, nodal numbering, element types and boundary elements
+    let newtonInfo = null; // Convergence information of the Newton-Raphson method
+    const transient = this.transientConfig !== null;
+
+    // Nonlinear problems: assembly and solution at every Newton-Raphson iteration
+    if (nonlinear) {
+      console.log("FEAScript solver:", this.solverConfig);
+      console.time("newtonRaphson");
+      let assemblyData;
+      ({ solutionVector, assemblyData, newtonInfo } = newtonRaphson(
+        (currentSolution) =>
+          (convective ? assembleConvectionDiffusionMat : assembleSolidHeatTransferMat)(
+            this.meshConfig,
+            this.boundaryConditions,
+            this.materialConfig,
+            { solutionVector: currentSolution }
+          ),
+        initialGuess,
+        this.solverMethod,
+        this.solverOptions,
+        this.newtonOptions
+      ));
+      console.timeEnd("newtonRaphson");
+
+      // Return the solution, nodes coordinates and the convergence information
+      this.solution = {
+        solutionVector,
+        nodesCoordinates: assemblyData.nodesCoordinates,
+        meshData: assemblyData.meshData,
+        newtonInfo,
+      };
+      return this.solution;
+    }
 
     // Assembly matrices
     console.time("assemblyMatrices");
     if (this.solverConfig === "solidHeatTransferScript") {
       console.log("FEAScript solver:", this.solverConfig);
-      ({ jacobianMatrix, residualVector, nodesCoordinates } = assembleSolidHeatTransferMat(
+      ({ jacobianMatrix, residualVector, nodesCoordinates, meshData, capacitanceMatrix, constantTempValues } =
+        assembleSolidHeatTransferMat(this.meshConfig, this.boundaryConditions, this.materialConfig, {
+          transient,
+        }));
+    } else if (this.solverConfig === "convectionDiffusionScript") {
+      console.log("FEAScript solver:", this.solverConfig);
+      ({ jacobianMatrix, residualVector, nodesCoordinates, meshData } = assembleConvectionDiffusionMat(
         this.meshConfig,
-        this.boundaryConditions
+        this.boundaryConditions,
+        this.materialConfig
+      ));
+    } else if (this.solverConfig === "linearElasticityScript") {
+      console.log("FEAScript solver:", this.solverConfig);
+      ({ jacobianMatrix, residualVector, nodesCoordinates, meshData } = assembleLinearElasticityMat(
+        this.meshConfig,
+        this.boundaryConditions,
+        this.materialConfig
+      ));
+    } else if (this.solverConfig === "weakFormScript") {
+      console.log("FEAScript solver:", this.solverConfig);
+      ({ jacobianMatrix, residualVector, nodesCoordinates, meshData } = assembleWeakFormMat(
+        this.meshConfig,
+        this.boundaryConditions,
+        this.materialConfig
       ));
     }
     console.timeEnd("assemblyMatrices");
 
+    // Time stepping
+    if (transient) {
+      console.time("timeStepping");
+      const theta = validateTransientConfig(this.transientConfig);
+      const { initialTemperature, timeStep, endTime, outputInterval, onStep } = this.transientConfig;
+      const initialSolution = evaluateInitialCondition(initialTemperature, nodesCoordinates);
+      const { solutionHistory, timeValues, ...transientSolution } = thetaMethodSolver(
+        { jacobianMatrix, residualVector, capacitanceMatrix, constrainedValues: constantTempValues },
+        { initialSolution, timeStep, endTime, theta, outputInterval, onStep },
+        this.solverMethod,
+        this.solverOptions
+      );
+      console.timeEnd("timeStepping");
+
+      // Return the final solution, the stored time series and nodes coordinates
+      this.solution = {
+        solutionVector: transientSolution.solutionVector,
+        solutionHistory,
+        timeValues,
+        nodesCoordinates,
+        meshData,
+      };
+      return this.solution;
+    }
+
     // System solving
     console.time("systemSolving");
-    if (this.solverMethod === "lusolve") {
-      solutionVector = math.lusolve(jacobianMatrix, residualVector); // Solve the system of linear equations using LU decomposition
-    }
+    ({ solutionVector, solverInfo } = solveLinearSystem(
+      this.solverMethod,
+      jacobianMatrix,
+      residualVector,
+      this.solverOptions
+    ));
     console.timeEnd("systemSolving");
 
-    // Return the solution matrix and nodes coordinates
-    return {
+    // Return the solution matrix, nodes coordinates and the convergence information
+    this.solution = {
       solutionVector,
       nodesCoordinates,
+      meshData,
+      solverInfo,
+    };
+    if (this.solverConfig === "linearElasticityScript") {
+      // Nodal displacements (the solution vector interleaves their x- and y-components)
+      this.solution.displacementX = solutionVector.filter((_, dofIndex) => dofIndex % 2 === 0);
+      this.solution.displacementY = solutionVector.filter((_, dofIndex) => dofIndex % 2 === 1);
+    }
+    const { numComponents = 1 } = this.materialConfig;
+    if (this.solverConfig === "weakFormScript" && numComponents > 1) {
+      // Nodal values of each component (the solution vector interleaves them)
+      this.solution.components = Array.from({ length: numComponents }, (_, component) =>
+        solutionVector.filter((_, dofIndex) => dofIndex % numComponents === component)
+      );
+    }
+    return this.solution;
+  }
+
+  /**
+   * Solve the modal analysis of the model (see setModalConfig)
+   * @returns {object} An object containing the eigenvalues, the modeShapes (eigenvectors normalized to
+   * phi^T M phi = 1), the solutionVector (first mode shape), nodesCoordinates, meshData and eigenInfo, with
+   * the timeConstants of heat transfer models, or the naturalFrequencies (Hz), modeShapesX and modeShapesY
+   * (nodal displacements of each mode) of elastic models
+   */
+  solveModal() {
+    console.log("FEAScript solver:", this.solverConfig);
+    const thermal = this.solverConfig === "solidHeatTransferScript";
+
+    // Assembly of the stiffness (conductivity) and mass (capacitance) matrices
+    console.time("assemblyMatrices");
+    let stiffnessMatrix, massMatrix, constrainedValues, nodesCoordinates, meshData;
+    if (thermal) {
+      const { density, specificHeat } = this.materialConfig;
+      if (density === undefined || specificHeat === undefined) {
+        throw new Error(
+          "Modal heat transfer analyses require the density and specificHeat material properties"
+        );
+      }
+      let jacobianMatrix;
+      ({
+        jacobianMatrix,
+        capacitanceMatrix: massMatrix,
+        constantTempValues: constrainedValues,
+        nodesCoordinates,
+        meshData,
+      } = assembleSolidHeatTransferMat(this.meshConfig, this.boundaryConditions, this.materialConfig, {
+        transient: true,
+      }));
+      // The conductivity matrix is the opposite of the Jacobian matrix
+      stiffnessMatrix = addSparseMatrices(-1, jacobianMatrix, 0, massMatrix);
+    } else {
+      ({
+        jacobianMatrix: stiffnessMatrix,
+        massMatrix,
+        constrainedValues,
+        nodesCoordinates,
+        meshData,
+      } = assembleLinearElasticityMat(this.meshConfig, this.boundaryConditions, this.materialConfig, {
+        modal: true,
+      }));
+    }
+    console.timeEnd("assemblyMatrices");
+
+    // Eigenvalue solving
+    console.time("eigenSolving");
+    const { eigenvalues, modeShapes, eigenInfo } = subspaceIterationSolver(
+      stiffnessMatrix,
+      massMatrix,
+      this.modalConfig,
+      constrainedValues,
+      this.solverMethod,
+      this.solverOptions
+    );
+    console.timeEnd("eigenSolving");
+
+    this.solution = {
+      eigenvalues,
+      modeShapes,
+      solutionVector: modeShapes[0],
+      nodesCoordinates,
+      meshData,
+      eigenInfo,
+    };
+    if (thermal) {
+      // Decay time of each temperature mode, exp(-t / tau)
+      this.solution.timeConstants = eigenvalues.map((eigenvalue) =>
+        eigenvalue > 0 ? 1 / eigenvalue : Infinity
+      );
+    } else {
+      // Natural frequencies f = sqrt(lambda) / (2 pi) and nodal displacements of the modes
+      this.solution.naturalFrequencies = eigenvalues.map(
+        (eigenvalue) => Math.sqrt(Math.max(eigenvalue, 0)) / (2 * Math.PI)
+      );
+      this.solution.modeShapesX = modeShapes.map((modeShape) =>
+        modeShape.filter((_, dofIndex) => dofIndex % 2 === 0)
+      );
+      this.solution.modeShapesY = modeShapes.map((modeShape) =>
+        modeShape.filter((_, dofIndex) => dofIndex % 2 === 1)
+      );
+    }
+    return this.solution;
+  }
+
+  /**
+   * Solve a one-way coupled thermo-mechanical analysis: the heat transfer problem of the model, then the linear
+   * elastic problem on the same mesh, loaded by the thermal expansion of the computed temperature field
+   * (transient analyses couple their final temperature field)
+   * @param {object} structuralConfig - Object containing the settings of the elastic problem
+   * @param {object} structuralConfig.boundaryConditions - Object mapping each boundary name to its elastic
+   * condition, e.g. { left: { type: "fixed" } } (see addBoundaryCondition)
+   * @param {object} structuralConfig.materialConfig - Object containing E, nu, thermalExpansion,
+   * referenceTemperature and optionally stressState, bodyForceX and bodyForceY (see assembleLinearElasticityMat)
+   * @returns {object} An object containing:
+   *  - thermalSolution: The solution of the heat transfer problem (also stored in the solution property)
+   *  - structuralSolution: The solution of the elastic problem, with the nodal displacementX and displacementY
+   *  - nodalStress: The nodal strains and stresses of the elastic problem (see computeNodalStress)
+   */
+  solveThermoMechanical({ boundaryConditions = {}, materialConfig = {} } = {}) {
+    if (this.solverConfig !== "solidHeatTransferScript") {
+      throw new Error(
+        `Thermo-mechanical analyses require the solidHeatTransferScript solver, got "${this.solverConfig}"`
+      );
+    }
+    if (this.modalConfig !== null) {
+      throw new Error("Thermo-mechanical analyses do not support modal analyses");
+    }
+    if (materialConfig.thermalExpansion === undefined || materialConfig.referenceTemperature === undefined) {
+      throw new Error(
+        "Thermo-mechanical analyses require the thermalExpansion and referenceTemperature material properties"
+      );
+    }
+    // Check the elastic boundary conditions before any computation
+    normalizeBoundaryConditions(boundaryConditions, elasticBoundaryConditionTypes);
+
+    const thermalSolution = this.solve();
+
+    // Elastic problem on the mesh of the heat transfer problem, loaded by its temperature field
+    const structuralModel = new FEAScriptModel();
+    structuralModel.setSolverConfig("linearElasticityScript");
+    structuralModel.setMeshConfig(this.meshConfig);
+    Object.keys(boundaryConditions).forEach((boundaryKey) => {
+      structuralModel.addBoundaryCondition(boundaryKey, boundaryConditions[boundaryKey]);
+    });
+    structuralModel.setMaterialConfig({ ...materialConfig, temperature: thermalSolution.solutionVector });
+    structuralModel.setSolverMethod(this.solverMethod, this.solverOptions);
+    const structuralSolution = structuralModel.solve();
+
+    return {
+      thermalSolution,
+      structuralSolution,
+      nodalStress: computeNodalStress(structuralSolution, structuralModel.materialConfig),
     };
   }
 }
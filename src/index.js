@@ -9,5 +9,19 @@
 //       Website: https://feascript.com/             \__|  //
 
 export { FEAScriptModel } from "./FEAScript.js";
-export { plotSolution } from "./visualization/plotSolutionScript.js";
+export { plotSolution, animateSolution, exportAnimationFrames } from "./visualization/plotSolutionScript.js";
+export {
+  computeGaussPointHeatFlux,
+  computeNodalHeatFlux,
+  computeBoundaryHeatFlow,
+} from "./postprocessing/heatFluxScript.js";
+export { computeGaussPointStress, computeNodalStress } from "./postprocessing/elasticStressScript.js";
+export { SolutionEvaluator, sampleAlongPolyline } from "./postprocessing/solutionProbingScript.js";
+export {
+  exportLegacyVTK,
+  exportVTU,
+  exportPVD,
+  exportTransientVTU,
+  saveExportFile,
+} from "./postprocessing/vtkExportScript.js";
 export { printVersion } from "./utilities/helperFunctionsScript.js";
@@ -16,14 +16,16 @@ export class basisFunctions {
    * Constructor to initialize the basisFunctions class
    * @param {string} meshDimension - The dimension of the mesh
    * @param {string} elementOrder - The order of elements
+   * @param {string} [elementShape='quadrilateral'] - The shape of 2D elements, either 'quadrilateral' or 'triangle'
    */
-  constructor({ meshDimension, elementOrder }) {
+  constructor({ meshDimension, elementOrder, elementShape = "quadrilateral" }) {
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementShape = elementShape;
   }
 
   /**
-   * Return the basis functions and their derivatives based on the dimension and order
+   * Return the basis functions and their derivatives based on the dimension, order and shape
    * @param {number} ksi - Natural coordinate (for both 1D and 2D)
    * @param {number} [eta] - Second natural coordinate (only for 2D elements)
    * @returns {object} An object containing:
@@ -62,6 +64,10 @@ export class basisFunctions {
         return;
       }
 
+      if (this.elementShape === "triangle") {
+        return this.getTriangleBasisFunctions(ksi, eta);
+      }
+
       if (this.elementOrder === "linear") {
         // Linear basis functions for 2D elements
         function l1(c) {
@@ -152,4 +158,115 @@ export class basisFunctions {
 
     return { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta };
   }
+
+  /**
+   * Return the second derivatives of the basis functions with respect to the natural coordinates (e.g., for
+   * the diffusion term of stabilized residuals), which vanish for linear elements except the mixed derivatives
+   * of quadrilaterals
+   * @param {number} ksi - Natural coordinate (for both 1D and 2D)
+   * @param {number} [eta] - Second natural coordinate (only for 2D elements)
+   * @returns {object} An object containing the arrays basisFunctionDerivKsiKsi, basisFunctionDerivKsiEta and
+   * basisFunctionDerivEtaEta (the last two are zeros in 1D)
+   */
+  getBasisFunctionSecondDerivatives(ksi, eta = null) {
+    let basisFunctionDerivKsiKsi = [];
+    let basisFunctionDerivKsiEta = [];
+    let basisFunctionDerivEtaEta = [];
+
+    if (this.meshDimension === "1D") {
+      // Second derivatives of the quadratic basis functions (the linear ones are zero)
+      const derivKsiKsi = this.elementOrder === "quadratic" ? [4, -8, 4] : [0, 0];
+      basisFunctionDerivKsiKsi = derivKsiKsi;
+      basisFunctionDerivKsiEta = derivKsiKsi.map(() => 0);
+      basisFunctionDerivEtaEta = derivKsiKsi.map(() => 0);
+    } else if (this.elementShape === "triangle") {
+      if (this.elementOrder === "linear") {
+        basisFunctionDerivKsiKsi = [0, 0, 0];
+        basisFunctionDerivKsiEta = [0, 0, 0];
+        basisFunctionDerivEtaEta = [0, 0, 0];
+      } else if (this.elementOrder === "quadratic") {
+        // The second derivatives of the quadratic basis functions of triangles are constant
+        basisFunctionDerivKsiKsi = [4, 4, 0, -8, 0, 0];
+        basisFunctionDerivKsiEta = [4, 0, 0, -4, 4, -4];
+        basisFunctionDerivEtaEta = [4, 0, 4, 0, 0, -8];
+      }
+    } else if (this.elementOrder === "linear") {
+      // Only the mixed derivatives of the bilinear basis functions are nonzero
+      basisFunctionDerivKsiKsi = [0, 0, 0, 0];
+      basisFunctionDerivKsiEta = [1, -1, -1, 1];
+      basisFunctionDerivEtaEta = [0, 0, 0, 0];
+    } else if (this.elementOrder === "quadratic") {
+      // Products of the 1D quadratic basis functions and of their first and second derivatives
+      const l = (c) => [2 * c ** 2 - 3 * c + 1, -4 * c ** 2 + 4 * c, 2 * c ** 2 - c];
+      const dl = (c) => [4 * c - 3, -8 * c + 4, 4 * c - 1];
+      const ddl = [4, -8, 4];
+      for (let ksiIndex = 0; ksiIndex < 3; ksiIndex++) {
+        for (let etaIndex = 0; etaIndex < 3; etaIndex++) {
+          const localNodeIndex = 3 * ksiIndex + etaIndex;
+          basisFunctionDerivKsiKsi[localNodeIndex] = ddl[ksiIndex] * l(eta)[etaIndex];
+          basisFunctionDerivKsiEta[localNodeIndex] = dl(ksi)[ksiIndex] * dl(eta)[etaIndex];
+          basisFunctionDerivEtaEta[localNodeIndex] = l(ksi)[ksiIndex] * ddl[etaIndex];
+        }
+      }
+    }
+
+    return { basisFunctionDerivKsiKsi, basisFunctionDerivKsiEta, basisFunctionDerivEtaEta };
+  }
+
+  /**
+   * Return the basis functions of triangular elements and their derivatives, written in terms of the
+   * area coordinates L0 = 1 - ksi - eta, L1 = ksi and L2 = eta
+   * @param {number} ksi - First natural coordinate
+   * @param {number} eta - Second natural coordinate
+   * @returns {object} An object containing the basis functions and their derivatives with respect to ksi and eta
+   */
+  getTriangleBasisFunctions(ksi, eta) {
+    let basisFunction = [];
+    let basisFunctionDerivKsi = [];
+    let basisFunctionDerivEta = [];
+    const areaCoord0 = 1 - ksi - eta;
+
+    if (this.elementOrder === "linear") {
+      // Linear basis functions for triangular elements
+      basisFunction[0] = areaCoord0;
+      basisFunction[1] = ksi;
+      basisFunction[2] = eta;
+
+      // Derivatives with respect to ksi
+      basisFunctionDerivKsi[0] = -1;
+      basisFunctionDerivKsi[1] = 1;
+      basisFunctionDerivKsi[2] = 0;
+
+      // Derivatives with respect to eta
+      basisFunctionDerivEta[0] = -1;
+      basisFunctionDerivEta[1] = 0;
+      basisFunctionDerivEta[2] = 1;
+    } else if (this.elementOrder === "quadratic") {
+      // Quadratic basis functions for triangular elements (vertex nodes first, then mid-side nodes)
+      basisFunction[0] = areaCoord0 * (2 * areaCoord0 - 1);
+      basisFunction[1] = ksi * (2 * ksi - 1);
+      basisFunction[2] = eta * (2 * eta - 1);
+      basisFunction[3] = 4 * areaCoord0 * ksi;
+      basisFunction[4] = 4 * ksi * eta;
+      basisFunction[5] = 4 * eta * areaCoord0;
+
+      // Derivatives with respect to ksi
+      basisFunctionDerivKsi[0] = 1 - 4 * areaCoord0;
+      basisFunctionDerivKsi[1] = 4 * ksi - 1;
+      basisFunctionDerivKsi[2] = 0;
+      basisFunctionDerivKsi[3] = 4 * (areaCoord0 - ksi);
+      basisFunctionDerivKsi[4] = 4 * eta;
+      basisFunctionDerivKsi[5] = -4 * eta;
+
+      // Derivatives with respect to eta
+      basisFunctionDerivEta[0] = 1 - 4 * areaCoord0;
+      basisFunctionDerivEta[1] = 0;
+      basisFunctionDerivEta[2] = 4 * eta - 1;
+      basisFunctionDerivEta[3] = -4 * ksi;
+      basisFunctionDerivEta[4] = 4 * ksi;
+      basisFunctionDerivEta[5] = 4 * (areaCoord0 - eta);
+    }
+
+    return { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta };
+  }
 }
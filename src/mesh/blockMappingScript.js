@@ -0,0 +1,201 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+// Edges of a four-sided block, with the corners ("00" - bottom left, "10" - bottom right, "01" - top left,
+// "11" - top right) at their start and end (bottom and top run from left to right, left and right from
+// bottom to top)
+const blockEdges = {
+  bottom: ["00", "10"],
+  left: ["00", "01"],
+  top: ["01", "11"],
+  right: ["10", "11"],
+};
+
+/**
+ * Compute the positions of the element boundaries along a direction of a structured block, from 0 to 1
+ * @param {number} numElements - The number of elements along the direction
+ * @param {number|object} [grading=1] - The grading of the element sizes: the ratio of the size of the last
+ * element to that of the first (geometric progression), or { ratio, toward }, where ratio is the ratio of the
+ * largest to the smallest element and toward the end where the elements are refined ("start", "end" or
+ * "both", e.g. for boundary layers on two opposite walls)
+ * @returns {array} The numElements + 1 positions of the element boundaries
+ */
+export function computeGradedDivisions(numElements, grading = 1) {
+  let sizeRatio = grading;
+  let symmetric = false;
+  if (typeof grading === "object" && grading !== null) {
+    const { ratio, toward = "start" } = grading;
+    if (!(typeof ratio === "number" && ratio >= 1) || !["start", "end", "both"].includes(toward)) {
+      throw new Error(
+        'Mesh grading given as an object must be { ratio, toward }, with ratio >= 1 and toward "start", ' +
+          '"end" or "both"'
+      );
+    }
+    sizeRatio = toward === "end" ? 1 / ratio : ratio;
+    symmetric = toward === "both";
+  } else if (!(typeof grading === "number" && grading > 0)) {
+    throw new Error(`Mesh grading must be a positive number or { ratio, toward }, got ${grading}`);
+  }
+
+  // Element sizes in geometric progression (from both ends to the middle in symmetric gradings)
+  const elementSizes = [];
+  for (let elementIndex = 0; elementIndex < numElements; elementIndex++) {
+    if (symmetric) {
+      const numSteps = Math.floor((numElements - 1) / 2);
+      const growthFactor = numSteps > 0 ? sizeRatio ** (1 / numSteps) : 1;
+      elementSizes.push(growthFactor ** Math.min(elementIndex, numElements - 1 - elementIndex));
+    } else {
+      const growthFactor = numElements > 1 ? sizeRatio ** (1 / (numElements - 1)) : 1;
+      elementSizes.push(growthFactor ** elementIndex);
+    }
+  }
+
+  const totalSize = elementSizes.reduce((sum, size) => sum + size, 0);
+  const divisions = [0];
+  let position = 0;
+  for (let elementIndex = 0; elementIndex < numElements - 1; elementIndex++) {
+    position += elementSizes[elementIndex];
+    divisions.push(position / totalSize);
+  }
+  divisions.push(1);
+  return divisions;
+}
+
+/**
+ * Create the mapping of a four-sided block from the unit square, by transfinite (Coons) interpolation of its
+ * edges, so that the edges may be curved
+ * @param {object} block - Object containing the minX, maxX, minY and maxY of the block (its corners when the
+ * edges are straight) and optionally its boundaryCurves
+ * @param {object} [block.boundaryCurves] - The curved edges of the block ("bottom", "left", "top" and
+ * "right"), each given as a function of s from 0 to 1 returning [x, y], or as a list of points [x, y]
+ * (bottom and top run from left to right, left and right from bottom to top); the other edges are straight
+ * @returns {function} The mapping, a function of (u, v) in [0, 1] returning [x, y]
+ */
+export function createBlockMapping({ minX = 0, maxX, minY = 0, maxY, boundaryCurves = null }) {
+  if (!boundaryCurves) {
+    return (u, v) => [minX + (maxX - minX) * u, minY + (maxY - minY) * v];
+  }
+  Object.keys(boundaryCurves).forEach((edgeName) => {
+    if (!(edgeName in blockEdges)) {
+      throw new Error(
+        `Unknown block edge "${edgeName}" in boundaryCurves. Edges: ${Object.keys(blockEdges).join(", ")}`
+      );
+    }
+  });
+
+  // Corners of the block, given by the curves that meet at them (or by the rectangle of the block)
+  const curves = {};
+  Object.keys(boundaryCurves).forEach((edgeName) => {
+    curves[edgeName] = createCurve(boundaryCurves[edgeName], edgeName);
+  });
+  const corners = {
+    "00": [minX, minY],
+    10: [maxX, minY],
+    "01": [minX, maxY],
+    11: [maxX, maxY],
+  };
+  const cornerCurves = {};
+  Object.keys(curves).forEach((edgeName) => {
+    blockEdges[edgeName].forEach((cornerKey, endIndex) => {
+      const point = curves[edgeName](endIndex);
+      if (cornerCurves[cornerKey]) {
+        const [otherEdgeName, otherPoint] = cornerCurves[cornerKey];
+        const size = Math.hypot(
+          ...curves[edgeName](1).map((value, index) => value - curves[edgeName](0)[index])
+        );
+        if (Math.hypot(point[0] - otherPoint[0], point[1] - otherPoint[1]) > 1e-6 * (size || 1)) {
+          throw new Error(`The boundary curves ${otherEdgeName} and ${edgeName} do not meet at a corner`);
+        }
+      } else {
+        cornerCurves[cornerKey] = [edgeName, point];
+        corners[cornerKey] = point;
+      }
+    });
+  });
+
+  // Straight edges between the corners
+  Object.keys(blockEdges).forEach((edgeName) => {
+    if (!curves[edgeName]) {
+      const [startPoint, endPoint] = blockEdges[edgeName].map((cornerKey) => corners[cornerKey]);
+      curves[edgeName] = (s) => [
+        startPoint[0] + s * (endPoint[0] - startPoint[0]),
+        startPoint[1] + s * (endPoint[1] - startPoint[1]),
+      ];
+    }
+  });
+
+  return (u, v) => {
+    const bottomPoint = curves.bottom(u);
+    const topPoint = curves.top(u);
+    const leftPoint = curves.left(v);
+    const rightPoint = curves.right(v);
+    return [0, 1].map(
+      (coordinate) =>
+        (1 - v) * bottomPoint[coordinate] +
+        v * topPoint[coordinate] +
+        (1 - u) * leftPoint[coordinate] +
+        u * rightPoint[coordinate] -
+        ((1 - u) * (1 - v) * corners["00"][coordinate] +
+          u * (1 - v) * corners["10"][coordinate] +
+          (1 - u) * v * corners["01"][coordinate] +
+          u * v * corners["11"][coordinate])
+    );
+  };
+}
+
+/**
+ * Create the parametrization of a curved block edge
+ * @param {function|array} curve - A function of s from 0 to 1 returning [x, y], or a list of points [x, y]
+ * (parametrized by their arc length)
+ * @param {string} edgeName - The name of the edge (used in the error messages)
+ * @returns {function} The curve, a function of s from 0 to 1 returning [x, y]
+ */
+function createCurve(curve, edgeName) {
+  if (typeof curve === "function") {
+    const point = curve(0);
+    if (!(Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+      throw new Error(`The boundary curve ${edgeName} must return points [x, y]`);
+    }
+    return curve;
+  }
+  if (
+    !Array.isArray(curve) ||
+    curve.length < 2 ||
+    !curve.every((point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))
+  ) {
+    throw new Error(
+      `The boundary curve ${edgeName} must be a function of s or a list of at least 2 points [x, y]`
+    );
+  }
+
+  // Polyline parametrized by the arc length
+  const arcLengths = [0];
+  for (let pointIndex = 1; pointIndex < curve.length; pointIndex++) {
+    const [x1, y1] = curve[pointIndex - 1];
+    const [x2, y2] = curve[pointIndex];
+    arcLengths.push(arcLengths[pointIndex - 1] + Math.hypot(x2 - x1, y2 - y1));
+  }
+  const totalLength = arcLengths[arcLengths.length - 1];
+  if (!(totalLength > 0)) {
+    throw new Error(`The boundary curve ${edgeName} has zero length`);
+  }
+  return (s) => {
+    const arcLength = Math.min(Math.max(s, 0), 1) * totalLength;
+    let segmentIndex = 1;
+    while (segmentIndex < curve.length - 1 && arcLengths[segmentIndex] < arcLength) {
+      segmentIndex++;
+    }
+    const segmentLength = arcLengths[segmentIndex] - arcLengths[segmentIndex - 1];
+    const t = segmentLength > 0 ? (arcLength - arcLengths[segmentIndex - 1]) / segmentLength : 0;
+    const [x1, y1] = curve[segmentIndex - 1];
+    const [x2, y2] = curve[segmentIndex];
+    return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+  };
+}
@@ -0,0 +1,145 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+/**
+ * Supported element types. For each type:
+ *  - meshDimension, elementOrder and elementShape select the basis functions and the Gauss quadrature
+ *  - sideNodes lists the local nodes of each side (end points of lines, edges of 2D elements)
+ *  - vertexNodes lists the local nodes at the vertices, in the order of the nodes of the linear element
+ *
+ * Reference elements and local node numbering:
+ *
+ *   line2: 0__ __1         line3: 0__1__2          (ksi from 0 to 1)
+ *
+ *   quad4:  1__ __3        quad9:  2__5__8         (ksi along 0 -> 2 (quad4) or 0 -> 6 (quad9),
+ *           |     |                |     |          eta along 0 -> 1 (quad4) or 0 -> 2 (quad9))
+ *           |__ __|                1  4  7
+ *           0     2                |__ __|
+ *                                  0  3  6
+ *
+ *   tri3:   2              tri6:   2               (vertices at (0, 0), (1, 0) and (0, 1))
+ *           |\                     |\
+ *           | \                    5  4
+ *           |__\                   |   \
+ *           0   1                  0__3_1
+ */
+export const elementTypes = {
+  line2: {
+    meshDimension: "1D",
+    elementOrder: "linear",
+    elementShape: "line",
+    numNodes: 2,
+    sideNodes: [[0], [1]], // 0 - Left end, 1 - Right end
+    vertexNodes: [0, 1],
+  },
+  line3: {
+    meshDimension: "1D",
+    elementOrder: "quadratic",
+    elementShape: "line",
+    numNodes: 3,
+    sideNodes: [[0], [2]],
+    vertexNodes: [0, 2],
+  },
+  quad4: {
+    meshDimension: "2D",
+    elementOrder: "linear",
+    elementShape: "quadrilateral",
+    numNodes: 4,
+    sideNodes: [
+      [0, 2], // Bottom side
+      [0, 1], // Left side
+      [1, 3], // Top side
+      [2, 3], // Right side
+    ],
+    vertexNodes: [0, 1, 2, 3],
+  },
+  quad9: {
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    elementShape: "quadrilateral",
+    numNodes: 9,
+    sideNodes: [
+      [0, 3, 6],
+      [0, 1, 2],
+      [2, 5, 8],
+      [6, 7, 8],
+    ],
+    vertexNodes: [0, 2, 6, 8],
+  },
+  tri3: {
+    meshDimension: "2D",
+    elementOrder: "linear",
+    elementShape: "triangle",
+    numNodes: 3,
+    sideNodes: [
+      [0, 1], // Side on eta = 0
+      [1, 2], // Hypotenuse
+      [2, 0], // Side on ksi = 0
+    ],
+    vertexNodes: [0, 1, 2],
+  },
+  tri6: {
+    meshDimension: "2D",
+    elementOrder: "quadratic",
+    elementShape: "triangle",
+    numNodes: 6,
+    sideNodes: [
+      [0, 3, 1],
+      [1, 4, 2],
+      [2, 5, 0],
+    ],
+    vertexNodes: [0, 1, 2],
+  },
+};
+
+/**
+ * Parametrization of the sides of the 2D reference elements by a coordinate s from 0 to 1
+ * Each entry returns the natural coordinates [ksi, eta] of the point and their derivatives with respect to s
+ */
+const sideParametrizations = {
+  quadrilateral: [
+    (s) => ({ ksi: s, eta: 0, ksiDerivS: 1, etaDerivS: 0 }), // Bottom side
+    (s) => ({ ksi: 0, eta: s, ksiDerivS: 0, etaDerivS: 1 }), // Left side
+    (s) => ({ ksi: s, eta: 1, ksiDerivS: 1, etaDerivS: 0 }), // Top side
+    (s) => ({ ksi: 1, eta: s, ksiDerivS: 0, etaDerivS: 1 }), // Right side
+  ],
+  triangle: [
+    (s) => ({ ksi: s, eta: 0, ksiDerivS: 1, etaDerivS: 0 }),
+    (s) => ({ ksi: 1 - s, eta: s, ksiDerivS: -1, etaDerivS: 1 }),
+    (s) => ({ ksi: 0, eta: 1 - s, ksiDerivS: 0, etaDerivS: -1 }),
+  ],
+};
+
+/**
+ * Return the default element type of a structured mesh
+ * @param {string} meshDimension - The dimension of the mesh
+ * @param {string} elementOrder - The order of elements
+ * @param {string} [elementShape] - The shape of 2D elements, "quadrilateral" (default) or "triangle"
+ * @returns {string} The element type
+ */
+export function getDefaultElementType(meshDimension, elementOrder, elementShape = "quadrilateral") {
+  if (meshDimension === "1D") {
+    return elementOrder === "quadratic" ? "line3" : "line2";
+  } else if (elementShape === "triangle") {
+    return elementOrder === "quadratic" ? "tri6" : "tri3";
+  }
+  return elementOrder === "quadratic" ? "quad9" : "quad4";
+}
+
+/**
+ * Return the natural coordinates of a point on a side of a 2D reference element
+ * @param {string} elementType - The element type
+ * @param {number} side - The local side index
+ * @param {number} s - The coordinate along the side, from 0 to 1
+ * @returns {object} The natural coordinates (ksi, eta) and their derivatives with respect to s
+ */
+export function getSidePoint(elementType, side, s) {
+  return sideParametrizations[elementTypes[elementType].elementShape][side](s);
+}
@@ -0,0 +1,300 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { elementTypes } from "./elementTypesScript.js";
+
+/**
+ * Supported Gmsh element types, with the element type they are converted to and the Gmsh index of each of
+ * its local nodes (Gmsh numbers the nodes of quadrilaterals counterclockwise, followed by the mid-side nodes)
+ */
+const gmshElementTypes = {
+  1: { elementType: "line2", dimension: 1, nodeOrder: [0, 1] },
+  8: { elementType: "line3", dimension: 1, nodeOrder: [0, 2, 1] },
+  2: { elementType: "tri3", dimension: 2, nodeOrder: [0, 1, 2] },
+  9: { elementType: "tri6", dimension: 2, nodeOrder: [0, 1, 2, 3, 4, 5] },
+  3: { elementType: "quad4", dimension: 2, nodeOrder: [0, 3, 1, 2] },
+  10: { elementType: "quad9", dimension: 2, nodeOrder: [0, 7, 3, 4, 8, 6, 1, 5, 2] },
+  15: { elementType: null, dimension: 0, nodeOrder: [0] }, // Point (boundary of 1D meshes)
+};
+
+// Gmsh node order of 2D elements with reversed orientation
+const reversedNodeOrders = {
+  2: [0, 2, 1],
+  9: [0, 2, 1, 5, 4, 3],
+  3: [0, 3, 2, 1],
+  10: [0, 3, 2, 1, 7, 6, 5, 4, 8],
+};
+
+/**
+ * Import a mesh in the Gmsh MSH format (ASCII versions 2.2 and 4.1)
+ * The elements of the highest dimension form the mesh, while the lower-dimensional elements of each
+ * physical group become the boundary elements of a boundary named after the group (or after its tag if
+ * the group has no name), e.g., addBoundaryCondition("inlet", ...)
+ * @param {string|ArrayBuffer} meshContent - The content of the .msh file
+ * @returns {object} Mesh data containing:
+ *  - meshDimension: The dimension of the mesh ("1D" or "2D")
+ *  - nodesXCoordinates, nodesYCoordinates: Arrays of node coordinates
+ *  - nodalNumbering: The NOP array (nodes numbered from 1)
+ *  - elementTypes: The type of each element
+ *  - boundaryElements: Object mapping each boundary name to its [elementIndex, side] pairs
+ */
+export function importGmshMesh(meshContent) {
+  const text =
+    typeof meshContent === "string"
+      ? meshContent
+      : new TextDecoder().decode(ArrayBuffer.isView(meshContent) ? meshContent : new Uint8Array(meshContent));
+  const sections = readSections(text);
+
+  if (!sections.MeshFormat) {
+    throw new Error("Gmsh mesh has no $MeshFormat section");
+  }
+  const [version, fileType] = sections.MeshFormat[0];
+  if (fileType !== "0") {
+    throw new Error("Binary Gmsh meshes are not supported, save the mesh in ASCII format");
+  }
+  if (!sections.Nodes || !sections.Elements) {
+    throw new Error("Gmsh mesh must contain $Nodes and $Elements sections");
+  }
+
+  // Physical group names, keyed by "dimension:tag"
+  const physicalNames = {};
+  (sections.PhysicalNames || []).slice(1).forEach(([dimension, tag, ...nameParts]) => {
+    physicalNames[`${dimension}:${tag}`] = nameParts.join(" ").replace(/^"|"$/g, "");
+  });
+
+  let nodes, elements;
+  if (version.startsWith("2.")) {
+    ({ nodes, elements } = readVersion2(sections));
+  } else if (version.startsWith("4.")) {
+    ({ nodes, elements } = readVersion4(sections));
+  } else {
+    throw new Error(`Gmsh mesh format version ${version} is not supported (use 2.2 or 4.1)`);
+  }
+
+  // Nodes
+  const nodeNumbers = new Map(); // Gmsh node tag -> node number (starting from 1)
+  const nodesXCoordinates = [];
+  const nodesYCoordinates = [];
+  nodes.forEach(({ tag, x, y }) => {
+    nodeNumbers.set(tag, nodesXCoordinates.length + 1);
+    nodesXCoordinates.push(x);
+    nodesYCoordinates.push(y);
+  });
+  const getNodeNumber = (tag) => {
+    if (!nodeNumbers.has(tag)) {
+      throw new Error(`Gmsh element refers to node ${tag}, which is not in the $Nodes section`);
+    }
+    return nodeNumbers.get(tag);
+  };
+
+  // The mesh is formed by the supported elements of the highest dimension
+  const supportedElements = elements.filter(({ gmshType }) => gmshElementTypes[gmshType]);
+  const dimension = Math.max(
+    ...supportedElements.map(({ gmshType }) => gmshElementTypes[gmshType].dimension)
+  );
+  if (!(dimension >= 1)) {
+    throw new Error("Gmsh mesh contains no supported line, triangle or quadrilateral elements");
+  }
+  const unsupportedElement = elements.find(({ gmshType }) => !gmshElementTypes[gmshType]);
+  if (unsupportedElement) {
+    throw new Error(`Gmsh element type ${unsupportedElement.gmshType} is not supported`);
+  }
+
+  const nodalNumbering = [];
+  const meshElementTypes = [];
+  supportedElements
+    .filter(({ gmshType }) => gmshElementTypes[gmshType].dimension === dimension)
+    .forEach(({ gmshType, nodeTags }) => {
+      let nodeOrder = gmshElementTypes[gmshType].nodeOrder;
+      // Elements are stored counterclockwise, so that the jacobian of the isoparametric mapping is positive
+      if (
+        dimension === 2 &&
+        signedArea(nodeTags.map(getNodeNumber), nodesXCoordinates, nodesYCoordinates) < 0
+      ) {
+        nodeOrder = nodeOrder.map((index) => reversedNodeOrders[gmshType][index]);
+      }
+      nodalNumbering.push(nodeOrder.map((index) => getNodeNumber(nodeTags[index])));
+      meshElementTypes.push(gmshElementTypes[gmshType].elementType);
+    });
+
+  // Find the element side of each boundary element of the physical groups
+  const sidesByVertices = new Map(); // Sorted end nodes of a side -> [elementIndex, side]
+  nodalNumbering.forEach((elementNodes, elementIndex) => {
+    elementTypes[meshElementTypes[elementIndex]].sideNodes.forEach((sideNodes, side) => {
+      sidesByVertices.set(sideKey(sideNodes.map((localNodeIndex) => elementNodes[localNodeIndex])), [
+        elementIndex,
+        side,
+      ]);
+    });
+  });
+
+  const boundaryElements = {};
+  supportedElements
+    .filter(({ gmshType }) => gmshElementTypes[gmshType].dimension === dimension - 1)
+    .forEach(({ gmshType, nodeTags, physicalTags }) => {
+      const boundaryNodes = gmshElementTypes[gmshType].nodeOrder.map((index) =>
+        getNodeNumber(nodeTags[index])
+      );
+      const elementSide = sidesByVertices.get(sideKey(boundaryNodes));
+      if (!elementSide) {
+        throw new Error(`Gmsh boundary element with nodes ${nodeTags.join(", ")} is not on any element side`);
+      }
+      physicalTags.forEach((physicalTag) => {
+        const boundaryName = physicalNames[`${dimension - 1}:${physicalTag}`] || String(physicalTag);
+        (boundaryElements[boundaryName] = boundaryElements[boundaryName] || []).push(elementSide);
+      });
+    });
+
+  return {
+    meshDimension: `${dimension}D`,
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+  };
+}
+
+/**
+ * Split the content of a .msh file into its sections ($Name ... $EndName), each given as an array of
+ * whitespace-separated line tokens
+ * @param {string} text - The content of the .msh file
+ * @returns {object} Object mapping each section name to its lines
+ */
+function readSections(text) {
+  const sections = {};
+  let currentSection = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const trimmedLine = line.trim();
+    if (trimmedLine.startsWith("$End")) {
+      currentSection = null;
+    } else if (trimmedLine.startsWith("$")) {
+      currentSection = trimmedLine.slice(1);
+      sections[currentSection] = [];
+    } else if (currentSection && trimmedLine) {
+      // Keep quoted names with spaces in a single token
+      sections[currentSection].push(trimmedLine.match(/"[^"]*"|\S+/g));
+    }
+  });
+  return sections;
+}
+
+/**
+ * Read the nodes and elements of a mesh in the MSH 2.2 format
+ * @param {object} sections - The sections of the .msh file
+ * @returns {object} The nodes ({ tag, x, y }) and elements ({ gmshType, physicalTags, nodeTags })
+ */
+function readVersion2(sections) {
+  const nodes = sections.Nodes.slice(1).map(([tag, x, y]) => ({
+    tag: Number(tag),
+    x: Number(x),
+    y: Number(y),
+  }));
+  const elements = sections.Elements.slice(1).map(([, gmshType, numTags, ...rest]) => {
+    const tags = rest.slice(0, Number(numTags)).map(Number);
+    return {
+      gmshType: Number(gmshType),
+      physicalTags: tags.length > 0 && tags[0] !== 0 ? [tags[0]] : [],
+      nodeTags: rest.slice(Number(numTags)).map(Number),
+    };
+  });
+  return { nodes, elements };
+}
+
+/**
+ * Read the nodes and elements of a mesh in the MSH 4.1 format
+ * The physical groups of the elements are given by the entities ($Entities section) they belong to
+ * @param {object} sections - The sections of the .msh file
+ * @returns {object} The nodes ({ tag, x, y }) and elements ({ gmshType, physicalTags, nodeTags })
+ */
+function readVersion4(sections) {
+  // Physical tags of each entity, keyed by "dimension:tag"
+  const entityPhysicalTags = {};
+  if (sections.Entities) {
+    const [numPoints, numCurves, numSurfaces, numVolumes] = sections.Entities[0].map(Number);
+    let lineIndex = 1;
+    [numPoints, numCurves, numSurfaces, numVolumes].forEach((numEntities, dimension) => {
+      for (let entityIndex = 0; entityIndex < numEntities; entityIndex++) {
+        const line = sections.Entities[lineIndex++].map(Number);
+        // Points have a single set of coordinates, other entities have a bounding box
+        const numPhysicalTagsIndex = dimension === 0 ? 4 : 7;
+        const numPhysicalTags = line[numPhysicalTagsIndex];
+        entityPhysicalTags[`${dimension}:${line[0]}`] = line.slice(
+          numPhysicalTagsIndex + 1,
+          numPhysicalTagsIndex + 1 + numPhysicalTags
+        );
+      }
+    });
+  }
+
+  const nodes = [];
+  let lineIndex = 1;
+  const numNodeBlocks = Number(sections.Nodes[0][0]);
+  for (let blockIndex = 0; blockIndex < numNodeBlocks; blockIndex++) {
+    const numNodesInBlock = Number(sections.Nodes[lineIndex++][3]);
+    const tagLines = sections.Nodes.slice(lineIndex, lineIndex + numNodesInBlock);
+    const coordinateLines = sections.Nodes.slice(
+      lineIndex + numNodesInBlock,
+      lineIndex + 2 * numNodesInBlock
+    );
+    tagLines.forEach(([tag], nodeIndex) => {
+      const [x, y] = coordinateLines[nodeIndex];
+      nodes.push({ tag: Number(tag), x: Number(x), y: Number(y) });
+    });
+    lineIndex += 2 * numNodesInBlock;
+  }
+
+  const elements = [];
+  lineIndex = 1;
+  const numElementBlocks = Number(sections.Elements[0][0]);
+  for (let blockIndex = 0; blockIndex < numElementBlocks; blockIndex++) {
+    const [entityDimension, entityTag, gmshType, numElementsInBlock] =
+      sections.Elements[lineIndex++].map(Number);
+    const physicalTags = entityPhysicalTags[`${entityDimension}:${entityTag}`] || [];
+    sections.Elements.slice(lineIndex, lineIndex + numElementsInBlock).forEach(([, ...nodeTags]) => {
+      elements.push({ gmshType, physicalTags, nodeTags: nodeTags.map(Number) });
+    });
+    lineIndex += numElementsInBlock;
+  }
+
+  return { nodes, elements };
+}
+
+/**
+ * Compute the signed area of the polygon formed by the vertices of a 2D element (positive when the
+ * vertices are ordered counterclockwise)
+ * @param {array} elementNodes - The node numbers (starting from 1) in Gmsh order
+ * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+ * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+ * @returns {number} The signed area
+ */
+function signedArea(elementNodes, nodesXCoordinates, nodesYCoordinates) {
+  const numVertices = elementNodes.length === 3 || elementNodes.length === 6 ? 3 : 4;
+  let area = 0;
+  for (let vertexIndex = 0; vertexIndex < numVertices; vertexIndex++) {
+    const node1 = elementNodes[vertexIndex] - 1;
+    const node2 = elementNodes[(vertexIndex + 1) % numVertices] - 1;
+    area +=
+      nodesXCoordinates[node1] * nodesYCoordinates[node2] -
+      nodesXCoordinates[node2] * nodesYCoordinates[node1];
+  }
+  return area / 2;
+}
+
+/**
+ * Return a key identifying a side by its end nodes, independent of the direction of the side
+ * @param {array} sideNodes - The node numbers of the side (the end nodes are the first and the last)
+ * @returns {string} The key
+ */
+function sideKey(sideNodes) {
+  const firstNode = sideNodes[0];
+  const lastNode = sideNodes[sideNodes.length - 1];
+  return firstNode < lastNode ? `${firstNode}-${lastNode}` : `${lastNode}-${firstNode}`;
+}
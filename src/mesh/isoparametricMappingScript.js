@@ -0,0 +1,304 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { elementTypes, getSidePoint } from "./elementTypesScript.js";
+
+// Coordinate systems of the meshes: in axisymmetric analyses the x-coordinate is the radius and the y-coordinate
+// the axial coordinate, and the integrals over the revolved domain are weighted by the circumference 2 pi r
+export const coordinateSystems = ["cartesian", "axisymmetric"];
+
+/**
+ * Check the coordinate system of a mesh (the radii of axisymmetric meshes cannot be negative)
+ * @param {string} coordinateSystem - The coordinate system (see coordinateSystems)
+ * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+ */
+export function validateCoordinateSystem(coordinateSystem, nodesXCoordinates) {
+  if (!coordinateSystems.includes(coordinateSystem)) {
+    throw new Error(
+      `Unknown coordinate system "${coordinateSystem}". Coordinate systems: ${coordinateSystems.join(", ")}`
+    );
+  }
+  if (coordinateSystem === "axisymmetric") {
+    const maxRadius = Math.max(...nodesXCoordinates.map(Math.abs));
+    const minRadius = Math.min(...nodesXCoordinates);
+    if (minRadius < -1e-12 * maxRadius) {
+      throw new Error(
+        `Axisymmetric meshes must lie at nonnegative x-coordinates (radii), got x = ${minRadius}`
+      );
+    }
+  }
+}
+
+/**
+ * Compute the factor by which the integrands are weighted at a point, 2 pi r in axisymmetric analyses
+ * @param {string} coordinateSystem - The coordinate system (see coordinateSystems)
+ * @param {number} xCoordinates - The x-coordinate of the point (the radius in axisymmetric analyses)
+ * @returns {number} The weight factor
+ */
+export function getCoordinateSystemWeight(coordinateSystem, xCoordinates) {
+  return coordinateSystem === "axisymmetric" ? 2 * Math.PI * xCoordinates : 1;
+}
+
+/**
+ * Compute the isoparametric mapping of an element at a point of the reference element
+ * @param {object} basisFunctionsAndDerivatives - The basis functions and their derivatives at the point
+ * @param {array} localNodalNumbers - The global indices (starting from 0) of the nodes of the element
+ * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+ * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+ * @param {string} meshDimension - The dimension of the element
+ * @returns {object} An object containing:
+ *  - xCoordinates, yCoordinates: The physical coordinates of the point (yCoordinates is 0 in 1D)
+ *  - detJacobian: The jacobian of the isoparametric mapping
+ *  - basisFunctionDerivX, basisFunctionDerivY: The x- and y-derivatives of the basis functions
+ */
+export function computeIsoparametricMapping(
+  { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta },
+  localNodalNumbers,
+  nodesXCoordinates,
+  nodesYCoordinates,
+  meshDimension
+) {
+  const numNodes = localNodalNumbers.length;
+  let xCoordinates = 0; // x-coordinate (physical coordinates)
+  let yCoordinates = 0; // y-coordinate (physical coordinates)
+  let ksiDerivX = 0; // ksi-derivative of xCoordinates
+  let etaDerivX = 0; // eta-derivative of xCoordinates (ksi and eta are natural coordinates that vary within a reference element)
+  let ksiDerivY = 0; // ksi-derivative of yCoordinates
+  let etaDerivY = 0; // eta-derivative of yCoordinates
+  let detJacobian; // The jacobian of the isoparametric mapping
+  let basisFunctionDerivX = []; // The x-derivative of the basis function
+  let basisFunctionDerivY = []; // The y-derivative of the basis function
+
+  if (meshDimension === "1D") {
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      xCoordinates += nodesXCoordinates[localNodalNumbers[localNodeIndex]] * basisFunction[localNodeIndex];
+      ksiDerivX +=
+        nodesXCoordinates[localNodalNumbers[localNodeIndex]] * basisFunctionDerivKsi[localNodeIndex];
+    }
+    detJacobian = ksiDerivX;
+
+    // Compute x-derivative of basis functions
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      basisFunctionDerivX[localNodeIndex] = basisFunctionDerivKsi[localNodeIndex] / detJacobian;
+      basisFunctionDerivY[localNodeIndex] = 0;
+    }
+  } else if (meshDimension === "2D") {
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      const nodeXCoordinate = nodesXCoordinates[localNodalNumbers[localNodeIndex]];
+      const nodeYCoordinate = nodesYCoordinates[localNodalNumbers[localNodeIndex]];
+      xCoordinates += nodeXCoordinate * basisFunction[localNodeIndex];
+      yCoordinates += nodeYCoordinate * basisFunction[localNodeIndex];
+      ksiDerivX += nodeXCoordinate * basisFunctionDerivKsi[localNodeIndex];
+      etaDerivX += nodeXCoordinate * basisFunctionDerivEta[localNodeIndex];
+      ksiDerivY += nodeYCoordinate * basisFunctionDerivKsi[localNodeIndex];
+      etaDerivY += nodeYCoordinate * basisFunctionDerivEta[localNodeIndex];
+    }
+    detJacobian = ksiDerivX * etaDerivY - etaDerivX * ksiDerivY;
+
+    // Compute x-derivative and y-derivative of basis functions
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      basisFunctionDerivX[localNodeIndex] =
+        (etaDerivY * basisFunctionDerivKsi[localNodeIndex] -
+          ksiDerivY * basisFunctionDerivEta[localNodeIndex]) /
+        detJacobian; // The x-derivative of the n basis function
+      basisFunctionDerivY[localNodeIndex] =
+        (ksiDerivX * basisFunctionDerivEta[localNodeIndex] -
+          etaDerivX * basisFunctionDerivKsi[localNodeIndex]) /
+        detJacobian; // The y-derivative of the n basis function
+    }
+  }
+
+  return { xCoordinates, yCoordinates, detJacobian, basisFunctionDerivX, basisFunctionDerivY };
+}
+
+/**
+ * Compute the second x- and y-derivatives of the basis functions at a point of an element, including the
+ * curvature of the isoparametric mapping
+ * @param {object} basisFunctionsAndDerivatives - The basis functions and their derivatives at the point
+ * @param {object} secondDerivatives - The second derivatives of the basis functions with respect to the natural
+ * coordinates at the point (see basisFunctions.getBasisFunctionSecondDerivatives)
+ * @param {object} isoparametricMapping - The isoparametric mapping at the point (see computeIsoparametricMapping)
+ * @param {array} localNodalNumbers - The global indices (starting from 0) of the nodes of the element
+ * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+ * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+ * @param {string} meshDimension - The dimension of the element
+ * @returns {object} An object containing the arrays basisFunctionDerivXX, basisFunctionDerivXY and
+ * basisFunctionDerivYY (the last two are zeros in 1D)
+ */
+export function computeBasisFunctionSecondDerivatives(
+  { basisFunctionDerivKsi, basisFunctionDerivEta },
+  { basisFunctionDerivKsiKsi, basisFunctionDerivKsiEta, basisFunctionDerivEtaEta },
+  { basisFunctionDerivX, basisFunctionDerivY },
+  localNodalNumbers,
+  nodesXCoordinates,
+  nodesYCoordinates,
+  meshDimension
+) {
+  const numNodes = localNodalNumbers.length;
+  const basisFunctionDerivXX = [];
+  const basisFunctionDerivXY = new Array(numNodes).fill(0);
+  const basisFunctionDerivYY = new Array(numNodes).fill(0);
+
+  // First and second derivatives of the coordinates with respect to the natural coordinates
+  let ksiDerivX = 0;
+  let etaDerivX = 0;
+  let ksiDerivY = 0;
+  let etaDerivY = 0;
+  let ksiKsiDerivX = 0;
+  let ksiEtaDerivX = 0;
+  let etaEtaDerivX = 0;
+  let ksiKsiDerivY = 0;
+  let ksiEtaDerivY = 0;
+  let etaEtaDerivY = 0;
+  for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+    const nodeXCoordinate = nodesXCoordinates[localNodalNumbers[localNodeIndex]];
+    ksiDerivX += nodeXCoordinate * basisFunctionDerivKsi[localNodeIndex];
+    ksiKsiDerivX += nodeXCoordinate * basisFunctionDerivKsiKsi[localNodeIndex];
+    if (meshDimension === "2D") {
+      const nodeYCoordinate = nodesYCoordinates[localNodalNumbers[localNodeIndex]];
+      etaDerivX += nodeXCoordinate * basisFunctionDerivEta[localNodeIndex];
+      ksiDerivY += nodeYCoordinate * basisFunctionDerivKsi[localNodeIndex];
+      etaDerivY += nodeYCoordinate * basisFunctionDerivEta[localNodeIndex];
+      ksiEtaDerivX += nodeXCoordinate * basisFunctionDerivKsiEta[localNodeIndex];
+      etaEtaDerivX += nodeXCoordinate * basisFunctionDerivEtaEta[localNodeIndex];
+      ksiKsiDerivY += nodeYCoordinate * basisFunctionDerivKsiKsi[localNodeIndex];
+      ksiEtaDerivY += nodeYCoordinate * basisFunctionDerivKsiEta[localNodeIndex];
+      etaEtaDerivY += nodeYCoordinate * basisFunctionDerivEtaEta[localNodeIndex];
+    }
+  }
+
+  if (meshDimension === "1D") {
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      basisFunctionDerivXX[localNodeIndex] =
+        (basisFunctionDerivKsiKsi[localNodeIndex] - basisFunctionDerivX[localNodeIndex] * ksiKsiDerivX) /
+        ksiDerivX ** 2;
+    }
+  } else if (meshDimension === "2D") {
+    // Derivatives of the natural coordinates with respect to x and y (inverse of the jacobian matrix)
+    const detJacobian = ksiDerivX * etaDerivY - etaDerivX * ksiDerivY;
+    const xDerivKsi = etaDerivY / detJacobian;
+    const yDerivKsi = -etaDerivX / detJacobian;
+    const xDerivEta = -ksiDerivY / detJacobian;
+    const yDerivEta = ksiDerivX / detJacobian;
+
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      // Second derivatives with respect to the natural coordinates, less the curvature terms of the mapping
+      const derivX = basisFunctionDerivX[localNodeIndex];
+      const derivY = basisFunctionDerivY[localNodeIndex];
+      const derivKsiKsi =
+        basisFunctionDerivKsiKsi[localNodeIndex] - derivX * ksiKsiDerivX - derivY * ksiKsiDerivY;
+      const derivKsiEta =
+        basisFunctionDerivKsiEta[localNodeIndex] - derivX * ksiEtaDerivX - derivY * ksiEtaDerivY;
+      const derivEtaEta =
+        basisFunctionDerivEtaEta[localNodeIndex] - derivX * etaEtaDerivX - derivY * etaEtaDerivY;
+
+      basisFunctionDerivXX[localNodeIndex] =
+        xDerivKsi ** 2 * derivKsiKsi + 2 * xDerivKsi * xDerivEta * derivKsiEta + xDerivEta ** 2 * derivEtaEta;
+      basisFunctionDerivXY[localNodeIndex] =
+        xDerivKsi * yDerivKsi * derivKsiKsi +
+        (xDerivKsi * yDerivEta + xDerivEta * yDerivKsi) * derivKsiEta +
+        xDerivEta * yDerivEta * derivEtaEta;
+      basisFunctionDerivYY[localNodeIndex] =
+        yDerivKsi ** 2 * derivKsiKsi + 2 * yDerivKsi * yDerivEta * derivKsiEta + yDerivEta ** 2 * derivEtaEta;
+    }
+  }
+
+  return { basisFunctionDerivXX, basisFunctionDerivXY, basisFunctionDerivYY };
+}
+
+/**
+ * Compute the integration points on a side of an element, where boundary integrals are evaluated
+ * For 2D elements the Gauss points are mapped on the side, which may be curved; the side of a 1D element is
+ * a single point and needs no integration
+ * @param {string} elementType - The element type (see elementTypes)
+ * @param {number} side - The local side index
+ * @param {object} basisFunctionsData - The basisFunctions instance of the element type
+ * @param {array} gaussPoints - Array of 1D Gauss points (from 0 to 1)
+ * @param {array} gaussWeights - Array of 1D Gauss weights
+ * @param {array} localNodalNumbers - The global indices (starting from 0) of the nodes of the element
+ * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+ * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+ * @returns {array} Array of integration points, each given as
+ * { ksi, eta, basisFunction, xCoordinates, yCoordinates, weight, normal }, where weight includes the length of
+ * the side and normal is the outward unit normal [nx, ny] of the element
+ */
+export function computeSideIntegrationPoints(
+  elementType,
+  side,
+  basisFunctionsData,
+  gaussPoints,
+  gaussWeights,
+  localNodalNumbers,
+  nodesXCoordinates,
+  nodesYCoordinates
+) {
+  const numNodes = localNodalNumbers.length;
+
+  if (elementTypes[elementType].meshDimension === "1D") {
+    const ksi = side === 0 ? 0 : 1;
+    const { basisFunction } = basisFunctionsData.getBasisFunctions(ksi);
+    const xCoordinates = nodesXCoordinates[localNodalNumbers[elementTypes[elementType].sideNodes[side][0]]];
+    const otherEndXCoordinate =
+      nodesXCoordinates[localNodalNumbers[elementTypes[elementType].sideNodes[1 - side][0]]];
+    return [
+      {
+        ksi,
+        eta: null,
+        basisFunction,
+        xCoordinates,
+        yCoordinates: 0,
+        weight: 1,
+        normal: [xCoordinates > otherEndXCoordinate ? 1 : -1, 0],
+      },
+    ];
+  }
+
+  // Centroid of the nodes of the element, used to orient the normals outwards
+  let centroidX = 0;
+  let centroidY = 0;
+  for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+    centroidX += nodesXCoordinates[localNodalNumbers[localNodeIndex]] / numNodes;
+    centroidY += nodesYCoordinates[localNodalNumbers[localNodeIndex]] / numNodes;
+  }
+
+  return gaussPoints.map((gaussPoint, gaussPointIndex) => {
+    const { ksi, eta, ksiDerivS, etaDerivS } = getSidePoint(elementType, side, gaussPoint);
+    const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+      basisFunctionsData.getBasisFunctions(ksi, eta);
+    let xCoordinates = 0;
+    let yCoordinates = 0;
+    let sDerivX = 0; // Derivative of xCoordinates along the side
+    let sDerivY = 0; // Derivative of yCoordinates along the side
+    for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+      const nodeXCoordinate = nodesXCoordinates[localNodalNumbers[localNodeIndex]];
+      const nodeYCoordinate = nodesYCoordinates[localNodalNumbers[localNodeIndex]];
+      const basisFunctionDerivS =
+        basisFunctionDerivKsi[localNodeIndex] * ksiDerivS + basisFunctionDerivEta[localNodeIndex] * etaDerivS;
+      xCoordinates += nodeXCoordinate * basisFunction[localNodeIndex];
+      yCoordinates += nodeYCoordinate * basisFunction[localNodeIndex];
+      sDerivX += nodeXCoordinate * basisFunctionDerivS;
+      sDerivY += nodeYCoordinate * basisFunctionDerivS;
+    }
+    const sideLengthDerivS = Math.hypot(sDerivX, sDerivY);
+    let normal = [sDerivY / sideLengthDerivS, -sDerivX / sideLengthDerivS];
+    if (normal[0] * (xCoordinates - centroidX) + normal[1] * (yCoordinates - centroidY) < 0) {
+      normal = [-normal[0], -normal[1]];
+    }
+    return {
+      ksi,
+      eta,
+      basisFunction,
+      xCoordinates,
+      yCoordinates,
+      weight: gaussWeights[gaussPointIndex] * sideLengthDerivS,
+      normal,
+    };
+  });
+}
@@ -8,6 +8,19 @@
 //                                            |_|   | |_   //
 //       Website: https://feascript.com/             \__|  //
 
+import { elementTypes, getDefaultElementType } from "./elementTypesScript.js";
+import { importGmshMesh } from "./gmshReaderScript.js";
+import { computeGradedDivisions, createBlockMapping } from "./blockMappingScript.js";
+
+// Names of the boundaries of structured meshes, in the order of their legacy indices "0"-"3"
+export const structuredBoundaryNames = {
+  "1D": ["left", "right"],
+  "2D": ["bottom", "left", "top", "right"],
+};
+
+// Relative tolerance within which the nodes of the blocks of multi-block meshes are merged
+const blockNodeTolerance = 1e-8;
+
 /**
  * Class to handle the generation of structured finite element meshes
  */
@@ -20,8 +33,25 @@ export class meshGeneration {
    * @param {number} [config.numElementsY=1] - Number of elements along the y-axis (default is 1 for 1D meshes)
    * @param {number} [config.maxY=0] - Maximum y-coordinate of the mesh (default is 0 for 1D meshes)
    * @param {string} [config.meshDimension='2D'] - The dimension of the mesh, either 1D or 2D (default is 2D)
-   * @param {string} [config.meshFile=null] - Optional mesh file (JSON) for predefined meshes
+   * @param {string|ArrayBuffer} [config.meshFile=null] - Optional content of a Gmsh mesh file (.msh) for
+   * predefined meshes
    * @param {string} [config.elementOrder='linear'] - The order of elements, either 'linear' or 'quadratic' (default is 'linear')
+   * @param {string} [config.elementShape='quadrilateral'] - The shape of 2D elements, either 'quadrilateral' or
+   * 'triangle' (each rectangle of the structured mesh is then split into two triangles)
+   * @param {object} [config.meshData=null] - Optional predefined (e.g., unstructured) mesh, given as
+   * { nodesXCoordinates, nodesYCoordinates, nodalNumbering, elementTypes, boundaryElements }
+   * @param {number} [config.minX=0] - Minimum x-coordinate of the mesh
+   * @param {number} [config.minY=0] - Minimum y-coordinate of the mesh
+   * @param {number|object} [config.gradingX=1] - Grading of the element sizes along the x-axis: the ratio of the
+   * size of the last element to that of the first, or { ratio, toward } (see computeGradedDivisions)
+   * @param {number|object} [config.gradingY=1] - Grading of the element sizes along the y-axis
+   * @param {object} [config.boundaryCurves=null] - Optional curved edges of the 2D mesh ("bottom", "left", "top"
+   * and "right"), given as functions of s from 0 to 1 returning [x, y] or as lists of points [x, y]; the mesh is
+   * then mapped by transfinite interpolation of its edges (see createBlockMapping)
+   * @param {array} [config.blocks=null] - Optional blocks of a 2D multi-block mesh (e.g., an L-shape), each
+   * given as { name, numElementsX, numElementsY, minX, maxX, minY, maxY, gradingX, gradingY, boundaryCurves,
+   * boundaryNames }, whose coincident nodes are merged; the boundaries are named after the blocks and their
+   * edges (e.g., "fin-top"), unless renamed in boundaryNames (e.g., { top: "tip" })
    */
   constructor({
     numElementsX,
@@ -31,14 +61,30 @@ export class meshGeneration {
     meshDimension = "2D",
     meshFile = null,
     elementOrder = "linear",
+    elementShape = "quadrilateral",
+    meshData = null,
+    minX = 0,
+    minY = 0,
+    gradingX = 1,
+    gradingY = 1,
+    boundaryCurves = null,
+    blocks = null,
   }) {
     this.numElementsX = numElementsX;
     this.numElementsY = numElementsY;
     this.maxX = maxX;
     this.maxY = maxY;
+    this.minX = minX;
+    this.minY = minY;
+    this.gradingX = gradingX;
+    this.gradingY = gradingY;
+    this.boundaryCurves = boundaryCurves;
+    this.blocks = blocks;
     this.meshDimension = meshDimension;
     this.meshFile = meshFile;
     this.elementOrder = elementOrder;
+    this.elementShape = elementShape;
+    this.meshData = meshData;
   }
 
   /**
@@ -46,10 +92,16 @@ export class meshGeneration {
    * @returns {object} The generated mesh containing node coordinates and total nodes
    */
   generateMesh() {
-    if (this.meshFile) {
-      // If a custom mesh file is provided, read and parse it
+    if (this.meshData) {
+      // If a predefined mesh is provided, check it and complete its element types
+      return this.generateMeshFromData(this.meshData);
+    } else if (this.meshFile) {
+      // If a custom mesh file is provided, import it
       const meshData = this.generateMeshFromCustomFile(this.meshFile);
       return meshData;
+    } else if (this.blocks) {
+      // If blocks are provided, generate and stitch them
+      return this.generateMeshFromBlocks(this.blocks);
     } else {
       // Generate mesh based on dimension
       return this.generateMeshFromGeometry();
@@ -57,33 +109,80 @@ export class meshGeneration {
   }
 
   /**
-   * Parse a custom mesh JSON file and generate the mesh
-   * @param {string} meshFilePath - Path to the custom mesh file (JSON format)
-   * @returns {object} Mesh data containing coordinates and connectivity
+   * Check a predefined mesh and complete the element types that are not given
+   * (inferred from the number of nodes of each element)
+   * @param {object} meshData - The predefined mesh
+   * @returns {object} Mesh data containing coordinates, connectivity, element types and boundary elements
    */
-  generateMeshFromCustomFile(meshFilePath) {
-    const response = fetch(meshFilePath);
-    const meshData = response.json();
-
-    const nodesXCoordinates = [];
-    const nodesYCoordinates = [];
-    const { nodes, elements } = meshData;
+  generateMeshFromData({
+    nodesXCoordinates,
+    nodesYCoordinates = [],
+    nodalNumbering,
+    elementTypes: meshElementTypes,
+    boundaryElements = {},
+  }) {
+    const totalNodes = nodesXCoordinates.length;
+    const elementTypesByNumNodes = {};
+    Object.keys(elementTypes).forEach((elementType) => {
+      if (elementTypes[elementType].meshDimension === this.meshDimension) {
+        elementTypesByNumNodes[elementTypes[elementType].numNodes] = elementType;
+      }
+    });
 
-    // Parse the node coordinates
-    nodes.forEach((node) => {
-      nodesXCoordinates.push(node.x);
-      nodesYCoordinates.push(node.y);
+    const completedElementTypes = nodalNumbering.map((elementNodes, elementIndex) => {
+      const elementType = meshElementTypes
+        ? meshElementTypes[elementIndex]
+        : elementTypesByNumNodes[elementNodes.length];
+      if (!elementTypes[elementType] || elementTypes[elementType].meshDimension !== this.meshDimension) {
+        throw new Error(`Element ${elementIndex} has an unsupported ${this.meshDimension} element type`);
+      }
+      if (elementNodes.length !== elementTypes[elementType].numNodes) {
+        throw new Error(
+          `Element ${elementIndex} of type ${elementType} has ${elementNodes.length} nodes, ` +
+            `expected ${elementTypes[elementType].numNodes}`
+        );
+      }
+      elementNodes.forEach((nodeNumber) => {
+        if (!(Number.isInteger(nodeNumber) && nodeNumber >= 1 && nodeNumber <= totalNodes)) {
+          throw new Error(`Element ${elementIndex} refers to node ${nodeNumber}, which is not in the mesh`);
+        }
+      });
+      return elementType;
     });
 
+    // Linear and quadratic elements cannot share sides
+    if (
+      new Set(completedElementTypes.map((elementType) => elementTypes[elementType].elementOrder)).size > 1
+    ) {
+      throw new Error("Elements of different orders cannot be mixed in a mesh");
+    }
+
     return {
       nodesXCoordinates,
       nodesYCoordinates,
-      totalNodesX: nodesXCoordinates.length,
-      totalNodesY: nodesYCoordinates.length,
-      elements,
+      nodalNumbering,
+      elementTypes: completedElementTypes,
+      boundaryElements,
     };
   }
 
+  /**
+   * Import a custom mesh file and generate the mesh
+   * @param {string|ArrayBuffer} meshFile - The content of the mesh file (Gmsh MSH format, ASCII versions 2.2
+   * and 4.1), e.g., obtained with fetch(...).then((response) => response.text()) or FileReader
+   * @returns {object} Mesh data containing coordinates, connectivity, element types and boundary elements
+   * (named after the physical groups of the mesh)
+   */
+  generateMeshFromCustomFile(meshFile) {
+    const { meshDimension, ...meshData } = importGmshMesh(meshFile);
+    if (meshDimension !== this.meshDimension) {
+      throw new Error(
+        `Mesh file contains a ${meshDimension} mesh, but meshDimension is ${this.meshDimension}`
+      );
+    }
+    return this.generateMeshFromData(meshData);
+  }
+
   /**
    * Generate a structured mesh based on the geometry configuration
    * @returns {object} An object containing the coordinates of nodes,
@@ -92,84 +191,38 @@ export class meshGeneration {
   generateMeshFromGeometry() {
     let nodesXCoordinates = [];
     let nodesYCoordinates = [];
-    const xStart = 0;
-    const yStart = 0;
-    let totalNodesX, totalNodesY, deltaX, deltaY;
+    let totalNodesX, totalNodesY;
 
     if (this.meshDimension === "1D") {
-      if (this.elementOrder === "linear") {
-        totalNodesX = this.numElementsX + 1;
-        deltaX = (this.maxX - xStart) / this.numElementsX;
-
-        nodesXCoordinates[0] = xStart;
-        for (let nodeIndex = 1; nodeIndex < totalNodesX; nodeIndex++) {
-          nodesXCoordinates[nodeIndex] = nodesXCoordinates[nodeIndex - 1] + deltaX;
-        }
-      } else if (this.elementOrder === "quadratic") {
-        totalNodesX = 2 * this.numElementsX + 1;
-        deltaX = (this.maxX - xStart) / this.numElementsX;
+      // Nodes at the (graded) element boundaries, and at the middle of the elements if quadratic
+      nodesXCoordinates = this.computeNodeParameters(this.numElementsX, this.gradingX).map(
+        (u) => this.minX + (this.maxX - this.minX) * u
+      );
+      totalNodesX = nodesXCoordinates.length;
 
-        nodesXCoordinates[0] = xStart;
-        for (let nodeIndex = 1; nodeIndex < totalNodesX; nodeIndex++) {
-          nodesXCoordinates[nodeIndex] = nodesXCoordinates[nodeIndex - 1] + deltaX / 2;
-        }
-      }
       // Generate nodal numbering (NOP) array
-      const nodalNumbering = this.generateNodalNumbering(this.numElementsX, totalNodesX, this.elementOrder);
+      const nodalNumbering = this.generateNodalNumbering(
+        this.numElementsX,
+        null,
+        totalNodesX,
+        null,
+        this.elementOrder
+      );
       // Find boundary elements
       const boundaryElements = this.findBoundaryElements();
 
-      // Return x coordinates of nodes, total nodes, NOP array, and boundary elements
+      // Return x coordinates of nodes, total nodes, NOP array, element types and boundary elements
       return {
         nodesXCoordinates,
         totalNodesX,
         nodalNumbering,
+        elementTypes: nodalNumbering.map(() => getDefaultElementType("1D", this.elementOrder)),
         boundaryElements,
       };
     } else if (this.meshDimension === "2D") {
-      if (this.elementOrder === "linear") {
-        totalNodesX = this.numElementsX + 1;
-        totalNodesY = this.numElementsY + 1;
-        deltaX = (this.maxX - xStart) / this.numElementsX;
-        deltaY = (this.maxY - yStart) / this.numElementsY;
-
-        nodesXCoordinates[0] = xStart;
-        nodesYCoordinates[0] = yStart;
-        for (let nodeIndexY = 1; nodeIndexY < totalNodesY; nodeIndexY++) {
-          nodesXCoordinates[nodeIndexY] = nodesXCoordinates[0];
-          nodesYCoordinates[nodeIndexY] = nodesYCoordinates[0] + (nodeIndexY * deltaY);
-        }
-        for (let nodeIndexX = 1; nodeIndexX < totalNodesX; nodeIndexX++) {
-          const nnode = nodeIndexX * totalNodesY;
-          nodesXCoordinates[nnode] = nodesXCoordinates[0] + (nodeIndexX * deltaX);
-          nodesYCoordinates[nnode] = nodesYCoordinates[0];
-          for (let nodeIndexY = 1; nodeIndexY < totalNodesY; nodeIndexY++) {
-            nodesXCoordinates[nnode + nodeIndexY] = nodesXCoordinates[nnode];
-            nodesYCoordinates[nnode + nodeIndexY] = nodesYCoordinates[nnode] + (nodeIndexY * deltaY);
-          }
-        }
-      } else if (this.elementOrder === "quadratic") {
-        totalNodesX = 2 * this.numElementsX + 1;
-        totalNodesY = 2 * this.numElementsY + 1;
-        deltaX = (this.maxX - xStart) / this.numElementsX;
-        deltaY = (this.maxY - yStart) / this.numElementsY;
-
-        nodesXCoordinates[0] = xStart;
-        nodesYCoordinates[0] = yStart;
-        for (let nodeIndexY = 1; nodeIndexY < totalNodesY; nodeIndexY++) {
-          nodesXCoordinates[nodeIndexY] = nodesXCoordinates[0];
-          nodesYCoordinates[nodeIndexY] = nodesYCoordinates[0] + (nodeIndexY * deltaY) / 2;
-        }
-        for (let nodeIndexX = 1; nodeIndexX < totalNodesX; nodeIndexX++) {
-          const nnode = nodeIndexX * totalNodesY;
-          nodesXCoordinates[nnode] = nodesXCoordinates[0] + (nodeIndexX * deltaX) / 2;
-          nodesYCoordinates[nnode] = nodesYCoordinates[0];
-          for (let nodeIndexY = 1; nodeIndexY < totalNodesY; nodeIndexY++) {
-            nodesXCoordinates[nnode + nodeIndexY] = nodesXCoordinates[nnode];
-            nodesYCoordinates[nnode + nodeIndexY] = nodesYCoordinates[nnode] + (nodeIndexY * deltaY) / 2;
-          }
-        }
-      }
+      // Nodes of the (possibly graded and mapped) rectangle
+      ({ nodesXCoordinates, nodesYCoordinates, totalNodesX, totalNodesY } = this.generateBlockNodes(this));
+
       // Generate nodal numbering (NOP) array
       const nodalNumbering = this.generateNodalNumbering(
         this.numElementsX,
@@ -181,67 +234,337 @@ export class meshGeneration {
       // Find boundary elements
       const boundaryElements = this.findBoundaryElements();
 
-      // Return x and y coordinates of nodes, total nodes, NOP array, and boundary elements
+      if (this.elementShape === "triangle") {
+        // Split each rectangular element into two triangular elements
+        return {
+          nodesXCoordinates,
+          nodesYCoordinates,
+          totalNodesX,
+          totalNodesY,
+          ...this.splitIntoTriangles(nodalNumbering, boundaryElements),
+        };
+      }
+
+      // Return x and y coordinates of nodes, total nodes, NOP array, element types and boundary elements
       return {
         nodesXCoordinates,
         nodesYCoordinates,
         totalNodesX,
         totalNodesY,
         nodalNumbering,
+        elementTypes: nodalNumbering.map(() => getDefaultElementType("2D", this.elementOrder)),
         boundaryElements,
       };
     }
   }
 
   /**
-   * Find the elements that belong to each boundary for a simple rectangular domain
-   * @returns {array} An array containing arrays of elements and their adjacent boundary side for each boundary
-   * Each element in the array is of the form [elementIndex, side], where side for a rectangular element is:
+   * Compute the parametric positions (from 0 to 1) of the nodes along a direction of a structured mesh
+   * @param {number} numElements - The number of elements along the direction
+   * @param {number|object} grading - The grading of the element sizes (see computeGradedDivisions)
+   * @returns {array} The positions of the element boundaries, with the middle of each element in between for
+   * quadratic elements
+   */
+  computeNodeParameters(numElements, grading) {
+    const divisions = computeGradedDivisions(numElements, grading);
+    if (this.elementOrder === "linear") {
+      return divisions;
+    }
+    const nodeParameters = [divisions[0]];
+    for (let elementIndex = 0; elementIndex < numElements; elementIndex++) {
+      nodeParameters.push(
+        (divisions[elementIndex] + divisions[elementIndex + 1]) / 2,
+        divisions[elementIndex + 1]
+      );
+    }
+    return nodeParameters;
+  }
+
+  /**
+   * Generate the nodes of a structured 2D block, numbered along the y-axis first (column by column)
+   * @param {object} block - Object containing the numElementsX, numElementsY, minX, maxX, minY, maxY, gradingX,
+   * gradingY and boundaryCurves of the block (see the constructor)
+   * @returns {object} An object containing the nodesXCoordinates and nodesYCoordinates of the block, and the
+   * total number of nodes along each axis (totalNodesX, totalNodesY)
+   */
+  generateBlockNodes(block) {
+    const { numElementsX, numElementsY, gradingX = 1, gradingY = 1 } = block;
+    const uValues = this.computeNodeParameters(numElementsX, gradingX);
+    const vValues = this.computeNodeParameters(numElementsY, gradingY);
+    const blockMapping = createBlockMapping(block);
+
+    const nodesXCoordinates = [];
+    const nodesYCoordinates = [];
+    uValues.forEach((u) => {
+      vValues.forEach((v) => {
+        const [x, y] = blockMapping(u, v);
+        nodesXCoordinates.push(x);
+        nodesYCoordinates.push(y);
+      });
+    });
+
+    return { nodesXCoordinates, nodesYCoordinates, totalNodesX: uValues.length, totalNodesY: vValues.length };
+  }
+
+  /**
+   * Generate a 2D multi-block mesh, merging the coincident nodes of the blocks
+   * The blocks must match along the edges they share (same number of elements and grading), and each edge of
+   * a block defines a boundary, made of its sides that are not shared with another block
+   * @param {array} blocks - The blocks of the mesh (see the constructor)
+   * @returns {object} Mesh data containing coordinates, connectivity, element types and boundary elements
+   */
+  generateMeshFromBlocks(blocks) {
+    if (this.meshDimension !== "2D") {
+      throw new Error("Multi-block meshes are only supported in 2D");
+    }
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+      throw new Error("blocks must be a nonempty array of blocks");
+    }
+
+    // Generate the nodes of each block
+    const blockNames = blocks.map(({ name }, blockIndex) => name || `block${blockIndex}`);
+    const blocksNodes = blocks.map((block, blockIndex) => {
+      ["numElementsX", "numElementsY"].forEach((parameterName) => {
+        if (!(Number.isInteger(block[parameterName]) && block[parameterName] > 0)) {
+          throw new Error(
+            `Block "${blockNames[blockIndex]}" must have a positive integer ${parameterName}, ` +
+              `got ${block[parameterName]}`
+          );
+        }
+      });
+      return this.generateBlockNodes(block);
+    });
+
+    // Merge the coincident nodes, within a tolerance relative to the size of the mesh
+    const allXCoordinates = blocksNodes.flatMap(({ nodesXCoordinates }) => nodesXCoordinates);
+    const allYCoordinates = blocksNodes.flatMap(({ nodesYCoordinates }) => nodesYCoordinates);
+    const meshSize =
+      Math.max(
+        Math.max(...allXCoordinates) - Math.min(...allXCoordinates),
+        Math.max(...allYCoordinates) - Math.min(...allYCoordinates)
+      ) || 1;
+    const mergeTolerance = blockNodeTolerance * meshSize;
+    const nodeNumbers = new Map();
+    const nodesXCoordinates = [];
+    const nodesYCoordinates = [];
+    const nodalNumbering = [];
+    const boundarySides = []; // [boundaryName, elementIndex, side, blockIndex] of every block edge side
+
+    blocks.forEach((block, blockIndex) => {
+      const {
+        nodesXCoordinates: blockX,
+        nodesYCoordinates: blockY,
+        totalNodesX,
+        totalNodesY,
+      } = blocksNodes[blockIndex];
+      const globalNodeNumbers = blockX.map((x, nodeIndex) => {
+        const y = blockY[nodeIndex];
+        const nodeKey = `${Math.round(x / mergeTolerance)},${Math.round(y / mergeTolerance)}`;
+        if (!nodeNumbers.has(nodeKey)) {
+          nodesXCoordinates.push(x);
+          nodesYCoordinates.push(y);
+          nodeNumbers.set(nodeKey, nodesXCoordinates.length);
+        }
+        return nodeNumbers.get(nodeKey);
+      });
+
+      const elementOffset = nodalNumbering.length;
+      this.generateNodalNumbering(
+        block.numElementsX,
+        block.numElementsY,
+        totalNodesX,
+        totalNodesY,
+        this.elementOrder
+      ).forEach((elementNodes) => {
+        nodalNumbering.push(elementNodes.map((nodeNumber) => globalNodeNumbers[nodeNumber - 1]));
+      });
+
+      const blockBoundaryElements = this.findBoundaryElements(block.numElementsX, block.numElementsY);
+      Object.keys(blockBoundaryElements).forEach((edgeName) => {
+        const boundaryName =
+          (block.boundaryNames && block.boundaryNames[edgeName]) || `${blockNames[blockIndex]}-${edgeName}`;
+        blockBoundaryElements[edgeName].forEach(([elementIndex, side]) => {
+          boundarySides.push([boundaryName, elementOffset + elementIndex, side, blockIndex]);
+        });
+      });
+    });
+
+    // Keep the sides on the boundary of the mesh (sides shared by two blocks are interior)
+    const quadElementType = getDefaultElementType("2D", this.elementOrder);
+    const getSideEnds = (elementIndex, side) => {
+      const sideNodes = elementTypes[quadElementType].sideNodes[side];
+      return [sideNodes[0], sideNodes[sideNodes.length - 1]].map(
+        (localNodeIndex) => nodalNumbering[elementIndex][localNodeIndex] - 1
+      );
+    };
+    const sideCounts = new Map();
+    const sideKeys = boundarySides.map(([, elementIndex, side]) => {
+      const sideKey = getSideEnds(elementIndex, side)
+        .sort((nodeIndex1, nodeIndex2) => nodeIndex1 - nodeIndex2)
+        .join("-");
+      sideCounts.set(sideKey, (sideCounts.get(sideKey) || 0) + 1);
+      return sideKey;
+    });
+    const outerSides = boundarySides.filter((_, sideIndex) => sideCounts.get(sideKeys[sideIndex]) === 1);
+    this.checkBlockInterfaces(outerSides, getSideEnds, { nodesXCoordinates, nodesYCoordinates }, blockNames);
+
+    const boundaryElements = {};
+    outerSides.forEach(([boundaryName, elementIndex, side]) => {
+      if (!boundaryElements[boundaryName]) {
+        boundaryElements[boundaryName] = [];
+      }
+      boundaryElements[boundaryName].push([elementIndex, side]);
+    });
+
+    if (this.elementShape === "triangle") {
+      // Split each rectangular element into two triangular elements
+      return {
+        nodesXCoordinates,
+        nodesYCoordinates,
+        ...this.splitIntoTriangles(nodalNumbering, boundaryElements),
+      };
+    }
+
+    return {
+      nodesXCoordinates,
+      nodesYCoordinates,
+      nodalNumbering,
+      elementTypes: nodalNumbering.map(() => quadElementType),
+      boundaryElements,
+    };
+  }
+
+  /**
+   * Check that the blocks of a multi-block mesh match along the edges they share, i.e. that no boundary side of
+   * a block lies on a boundary side of another block without sharing its nodes
+   * @param {array} outerSides - The boundary sides of the mesh, given as [boundaryName, elementIndex, side,
+   * blockIndex]
+   * @param {function} getSideEnds - Function returning the global indices of the end nodes of a side
+   * @param {object} nodesCoordinates - Object containing the x and y coordinates of the nodes
+   * @param {array} blockNames - The names of the blocks (used in the error messages)
+   */
+  checkBlockInterfaces(outerSides, getSideEnds, { nodesXCoordinates, nodesYCoordinates }, blockNames) {
+    const sideSegments = outerSides.map(([, elementIndex, side, blockIndex]) => {
+      const [startNode, endNode] = getSideEnds(elementIndex, side);
+      return {
+        blockIndex,
+        start: [nodesXCoordinates[startNode], nodesYCoordinates[startNode]],
+        end: [nodesXCoordinates[endNode], nodesYCoordinates[endNode]],
+      };
+    });
+    if (sideSegments.length === 0) {
+      return;
+    }
+
+    // Uniform grid of cells of about the size of the sides, containing the sides that cross them
+    const cellSize =
+      sideSegments.reduce(
+        (sum, { start, end }) => sum + Math.hypot(end[0] - start[0], end[1] - start[1]),
+        0
+      ) / sideSegments.length;
+    const cells = new Map();
+    const getCellKey = (x, y) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+    sideSegments.forEach((segment, segmentIndex) => {
+      const [minCellX, maxCellX] = [segment.start[0], segment.end[0]]
+        .sort((value1, value2) => value1 - value2)
+        .map((value) => Math.floor(value / cellSize));
+      const [minCellY, maxCellY] = [segment.start[1], segment.end[1]]
+        .sort((value1, value2) => value1 - value2)
+        .map((value) => Math.floor(value / cellSize));
+      for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+        for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+          const cellKey = `${cellX},${cellY}`;
+          if (!cells.has(cellKey)) {
+            cells.set(cellKey, []);
+          }
+          cells.get(cellKey).push(segmentIndex);
+        }
+      }
+    });
+
+    // The middle of a side must not lie on a side of another block
+    sideSegments.forEach(({ blockIndex, start, end }) => {
+      const midX = (start[0] + end[0]) / 2;
+      const midY = (start[1] + end[1]) / 2;
+      (cells.get(getCellKey(midX, midY)) || []).forEach((otherSegmentIndex) => {
+        const otherSegment = sideSegments[otherSegmentIndex];
+        if (otherSegment.blockIndex === blockIndex) {
+          return;
+        }
+        const [startX, startY] = otherSegment.start;
+        const [directionX, directionY] = [otherSegment.end[0] - startX, otherSegment.end[1] - startY];
+        const segmentLengthSquared = directionX ** 2 + directionY ** 2;
+        const t = ((midX - startX) * directionX + (midY - startY) * directionY) / segmentLengthSquared;
+        const distance = Math.hypot(startX + t * directionX - midX, startY + t * directionY - midY);
+        if (t > 0 && t < 1 && distance <= 1e-6 * Math.sqrt(segmentLengthSquared)) {
+          throw new Error(
+            `Blocks "${blockNames[blockIndex]}" and "${blockNames[otherSegment.blockIndex]}" share an edge ` +
+              "whose nodes do not match (use the same number of elements and grading along shared edges)"
+          );
+        }
+      });
+    });
+  }
+
+  /**
+   * Find the elements that belong to each boundary for a simple rectangular domain (or a line in 1D)
+   * @returns {object} An object containing arrays of elements and their adjacent boundary side for each boundary
+   * Each element in the array is of the form [elementIndex, side], where side for a line element is:
+   * 0 - Left end
+   * 1 - Right end
+   * and side for a rectangular element is:
    * 0 - Bottom side
    * 1 - Left side
    * 2 - Top side
    * 3 - Right side
    *
-   * Example representation of boundaryElements array in case of a rectangular element:
-   * boundaryElements = [
-   *   [[element1, 0], [element2, 0], [element3, 0], ...], // Bottom boundary
-   *   [[element*, 1], [element*, 1], [element*, 1], ...], // Left boundary
-   *   [[element*, 2], [element*, 2], [element*, 2], ...], // Top boundary
-   *   [[element*, 3], [element*, 3], [element*, 3], ...]  // Right boundary
-   * ];
+   * Example representation of boundaryElements object in case of a rectangular element:
+   * boundaryElements = {
+   *   bottom: [[element1, 0], [element2, 0], [element3, 0], ...],
+   *   left: [[element*, 1], [element*, 1], [element*, 1], ...],
+   *   top: [[element*, 2], [element*, 2], [element*, 2], ...],
+   *   right: [[element*, 3], [element*, 3], [element*, 3], ...]
+   * };
+   * The boundaries can also be referred to by their index ("0" - bottom, "1" - left, "2" - top, "3" - right)
+   * @param {number} [numElementsX] - Number of elements along the x-axis (by default, that of the mesh)
+   * @param {number} [numElementsY] - Number of elements along the y-axis (by default, that of the mesh)
    */
-  findBoundaryElements() {
-    const boundaryElements = [];
-    const maxSides = 4; // Number of sides of the reference element
-    for (let sideIndex = 0; sideIndex < maxSides; sideIndex++) {
-      boundaryElements.push([]);
-    }
+  findBoundaryElements(numElementsX = this.numElementsX, numElementsY = this.numElementsY) {
+    const boundaryElements = {};
+    const boundaryNames = structuredBoundaryNames[this.meshDimension];
+    boundaryNames.forEach((boundaryName) => {
+      boundaryElements[boundaryName] = [];
+    });
 
     if (this.meshDimension === "1D") {
-      console.log("Unsupported dimension or element order");
+      // Left boundary
+      boundaryElements.left.push([0, 0]);
+
+      // Right boundary
+      boundaryElements.right.push([numElementsX - 1, 1]);
     } else if (this.meshDimension === "2D") {
-      for (let elementIndexX = 0; elementIndexX < this.numElementsX; elementIndexX++) {
-        for (let elementIndexY = 0; elementIndexY < this.numElementsY; elementIndexY++) {
-          const elementIndex = elementIndexX * this.numElementsY + elementIndexY;
+      for (let elementIndexX = 0; elementIndexX < numElementsX; elementIndexX++) {
+        for (let elementIndexY = 0; elementIndexY < numElementsY; elementIndexY++) {
+          const elementIndex = elementIndexX * numElementsY + elementIndexY;
 
           // Bottom boundary
           if (elementIndexY === 0) {
-            boundaryElements[0].push([elementIndex, 0]);
+            boundaryElements.bottom.push([elementIndex, 0]);
           }
 
           // Left boundary
           if (elementIndexX === 0) {
-            boundaryElements[1].push([elementIndex, 1]);
+            boundaryElements.left.push([elementIndex, 1]);
           }
 
           // Top boundary
-          if (elementIndexY === this.numElementsY - 1) {
-            boundaryElements[2].push([elementIndex, 2]);
+          if (elementIndexY === numElementsY - 1) {
+            boundaryElements.top.push([elementIndex, 2]);
           }
 
           // Right boundary
-          if (elementIndexX === this.numElementsX - 1) {
-            boundaryElements[3].push([elementIndex, 3]);
+          if (elementIndexX === numElementsX - 1) {
+            boundaryElements.right.push([elementIndex, 3]);
           }
         }
       }
@@ -275,7 +598,7 @@ export class meshGeneration {
         for (let elementIndex = 0; elementIndex < numElementsX; elementIndex++) {
           nop[elementIndex] = [];
           for (let nodeIndex = 1; nodeIndex <= 2; nodeIndex++) {
-            nop[elementIndex][nodeIndex - 1] = i + (nodeIndex - 1);
+            nop[elementIndex][nodeIndex - 1] = elementIndex + nodeIndex;
           }
         }
       } else if (elementOrder === "quadratic") {
@@ -285,13 +608,11 @@ export class meshGeneration {
          *   1__2__3
          *
          */
-        let columnCounter = 2;
         for (let elementIndex = 0; elementIndex < numElementsX; elementIndex++) {
           nop[elementIndex] = [];
           for (let nodeIndex = 1; nodeIndex <= 3; nodeIndex++) {
-            nop[elementIndex][nodeIndex - 1] = elementIndex + (nodeIndex - 1) + columnCounter;
+            nop[elementIndex][nodeIndex - 1] = 2 * elementIndex + nodeIndex;
           }
-          columnCounter += 1;
         }
       }
     } else if (this.meshDimension === "2D") {
@@ -348,4 +669,64 @@ export class meshGeneration {
 
     return nop;
   }
+
+  /**
+   * Split each rectangular element of a structured mesh along its diagonal into two triangular elements
+   * The rectangular element e becomes the triangles 2e (lower left) and 2e + 1 (upper right):
+   *
+   *   1_____3          2__5__8
+   *   |\  B |          |\  B |
+   *   |  \  |          1  4  7
+   *   | A  \|          | A  \|
+   *   0_____2          0__3__6
+   *
+   * @param {array} nodalNumbering - The NOP array of the rectangular elements
+   * @param {array} boundaryElements - The boundary elements of the rectangular elements
+   * @returns {object} An object containing the nodalNumbering, elementTypes and boundaryElements of the
+   * triangular mesh
+   */
+  splitIntoTriangles(nodalNumbering, boundaryElements) {
+    let triangleNodes, triangleSides;
+    if (this.elementOrder === "linear") {
+      triangleNodes = [
+        [0, 2, 1],
+        [3, 1, 2],
+      ];
+    } else if (this.elementOrder === "quadratic") {
+      triangleNodes = [
+        [0, 6, 2, 3, 4, 1],
+        [8, 2, 6, 5, 4, 7],
+      ];
+    }
+    // Triangle (0 - A, 1 - B) and triangle side of each side of the rectangular element
+    triangleSides = [
+      [0, 0], // Bottom side
+      [0, 2], // Left side
+      [1, 0], // Top side
+      [1, 2], // Right side
+    ];
+
+    const triangleNodalNumbering = [];
+    nodalNumbering.forEach((elementNodes) => {
+      triangleNodes.forEach((localNodes) => {
+        triangleNodalNumbering.push(localNodes.map((localNodeIndex) => elementNodes[localNodeIndex]));
+      });
+    });
+
+    const triangleBoundaryElements = {};
+    Object.keys(boundaryElements).forEach((boundaryName) => {
+      triangleBoundaryElements[boundaryName] = boundaryElements[boundaryName].map(([elementIndex, side]) => [
+        2 * elementIndex + triangleSides[side][0],
+        triangleSides[side][1],
+      ]);
+    });
+
+    return {
+      nodalNumbering: triangleNodalNumbering,
+      elementTypes: triangleNodalNumbering.map(() =>
+        getDefaultElementType("2D", this.elementOrder, "triangle")
+      ),
+      boundaryElements: triangleBoundaryElements,
+    };
+  }
 }
@@ -0,0 +1,228 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { basisFunctions } from "../mesh/basisFunctionsScript.js";
+import { numericalIntegration } from "./numericalIntegrationScript.js";
+import { elementTypes, getDefaultElementType } from "../mesh/elementTypesScript.js";
+import {
+  computeSideIntegrationPoints,
+  getCoordinateSystemWeight,
+} from "../mesh/isoparametricMappingScript.js";
+import { structuredBoundaryNames } from "../mesh/meshGenerationScript.js";
+
+// Checks of the supported kinds of boundary condition parameters
+const parameterKinds = {
+  number: {
+    description: "a number",
+    isValid: (value) => typeof value === "number" && Number.isFinite(value),
+  },
+  numberOrFunction: {
+    description: "a number or a function of (x, y)",
+    isValid: (value) => (typeof value === "number" && Number.isFinite(value)) || typeof value === "function",
+  },
+  axis: {
+    description: '"x" or "y"',
+    isValid: (value) => value === "x" || value === "y",
+  },
+  componentValues: {
+    description: "a number, a function of (x, y), or an array of per-component numbers (or null)",
+    isValid: (value) =>
+      (typeof value === "number" && Number.isFinite(value)) ||
+      typeof value === "function" ||
+      (Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((entry) => entry === null || (typeof entry === "number" && Number.isFinite(entry)))),
+  },
+};
+
+/**
+ * Check the boundary conditions and convert them to the object form, throwing a descriptive error if a
+ * condition has an unknown type or missing, unknown or wrongly typed parameters
+ * Conditions may be given in object form, e.g. { type: "convection", h: 10, Tinf: 20 }, or in the positional
+ * array form, e.g. ["convection", 10, 20]
+ * @param {object} boundaryConditions - Object mapping each boundary name to its condition
+ * @param {object} conditionTypes - Object mapping each supported condition type to its parameters, given as
+ * an object from the parameter name to its kind (in the order of the positional form)
+ * @returns {object} The boundary conditions in object form
+ */
+export function normalizeBoundaryConditions(boundaryConditions, conditionTypes) {
+  const normalizedConditions = {};
+  Object.keys(boundaryConditions).forEach((boundaryKey) => {
+    const condition = boundaryConditions[boundaryKey];
+    const conditionType = Array.isArray(condition) ? condition[0] : condition && condition.type;
+
+    if (!Object.prototype.hasOwnProperty.call(conditionTypes, conditionType)) {
+      throw new Error(
+        `Unknown boundary condition type "${conditionType}" on boundary "${boundaryKey}". ` +
+          `Supported types: ${Object.keys(conditionTypes).join(", ")}`
+      );
+    }
+    const parameterNames = Object.keys(conditionTypes[conditionType]);
+    const expectedParameters = parameterNames.length > 0 ? parameterNames.join(", ") : "no parameters";
+
+    let normalizedCondition = { type: conditionType };
+    if (Array.isArray(condition)) {
+      if (condition.length - 1 !== parameterNames.length) {
+        throw new Error(
+          `Boundary condition "${conditionType}" on boundary "${boundaryKey}" has ${condition.length - 1} ` +
+            `parameters, expected ${parameterNames.length} (${expectedParameters})`
+        );
+      }
+      parameterNames.forEach((parameterName, parameterIndex) => {
+        normalizedCondition[parameterName] = condition[parameterIndex + 1];
+      });
+    } else {
+      Object.keys(condition).forEach((parameterName) => {
+        if (parameterName !== "type" && !parameterNames.includes(parameterName)) {
+          throw new Error(
+            `Unknown parameter "${parameterName}" of boundary condition "${conditionType}" on boundary ` +
+              `"${boundaryKey}" (expected ${expectedParameters})`
+          );
+        }
+      });
+      normalizedCondition = { ...condition };
+    }
+
+    parameterNames.forEach((parameterName) => {
+      const parameterKind = parameterKinds[conditionTypes[conditionType][parameterName]];
+      const value = normalizedCondition[parameterName];
+      if (value === undefined) {
+        throw new Error(
+          `Boundary condition "${conditionType}" on boundary "${boundaryKey}" is missing parameter ` +
+            `"${parameterName}"`
+        );
+      }
+      if (!parameterKind.isValid(value)) {
+        throw new Error(
+          `Parameter "${parameterName}" of boundary condition "${conditionType}" on boundary "${boundaryKey}" ` +
+            `must be ${parameterKind.description}, got ${typeof value === "string" ? `"${value}"` : value}`
+        );
+      }
+    });
+
+    normalizedConditions[boundaryKey] = normalizedCondition;
+  });
+
+  return normalizedConditions;
+}
+
+/**
+ * Match the boundary conditions with the boundaries of the mesh
+ * The indices "0"-"3" are accepted as aliases of the boundaries of structured meshes
+ * (see structuredBoundaryNames), e.g. "0" refers to the bottom boundary of a 2D mesh
+ * @param {object} boundaryConditions - Object mapping each boundary name (or index) to its condition
+ * @param {object} boundaryElements - Object containing the elements that belong to each boundary of the mesh
+ * @param {string} meshDimension - The dimension of the mesh
+ * @returns {object} The boundary conditions keyed by the boundary names of the mesh
+ */
+export function resolveBoundaryNames(boundaryConditions, boundaryElements, meshDimension) {
+  const resolvedConditions = {};
+  Object.keys(boundaryConditions).forEach((boundaryKey) => {
+    let boundaryName = boundaryKey;
+    const aliasName = (structuredBoundaryNames[meshDimension] || [])[boundaryKey];
+    if (!(boundaryName in boundaryElements) && aliasName in boundaryElements) {
+      boundaryName = aliasName;
+    }
+    if (!(boundaryName in boundaryElements)) {
+      throw new Error(
+        `Boundary "${boundaryKey}" does not exist in the mesh. ` +
+          `Available boundaries: ${Object.keys(boundaryElements).join(", ")}`
+      );
+    }
+    if (boundaryName in resolvedConditions) {
+      throw new Error(`Boundary "${boundaryName}" has more than one boundary condition`);
+    }
+    resolvedConditions[boundaryName] = boundaryConditions[boundaryKey];
+  });
+
+  return resolvedConditions;
+}
+
+/**
+ * Base class of the boundary conditions of the solvers, giving the nodes and the integration points of the
+ * element sides on the boundaries
+ */
+export class BoundaryConditions {
+  /**
+   * Constructor to initialize the boundary conditions
+   * @param {object} boundaryConditions - Object mapping each boundary name to its condition in object form
+   * (see normalizeBoundaryConditions)
+   * @param {object} boundaryElements - Object containing elements that belong to each boundary
+   * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
+   * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
+   * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {array} [elementTypesArray] - The type of each element (by default, all elements are of the
+   * structured mesh type of meshDimension and elementOrder)
+   * @param {string} [coordinateSystem='cartesian'] - The coordinate system, "cartesian" or "axisymmetric" (the
+   * boundary integrals are then weighted by 2 pi r)
+   */
+  constructor(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    elementTypesArray,
+    coordinateSystem = "cartesian"
+  ) {
+    this.boundaryConditions = boundaryConditions;
+    this.boundaryElements = boundaryElements;
+    this.nop = nop;
+    this.meshDimension = meshDimension;
+    this.elementOrder = elementOrder;
+    this.elementTypes =
+      elementTypesArray || nop.map(() => getDefaultElementType(meshDimension, elementOrder));
+    this.coordinateSystem = coordinateSystem;
+  }
+
+  /**
+   * Return the global indices (starting from 0) of the nodes on a side of an element
+   * @param {number} elementIndex - The index of the element
+   * @param {number} side - The local side index
+   * @returns {array} The global node indices
+   */
+  getSideNodes(elementIndex, side) {
+    return elementTypes[this.elementTypes[elementIndex]].sideNodes[side].map(
+      (localNodeIndex) => this.nop[elementIndex][localNodeIndex] - 1
+    );
+  }
+
+  /**
+   * Compute the integration points on a side of an element, using the Gauss quadrature of its order
+   * @param {number} elementIndex - The index of the element
+   * @param {number} side - The local side index
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   * @returns {array} Array of integration points, each given as
+   * { basisFunction, xCoordinates, yCoordinates, weight }, where weight includes 2 pi r in axisymmetric analyses
+   */
+  getSideIntegrationPoints(elementIndex, side, nodesXCoordinates, nodesYCoordinates) {
+    const elementType = this.elementTypes[elementIndex];
+    const { elementOrder } = elementTypes[elementType];
+    const { gaussPoints, gaussWeights } = new numericalIntegration({
+      meshDimension: "1D",
+      elementOrder,
+    }).getGaussPointsAndWeights();
+
+    return computeSideIntegrationPoints(
+      elementType,
+      side,
+      new basisFunctions(elementTypes[elementType]),
+      gaussPoints,
+      gaussWeights,
+      this.nop[elementIndex].map((globalNodeNumber) => globalNodeNumber - 1),
+      nodesXCoordinates,
+      nodesYCoordinates
+    ).map((sidePoint) => ({
+      ...sidePoint,
+      weight: sidePoint.weight * getCoordinateSystemWeight(this.coordinateSystem, sidePoint.xCoordinates),
+    }));
+  }
+}
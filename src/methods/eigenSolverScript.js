@@ -0,0 +1,373 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { SparseMatrix, addSparseMatrices } from "./sparseMatrixScript.js";
+import { createLinearSolver } from "./linearSolversScript.js";
+
+// Shift of the iteration matrix K - shift * M, relative to the ratio of the traces of K and M, so that the
+// factorized matrix stays nonsingular when K is (e.g., without Dirichlet conditions, rigid body modes)
+const relativeShift = -1e-6;
+
+// Eigenvalues below this fraction of the ratio of the traces of K and M are round-off errors of zero
+// eigenvalues (rigid body modes, uniform temperature modes without fixed temperatures), and are set to zero
+const zeroEigenvalueTolerance = 1e-10;
+
+// Maximum number of sweeps of the Jacobi method for the eigenproblems of the projected matrices
+const maxJacobiSweeps = 50;
+
+/**
+ * Check the modal configuration, throwing a descriptive error if it is not valid
+ * @param {object} modalConfig - Object containing the modal analysis details (see subspaceIterationSolver)
+ */
+export function validateModalConfig({ numModes, tolerance = 1e-8, maxIterations = 100 }) {
+  if (!(Number.isInteger(numModes) && numModes > 0)) {
+    throw new Error(`Modal numModes must be a positive integer, got ${numModes}`);
+  }
+  if (!(typeof tolerance === "number" && tolerance > 0)) {
+    throw new Error(`Modal tolerance must be a positive number, got ${tolerance}`);
+  }
+  if (!(Number.isInteger(maxIterations) && maxIterations > 0)) {
+    throw new Error(`Modal maxIterations must be a positive integer, got ${maxIterations}`);
+  }
+}
+
+/**
+ * Compute the lowest eigenpairs of the generalized eigenproblem K phi = lambda M phi with the subspace
+ * iteration method: a block of vectors is repeatedly multiplied by (K - shift * M)^-1 M, with the matrix
+ * factorized once, and the eigenpairs are extracted by the Rayleigh-Ritz projection of K and M on the block
+ * The degrees of freedom with Dirichlet conditions are eliminated, so that the mode shapes are zero there
+ * @param {CSRMatrix} stiffnessMatrix - The symmetric positive semi-definite matrix K
+ * @param {CSRMatrix} massMatrix - The symmetric positive definite matrix M
+ * @param {object} modalConfig - Object containing the modal analysis details
+ * @param {number} modalConfig.numModes - The number of eigenpairs to compute
+ * @param {number} [modalConfig.tolerance=1e-8] - Tolerance on the relative change of the eigenvalues between
+ * iterations
+ * @param {number} [modalConfig.maxIterations=100] - Maximum number of iterations
+ * @param {Map} [constrainedValues] - Map from the index of each degree of freedom with a Dirichlet condition
+ * to its prescribed value (only the indices are used, as the mode shapes are homogeneous)
+ * @param {string} [solverMethod="lusolve"] - The method solving the systems of linear equations
+ * @param {object} [solverOptions] - Options of the iterative solvers (see createLinearSolver)
+ * @returns {object} An object containing:
+ *  - eigenvalues: The numModes lowest eigenvalues, in increasing order (zero eigenvalues are exact)
+ *  - modeShapes: The eigenvectors of the eigenvalues, normalized to phi^T M phi = 1 (with their largest
+ *    entry positive)
+ *  - eigenInfo: Convergence information { iterations, converged, subspaceSize }
+ */
+export function subspaceIterationSolver(
+  stiffnessMatrix,
+  massMatrix,
+  { numModes, tolerance = 1e-8, maxIterations = 100 },
+  constrainedValues = new Map(),
+  solverMethod = "lusolve",
+  solverOptions = {}
+) {
+  // Eliminate the constrained degrees of freedom
+  const freeDofs = [];
+  for (let dofIndex = 0; dofIndex < stiffnessMatrix.numRows; dofIndex++) {
+    if (!constrainedValues.has(dofIndex)) {
+      freeDofs.push(dofIndex);
+    }
+  }
+  const numFreeDofs = freeDofs.length;
+  if (numModes > numFreeDofs) {
+    throw new Error(`Cannot compute ${numModes} modes of a problem with ${numFreeDofs} free unknowns`);
+  }
+  const reducedStiffness = extractSubmatrix(stiffnessMatrix, freeDofs);
+  const reducedMass = extractSubmatrix(massMatrix, freeDofs);
+  const stiffnessDiagonal = reducedStiffness.getDiagonal();
+  const massDiagonal = reducedMass.getDiagonal();
+  if (massDiagonal.some((value) => !(value > 0))) {
+    throw new Error("The mass matrix must be positive definite (check the density material properties)");
+  }
+
+  // Iteration matrix (K - shift * M), factorized once
+  const traceRatio =
+    stiffnessDiagonal.reduce((sum, value) => sum + value, 0) /
+    massDiagonal.reduce((sum, value) => sum + value, 0);
+  const shift = relativeShift * traceRatio;
+  const linearSolver = createLinearSolver(
+    solverMethod,
+    addSparseMatrices(1, reducedStiffness, -shift, reducedMass),
+    solverOptions
+  );
+
+  // Starting vectors: the diagonal of M, unit vectors at the degrees of freedom with the largest m_ii / k_ii
+  // (the most flexible ones) and a pseudo-random vector
+  const subspaceSize = Math.min(Math.max(2 * numModes, numModes + 8), numFreeDofs);
+  let subspaceVectors = [Array.from(massDiagonal)];
+  const flexibleDofs = Array.from(freeDofs.keys()).sort(
+    (dofIndex1, dofIndex2) =>
+      massDiagonal[dofIndex2] / Math.abs(stiffnessDiagonal[dofIndex2] || 1e-300) -
+      massDiagonal[dofIndex1] / Math.abs(stiffnessDiagonal[dofIndex1] || 1e-300)
+  );
+  for (let vectorIndex = 1; vectorIndex < subspaceSize - 1; vectorIndex++) {
+    const unitVector = new Array(numFreeDofs).fill(0);
+    unitVector[flexibleDofs[vectorIndex - 1]] = 1;
+    subspaceVectors.push(unitVector);
+  }
+  if (subspaceSize > 1) {
+    let seed = 12345;
+    subspaceVectors.push(
+      Array.from({ length: numFreeDofs }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648 - 0.5;
+      })
+    );
+  }
+
+  let eigenvalues = null;
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+
+    // Inverse iteration of the block
+    const iteratedVectors = subspaceVectors.map(
+      (vector) => linearSolver.solve(Array.from(reducedMass.multiply(vector))).solutionVector
+    );
+
+    // Rayleigh-Ritz projection of K and M on the block
+    const stiffnessProducts = iteratedVectors.map((vector) => reducedStiffness.multiply(vector));
+    const massProducts = iteratedVectors.map((vector) => reducedMass.multiply(vector));
+    const projectedStiffness = projectMatrix(iteratedVectors, stiffnessProducts);
+    const projectedMass = projectMatrix(iteratedVectors, massProducts);
+    const { eigenvalues: ritzValues, eigenvectors: ritzVectors } = solveDenseGeneralizedEigenproblem(
+      projectedStiffness,
+      projectedMass
+    );
+
+    // Ritz vectors, M-orthonormal
+    subspaceVectors = ritzVectors.map((ritzVector) => {
+      const vector = new Array(numFreeDofs).fill(0);
+      ritzVector.forEach((coefficient, vectorIndex) => {
+        const iteratedVector = iteratedVectors[vectorIndex];
+        for (let dofIndex = 0; dofIndex < numFreeDofs; dofIndex++) {
+          vector[dofIndex] += coefficient * iteratedVector[dofIndex];
+        }
+      });
+      return vector;
+    });
+
+    // Convergence of the requested eigenvalues
+    if (eigenvalues !== null) {
+      const eigenvalueScale = Math.max(...ritzValues.slice(0, numModes).map(Math.abs));
+      converged = ritzValues
+        .slice(0, numModes)
+        .every(
+          (eigenvalue, modeIndex) =>
+            Math.abs(eigenvalue - eigenvalues[modeIndex]) <=
+            tolerance * Math.max(Math.abs(eigenvalue), eigenvalueScale)
+        );
+    }
+    eigenvalues = ritzValues;
+  }
+  if (!converged) {
+    console.warn(`Subspace iteration did not converge in ${iterations} iterations`);
+  }
+
+  // Mode shapes of all the degrees of freedom (zero at the constrained ones), largest entry positive
+  const modeShapes = subspaceVectors.slice(0, numModes).map((vector) => {
+    const largestEntry = vector.reduce(
+      (largest, value) => (Math.abs(value) > Math.abs(largest) ? value : largest),
+      0
+    );
+    const modeShape = new Array(stiffnessMatrix.numRows).fill(0);
+    freeDofs.forEach((dofIndex, freeDofIndex) => {
+      modeShape[dofIndex] = largestEntry < 0 ? -vector[freeDofIndex] : vector[freeDofIndex];
+    });
+    return modeShape;
+  });
+
+  return {
+    eigenvalues: eigenvalues
+      .slice(0, numModes)
+      .map((eigenvalue) => (Math.abs(eigenvalue) <= zeroEigenvalueTolerance * traceRatio ? 0 : eigenvalue)),
+    modeShapes,
+    eigenInfo: { iterations, converged, subspaceSize },
+  };
+}
+
+/**
+ * Extract the rows and columns of a set of degrees of freedom from a sparse matrix
+ * @param {CSRMatrix} matrix - The matrix in CSR format
+ * @param {array} dofIndices - The indices of the kept rows and columns, in increasing order
+ * @returns {CSRMatrix} The submatrix
+ */
+function extractSubmatrix(matrix, dofIndices) {
+  const reducedIndices = new Map(dofIndices.map((dofIndex, reducedIndex) => [dofIndex, reducedIndex]));
+  const submatrix = new SparseMatrix(dofIndices.length);
+  dofIndices.forEach((rowIndex, reducedRowIndex) => {
+    for (
+      let position = matrix.rowPointers[rowIndex];
+      position < matrix.rowPointers[rowIndex + 1];
+      position++
+    ) {
+      const reducedColIndex = reducedIndices.get(matrix.columnIndices[position]);
+      if (reducedColIndex !== undefined) {
+        submatrix.addValue(reducedRowIndex, reducedColIndex, matrix.values[position]);
+      }
+    }
+  });
+  return submatrix.toCSR();
+}
+
+/**
+ * Compute the projection V^T A V of a matrix on a block of vectors, symmetrized
+ * @param {array} vectors - The vectors V
+ * @param {array} products - The products A V of the matrix with the vectors
+ * @returns {array} The dense projected matrix
+ */
+function projectMatrix(vectors, products) {
+  const projectedMatrix = vectors.map(() => new Array(vectors.length).fill(0));
+  vectors.forEach((vector1, vectorIndex1) => {
+    for (let vectorIndex2 = 0; vectorIndex2 <= vectorIndex1; vectorIndex2++) {
+      const product = products[vectorIndex2];
+      let sum = 0;
+      for (let dofIndex = 0; dofIndex < vector1.length; dofIndex++) {
+        sum += vector1[dofIndex] * product[dofIndex];
+      }
+      projectedMatrix[vectorIndex1][vectorIndex2] = sum;
+      projectedMatrix[vectorIndex2][vectorIndex1] = sum;
+    }
+  });
+  return projectedMatrix;
+}
+
+/**
+ * Solve a dense symmetric generalized eigenproblem A x = lambda B x (B positive definite), by reduction to a
+ * standard eigenproblem with the Cholesky factor of B (B = L L^T) and the Jacobi method
+ * @param {array} matrixA - The symmetric matrix A
+ * @param {array} matrixB - The symmetric positive definite matrix B
+ * @returns {object} The eigenvalues in increasing order and their eigenvectors, normalized to x^T B x = 1
+ */
+function solveDenseGeneralizedEigenproblem(matrixA, matrixB) {
+  const size = matrixA.length;
+
+  // Cholesky decomposition B = L L^T
+  const lowerFactor = matrixB.map(() => new Array(size).fill(0));
+  for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+    for (let colIndex = 0; colIndex <= rowIndex; colIndex++) {
+      let sum = matrixB[rowIndex][colIndex];
+      for (let index = 0; index < colIndex; index++) {
+        sum -= lowerFactor[rowIndex][index] * lowerFactor[colIndex][index];
+      }
+      if (rowIndex === colIndex) {
+        if (!(sum > 0)) {
+          throw new Error("Subspace iteration failed: the iteration vectors became linearly dependent");
+        }
+        lowerFactor[rowIndex][rowIndex] = Math.sqrt(sum);
+      } else {
+        lowerFactor[rowIndex][colIndex] = sum / lowerFactor[colIndex][colIndex];
+      }
+    }
+  }
+
+  // Standard eigenproblem of C = L^-1 A L^-T
+  const solveLower = (vector) => {
+    const result = [];
+    for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+      let sum = vector[rowIndex];
+      for (let index = 0; index < rowIndex; index++) {
+        sum -= lowerFactor[rowIndex][index] * result[index];
+      }
+      result.push(sum / lowerFactor[rowIndex][rowIndex]);
+    }
+    return result;
+  };
+  const halfReduced = matrixA.map((row) => solveLower(row)); // (L^-1 A)^T = A L^-T, as A is symmetric
+  const reducedMatrix = Array.from({ length: size }, (_, colIndex) =>
+    solveLower(halfReduced.map((row) => row[colIndex]))
+  );
+  const { eigenvalues, eigenvectors } = computeJacobiEigenpairs(reducedMatrix);
+
+  // Back-transformation x = L^-T y
+  const solveUpper = (vector) => {
+    const result = new Array(size).fill(0);
+    for (let rowIndex = size - 1; rowIndex >= 0; rowIndex--) {
+      let sum = vector[rowIndex];
+      for (let index = rowIndex + 1; index < size; index++) {
+        sum -= lowerFactor[index][rowIndex] * result[index];
+      }
+      result[rowIndex] = sum / lowerFactor[rowIndex][rowIndex];
+    }
+    return result;
+  };
+  const order = Array.from(eigenvalues.keys()).sort(
+    (index1, index2) => eigenvalues[index1] - eigenvalues[index2]
+  );
+  return {
+    eigenvalues: order.map((index) => eigenvalues[index]),
+    eigenvectors: order.map((index) => solveUpper(eigenvectors[index])),
+  };
+}
+
+/**
+ * Compute the eigenpairs of a dense symmetric matrix with the cyclic Jacobi method
+ * @param {array} matrix - The symmetric matrix (not modified)
+ * @returns {object} The eigenvalues and the orthonormal eigenvectors (in the same order)
+ */
+function computeJacobiEigenpairs(matrix) {
+  const size = matrix.length;
+  const workMatrix = matrix.map((row) => [...row]);
+  const rotations = Array.from({ length: size }, (_, rowIndex) =>
+    Array.from({ length: size }, (_, colIndex) => (rowIndex === colIndex ? 1 : 0))
+  );
+
+  for (let sweep = 0; sweep < maxJacobiSweeps; sweep++) {
+    let offDiagonalNorm = 0;
+    let diagonalNorm = 0;
+    for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+      diagonalNorm += workMatrix[rowIndex][rowIndex] ** 2;
+      for (let colIndex = rowIndex + 1; colIndex < size; colIndex++) {
+        offDiagonalNorm += workMatrix[rowIndex][colIndex] ** 2;
+      }
+    }
+    if (offDiagonalNorm <= 1e-30 * diagonalNorm) {
+      break;
+    }
+
+    for (let pivotRow = 0; pivotRow < size - 1; pivotRow++) {
+      for (let pivotCol = pivotRow + 1; pivotCol < size; pivotCol++) {
+        const offDiagonal = workMatrix[pivotRow][pivotCol];
+        if (offDiagonal === 0) {
+          continue;
+        }
+        // Rotation angle zeroing the (pivotRow, pivotCol) entry
+        const theta = (workMatrix[pivotCol][pivotCol] - workMatrix[pivotRow][pivotRow]) / (2 * offDiagonal);
+        const tangent = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta ** 2 + 1));
+        const cosine = 1 / Math.sqrt(tangent ** 2 + 1);
+        const sine = tangent * cosine;
+        for (let index = 0; index < size; index++) {
+          const entry1 = workMatrix[index][pivotRow];
+          const entry2 = workMatrix[index][pivotCol];
+          workMatrix[index][pivotRow] = cosine * entry1 - sine * entry2;
+          workMatrix[index][pivotCol] = sine * entry1 + cosine * entry2;
+        }
+        for (let index = 0; index < size; index++) {
+          const entry1 = workMatrix[pivotRow][index];
+          const entry2 = workMatrix[pivotCol][index];
+          workMatrix[pivotRow][index] = cosine * entry1 - sine * entry2;
+          workMatrix[pivotCol][index] = sine * entry1 + cosine * entry2;
+        }
+        for (let index = 0; index < size; index++) {
+          const entry1 = rotations[index][pivotRow];
+          const entry2 = rotations[index][pivotCol];
+          rotations[index][pivotRow] = cosine * entry1 - sine * entry2;
+          rotations[index][pivotCol] = sine * entry1 + cosine * entry2;
+        }
+      }
+    }
+  }
+
+  return {
+    eigenvalues: workMatrix.map((row, index) => row[index]),
+    eigenvectors: Array.from({ length: size }, (_, colIndex) => rotations.map((row) => row[colIndex])),
+  };
+}
@@ -0,0 +1,134 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import { BoundaryConditions } from "./boundaryConditionsScript.js";
+
+// Parameters of each elastic boundary condition type, in the order of the positional form
+// (e.g., ["traction", tx, ty])
+export const elasticBoundaryConditionTypes = {
+  fixed: {}, // Zero displacements (clamped support)
+  roller: { normal: "axis" }, // Zero displacement along the normal ("x" or "y") of the support, free sliding
+  displacement: { ux: "number", uy: "number" }, // Prescribed displacements
+  traction: { tx: "numberOrFunction", ty: "numberOrFunction" }, // Surface force per unit area (x and y)
+  pressure: { p: "numberOrFunction" }, // Normal pressure, positive when pushing on the surface
+  free: {}, // Traction-free surface (natural boundary condition, nothing to impose)
+};
+
+// Relative distance to the axis within which the nodes of axisymmetric meshes lie on the axis
+const axisTolerance = 1e-10;
+
+/**
+ * Class to handle elastic boundary conditions application
+ * The displacements are numbered with two degrees of freedom per node, 2 * nodeIndex for the x-component and
+ * 2 * nodeIndex + 1 for the y-component
+ */
+export class ElasticBoundaryConditions extends BoundaryConditions {
+  /**
+   * Impose the prescribed displacements (fixed, roller and displacement boundary conditions)
+   * The conditions are imposed symmetrically, so that the stiffness matrix stays symmetric
+   * @param {array} residualVector - The load vector to be modified
+   * @param {CSRMatrix} jacobianMatrix - The compressed stiffness matrix to be modified
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   */
+  imposeDisplacementBoundaryConditions(residualVector, jacobianMatrix, nodesXCoordinates) {
+    jacobianMatrix.imposeDirichletConditions(this.getConstrainedValues(nodesXCoordinates), residualVector);
+  }
+
+  /**
+   * Collect the prescribed displacements of the degrees of freedom
+   * In axisymmetric analyses, the radial displacement of the nodes on the axis (x = 0) is also set to zero
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @returns {Map} Map from the degree of freedom index to the prescribed displacement
+   */
+  getConstrainedValues(nodesXCoordinates) {
+    const constrainedValues = new Map(); // Degree of freedom index -> prescribed displacement
+    if (this.coordinateSystem === "axisymmetric") {
+      const maxRadius = Math.max(...nodesXCoordinates.map(Math.abs));
+      nodesXCoordinates.forEach((radius, nodeIndex) => {
+        if (Math.abs(radius) <= axisTolerance * maxRadius) {
+          constrainedValues.set(2 * nodeIndex, 0);
+        }
+      });
+    }
+
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const condition = this.boundaryConditions[boundaryKey];
+      let prescribedComponents; // [component, displacement] pairs
+      if (condition.type === "fixed") {
+        prescribedComponents = [
+          [0, 0],
+          [1, 0],
+        ];
+      } else if (condition.type === "roller") {
+        prescribedComponents = [[condition.normal === "x" ? 0 : 1, 0]];
+      } else if (condition.type === "displacement") {
+        prescribedComponents = [
+          [0, condition.ux],
+          [1, condition.uy],
+        ];
+      } else {
+        return;
+      }
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        this.getSideNodes(elementIndex, side).forEach((globalNodeIndex) => {
+          prescribedComponents.forEach(([component, displacement]) => {
+            constrainedValues.set(2 * globalNodeIndex + component, displacement);
+          });
+        });
+      });
+    });
+
+    return constrainedValues;
+  }
+
+  /**
+   * Impose traction and pressure boundary conditions (Neumann type)
+   * The pressure acts along the inward normal of the boundary, i.e., the traction is -p n
+   * @param {array} residualVector - The load vector to be modified
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  imposeTractionBoundaryConditions(residualVector, nodesXCoordinates, nodesYCoordinates) {
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const condition = this.boundaryConditions[boundaryKey];
+      if (condition.type !== "traction" && condition.type !== "pressure") {
+        return;
+      }
+      const evaluate = (value, x, y) => (typeof value === "function" ? value(x, y) : value);
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        const sideNodes = elementTypes[this.elementTypes[elementIndex]].sideNodes[side];
+        const sideIntegrationPoints = this.getSideIntegrationPoints(
+          elementIndex,
+          side,
+          nodesXCoordinates,
+          nodesYCoordinates
+        );
+        for (const { basisFunction, xCoordinates, yCoordinates, weight, normal } of sideIntegrationPoints) {
+          let traction;
+          if (condition.type === "traction") {
+            traction = [
+              evaluate(condition.tx, xCoordinates, yCoordinates),
+              evaluate(condition.ty, xCoordinates, yCoordinates),
+            ];
+          } else {
+            const pressureValue = evaluate(condition.p, xCoordinates, yCoordinates);
+            traction = [-pressureValue * normal[0], -pressureValue * normal[1]];
+          }
+          for (const localNodeIndex of sideNodes) {
+            const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+            residualVector[2 * globalNodeIndex] += weight * basisFunction[localNodeIndex] * traction[0];
+            residualVector[2 * globalNodeIndex + 1] += weight * basisFunction[localNodeIndex] * traction[1];
+          }
+        }
+      });
+    });
+  }
+}
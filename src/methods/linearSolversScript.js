@@ -0,0 +1,728 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { createPreconditioner, availablePreconditioners } from "./preconditionersScript.js";
+
+export const availableSolverMethods = ["lusolve", "cg", "bicgstab", "gmres"];
+
+/**
+ * Check the solver method and its options, throwing a descriptive error if they are not valid
+ * @param {string} solverMethod - The solver method
+ * @param {object} [solverOptions] - Options of the iterative solvers
+ */
+export function validateSolverMethod(solverMethod, solverOptions = {}) {
+  if (!availableSolverMethods.includes(solverMethod)) {
+    throw new Error(
+      `Unknown solver method "${solverMethod}". Available methods: ${availableSolverMethods.join(", ")}`
+    );
+  }
+  const { preconditioner, tolerance, maxIterations, restart } = solverOptions;
+  if (preconditioner !== undefined && !availablePreconditioners.includes(preconditioner)) {
+    throw new Error(
+      `Unknown preconditioner "${preconditioner}". Available preconditioners: ${availablePreconditioners.join(", ")}`
+    );
+  }
+  if (tolerance !== undefined && !(tolerance > 0)) {
+    throw new Error(`Solver tolerance must be a positive number, got ${tolerance}`);
+  }
+  if (maxIterations !== undefined && !(Number.isInteger(maxIterations) && maxIterations > 0)) {
+    throw new Error(`Solver maxIterations must be a positive integer, got ${maxIterations}`);
+  }
+  if (restart !== undefined && !(Number.isInteger(restart) && restart > 0)) {
+    throw new Error(`GMRES restart must be a positive integer, got ${restart}`);
+  }
+}
+
+/**
+ * Solve a sparse system of linear equations with the selected solver method
+ * @param {string} solverMethod - The solver method ("lusolve", "cg", "bicgstab" or "gmres")
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {array} rhsVector - The right-hand side vector
+ * @param {object} [solverOptions] - Options of the iterative solvers (see conjugateGradientSolver)
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution of the system
+ *  - solverInfo: Convergence information (iterations, converged, residualHistory) of the iterative solvers
+ */
+export function solveLinearSystem(solverMethod, matrix, rhsVector, solverOptions = {}) {
+  return createLinearSolver(solverMethod, matrix, solverOptions).solve(rhsVector);
+}
+
+/**
+ * Prepare the solution of several systems of linear equations that share the same matrix
+ * The LU decomposition or the preconditioner of the matrix is computed only once
+ * @param {string} solverMethod - The solver method ("lusolve", "cg", "bicgstab" or "gmres")
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {object} [solverOptions] - Options of the iterative solvers (see conjugateGradientSolver)
+ * @returns {object} An object with a solve(rhsVector, initialGuess) method that returns the solutionVector
+ * and the solverInfo (null for "lusolve")
+ */
+export function createLinearSolver(solverMethod, matrix, solverOptions = {}) {
+  validateSolverMethod(solverMethod, solverOptions);
+
+  if (solverMethod === "lusolve") {
+    // Sparse LU decomposition with partial pivoting, limited to the profile of the rows
+    const luDecomposition = computeLUDecomposition(matrix);
+    return {
+      solve(rhsVector) {
+        return { solutionVector: solveLUDecomposition(luDecomposition, rhsVector), solverInfo: null };
+      },
+    };
+  }
+
+  const { preconditioner = solverMethod === "cg" ? "jacobi" : "ilu0", relaxationFactor } = solverOptions;
+  const preconditionerData = createPreconditioner(preconditioner, matrix, { relaxationFactor });
+  const krylovSolvers = {
+    cg: conjugateGradientSolver,
+    bicgstab: biConjugateGradientStabilizedSolver,
+    gmres: generalizedMinimalResidualSolver,
+  };
+
+  return {
+    solve(rhsVector, initialGuess = solverOptions.initialGuess) {
+      const { solutionVector, ...solverInfo } = krylovSolvers[solverMethod](matrix, rhsVector, {
+        ...solverOptions,
+        initialGuess,
+        preconditionerData,
+      });
+      if (!solverInfo.converged) {
+        console.warn(
+          `${solverMethod} did not converge in ${solverInfo.iterations} iterations ` +
+            `(relative residual: ${solverInfo.residualHistory[solverInfo.residualHistory.length - 1]})`
+        );
+      }
+      return { solutionVector: Array.from(solutionVector), solverInfo };
+    },
+  };
+}
+
+/**
+ * Compute the LU decomposition with partial pivoting (P A = L U) of a sparse matrix, after a reordering of
+ * its unknowns that reduces its bandwidth (reverse Cuthill-McKee, unless the original numbering is better)
+ * Only the profile of each row, from its first to its last nonzero entry, is stored and updated: the pivot
+ * search and the elimination are limited to the rows whose profile starts at the pivot column, so that banded
+ * matrices (e.g., finite element matrices with a good node numbering) keep a cost proportional to the
+ * bandwidth (the profiles grow with the fill-in and the row interchanges)
+ * @param {CSRMatrix} matrix - The square matrix in CSR format (not modified)
+ * @returns {object} An object containing the combined factors (L below the diagonal, with a unit diagonal,
+ * and U) of the reordered matrix as the rowValues of the profile of each row, from its rowStarts to its
+ * rowEnds column, the rowPermutation and the unknownOrdering (the original index of each reordered unknown)
+ */
+export function computeLUDecomposition(matrix) {
+  const size = matrix.numRows;
+  const unknownOrdering = computeBandwidthReducingOrdering(matrix);
+  const reorderedIndices = new Int32Array(size);
+  unknownOrdering.forEach((unknownIndex, reorderedIndex) => {
+    reorderedIndices[unknownIndex] = reorderedIndex;
+  });
+
+  // Row profiles of the reordered matrix (each one contains the diagonal)
+  const rowStarts = new Int32Array(size);
+  const rowEnds = new Int32Array(size);
+  const rowValues = Array.from(unknownOrdering, (unknownIndex, rowIndex) => {
+    let firstColIndex = rowIndex;
+    let lastColIndex = rowIndex;
+    for (
+      let position = matrix.rowPointers[unknownIndex];
+      position < matrix.rowPointers[unknownIndex + 1];
+      position++
+    ) {
+      if (matrix.values[position] !== 0) {
+        const colIndex = reorderedIndices[matrix.columnIndices[position]];
+        firstColIndex = Math.min(firstColIndex, colIndex);
+        lastColIndex = Math.max(lastColIndex, colIndex);
+      }
+    }
+    rowStarts[rowIndex] = firstColIndex;
+    rowEnds[rowIndex] = lastColIndex;
+    const row = new Float64Array(lastColIndex - firstColIndex + 1);
+    for (
+      let position = matrix.rowPointers[unknownIndex];
+      position < matrix.rowPointers[unknownIndex + 1];
+      position++
+    ) {
+      if (matrix.values[position] !== 0) {
+        row[reorderedIndices[matrix.columnIndices[position]] - firstColIndex] += matrix.values[position];
+      }
+    }
+    return row;
+  });
+
+  return { ...factorizeRowProfiles(rowStarts, rowEnds, rowValues), unknownOrdering };
+}
+
+/**
+ * Compute a numbering of the unknowns that reduces the profile of a sparse matrix, with the reverse
+ * Cuthill-McKee algorithm on the graph of its (symmetrized) nonzero pattern
+ * @param {CSRMatrix} matrix - The square matrix in CSR format
+ * @returns {Int32Array} The original index of each reordered unknown (the identity if the original numbering
+ * has the smaller profile)
+ */
+function computeBandwidthReducingOrdering(matrix) {
+  const size = matrix.numRows;
+
+  // Adjacency lists of the symmetrized pattern
+  const neighbors = Array.from({ length: size }, () => []);
+  for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+    for (
+      let position = matrix.rowPointers[rowIndex];
+      position < matrix.rowPointers[rowIndex + 1];
+      position++
+    ) {
+      const colIndex = matrix.columnIndices[position];
+      if (colIndex !== rowIndex && matrix.values[position] !== 0) {
+        neighbors[rowIndex].push(colIndex);
+        neighbors[colIndex].push(rowIndex);
+      }
+    }
+  }
+  const adjacency = neighbors.map((adjacentUnknowns) => Array.from(new Set(adjacentUnknowns)));
+  const degrees = adjacency.map((adjacentUnknowns) => adjacentUnknowns.length);
+  adjacency.forEach((adjacentUnknowns) =>
+    adjacentUnknowns.sort((index1, index2) => degrees[index1] - degrees[index2])
+  );
+
+  // Breadth-first search from an unknown, visiting the neighbors by increasing degree
+  const visited = new Uint8Array(size);
+  const breadthFirstSearch = (startIndex, markVisited) => {
+    const searchVisited = markVisited ? visited : Uint8Array.from(visited);
+    const levelOrder = [startIndex];
+    searchVisited[startIndex] = 1;
+    for (let orderIndex = 0; orderIndex < levelOrder.length; orderIndex++) {
+      adjacency[levelOrder[orderIndex]].forEach((adjacentIndex) => {
+        if (!searchVisited[adjacentIndex]) {
+          searchVisited[adjacentIndex] = 1;
+          levelOrder.push(adjacentIndex);
+        }
+      });
+    }
+    return levelOrder;
+  };
+
+  // Cuthill-McKee ordering of each connected component, from a pseudo-peripheral unknown (the last one
+  // reached from an unknown of minimum degree)
+  const cuthillMcKeeOrder = [];
+  const unknownsByDegree = Array.from(degrees.keys()).sort(
+    (index1, index2) => degrees[index1] - degrees[index2]
+  );
+  unknownsByDegree.forEach((unknownIndex) => {
+    if (!visited[unknownIndex]) {
+      const component = breadthFirstSearch(unknownIndex, false);
+      breadthFirstSearch(component[component.length - 1], true).forEach((orderedIndex) => {
+        cuthillMcKeeOrder.push(orderedIndex);
+      });
+    }
+  });
+  const reverseOrder = Int32Array.from(cuthillMcKeeOrder.reverse());
+
+  // Keep the original numbering if its profile is smaller
+  const computeProfileSize = (unknownOrdering) => {
+    const reorderedIndices = new Int32Array(size);
+    unknownOrdering.forEach((unknownIndex, reorderedIndex) => {
+      reorderedIndices[unknownIndex] = reorderedIndex;
+    });
+    let profileSize = 0;
+    unknownOrdering.forEach((unknownIndex, rowIndex) => {
+      let firstColIndex = rowIndex;
+      let lastColIndex = rowIndex;
+      adjacency[unknownIndex].forEach((adjacentIndex) => {
+        firstColIndex = Math.min(firstColIndex, reorderedIndices[adjacentIndex]);
+        lastColIndex = Math.max(lastColIndex, reorderedIndices[adjacentIndex]);
+      });
+      profileSize += lastColIndex - firstColIndex + 1;
+    });
+    return profileSize;
+  };
+  const originalOrder = Int32Array.from({ length: size }, (_, unknownIndex) => unknownIndex);
+  return computeProfileSize(reverseOrder) < computeProfileSize(originalOrder) ? reverseOrder : originalOrder;
+}
+
+/**
+ * Factorize a matrix stored by row profiles in place (see computeLUDecomposition)
+ * @param {Int32Array} rowStarts - The first column of the profile of each row (at most its diagonal)
+ * @param {Int32Array} rowEnds - The last column of the profile of each row (at least its diagonal)
+ * @param {array} rowValues - The values of the profile of each row (Float64Array)
+ * @returns {object} The LU decomposition (see computeLUDecomposition)
+ */
+function factorizeRowProfiles(rowStarts, rowEnds, rowValues) {
+  const size = rowStarts.length;
+  const rowPermutation = Array.from({ length: size }, (_, rowIndex) => rowIndex);
+
+  // Last row whose profile starts at or before each column (rows only move within these bounds)
+  const lastRows = new Int32Array(size);
+  for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+    lastRows[rowStarts[rowIndex]] = Math.max(lastRows[rowStarts[rowIndex]], rowIndex);
+  }
+  for (let colIndex = 1; colIndex < size; colIndex++) {
+    lastRows[colIndex] = Math.max(lastRows[colIndex], lastRows[colIndex - 1], colIndex);
+  }
+
+  // Extend the profile of a row up to a column (fill-in), with spare storage for further extensions
+  const extendRowProfile = (rowIndex, colIndex) => {
+    if (rowEnds[rowIndex] >= colIndex) {
+      return;
+    }
+    const rowOffset = rowStarts[rowIndex];
+    if (rowValues[rowIndex].length <= colIndex - rowOffset) {
+      const extendedRow = new Float64Array(
+        Math.min(Math.max(colIndex - rowOffset + 1, 2 * rowValues[rowIndex].length), size - rowOffset)
+      );
+      extendedRow.set(rowValues[rowIndex]);
+      rowValues[rowIndex] = extendedRow;
+    }
+    rowEnds[rowIndex] = colIndex;
+  };
+  // Whether the profile of a row contains a column
+  const inRowProfile = (rowIndex, colIndex) =>
+    rowStarts[rowIndex] <= colIndex && rowEnds[rowIndex] >= colIndex;
+
+  for (let pivotIndex = 0; pivotIndex < size; pivotIndex++) {
+    const lastRow = lastRows[pivotIndex];
+
+    // Partial pivoting
+    let maxRowIndex = pivotIndex;
+    let maxValue = 0;
+    for (let rowIndex = pivotIndex; rowIndex <= lastRow; rowIndex++) {
+      if (inRowProfile(rowIndex, pivotIndex)) {
+        const value = Math.abs(rowValues[rowIndex][pivotIndex - rowStarts[rowIndex]]);
+        if (value > maxValue) {
+          maxRowIndex = rowIndex;
+          maxValue = value;
+        }
+      }
+    }
+    if (maxValue === 0) {
+      throw new Error("Cannot solve the system: the matrix is singular");
+    }
+    if (maxRowIndex !== pivotIndex) {
+      [rowValues[pivotIndex], rowValues[maxRowIndex]] = [rowValues[maxRowIndex], rowValues[pivotIndex]];
+      [rowStarts[pivotIndex], rowStarts[maxRowIndex]] = [rowStarts[maxRowIndex], rowStarts[pivotIndex]];
+      [rowEnds[pivotIndex], rowEnds[maxRowIndex]] = [rowEnds[maxRowIndex], rowEnds[pivotIndex]];
+      [rowPermutation[pivotIndex], rowPermutation[maxRowIndex]] = [
+        rowPermutation[maxRowIndex],
+        rowPermutation[pivotIndex],
+      ];
+      // The profile of each row contains its diagonal
+      extendRowProfile(maxRowIndex, maxRowIndex);
+    }
+
+    // Elimination below the pivot
+    const pivotRow = rowValues[pivotIndex];
+    const pivotOffset = rowStarts[pivotIndex];
+    const pivotRowEnd = rowEnds[pivotIndex];
+    const pivotValue = pivotRow[pivotIndex - pivotOffset];
+    for (let rowIndex = pivotIndex + 1; rowIndex <= lastRow; rowIndex++) {
+      const rowOffset = rowStarts[rowIndex];
+      if (!inRowProfile(rowIndex, pivotIndex) || rowValues[rowIndex][pivotIndex - rowOffset] === 0) {
+        continue;
+      }
+      extendRowProfile(rowIndex, pivotRowEnd);
+      const row = rowValues[rowIndex];
+      const factor = row[pivotIndex - rowOffset] / pivotValue;
+      row[pivotIndex - rowOffset] = factor;
+      for (let colIndex = pivotIndex + 1; colIndex <= pivotRowEnd; colIndex++) {
+        row[colIndex - rowOffset] -= factor * pivotRow[colIndex - pivotOffset];
+      }
+    }
+  }
+
+  return { rowStarts, rowEnds, rowValues, rowPermutation };
+}
+
+/**
+ * Solve a system of linear equations with a precomputed LU decomposition
+ * @param {object} luDecomposition - The LU decomposition (see computeLUDecomposition)
+ * @param {array} rhsVector - The right-hand side vector
+ * @returns {array} The solution of the system
+ */
+export function solveLUDecomposition(
+  { rowStarts, rowEnds, rowValues, rowPermutation, unknownOrdering },
+  rhsVector
+) {
+  const size = rowValues.length;
+  const solutionVector = rowPermutation.map((rowIndex) => rhsVector[unknownOrdering[rowIndex]]);
+
+  // Forward substitution (L has a unit diagonal)
+  for (let rowIndex = 0; rowIndex < size; rowIndex++) {
+    const row = rowValues[rowIndex];
+    const rowOffset = rowStarts[rowIndex];
+    let sum = solutionVector[rowIndex];
+    for (let colIndex = rowOffset; colIndex < rowIndex; colIndex++) {
+      sum -= row[colIndex - rowOffset] * solutionVector[colIndex];
+    }
+    solutionVector[rowIndex] = sum;
+  }
+
+  // Back substitution
+  for (let rowIndex = size - 1; rowIndex >= 0; rowIndex--) {
+    const row = rowValues[rowIndex];
+    const rowOffset = rowStarts[rowIndex];
+    let sum = solutionVector[rowIndex];
+    for (let colIndex = rowIndex + 1; colIndex <= rowEnds[rowIndex]; colIndex++) {
+      sum -= row[colIndex - rowOffset] * solutionVector[colIndex];
+    }
+    solutionVector[rowIndex] = sum / row[rowIndex - rowOffset];
+  }
+
+  // Original numbering of the unknowns
+  const reorderedSolution = new Array(size);
+  unknownOrdering.forEach((unknownIndex, reorderedIndex) => {
+    reorderedSolution[unknownIndex] = solutionVector[reorderedIndex];
+  });
+  return reorderedSolution;
+}
+
+/**
+ * Compute the dot product of two vectors
+ * @param {array} vector1 - First vector
+ * @param {array} vector2 - Second vector
+ * @returns {number} The dot product
+ */
+function dotProduct(vector1, vector2) {
+  let sum = 0;
+  for (let index = 0; index < vector1.length; index++) {
+    sum += vector1[index] * vector2[index];
+  }
+  return sum;
+}
+
+/**
+ * Set up the common data of the Krylov solvers
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {array} rhsVector - The right-hand side vector
+ * @param {object} solverOptions - Options of the iterative solver (a prebuilt preconditionerData is reused)
+ * @returns {object} The initial guess, the initial residual, the norm of the right-hand side and the preconditioner
+ */
+function initializeKrylovSolver(
+  matrix,
+  rhsVector,
+  { initialGuess, preconditioner, relaxationFactor, preconditionerData }
+) {
+  const numRows = matrix.numRows;
+  const solutionVector = new Float64Array(numRows);
+  if (initialGuess) {
+    solutionVector.set(initialGuess);
+  }
+  const residual = matrix.multiply(solutionVector);
+  for (let index = 0; index < numRows; index++) {
+    residual[index] = rhsVector[index] - residual[index];
+  }
+  const rhsNorm = Math.sqrt(dotProduct(rhsVector, rhsVector)) || 1;
+  return {
+    solutionVector,
+    residual,
+    rhsNorm,
+    preconditionerData:
+      preconditionerData || createPreconditioner(preconditioner, matrix, { relaxationFactor }),
+  };
+}
+
+/**
+ * Preconditioned Conjugate Gradient method for symmetric positive (or negative) definite systems
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {array} rhsVector - The right-hand side vector
+ * @param {object} [solverOptions] - Options of the solver
+ * @param {number} [solverOptions.tolerance=1e-8] - Tolerance on the relative residual norm ||b - Ax|| / ||b||
+ * @param {number} [solverOptions.maxIterations=1000] - Maximum number of iterations
+ * @param {string} [solverOptions.preconditioner="jacobi"] - Preconditioner ("none", "jacobi", "ilu0" or "ssor")
+ * @param {number} [solverOptions.relaxationFactor=1] - Relaxation factor of the SSOR preconditioner
+ * @param {array} [solverOptions.initialGuess] - Initial guess of the solution (zero by default)
+ * @param {object} [solverOptions.preconditionerData] - Prebuilt preconditioner (see createPreconditioner)
+ * @returns {object} An object containing the solutionVector, the number of iterations, the converged flag
+ * and the residualHistory (relative residual norm at each iteration)
+ */
+export function conjugateGradientSolver(
+  matrix,
+  rhsVector,
+  {
+    tolerance = 1e-8,
+    maxIterations = 1000,
+    preconditioner = "jacobi",
+    relaxationFactor,
+    initialGuess,
+    preconditionerData: prebuiltPreconditioner,
+  } = {}
+) {
+  const numRows = matrix.numRows;
+  const { solutionVector, residual, rhsNorm, preconditionerData } = initializeKrylovSolver(
+    matrix,
+    rhsVector,
+    {
+      initialGuess,
+      preconditioner,
+      relaxationFactor,
+      preconditionerData: prebuiltPreconditioner,
+    }
+  );
+  const preconditionedResidual = new Float64Array(numRows);
+  const searchDirection = new Float64Array(numRows);
+  const matrixTimesDirection = new Float64Array(numRows);
+  const residualHistory = [Math.sqrt(dotProduct(residual, residual)) / rhsNorm];
+
+  preconditionerData.apply(residual, preconditionedResidual);
+  searchDirection.set(preconditionedResidual);
+  let residualProduct = dotProduct(residual, preconditionedResidual);
+
+  let iteration = 0;
+  while (residualHistory[iteration] > tolerance && iteration < maxIterations) {
+    matrix.multiply(searchDirection, matrixTimesDirection);
+    const stepLength = residualProduct / dotProduct(searchDirection, matrixTimesDirection);
+    for (let index = 0; index < numRows; index++) {
+      solutionVector[index] += stepLength * searchDirection[index];
+      residual[index] -= stepLength * matrixTimesDirection[index];
+    }
+    iteration++;
+    residualHistory.push(Math.sqrt(dotProduct(residual, residual)) / rhsNorm);
+
+    preconditionerData.apply(residual, preconditionedResidual);
+    const newResidualProduct = dotProduct(residual, preconditionedResidual);
+    const directionFactor = newResidualProduct / residualProduct;
+    residualProduct = newResidualProduct;
+    for (let index = 0; index < numRows; index++) {
+      searchDirection[index] = preconditionedResidual[index] + directionFactor * searchDirection[index];
+    }
+  }
+
+  return {
+    solutionVector,
+    iterations: iteration,
+    converged: residualHistory[iteration] <= tolerance,
+    residualHistory,
+  };
+}
+
+/**
+ * Right-preconditioned BiCGSTAB method for non-symmetric systems
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {array} rhsVector - The right-hand side vector
+ * @param {object} [solverOptions] - Options of the solver (see conjugateGradientSolver)
+ * @returns {object} An object containing the solutionVector, the number of iterations, the converged flag
+ * and the residualHistory (relative residual norm at each iteration)
+ */
+export function biConjugateGradientStabilizedSolver(
+  matrix,
+  rhsVector,
+  {
+    tolerance = 1e-8,
+    maxIterations = 1000,
+    preconditioner = "ilu0",
+    relaxationFactor,
+    initialGuess,
+    preconditionerData: prebuiltPreconditioner,
+  } = {}
+) {
+  const numRows = matrix.numRows;
+  const { solutionVector, residual, rhsNorm, preconditionerData } = initializeKrylovSolver(
+    matrix,
+    rhsVector,
+    {
+      initialGuess,
+      preconditioner,
+      relaxationFactor,
+      preconditionerData: prebuiltPreconditioner,
+    }
+  );
+  const shadowResidual = Float64Array.from(residual);
+  const searchDirection = new Float64Array(numRows);
+  const preconditionedDirection = new Float64Array(numRows);
+  const matrixTimesDirection = new Float64Array(numRows);
+  const intermediateResidual = new Float64Array(numRows);
+  const preconditionedIntermediate = new Float64Array(numRows);
+  const matrixTimesIntermediate = new Float64Array(numRows);
+  const residualHistory = [Math.sqrt(dotProduct(residual, residual)) / rhsNorm];
+
+  let residualProduct = 1;
+  let stepLength = 1;
+  let stabilizationFactor = 1;
+
+  let iteration = 0;
+  while (residualHistory[iteration] > tolerance && iteration < maxIterations) {
+    const newResidualProduct = dotProduct(shadowResidual, residual);
+    if (newResidualProduct === 0) {
+      break; // Breakdown of the method
+    }
+    if (iteration === 0) {
+      searchDirection.set(residual);
+    } else {
+      const directionFactor = (newResidualProduct / residualProduct) * (stepLength / stabilizationFactor);
+      for (let index = 0; index < numRows; index++) {
+        searchDirection[index] =
+          residual[index] +
+          directionFactor * (searchDirection[index] - stabilizationFactor * matrixTimesDirection[index]);
+      }
+    }
+    residualProduct = newResidualProduct;
+
+    preconditionerData.apply(searchDirection, preconditionedDirection);
+    matrix.multiply(preconditionedDirection, matrixTimesDirection);
+    stepLength = residualProduct / dotProduct(shadowResidual, matrixTimesDirection);
+    for (let index = 0; index < numRows; index++) {
+      intermediateResidual[index] = residual[index] - stepLength * matrixTimesDirection[index];
+    }
+
+    iteration++;
+    const intermediateNorm = Math.sqrt(dotProduct(intermediateResidual, intermediateResidual)) / rhsNorm;
+    if (intermediateNorm <= tolerance) {
+      for (let index = 0; index < numRows; index++) {
+        solutionVector[index] += stepLength * preconditionedDirection[index];
+      }
+      residual.set(intermediateResidual);
+      residualHistory.push(intermediateNorm);
+      break;
+    }
+
+    preconditionerData.apply(intermediateResidual, preconditionedIntermediate);
+    matrix.multiply(preconditionedIntermediate, matrixTimesIntermediate);
+    stabilizationFactor =
+      dotProduct(matrixTimesIntermediate, intermediateResidual) /
+      dotProduct(matrixTimesIntermediate, matrixTimesIntermediate);
+    for (let index = 0; index < numRows; index++) {
+      solutionVector[index] +=
+        stepLength * preconditionedDirection[index] + stabilizationFactor * preconditionedIntermediate[index];
+      residual[index] = intermediateResidual[index] - stabilizationFactor * matrixTimesIntermediate[index];
+    }
+    residualHistory.push(Math.sqrt(dotProduct(residual, residual)) / rhsNorm);
+    if (stabilizationFactor === 0) {
+      break; // Breakdown of the method
+    }
+  }
+
+  return {
+    solutionVector,
+    iterations: iteration,
+    converged: residualHistory[residualHistory.length - 1] <= tolerance,
+    residualHistory,
+  };
+}
+
+/**
+ * Right-preconditioned restarted GMRES(m) method for non-symmetric systems
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {array} rhsVector - The right-hand side vector
+ * @param {object} [solverOptions] - Options of the solver (see conjugateGradientSolver)
+ * @param {number} [solverOptions.restart=30] - Number of iterations between restarts (m)
+ * @returns {object} An object containing the solutionVector, the number of iterations, the converged flag
+ * and the residualHistory (relative residual norm at each iteration)
+ */
+export function generalizedMinimalResidualSolver(
+  matrix,
+  rhsVector,
+  {
+    tolerance = 1e-8,
+    maxIterations = 1000,
+    preconditioner = "ilu0",
+    relaxationFactor,
+    initialGuess,
+    preconditionerData: prebuiltPreconditioner,
+    restart = 30,
+  } = {}
+) {
+  const numRows = matrix.numRows;
+  const { solutionVector, residual, rhsNorm, preconditionerData } = initializeKrylovSolver(
+    matrix,
+    rhsVector,
+    {
+      initialGuess,
+      preconditioner,
+      relaxationFactor,
+      preconditionerData: prebuiltPreconditioner,
+    }
+  );
+  const preconditionedVector = new Float64Array(numRows);
+  const residualHistory = [Math.sqrt(dotProduct(residual, residual)) / rhsNorm];
+
+  let iteration = 0;
+  while (residualHistory[iteration] > tolerance && iteration < maxIterations) {
+    // Arnoldi process with modified Gram-Schmidt orthogonalization
+    const residualNorm = Math.sqrt(dotProduct(residual, residual));
+    const krylovBasis = [residual.map((value) => value / residualNorm)];
+    const hessenbergMatrix = []; // Upper Hessenberg matrix, reduced to triangular form by Givens rotations
+    const rotationCosines = [];
+    const rotationSines = [];
+    const leastSquaresRhs = [residualNorm];
+
+    let innerIteration = 0;
+    while (innerIteration < restart && iteration < maxIterations) {
+      preconditionerData.apply(krylovBasis[innerIteration], preconditionedVector);
+      const newBasisVector = matrix.multiply(preconditionedVector);
+      const hessenbergColumn = [];
+      for (let basisIndex = 0; basisIndex <= innerIteration; basisIndex++) {
+        hessenbergColumn[basisIndex] = dotProduct(newBasisVector, krylovBasis[basisIndex]);
+        for (let index = 0; index < numRows; index++) {
+          newBasisVector[index] -= hessenbergColumn[basisIndex] * krylovBasis[basisIndex][index];
+        }
+      }
+      const newBasisNorm = Math.sqrt(dotProduct(newBasisVector, newBasisVector));
+      hessenbergColumn[innerIteration + 1] = newBasisNorm;
+
+      // Apply the previous Givens rotations to the new column
+      for (let rotationIndex = 0; rotationIndex < innerIteration; rotationIndex++) {
+        const upperValue = hessenbergColumn[rotationIndex];
+        const lowerValue = hessenbergColumn[rotationIndex + 1];
+        hessenbergColumn[rotationIndex] =
+          rotationCosines[rotationIndex] * upperValue + rotationSines[rotationIndex] * lowerValue;
+        hessenbergColumn[rotationIndex + 1] =
+          -rotationSines[rotationIndex] * upperValue + rotationCosines[rotationIndex] * lowerValue;
+      }
+
+      // Compute the new Givens rotation that eliminates the subdiagonal entry
+      const diagonalValue = hessenbergColumn[innerIteration];
+      const rotationNorm = Math.hypot(diagonalValue, newBasisNorm);
+      rotationCosines[innerIteration] = diagonalValue / rotationNorm;
+      rotationSines[innerIteration] = newBasisNorm / rotationNorm;
+      hessenbergColumn[innerIteration] = rotationNorm;
+      hessenbergColumn[innerIteration + 1] = 0;
+      leastSquaresRhs[innerIteration + 1] = -rotationSines[innerIteration] * leastSquaresRhs[innerIteration];
+      leastSquaresRhs[innerIteration] = rotationCosines[innerIteration] * leastSquaresRhs[innerIteration];
+      hessenbergMatrix.push(hessenbergColumn);
+
+      innerIteration++;
+      iteration++;
+      residualHistory.push(Math.abs(leastSquaresRhs[innerIteration]) / rhsNorm);
+      if (residualHistory[iteration] <= tolerance || newBasisNorm === 0) {
+        break;
+      }
+      krylovBasis.push(newBasisVector.map((value) => value / newBasisNorm));
+    }
+
+    // Solve the triangular least-squares problem and update the solution
+    const krylovCoefficients = new Float64Array(innerIteration);
+    for (let rowIndex = innerIteration - 1; rowIndex >= 0; rowIndex--) {
+      let sum = leastSquaresRhs[rowIndex];
+      for (let colIndex = rowIndex + 1; colIndex < innerIteration; colIndex++) {
+        sum -= hessenbergMatrix[colIndex][rowIndex] * krylovCoefficients[colIndex];
+      }
+      krylovCoefficients[rowIndex] = sum / hessenbergMatrix[rowIndex][rowIndex];
+    }
+    const correction = new Float64Array(numRows);
+    for (let basisIndex = 0; basisIndex < innerIteration; basisIndex++) {
+      for (let index = 0; index < numRows; index++) {
+        correction[index] += krylovCoefficients[basisIndex] * krylovBasis[basisIndex][index];
+      }
+    }
+    preconditionerData.apply(correction, preconditionedVector);
+    for (let index = 0; index < numRows; index++) {
+      solutionVector[index] += preconditionedVector[index];
+    }
+
+    // Compute the true residual for the restart
+    matrix.multiply(solutionVector, residual);
+    for (let index = 0; index < numRows; index++) {
+      residual[index] = rhsVector[index] - residual[index];
+    }
+    residualHistory[iteration] = Math.sqrt(dotProduct(residual, residual)) / rhsNorm;
+  }
+
+  return {
+    solutionVector,
+    iterations: iteration,
+    converged: residualHistory[iteration] <= tolerance,
+    residualHistory,
+  };
+}
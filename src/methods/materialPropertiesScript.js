@@ -0,0 +1,253 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+/**
+ * Check if a value is a 2x2 tensor given as a nested array, e.g. [[kxx, kxy], [kyx, kyy]]
+ * @param {*} value - The value to be checked
+ * @returns {boolean} True if the value is a tensor
+ */
+export function isTensor(value) {
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(
+      (row) => Array.isArray(row) && row.length === 2 && row.every((entry) => typeof entry === "number")
+    )
+  );
+}
+
+/**
+ * Check if a material property is given as a table of values at increasing temperatures,
+ * e.g. { T: [20, 400, 800], values: [45, 38, 26] }
+ * @param {*} property - The property to be checked
+ * @returns {boolean} True if the property is tabulated
+ */
+export function isTabulated(property) {
+  return property !== null && typeof property === "object" && !Array.isArray(property) && "T" in property;
+}
+
+/**
+ * Check if a material property depends on the temperature, i.e., it is tabulated or a function of (x, y, T)
+ * (functions must declare the temperature parameter)
+ * @param {*} property - The property to be checked
+ * @returns {boolean} True if the property depends on the temperature
+ */
+export function isTemperatureDependent(property) {
+  return isTabulated(property) || (typeof property === "function" && property.length >= 3);
+}
+
+/**
+ * Check that a material property has one of the supported forms
+ * @param {string} propertyName - The name of the property (used in the error messages)
+ * @param {*} property - The property: a constant, a function of (x, y) or (x, y, T), a table of values at
+ * increasing temperatures, or an array of per-element values
+ * @param {number} totalElements - The number of elements of the mesh
+ * @param {boolean} [allowTensor=false] - Whether anisotropic tensors are accepted
+ * @param {boolean} [allowTemperature=true] - Whether temperature-dependent properties are accepted
+ */
+export function validateMaterialProperty(
+  propertyName,
+  property,
+  totalElements,
+  allowTensor = false,
+  allowTemperature = true
+) {
+  const isValidValue = (value) =>
+    (typeof value === "number" && Number.isFinite(value)) || (allowTensor && isTensor(value));
+
+  if (!allowTemperature && isTemperatureDependent(property)) {
+    throw new Error(`Material property "${propertyName}" cannot depend on the temperature`);
+  }
+  if (typeof property === "function" || isValidValue(property)) {
+    return;
+  }
+  if (isTabulated(property)) {
+    const { T: temperatures, values } = property;
+    if (
+      !Array.isArray(temperatures) ||
+      !Array.isArray(values) ||
+      temperatures.length === 0 ||
+      temperatures.length !== values.length
+    ) {
+      throw new Error(
+        `Material property "${propertyName}" table must have arrays T and values of the same (nonzero) length`
+      );
+    }
+    temperatures.forEach((temp, tableIndex) => {
+      if (!(typeof temp === "number" && (tableIndex === 0 || temp > temperatures[tableIndex - 1]))) {
+        throw new Error(`Material property "${propertyName}" table temperatures must be increasing numbers`);
+      }
+      if (!(typeof values[tableIndex] === "number" && Number.isFinite(values[tableIndex]))) {
+        throw new Error(`Material property "${propertyName}" table has an invalid value at T = ${temp}`);
+      }
+    });
+    return;
+  }
+  if (Array.isArray(property)) {
+    if (property.length !== totalElements) {
+      throw new Error(
+        `Material property "${propertyName}" has ${property.length} per-element values, expected ${totalElements}`
+      );
+    }
+    property.forEach((value, elementIndex) => {
+      if (!isValidValue(value)) {
+        throw new Error(
+          `Material property "${propertyName}" has an invalid value at element ${elementIndex}`
+        );
+      }
+    });
+    return;
+  }
+  throw new Error(
+    `Material property "${propertyName}" must be a number${allowTensor ? ", a 2x2 tensor" : ""}, ` +
+      `a function of (x, y)${allowTemperature ? " or (x, y, T), a table { T, values }" : ""} ` +
+      `or an array of per-element values`
+  );
+}
+
+/**
+ * Evaluate a material property at a point of an element
+ * @param {*} property - The property: a constant, a function of (x, y) or (x, y, T), a table of values at
+ * increasing temperatures, or an array of per-element values
+ * @param {number} x - The x-coordinate of the point (e.g., a Gauss point)
+ * @param {number} y - The y-coordinate of the point
+ * @param {number} elementIndex - The index of the element that contains the point
+ * @param {number} [temperature] - The temperature at the point (for temperature-dependent properties)
+ * @returns {number|array} The value of the property (a number or a 2x2 tensor)
+ */
+export function evaluateMaterialProperty(property, x, y, elementIndex, temperature) {
+  if (typeof property === "function") {
+    return property(x, y, temperature);
+  } else if (isTabulated(property)) {
+    return interpolateTable(property, temperature).value;
+  } else if (Array.isArray(property) && !isTensor(property)) {
+    return property[elementIndex];
+  }
+  return property;
+}
+
+/**
+ * Evaluate the derivative of a material property with respect to the temperature
+ * (exact for tables, by central differences for functions of (x, y, T))
+ * @param {*} property - The property
+ * @param {number} x - The x-coordinate of the point
+ * @param {number} y - The y-coordinate of the point
+ * @param {number} elementIndex - The index of the element that contains the point
+ * @param {number} temperature - The temperature at the point
+ * @returns {number|array} The derivative (a number or a 2x2 tensor)
+ */
+export function evaluateMaterialPropertyDerivative(property, x, y, elementIndex, temperature) {
+  if (isTabulated(property)) {
+    return interpolateTable(property, temperature).slope;
+  } else if (!isTemperatureDependent(property)) {
+    const value = evaluateMaterialProperty(property, x, y, elementIndex);
+    return typeof value === "number" ? 0 : value.map((row) => row.map(() => 0));
+  }
+  const temperatureStep = 1e-6 * Math.max(1, Math.abs(temperature));
+  const valuePlus = property(x, y, temperature + temperatureStep);
+  const valueMinus = property(x, y, temperature - temperatureStep);
+  if (typeof valuePlus === "number") {
+    return (valuePlus - valueMinus) / (2 * temperatureStep);
+  }
+  return valuePlus.map((row, rowIndex) =>
+    row.map((entry, columnIndex) => (entry - valueMinus[rowIndex][columnIndex]) / (2 * temperatureStep))
+  );
+}
+
+/**
+ * Interpolate linearly a table of values at increasing temperatures (the end values are used outside the
+ * temperature range of the table)
+ * @param {object} table - The table { T, values }
+ * @param {number} temperature - The temperature
+ * @returns {object} The interpolated value and the slope of the table at the temperature
+ */
+function interpolateTable({ T: temperatures, values }, temperature) {
+  const lastIndex = temperatures.length - 1;
+  if (temperature <= temperatures[0]) {
+    return { value: values[0], slope: 0 };
+  } else if (temperature >= temperatures[lastIndex]) {
+    return { value: values[lastIndex], slope: 0 };
+  }
+  let tableIndex = 0;
+  while (temperature > temperatures[tableIndex + 1]) {
+    tableIndex++;
+  }
+  const slope =
+    (values[tableIndex + 1] - values[tableIndex]) / (temperatures[tableIndex + 1] - temperatures[tableIndex]);
+  return { value: values[tableIndex] + slope * (temperature - temperatures[tableIndex]), slope };
+}
+
+/**
+ * Evaluate the thermal conductivity as a 2x2 tensor (isotropic conductivities are expanded to k * I)
+ * @param {*} conductivity - The thermal conductivity property
+ * @param {number} x - The x-coordinate of the point
+ * @param {number} y - The y-coordinate of the point
+ * @param {number} elementIndex - The index of the element that contains the point
+ * @param {number} [temperature] - The temperature at the point
+ * @param {boolean} [derivative=false] - Whether the derivative with respect to the temperature is evaluated
+ * @returns {array} The conductivity tensor [[kxx, kxy], [kyx, kyy]] (or its derivative)
+ */
+export function evaluateConductivityTensor(
+  conductivity,
+  x,
+  y,
+  elementIndex,
+  temperature,
+  derivative = false
+) {
+  const conductivityValue = derivative
+    ? evaluateMaterialPropertyDerivative(conductivity, x, y, elementIndex, temperature)
+    : evaluateMaterialProperty(conductivity, x, y, elementIndex, temperature);
+  if (typeof conductivityValue === "number") {
+    return [
+      [conductivityValue, 0],
+      [0, conductivityValue],
+    ];
+  }
+  return conductivityValue;
+}
+
+/**
+ * Compute the elasticity matrix of an isotropic linear elastic material, relating the stress components
+ * [sxx, syy, szz, sxy] to the strain components [exx, eyy, ezz, gxy] (gxy is the engineering shear strain)
+ * In plane stress, szz = 0 and ezz does not enter the relation; in plane strain (ezz = 0) and axisymmetric
+ * analyses (z is then the hoop direction) the matrix is that of the 3D material
+ * @param {number} youngsModulus - Young's modulus
+ * @param {number} poissonsRatio - Poisson's ratio
+ * @param {string} stressState - "planeStress", "planeStrain" or "axisymmetric"
+ * @returns {array} The 4x4 elasticity matrix
+ */
+export function computeElasticityMatrix(youngsModulus, poissonsRatio, stressState) {
+  if (!(youngsModulus > 0)) {
+    throw new Error(`Young's modulus E must be positive, got ${youngsModulus}`);
+  }
+  if (!(poissonsRatio > -1 && poissonsRatio < 0.5)) {
+    throw new Error(`Poisson's ratio nu must be between -1 and 0.5, got ${poissonsRatio}`);
+  }
+  const shearModulus = youngsModulus / (2 * (1 + poissonsRatio));
+
+  if (stressState === "planeStress") {
+    const factor = youngsModulus / (1 - poissonsRatio ** 2);
+    return [
+      [factor, factor * poissonsRatio, 0, 0],
+      [factor * poissonsRatio, factor, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, shearModulus],
+    ];
+  }
+  const lameParameter = (youngsModulus * poissonsRatio) / ((1 + poissonsRatio) * (1 - 2 * poissonsRatio));
+  const normalStiffness = lameParameter + 2 * shearModulus;
+  return [
+    [normalStiffness, lameParameter, lameParameter, 0],
+    [lameParameter, normalStiffness, lameParameter, 0],
+    [lameParameter, lameParameter, normalStiffness, 0],
+    [0, 0, 0, shearModulus],
+  ];
+}
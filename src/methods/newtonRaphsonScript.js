@@ -0,0 +1,177 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { solveLinearSystem } from "./linearSolversScript.js";
+
+/**
+ * Check the options of the Newton-Raphson method, throwing a descriptive error if they are not valid
+ * @param {object} [newtonOptions] - Options of the Newton-Raphson method (see newtonRaphson)
+ */
+export function validateNewtonRaphsonOptions(newtonOptions = {}) {
+  const { maxIterations, tolerance, residualTolerance, damping, lineSearch, maxLineSearchSteps } =
+    newtonOptions;
+  if (maxIterations !== undefined && !(Number.isInteger(maxIterations) && maxIterations > 0)) {
+    throw new Error(`Newton-Raphson maxIterations must be a positive integer, got ${maxIterations}`);
+  }
+  if (tolerance !== undefined && !(tolerance > 0)) {
+    throw new Error(`Newton-Raphson tolerance must be a positive number, got ${tolerance}`);
+  }
+  if (residualTolerance !== undefined && !(residualTolerance > 0)) {
+    throw new Error(`Newton-Raphson residualTolerance must be a positive number, got ${residualTolerance}`);
+  }
+  if (damping !== undefined && !(damping > 0 && damping <= 1)) {
+    throw new Error(`Newton-Raphson damping must be in (0, 1], got ${damping}`);
+  }
+  if (lineSearch !== undefined && typeof lineSearch !== "boolean") {
+    throw new Error(`Newton-Raphson lineSearch must be a boolean, got ${lineSearch}`);
+  }
+  if (maxLineSearchSteps !== undefined && !(Number.isInteger(maxLineSearchSteps) && maxLineSearchSteps > 0)) {
+    throw new Error(
+      `Newton-Raphson maxLineSearchSteps must be a positive integer, got ${maxLineSearchSteps}`
+    );
+  }
+}
+
+/**
+ * Solve a nonlinear system with the Newton-Raphson method
+ * At every iteration the system is assembled at the current solution u_k as J(u_k) u = R(u_k), where J is the
+ * tangent (Jacobian) matrix, so that u - u_k is the Newton update. The nonlinear residual at u_k is then
+ * r(u_k) = J(u_k) u_k - R(u_k)
+ * The method converges when both the relative norm of the residual (with respect to the norm of R) and the
+ * relative norm of the update (with respect to the norm of the solution) are below their tolerances
+ * @param {function} assembleSystem - Function of the current solution returning an object containing the
+ * jacobianMatrix (CSR format) and the residualVector of the linearized system, with the Dirichlet conditions
+ * imposed, along with any other assembly data (e.g., nodesCoordinates)
+ * @param {array|number} initialSolution - The initial guess (nodal values, or a constant for a uniform field)
+ * @param {string} solverMethod - The solver method of the linear systems
+ * @param {object} [solverOptions] - Options of the iterative solvers
+ * @param {object} [newtonOptions] - Options of the Newton-Raphson method
+ * @param {number} [newtonOptions.maxIterations=50] - Maximum number of iterations
+ * @param {number} [newtonOptions.tolerance=1e-6] - Tolerance on the relative norm of the update
+ * @param {number} [newtonOptions.residualTolerance=1e-6] - Tolerance on the relative norm of the residual
+ * @param {number} [newtonOptions.damping=1] - Fraction of the Newton update applied at every iteration
+ * @param {boolean} [newtonOptions.lineSearch=false] - Whether the (damped) update is halved until the residual
+ * norm decreases (backtracking line search)
+ * @param {number} [newtonOptions.maxLineSearchSteps=10] - Maximum number of halvings of the update
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution
+ *  - assemblyData: The data returned by the call of assembleSystem at the solution
+ *  - newtonInfo: Object containing the number of iterations, whether the method converged, the initial
+ *    residual norm and the iterationHistory, with the residualNorm, updateNorm, stepLength, number of
+ *    lineSearchSteps and linearSolverInfo of every iteration
+ */
+export function newtonRaphson(
+  assembleSystem,
+  initialSolution,
+  solverMethod,
+  solverOptions = {},
+  {
+    maxIterations = 50,
+    tolerance = 1e-6,
+    residualTolerance = 1e-6,
+    damping = 1,
+    lineSearch = false,
+    maxLineSearchSteps = 10,
+  } = {}
+) {
+  let assemblyData = assembleSystem(initialSolution);
+  let solutionVector =
+    typeof initialSolution === "number"
+      ? new Array(assemblyData.residualVector.length).fill(initialSolution)
+      : initialSolution;
+  let residualNorm = computeResidualNorm(assemblyData, solutionVector);
+  const initialResidualNorm = residualNorm;
+  const iterationHistory = [];
+  let converged = false;
+  let iterations = 0;
+
+  while (!converged && iterations < maxIterations) {
+    const { jacobianMatrix, residualVector } = assemblyData;
+    const { solutionVector: newtonSolution, solverInfo } = solveLinearSystem(
+      solverMethod,
+      jacobianMatrix,
+      residualVector,
+      { ...solverOptions, initialGuess: solutionVector }
+    );
+    const newtonUpdate = newtonSolution.map((value, nodeIndex) => value - solutionVector[nodeIndex]);
+
+    // Damped update, halved until the residual norm decreases if the line search is enabled
+    let stepLength = damping;
+    let lineSearchSteps = 0;
+    let trialSolution, trialAssemblyData, trialResidualNorm;
+    let stepAccepted = false;
+    while (!stepAccepted) {
+      trialSolution = solutionVector.map((value, nodeIndex) => value + stepLength * newtonUpdate[nodeIndex]);
+      trialAssemblyData = assembleSystem(trialSolution);
+      trialResidualNorm = computeResidualNorm(trialAssemblyData, trialSolution);
+      const sufficientDecrease = trialResidualNorm <= (1 - 1e-4 * stepLength) * residualNorm;
+      stepAccepted = !lineSearch || sufficientDecrease || lineSearchSteps === maxLineSearchSteps;
+      if (!stepAccepted) {
+        stepLength /= 2;
+        lineSearchSteps++;
+      }
+    }
+    iterations++;
+
+    // Relative norm of the applied update
+    let updateNormSquared = 0;
+    let solutionNormSquared = 0;
+    for (let nodeIndex = 0; nodeIndex < trialSolution.length; nodeIndex++) {
+      updateNormSquared += (stepLength * newtonUpdate[nodeIndex]) ** 2;
+      solutionNormSquared += trialSolution[nodeIndex] ** 2;
+    }
+    const updateNorm = Math.sqrt(updateNormSquared) / (Math.sqrt(solutionNormSquared) || 1);
+
+    iterationHistory.push({
+      iteration: iterations,
+      residualNorm: trialResidualNorm,
+      updateNorm,
+      stepLength,
+      lineSearchSteps,
+      linearSolverInfo: solverInfo,
+    });
+    solutionVector = trialSolution;
+    assemblyData = trialAssemblyData;
+    residualNorm = trialResidualNorm;
+    converged = residualNorm <= residualTolerance && updateNorm <= tolerance;
+  }
+
+  if (!converged) {
+    const lastIteration = iterationHistory[iterationHistory.length - 1];
+    console.warn(
+      `Newton-Raphson method did not converge in ${iterations} iterations ` +
+        `(relative residual norm ${lastIteration.residualNorm.toExponential(3)}, ` +
+        `relative update norm ${lastIteration.updateNorm.toExponential(3)})`
+    );
+  }
+
+  return {
+    solutionVector,
+    assemblyData,
+    newtonInfo: { iterations, converged, initialResidualNorm, iterationHistory },
+  };
+}
+
+/**
+ * Compute the relative norm of the nonlinear residual J(u) u - R(u) of an assembled system
+ * @param {object} assemblyData - Object containing the jacobianMatrix and residualVector assembled at u
+ * @param {array} solutionVector - The solution u
+ * @returns {number} The norm of the residual divided by the norm of R (or the norm itself if R vanishes)
+ */
+function computeResidualNorm({ jacobianMatrix, residualVector }, solutionVector) {
+  const product = jacobianMatrix.multiply(solutionVector);
+  let residualNormSquared = 0;
+  let rhsNormSquared = 0;
+  for (let nodeIndex = 0; nodeIndex < residualVector.length; nodeIndex++) {
+    residualNormSquared += (product[nodeIndex] - residualVector[nodeIndex]) ** 2;
+    rhsNormSquared += residualVector[nodeIndex] ** 2;
+  }
+  return Math.sqrt(residualNormSquared) / (Math.sqrt(rhsNormSquared) || 1);
+}
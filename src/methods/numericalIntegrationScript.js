@@ -16,10 +16,12 @@ export class numericalIntegration {
    * Constructor to initialize the numIntegration class
    * @param {string} meshDimension - The dimension of the mesh
    * @param {number} elementOrder - The order of elements
+   * @param {string} [elementShape='quadrilateral'] - The shape of 2D elements, either 'quadrilateral' or 'triangle'
    */
-  constructor({ meshDimension, elementOrder }) {
+  constructor({ meshDimension, elementOrder, elementShape = "quadrilateral" }) {
     this.meshDimension = meshDimension;
     this.elementOrder = elementOrder;
+    this.elementShape = elementShape;
   }
 
   /**
@@ -33,9 +35,12 @@ export class numericalIntegration {
     let gaussWeights = []; // Gauss weights
 
     if (this.elementOrder === "linear") {
-      // For linear elements, use 1-point Gauss quadrature
-      gaussPoints[0] = 0.5;
-      gaussWeights[0] = 1;
+      // For linear elements, use 2-point Gauss quadrature (integrates the mass matrix exactly and avoids
+      // the zero-energy modes of the bilinear stiffness matrix)
+      gaussPoints[0] = (1 - 1 / Math.sqrt(3)) / 2;
+      gaussPoints[1] = (1 + 1 / Math.sqrt(3)) / 2;
+      gaussWeights[0] = 1 / 2;
+      gaussWeights[1] = 1 / 2;
     } else if (this.elementOrder === "quadratic") {
       // For quadratic elements, use 3-point Gauss quadrature
       gaussPoints[0] = (1 - Math.sqrt(3 / 5)) / 2;
@@ -48,4 +53,81 @@ export class numericalIntegration {
 
     return { gaussPoints, gaussWeights };
   }
+
+  /**
+   * Return the Gauss points and weights of triangular elements (reference triangle with vertices at
+   * (0, 0), (1, 0) and (0, 1), so that the weights sum to its area 1/2)
+   * @returns {object} An object containing:
+   *  - gaussPoints: Array of Gauss points, each given as [ksi, eta]
+   *  - gaussWeights: Array of Gauss weights
+   */
+  getTriangleGaussPointsAndWeights() {
+    let gaussPoints = []; // Gauss points
+    let gaussWeights = []; // Gauss weights
+
+    if (this.elementOrder === "linear") {
+      // For linear elements, use the 3-point rule (exact for polynomials of degree 2, i.e., the mass matrix)
+      gaussPoints = [
+        [1 / 6, 1 / 6],
+        [2 / 3, 1 / 6],
+        [1 / 6, 2 / 3],
+      ];
+      gaussWeights = [1 / 6, 1 / 6, 1 / 6];
+    } else if (this.elementOrder === "quadratic") {
+      // For quadratic elements, use the 6-point rule (exact for polynomials of degree 4)
+      const pointA = 0.445948490915965;
+      const pointB = 0.091576213509771;
+      const weightA = 0.223381589678011 / 2;
+      const weightB = 0.109951743655322 / 2;
+      gaussPoints = [
+        [pointA, pointA],
+        [1 - 2 * pointA, pointA],
+        [pointA, 1 - 2 * pointA],
+        [pointB, pointB],
+        [1 - 2 * pointB, pointB],
+        [pointB, 1 - 2 * pointB],
+      ];
+      gaussWeights = [weightA, weightA, weightA, weightB, weightB, weightB];
+    }
+
+    return { gaussPoints, gaussWeights };
+  }
+
+  /**
+   * Return the integration points of the reference element (the tensor product of the Gauss points for
+   * quadrilateral elements)
+   * @returns {array} Array of integration points, each given as { ksi, eta, weight } (eta is null in 1D)
+   */
+  getIntegrationPoints() {
+    let integrationPoints = [];
+
+    if (this.meshDimension === "2D" && this.elementShape === "triangle") {
+      const { gaussPoints, gaussWeights } = this.getTriangleGaussPointsAndWeights();
+      gaussPoints.forEach(([ksi, eta], gaussPointIndex) => {
+        integrationPoints.push({ ksi, eta, weight: gaussWeights[gaussPointIndex] });
+      });
+      return integrationPoints;
+    }
+
+    const { gaussPoints, gaussWeights } = this.getGaussPointsAndWeights();
+    for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
+      if (this.meshDimension === "1D") {
+        integrationPoints.push({
+          ksi: gaussPoints[gaussPointIndex1],
+          eta: null,
+          weight: gaussWeights[gaussPointIndex1],
+        });
+      } else if (this.meshDimension === "2D") {
+        for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
+          integrationPoints.push({
+            ksi: gaussPoints[gaussPointIndex1],
+            eta: gaussPoints[gaussPointIndex2],
+            weight: gaussWeights[gaussPointIndex1] * gaussWeights[gaussPointIndex2],
+          });
+        }
+      }
+    }
+
+    return integrationPoints;
+  }
 }
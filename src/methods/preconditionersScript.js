@@ -0,0 +1,195 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+export const availablePreconditioners = ["none", "jacobi", "ilu0", "ssor"];
+
+/**
+ * Create a preconditioner for a sparse matrix
+ * @param {string} preconditioner - The type of preconditioner ("none", "jacobi", "ilu0" or "ssor")
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @param {object} [options] - Additional options
+ * @param {number} [options.relaxationFactor=1] - Relaxation factor (omega) of the SSOR preconditioner, 0 < omega < 2
+ * @returns {object} An object with an apply(vector, result) method that computes result = M^-1 * vector
+ */
+export function createPreconditioner(preconditioner, matrix, { relaxationFactor = 1 } = {}) {
+  if (preconditioner === "none") {
+    return {
+      apply(vector, result) {
+        result.set(vector);
+        return result;
+      },
+    };
+  } else if (preconditioner === "jacobi") {
+    return createJacobiPreconditioner(matrix);
+  } else if (preconditioner === "ilu0") {
+    return createIncompleteLUPreconditioner(matrix);
+  } else if (preconditioner === "ssor") {
+    return createSSORPreconditioner(matrix, relaxationFactor);
+  }
+  throw new Error(
+    `Unknown preconditioner "${preconditioner}". Available preconditioners: ${availablePreconditioners.join(", ")}`
+  );
+}
+
+/**
+ * Jacobi (diagonal) preconditioner
+ * @param {CSRMatrix} matrix - The system matrix in CSR format
+ * @returns {object} The preconditioner
+ */
+function createJacobiPreconditioner(matrix) {
+  const inverseDiagonal = matrix.getDiagonal().map((value) => (value !== 0 ? 1 / value : 1));
+  return {
+    apply(vector, result) {
+      for (let rowIndex = 0; rowIndex < matrix.numRows; rowIndex++) {
+        result[rowIndex] = inverseDiagonal[rowIndex] * vector[rowIndex];
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Find the position of the diagonal entry of each row of a CSR matrix
+ * @param {CSRMatrix} matrix - The matrix in CSR format
+ * @returns {Int32Array} The position of the diagonal entry of each row
+ */
+function findDiagonalPositions(matrix) {
+  const diagonalPositions = new Int32Array(matrix.numRows).fill(-1);
+  for (let rowIndex = 0; rowIndex < matrix.numRows; rowIndex++) {
+    for (
+      let position = matrix.rowPointers[rowIndex];
+      position < matrix.rowPointers[rowIndex + 1];
+      position++
+    ) {
+      if (matrix.columnIndices[position] === rowIndex) {
+        diagonalPositions[rowIndex] = position;
+        break;
+      }
+    }
+    if (diagonalPositions[rowIndex] === -1) {
+      throw new Error(`Zero diagonal entry in row ${rowIndex}; the preconditioner cannot be constructed`);
+    }
+  }
+  return diagonalPositions;
+}
+
+/**
+ * Incomplete LU factorization with zero fill-in, ILU(0)
+ * The factors share the sparsity pattern of the matrix (unit lower triangular L and upper triangular U)
+ * @param {CSRMatrix} matrix - The system matrix in CSR format (columns sorted within each row)
+ * @returns {object} The preconditioner
+ */
+function createIncompleteLUPreconditioner(matrix) {
+  const { numRows, rowPointers, columnIndices } = matrix;
+  const factorValues = Float64Array.from(matrix.values);
+  const diagonalPositions = findDiagonalPositions(matrix);
+  const columnPositions = new Int32Array(numRows).fill(-1);
+
+  // IKJ variant of Gaussian elimination restricted to the sparsity pattern
+  for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+    for (let position = rowPointers[rowIndex]; position < rowPointers[rowIndex + 1]; position++) {
+      columnPositions[columnIndices[position]] = position;
+    }
+    for (let position = rowPointers[rowIndex]; position < diagonalPositions[rowIndex]; position++) {
+      const pivotRow = columnIndices[position];
+      factorValues[position] /= factorValues[diagonalPositions[pivotRow]];
+      const multiplier = factorValues[position];
+      for (
+        let pivotPosition = diagonalPositions[pivotRow] + 1;
+        pivotPosition < rowPointers[pivotRow + 1];
+        pivotPosition++
+      ) {
+        const targetPosition = columnPositions[columnIndices[pivotPosition]];
+        if (targetPosition !== -1) {
+          factorValues[targetPosition] -= multiplier * factorValues[pivotPosition];
+        }
+      }
+    }
+    for (let position = rowPointers[rowIndex]; position < rowPointers[rowIndex + 1]; position++) {
+      columnPositions[columnIndices[position]] = -1;
+    }
+  }
+
+  return {
+    apply(vector, result) {
+      // Forward substitution with the unit lower triangular factor
+      for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+        let sum = vector[rowIndex];
+        for (let position = rowPointers[rowIndex]; position < diagonalPositions[rowIndex]; position++) {
+          sum -= factorValues[position] * result[columnIndices[position]];
+        }
+        result[rowIndex] = sum;
+      }
+      // Backward substitution with the upper triangular factor
+      for (let rowIndex = numRows - 1; rowIndex >= 0; rowIndex--) {
+        let sum = result[rowIndex];
+        for (
+          let position = diagonalPositions[rowIndex] + 1;
+          position < rowPointers[rowIndex + 1];
+          position++
+        ) {
+          sum -= factorValues[position] * result[columnIndices[position]];
+        }
+        result[rowIndex] = sum / factorValues[diagonalPositions[rowIndex]];
+      }
+      return result;
+    },
+  };
+}
+
+/**
+ * Symmetric successive over-relaxation (SSOR) preconditioner
+ * M = omega / (2 - omega) * (D / omega + L) * (D / omega)^-1 * (D / omega + U)
+ * @param {CSRMatrix} matrix - The system matrix in CSR format (columns sorted within each row)
+ * @param {number} relaxationFactor - Relaxation factor (omega), 0 < omega < 2
+ * @returns {object} The preconditioner
+ */
+function createSSORPreconditioner(matrix, relaxationFactor) {
+  if (!(relaxationFactor > 0 && relaxationFactor < 2)) {
+    throw new Error(`SSOR relaxation factor must be between 0 and 2, got ${relaxationFactor}`);
+  }
+  const { numRows, rowPointers, columnIndices, values } = matrix;
+  const diagonalPositions = findDiagonalPositions(matrix);
+  const scaling = (2 - relaxationFactor) / relaxationFactor;
+
+  return {
+    apply(vector, result) {
+      // Forward sweep: (D / omega + L) y = vector
+      for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+        let sum = vector[rowIndex];
+        for (let position = rowPointers[rowIndex]; position < diagonalPositions[rowIndex]; position++) {
+          sum -= values[position] * result[columnIndices[position]];
+        }
+        result[rowIndex] = (relaxationFactor * sum) / values[diagonalPositions[rowIndex]];
+      }
+      // Diagonal scaling: y = (D / omega) y
+      for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+        result[rowIndex] *= values[diagonalPositions[rowIndex]] / relaxationFactor;
+      }
+      // Backward sweep: (D / omega + U) z = y
+      for (let rowIndex = numRows - 1; rowIndex >= 0; rowIndex--) {
+        let sum = result[rowIndex];
+        for (
+          let position = diagonalPositions[rowIndex] + 1;
+          position < rowPointers[rowIndex + 1];
+          position++
+        ) {
+          sum -= values[position] * result[columnIndices[position]];
+        }
+        result[rowIndex] = (relaxationFactor * sum) / values[diagonalPositions[rowIndex]];
+      }
+      // Account for the omega / (2 - omega) factor of M
+      for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+        result[rowIndex] *= scaling;
+      }
+      return result;
+    },
+  };
+}
@@ -0,0 +1,224 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+/**
+ * Class to assemble sparse matrices in coordinate (COO) format
+ * Entries are stored as (row, column, value) triplets and duplicates are summed on compression
+ */
+export class SparseMatrix {
+  /**
+   * Constructor to initialize the SparseMatrix class
+   * @param {number} numRows - Number of rows of the matrix
+   * @param {number} [numCols=numRows] - Number of columns of the matrix
+   */
+  constructor(numRows, numCols = numRows) {
+    this.numRows = numRows;
+    this.numCols = numCols;
+    this.rowIndices = [];
+    this.columnIndices = [];
+    this.values = [];
+  }
+
+  /**
+   * Add a value to the entry (rowIndex, colIndex) of the matrix
+   * @param {number} rowIndex - Row index of the entry
+   * @param {number} colIndex - Column index of the entry
+   * @param {number} value - Value to be added to the entry
+   */
+  addValue(rowIndex, colIndex, value) {
+    this.rowIndices.push(rowIndex);
+    this.columnIndices.push(colIndex);
+    this.values.push(value);
+  }
+
+  /**
+   * Compress the stored triplets into compressed sparse row (CSR) format
+   * @returns {CSRMatrix} The compressed matrix
+   */
+  toCSR() {
+    const numTriplets = this.values.length;
+    const rowPointers = new Int32Array(this.numRows + 1);
+
+    // Count the triplets of each row and bucket them by row
+    for (let tripletIndex = 0; tripletIndex < numTriplets; tripletIndex++) {
+      rowPointers[this.rowIndices[tripletIndex] + 1]++;
+    }
+    for (let rowIndex = 0; rowIndex < this.numRows; rowIndex++) {
+      rowPointers[rowIndex + 1] += rowPointers[rowIndex];
+    }
+    const rowOffsets = rowPointers.slice(0, this.numRows);
+    const bucketColumns = new Int32Array(rowPointers[this.numRows]);
+    const bucketValues = new Float64Array(rowPointers[this.numRows]);
+    for (let tripletIndex = 0; tripletIndex < numTriplets; tripletIndex++) {
+      const position = rowOffsets[this.rowIndices[tripletIndex]]++;
+      bucketColumns[position] = this.columnIndices[tripletIndex];
+      bucketValues[position] = this.values[tripletIndex];
+    }
+
+    // Sort the columns of each row and sum the duplicate entries
+    const csrRowPointers = new Int32Array(this.numRows + 1);
+    const csrColumnIndices = [];
+    const csrValues = [];
+    const rowEntries = new Map();
+    for (let rowIndex = 0; rowIndex < this.numRows; rowIndex++) {
+      rowEntries.clear();
+      for (let position = rowPointers[rowIndex]; position < rowPointers[rowIndex + 1]; position++) {
+        const colIndex = bucketColumns[position];
+        rowEntries.set(colIndex, (rowEntries.get(colIndex) || 0) + bucketValues[position]);
+      }
+      const sortedColumns = Array.from(rowEntries.keys()).sort((a, b) => a - b);
+      sortedColumns.forEach((colIndex) => {
+        csrColumnIndices.push(colIndex);
+        csrValues.push(rowEntries.get(colIndex));
+      });
+      csrRowPointers[rowIndex + 1] = csrColumnIndices.length;
+    }
+
+    return new CSRMatrix(
+      this.numRows,
+      this.numCols,
+      csrRowPointers,
+      Int32Array.from(csrColumnIndices),
+      Float64Array.from(csrValues)
+    );
+  }
+}
+
+/**
+ * Compute the linear combination of two sparse matrices, alpha * A + beta * B
+ * @param {number} alpha - Coefficient of the first matrix
+ * @param {CSRMatrix} matrixA - First matrix in CSR format
+ * @param {number} beta - Coefficient of the second matrix
+ * @param {CSRMatrix} matrixB - Second matrix in CSR format (same dimensions as the first one)
+ * @returns {CSRMatrix} The resulting matrix
+ */
+export function addSparseMatrices(alpha, matrixA, beta, matrixB) {
+  const sumMatrix = new SparseMatrix(matrixA.numRows, matrixA.numCols);
+  [
+    [alpha, matrixA],
+    [beta, matrixB],
+  ].forEach(([coefficient, matrix]) => {
+    for (let rowIndex = 0; rowIndex < matrix.numRows; rowIndex++) {
+      for (
+        let position = matrix.rowPointers[rowIndex];
+        position < matrix.rowPointers[rowIndex + 1];
+        position++
+      ) {
+        sumMatrix.addValue(rowIndex, matrix.columnIndices[position], coefficient * matrix.values[position]);
+      }
+    }
+  });
+  return sumMatrix.toCSR();
+}
+
+/**
+ * Class to store sparse matrices in compressed sparse row (CSR) format
+ */
+export class CSRMatrix {
+  /**
+   * Constructor to initialize the CSRMatrix class
+   * @param {number} numRows - Number of rows of the matrix
+   * @param {number} numCols - Number of columns of the matrix
+   * @param {Int32Array} rowPointers - Offsets of the first entry of each row (length numRows + 1)
+   * @param {Int32Array} columnIndices - Column index of each stored entry
+   * @param {Float64Array} values - Value of each stored entry
+   */
+  constructor(numRows, numCols, rowPointers, columnIndices, values) {
+    this.numRows = numRows;
+    this.numCols = numCols;
+    this.rowPointers = rowPointers;
+    this.columnIndices = columnIndices;
+    this.values = values;
+  }
+
+  /**
+   * Number of stored (structurally nonzero) entries
+   */
+  get nonZeros() {
+    return this.rowPointers[this.numRows];
+  }
+
+  /**
+   * Return the value of the entry (rowIndex, colIndex)
+   * @param {number} rowIndex - Row index of the entry
+   * @param {number} colIndex - Column index of the entry
+   * @returns {number} The stored value or zero if the entry is not stored
+   */
+  getValue(rowIndex, colIndex) {
+    for (let position = this.rowPointers[rowIndex]; position < this.rowPointers[rowIndex + 1]; position++) {
+      if (this.columnIndices[position] === colIndex) {
+        return this.values[position];
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Compute the matrix-vector product
+   * @param {array} vector - Vector to be multiplied
+   * @param {array} [result] - Optional array where the result is written
+   * @returns {array} The product of the matrix with the vector
+   */
+  multiply(vector, result = new Float64Array(this.numRows)) {
+    for (let rowIndex = 0; rowIndex < this.numRows; rowIndex++) {
+      let sum = 0;
+      for (let position = this.rowPointers[rowIndex]; position < this.rowPointers[rowIndex + 1]; position++) {
+        sum += this.values[position] * vector[this.columnIndices[position]];
+      }
+      result[rowIndex] = sum;
+    }
+    return result;
+  }
+
+  /**
+   * Return the diagonal entries of the matrix
+   * @returns {Float64Array} Array with the diagonal entries
+   */
+  getDiagonal() {
+    const diagonal = new Float64Array(this.numRows);
+    for (let rowIndex = 0; rowIndex < this.numRows; rowIndex++) {
+      diagonal[rowIndex] = this.getValue(rowIndex, rowIndex);
+    }
+    return diagonal;
+  }
+
+  /**
+   * Impose Dirichlet conditions while preserving the symmetry of the matrix
+   * The rows of the constrained unknowns keep only their diagonal entry (d * u = d * value) and the
+   * columns of the constrained unknowns are eliminated by moving their contribution to the right-hand side
+   * @param {Map} constrainedValues - Map from the constrained unknown index to its prescribed value
+   * @param {array} rhsVector - The right-hand side vector to be modified
+   */
+  imposeDirichletConditions(constrainedValues, rhsVector) {
+    for (let rowIndex = 0; rowIndex < this.numRows; rowIndex++) {
+      const rowStart = this.rowPointers[rowIndex];
+      const rowEnd = this.rowPointers[rowIndex + 1];
+      if (constrainedValues.has(rowIndex)) {
+        // Keep the diagonal entry to preserve the scaling (and definiteness) of the matrix
+        const diagonalValue = this.getValue(rowIndex, rowIndex) || 1;
+        for (let position = rowStart; position < rowEnd; position++) {
+          this.values[position] = 0;
+          if (this.columnIndices[position] === rowIndex) {
+            this.values[position] = diagonalValue;
+          }
+        }
+        rhsVector[rowIndex] = diagonalValue * constrainedValues.get(rowIndex);
+      } else {
+        for (let position = rowStart; position < rowEnd; position++) {
+          const colIndex = this.columnIndices[position];
+          if (constrainedValues.has(colIndex)) {
+            rhsVector[rowIndex] -= this.values[position] * constrainedValues.get(colIndex);
+            this.values[position] = 0;
+          }
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,145 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+/**
+ * Create the evaluator of a prescribed velocity field
+ * @param {*} velocity - The velocity: a constant [vx, vy] (a number in 1D), a function of (x, y) returning
+ * one, or an array of nodal velocities
+ * @param {number} totalNodes - The number of nodes of the mesh
+ * @param {string} meshDimension - The dimension of the mesh
+ * @returns {function} A function of (x, y, basisFunction, localNodalNumbers) returning the velocity [vx, vy]
+ * at a point of an element (vy is 0 in 1D), where localNodalNumbers are the global indices (starting from 0)
+ * of the nodes of the element, used to interpolate nodal velocities
+ */
+export function createVelocityField(velocity, totalNodes, meshDimension) {
+  const isValidVelocity = (value) =>
+    meshDimension === "1D"
+      ? typeof value === "number" && Number.isFinite(value)
+      : Array.isArray(value) &&
+        value.length === 2 &&
+        value.every((component) => typeof component === "number" && Number.isFinite(component));
+  const toVector = (value) => (meshDimension === "1D" ? [value, 0] : value);
+  const velocityForm = meshDimension === "1D" ? "a number" : "[vx, vy]";
+
+  if (typeof velocity === "function") {
+    return (x, y) => {
+      const velocityValue = velocity(x, y);
+      if (!isValidVelocity(velocityValue)) {
+        throw new Error(`The velocity function must return ${velocityForm}, got ${velocityValue}`);
+      }
+      return toVector(velocityValue);
+    };
+  }
+  if (isValidVelocity(velocity)) {
+    const velocityValue = toVector(velocity);
+    return () => velocityValue;
+  }
+  if (Array.isArray(velocity) && velocity.length === totalNodes) {
+    const nodalVelocities = velocity.map((value, nodeIndex) => {
+      if (!isValidVelocity(value)) {
+        throw new Error(`The velocity at node ${nodeIndex} must be ${velocityForm}`);
+      }
+      return toVector(value);
+    });
+    return (x, y, basisFunction, localNodalNumbers) => {
+      const velocityValue = [0, 0];
+      localNodalNumbers.forEach((globalNodeIndex, localNodeIndex) => {
+        velocityValue[0] += basisFunction[localNodeIndex] * nodalVelocities[globalNodeIndex][0];
+        velocityValue[1] += basisFunction[localNodeIndex] * nodalVelocities[globalNodeIndex][1];
+      });
+      return velocityValue;
+    };
+  }
+  throw new Error(
+    `The velocity must be ${velocityForm}, a function of (x, y) returning ${velocityForm}, or an array of ` +
+      `${totalNodes} nodal velocities`
+  );
+}
+
+/**
+ * Compute the length of an element along the flow at a point, h = 2 |v| / sum(|v . grad N|), where N are the
+ * basis functions of its vertices (i.e., of the linear element of the same shape)
+ * For quadratic elements, the length is halved, to the spacing of their nodes
+ * @param {array} velocity - The velocity [vx, vy] at the point
+ * @param {array} vertexBasisFunctionDerivX - The x-derivatives of the basis functions of the vertices
+ * @param {array} vertexBasisFunctionDerivY - The y-derivatives of the basis functions of the vertices (zeros
+ * in 1D)
+ * @param {string} elementOrder - The order of the element
+ * @returns {number} The length of the element along the flow (0 if there is no flow)
+ */
+export function computeElementLengthAlongFlow(
+  velocity,
+  vertexBasisFunctionDerivX,
+  vertexBasisFunctionDerivY,
+  elementOrder
+) {
+  const [velocityX, velocityY] = velocity;
+  const streamlineDerivativeSum = vertexBasisFunctionDerivX.reduce(
+    (sum, derivX, vertexIndex) =>
+      sum + Math.abs(velocityX * derivX + velocityY * (vertexBasisFunctionDerivY[vertexIndex] || 0)),
+    0
+  );
+  if (streamlineDerivativeSum === 0) {
+    return 0;
+  }
+  const elementLength = (2 * Math.hypot(velocityX, velocityY)) / streamlineDerivativeSum;
+  return elementOrder === "quadratic" ? elementLength / 2 : elementLength;
+}
+
+/**
+ * Compute the streamline-upwind Petrov-Galerkin (SUPG) weights tau * (v . grad N) of the basis functions at a
+ * point, which are added to the test functions of the convection-diffusion equation
+ * rho c v . grad T - div(k grad T) = Q
+ * The stabilization parameter is tau = h / (2 |v|) * (coth(Pe) - 1 / Pe), with the element length h along the
+ * flow (see computeElementLengthAlongFlow) and the element Peclet number Pe = rho c |v| h / (2 k), where k is
+ * the conductivity along the flow
+ * @param {array} velocity - The velocity [vx, vy] at the point
+ * @param {array} basisFunctionDerivX - The x-derivatives of the basis functions
+ * @param {array} basisFunctionDerivY - The y-derivatives of the basis functions (zeros in 1D)
+ * @param {array} conductivityTensor - The conductivity tensor [[kxx, kxy], [kyx, kyy]] at the point
+ * @param {number} heatCapacity - The volumetric heat capacity rho c at the point
+ * @param {number} elementLength - The length of the element along the flow at the point
+ * @returns {array} The SUPG weight of every basis function
+ */
+export function computeSupgWeights(
+  velocity,
+  basisFunctionDerivX,
+  basisFunctionDerivY,
+  conductivityTensor,
+  heatCapacity,
+  elementLength
+) {
+  const [velocityX, velocityY] = velocity;
+  const streamlineDerivatives = basisFunctionDerivX.map(
+    (derivX, localNodeIndex) => velocityX * derivX + velocityY * (basisFunctionDerivY[localNodeIndex] || 0)
+  );
+  const speedSquared = velocityX ** 2 + velocityY ** 2;
+  if (speedSquared === 0 || elementLength === 0) {
+    return streamlineDerivatives.map(() => 0);
+  }
+
+  const speed = Math.sqrt(speedSquared);
+  const streamlineConductivity =
+    (velocityX * (conductivityTensor[0][0] * velocityX + conductivityTensor[0][1] * velocityY) +
+      velocityY * (conductivityTensor[1][0] * velocityX + conductivityTensor[1][1] * velocityY)) /
+    speedSquared;
+  const pecletNumber = (heatCapacity * speed * elementLength) / (2 * streamlineConductivity);
+  let upwindFunction; // coth(Pe) - 1 / Pe, expanded for small Peclet numbers
+  if (!(pecletNumber < Infinity) || pecletNumber > 20) {
+    upwindFunction = 1 - (pecletNumber > 0 ? 1 / pecletNumber : 0);
+  } else if (pecletNumber < 1e-3) {
+    upwindFunction = pecletNumber / 3;
+  } else {
+    upwindFunction = 1 / Math.tanh(pecletNumber) - 1 / pecletNumber;
+  }
+  const stabilizationParameter = (elementLength / (2 * speed)) * upwindFunction;
+
+  return streamlineDerivatives.map((value) => stabilizationParameter * value);
+}
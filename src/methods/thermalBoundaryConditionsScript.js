@@ -8,350 +8,242 @@
 //                                            |_|   | |_   //
 //       Website: https://feascript.com/             \__|  //
 
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import { BoundaryConditions } from "./boundaryConditionsScript.js";
+
+// Parameters of each thermal boundary condition type, in the order of the positional form
+// (e.g., ["convection", h, Tinf])
+export const thermalBoundaryConditionTypes = {
+  constantTemp: { T: "number" }, // Prescribed temperature
+  convection: { h: "number", Tinf: "number" }, // Heat transfer coefficient and external temperature
+  heatFlux: { q: "numberOrFunction" }, // Heat flux into the domain (constant or function of (x, y))
+  radiation: { emissivity: "number", Tinf: "number" }, // Emissivity and ambient (absolute) temperature
+  symmetry: {}, // Zero heat flux (natural boundary condition, nothing to impose)
+};
+
+// Boundary condition types of convection-diffusion problems: the thermal ones, and the inlet and outlet of
+// the flow (checked against the direction of the velocity)
+export const convectionDiffusionBoundaryConditionTypes = {
+  ...thermalBoundaryConditionTypes,
+  inflow: { T: "number" }, // Temperature of the incoming flow (prescribed like constantTemp)
+  outflow: {}, // Zero diffusive heat flux, so that the heat is carried out by the flow (natural condition)
+};
+
+// Stefan-Boltzmann constant (W/(m^2 K^4))
+const stefanBoltzmannConstant = 5.670374419e-8;
+
 /**
  * Class to handle thermal boundary conditions application
  */
-export class ThermalBoundaryConditions {
+export class ThermalBoundaryConditions extends BoundaryConditions {
   /**
-   * Constructor to initialize the ThermalBoundaryConditions class
-   * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
-   * @param {array} boundaryElements - Array containing elements that belong to each boundary
-   * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
-   * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
-   * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * Impose constant temperature boundary conditions (Dirichlet type)
+   * The conditions are imposed symmetrically, so that a symmetric Jacobian matrix stays symmetric
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {CSRMatrix} jacobianMatrix - The compressed Jacobian matrix to be modified
    */
-  constructor(boundaryConditions, boundaryElements, nop, meshDimension, elementOrder) {
-    this.boundaryConditions = boundaryConditions;
-    this.boundaryElements = boundaryElements;
-    this.nop = nop;
-    this.meshDimension = meshDimension;
-    this.elementOrder = elementOrder;
+  imposeConstantTempBoundaryConditions(residualVector, jacobianMatrix) {
+    jacobianMatrix.imposeDirichletConditions(this.getConstantTempValues(), residualVector);
   }
 
   /**
-   * Impose constant temperature boundary conditions (Dirichlet type)
-   * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
+   * Collect the prescribed temperatures of the nodes with constant temperature or inflow boundary conditions
+   * @returns {Map} Map from the global node index (starting from 0) to the prescribed temperature
    */
-  imposeConstantTempBoundaryConditions(residualVector, jacobianMatrix) {
-    if (this.meshDimension === "1D") {
-      Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
-        if (this.boundaryConditions[boundaryKey][0] === "constantTemp") {
-          const tempValue = this.boundaryConditions[boundaryKey][1];
-          this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
-              const boundarySides = {
-                0: [0], // Node at the left side of the reference element
-                1: [1], // Node at the right side of the reference element
-              };
-              boundarySides[boundaryKey].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = tempValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
-              });
-            } else if (this.elementOrder === "quadratic") {
-              const boundarySides = {
-                0: [0], // Node at the left side of the reference element
-                2: [2], // Node at the right side of the reference element
-              };
-              boundarySides[boundaryKey].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = tempValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
-              });
-            }
+  getConstantTempValues() {
+    const constrainedValues = new Map(); // Global node index -> prescribed temperature
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      if (["constantTemp", "inflow"].includes(this.boundaryConditions[boundaryKey].type)) {
+        const tempValue = this.boundaryConditions[boundaryKey].T;
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          this.getSideNodes(elementIndex, side).forEach((globalNodeIndex) => {
+            // Store the ConstantTemp value of the node
+            constrainedValues.set(globalNodeIndex, tempValue);
           });
+        });
+      }
+    });
+
+    return constrainedValues;
+  }
+
+  /**
+   * Check that the flow enters the domain through the inflow boundaries and leaves it through the outflow
+   * boundaries, from the net flow rate (integral of v . n) along each of them
+   * @param {function} velocityField - The velocity field (see createVelocityField)
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  checkFlowBoundaryConditions(velocityField, nodesXCoordinates, nodesYCoordinates) {
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const { type } = this.boundaryConditions[boundaryKey];
+      if (type === "inflow" || type === "outflow") {
+        let netFlowRate = 0; // Integral of v . n (positive when leaving the domain)
+        let totalFlowRate = 0; // Integral of |v|, as the scale of the net flow rate
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          const localNodalNumbers = this.nop[elementIndex].map((globalNodeNumber) => globalNodeNumber - 1);
+          const sideIntegrationPoints = this.getSideIntegrationPoints(
+            elementIndex,
+            side,
+            nodesXCoordinates,
+            nodesYCoordinates
+          );
+          for (const { basisFunction, xCoordinates, yCoordinates, weight, normal } of sideIntegrationPoints) {
+            const [velocityX, velocityY] = velocityField(
+              xCoordinates,
+              yCoordinates,
+              basisFunction,
+              localNodalNumbers
+            );
+            netFlowRate += weight * (velocityX * normal[0] + velocityY * normal[1]);
+            totalFlowRate += weight * Math.hypot(velocityX, velocityY);
+          }
+        });
+        const flowTolerance = 1e-10 * totalFlowRate;
+        if (type === "inflow" && !(netFlowRate < -flowTolerance)) {
+          throw new Error(`The flow does not enter the domain through the inflow boundary "${boundaryKey}"`);
         }
-      });
-    } else if (this.meshDimension === "2D") {
-      Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
-        if (this.boundaryConditions[boundaryKey][0] === "constantTemp") {
-          const tempValue = this.boundaryConditions[boundaryKey][1];
-          this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
-              const boundarySides = {
-                0: [0, 2], // Nodes at the bottom side of the reference element
-                1: [0, 1], // Nodes at the left side of the reference element
-                2: [1, 3], // Nodes at the top side of the reference element
-                3: [2, 3], // Nodes at the right side of the reference element
-              };
-              boundarySides[boundaryKey].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = tempValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
-              });
-            } else if (this.elementOrder === "quadratic") {
-              const boundarySides = {
-                0: [0, 3, 6], // Nodes at the bottom side of the reference element
-                1: [0, 1, 2], // Nodes at the left side of the reference element
-                2: [2, 5, 8], // Nodes at the top side of the reference element
-                3: [6, 7, 8], // Nodes at the right side of the reference element
-              };
-              boundarySides[boundaryKey].forEach((nodeIndex) => {
-                const globalNodeIndex = this.nop[elementIndex][nodeIndex] - 1;
-                // Set the residual vector to the ConstantTemp value
-                residualVector[globalNodeIndex] = tempValue;
-                // Set the Jacobian matrix row to zero
-                for (let colIndex = 0; colIndex < residualVector.length; colIndex++) {
-                  jacobianMatrix[globalNodeIndex][colIndex] = 0;
-                }
-                // Set the diagonal entry of the Jacobian matrix to one
-                jacobianMatrix[globalNodeIndex][globalNodeIndex] = 1;
-              });
-            }
-          });
+        if (type === "outflow" && !(netFlowRate > flowTolerance)) {
+          throw new Error(`The flow does not leave the domain through the outflow boundary "${boundaryKey}"`);
         }
-      });
-    }
+      }
+    });
   }
 
   /**
    * Impose convection boundary conditions (Robin type)
+   * The boundary integrals are evaluated along the sides of the elements, so any element type and curved
+   * sides are supported
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  imposeConvectionBoundaryConditions(residualVector, jacobianMatrix, nodesXCoordinates, nodesYCoordinates) {
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      if (this.boundaryConditions[boundaryKey].type === "convection") {
+        const { h: convectionCoeff, Tinf: extTemp } = this.boundaryConditions[boundaryKey];
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          const sideNodes = elementTypes[this.elementTypes[elementIndex]].sideNodes[side];
+          const sideIntegrationPoints = this.getSideIntegrationPoints(
+            elementIndex,
+            side,
+            nodesXCoordinates,
+            nodesYCoordinates
+          );
+          for (const { basisFunction, weight } of sideIntegrationPoints) {
+            for (const localNodeIndex of sideNodes) {
+              const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+              residualVector[globalNodeIndex] +=
+                -weight * basisFunction[localNodeIndex] * convectionCoeff * extTemp;
+              for (const localNodeIndex2 of sideNodes) {
+                const globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
+                jacobianMatrix.addValue(
+                  globalNodeIndex,
+                  globalNodeIndex2,
+                  -weight * basisFunction[localNodeIndex] * basisFunction[localNodeIndex2] * convectionCoeff
+                );
+              }
+            }
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Impose prescribed heat flux boundary conditions (Neumann type)
+   * A positive heat flux q enters the domain
+   * @param {array} residualVector - The residual vector to be modified
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  imposeHeatFluxBoundaryConditions(residualVector, nodesXCoordinates, nodesYCoordinates) {
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      if (this.boundaryConditions[boundaryKey].type === "heatFlux") {
+        const { q: heatFlux } = this.boundaryConditions[boundaryKey];
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          const sideNodes = elementTypes[this.elementTypes[elementIndex]].sideNodes[side];
+          const sideIntegrationPoints = this.getSideIntegrationPoints(
+            elementIndex,
+            side,
+            nodesXCoordinates,
+            nodesYCoordinates
+          );
+          for (const { basisFunction, xCoordinates, yCoordinates, weight } of sideIntegrationPoints) {
+            const heatFluxValue =
+              typeof heatFlux === "function" ? heatFlux(xCoordinates, yCoordinates) : heatFlux;
+            for (const localNodeIndex of sideNodes) {
+              const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+              residualVector[globalNodeIndex] += -weight * basisFunction[localNodeIndex] * heatFluxValue;
+            }
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Impose surface radiation boundary conditions, with the heat flux emissivity * sigma * (Tinf^4 - T^4)
+   * entering the domain (temperatures must be absolute)
+   * The condition is nonlinear, so it is linearized at the current solution for a Newton-Raphson iteration:
+   * T^4 ~ 4 * Tk^3 * T - 3 * Tk^4, i.e., a convection condition with h = 4 * emissivity * sigma * Tk^3
    * @param {array} residualVector - The residual vector to be modified
-   * @param {array} jacobianMatrix - The Jacobian matrix to be modified
-   * @param {array} gaussPoints - Array of Gauss points for numerical integration
-   * @param {array} gaussWeights - Array of Gauss weights for numerical integration
+   * @param {SparseMatrix} jacobianMatrix - The Jacobian matrix to be modified
    * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
    * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
-   * @param {object} basisFunctionsData - Object containing basis functions and their derivatives
-   * @param {array} convectionHeatTranfCoeff - Array of convection heat transfer coefficients
-   * @param {array} convectionExtTemp - Array of external temperatures for convection
+   * @param {array} solutionVector - The current solution (nodal temperatures)
    */
-  imposeConvectionBoundaryConditions(
+  imposeRadiationBoundaryConditions(
     residualVector,
     jacobianMatrix,
-    gaussPoints,
-    gaussWeights,
     nodesXCoordinates,
     nodesYCoordinates,
-    basisFunctionsData,
-    convectionHeatTranfCoeff,
-    convectionExtTemp
+    solutionVector
   ) {
-    if (this.meshDimension === "2D") {
-      Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
-        if (this.boundaryConditions[boundaryKey][0] === "convection") {
-          const convectionCoeff = convectionHeatTranfCoeff[boundaryKey];
-          const extTemp = convectionExtTemp[boundaryKey];
-          this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
-            if (this.elementOrder === "linear") {
-              let gaussPoint1, gaussPoint2, firstNodeIndex, lastNodeIndex, nodeIncrement;
-              if (side === 0) {
-                // Nodes at the bottom side of the reference element
-                gaussPoint1 = gaussPoints[0];
-                gaussPoint2 = 0;
-                firstNodeIndex = 0;
-                lastNodeIndex = 3;
-                nodeIncrement = 2;
-              } else if (side === 1) {
-                // Nodes at the left side of the reference element
-                gaussPoint1 = 0;
-                gaussPoint2 = gaussPoints[0];
-                firstNodeIndex = 0;
-                lastNodeIndex = 2;
-                nodeIncrement = 1;
-              } else if (side === 2) {
-                // Nodes at the top side of the reference element
-                gaussPoint1 = gaussPoints[0];
-                gaussPoint2 = 1;
-                firstNodeIndex = 1;
-                lastNodeIndex = 4;
-                nodeIncrement = 2;
-              } else if (side === 3) {
-                // Nodes at the right side of the reference element
-                gaussPoint1 = 1;
-                gaussPoint2 = gaussPoints[0];
-                firstNodeIndex = 2;
-                lastNodeIndex = 4;
-                nodeIncrement = 1;
-              }
-              let basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(
-                gaussPoint1,
-                gaussPoint2
-              );
-              let basisFunction = basisFunctionsAndDerivatives.basisFunction;
-              let basisFunctionDerivKsi = basisFunctionsAndDerivatives.basisFunctionDerivKsi;
-              let basisFunctionDerivEta = basisFunctionsAndDerivatives.basisFunctionDerivEta;
-              let xCoordinates = 0;
-              let ksiDerivX = 0;
-              let etaDerivY = 0;
-              const numNodes = this.nop[elementIndex].length;
-              for (let nodeIndex = 0; nodeIndex < numNodes; nodeIndex++) {
-                xCoordinates +=
-                  nodesXCoordinates[this.nop[elementIndex][nodeIndex] - 1] * basisFunction[nodeIndex];
-                ksiDerivX +=
-                  nodesXCoordinates[this.nop[elementIndex][nodeIndex] - 1] * basisFunctionDerivKsi[nodeIndex];
-                etaDerivY +=
-                  nodesYCoordinates[this.nop[elementIndex][nodeIndex] - 1] * basisFunctionDerivEta[nodeIndex];
-              }
-              for (
-                let localNodeIndex = firstNodeIndex;
-                localNodeIndex < lastNodeIndex;
-                localNodeIndex += nodeIncrement
-              ) {
-                let globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
-                if (side === 0 || side === 2) {
-                  // Horizontal boundaries of the domain (assuming a rectangular domain)
-                  residualVector[globalNodeIndex] +=
-                    -gaussWeights[0] * ksiDerivX * basisFunction[localNodeIndex] * convectionCoeff * extTemp;
-                  for (
-                    let localNodeIndex2 = firstNodeIndex;
-                    localNodeIndex2 < lastNodeIndex;
-                    localNodeIndex2 += nodeIncrement
-                  ) {
-                    let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                    jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
-                      -gaussWeights[0] *
-                      ksiDerivX *
-                      basisFunction[localNodeIndex] *
-                      basisFunction[localNodeIndex2] *
-                      convectionCoeff;
-                  }
-                } else if (side === 1 || side === 3) {
-                  // Vertical boundaries of the domain (assuming a rectangular domain)
-                  residualVector[globalNodeIndex] +=
-                    -gaussWeights[0] * etaDerivY * basisFunction[localNodeIndex] * convectionCoeff * extTemp;
-                  for (
-                    let localNodeIndex2 = firstNodeIndex;
-                    localNodeIndex2 < lastNodeIndex;
-                    localNodeIndex2 += nodeIncrement
-                  ) {
-                    let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                    jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
-                      -gaussWeights[0] *
-                      etaDerivY *
-                      basisFunction[localNodeIndex] *
-                      basisFunction[localNodeIndex2] *
-                      convectionCoeff;
-                  }
-                }
-              }
-            } else if (this.elementOrder === "quadratic") {
-              for (let gaussPointIndex = 0; gaussPointIndex < 3; gaussPointIndex++) {
-                let gaussPoint1, gaussPoint2, firstNodeIndex, lastNodeIndex, nodeIncrement;
-                if (side === 0) {
-                  // Nodes at the bottom side of the reference element
-                  gaussPoint1 = gaussPoints[gaussPointIndex];
-                  gaussPoint2 = 0;
-                  firstNodeIndex = 0;
-                  lastNodeIndex = 7;
-                  nodeIncrement = 3;
-                } else if (side === 1) {
-                  // Nodes at the left side of the reference element
-                  gaussPoint1 = 0;
-                  gaussPoint2 = gaussPoints[gaussPointIndex];
-                  firstNodeIndex = 0;
-                  lastNodeIndex = 3;
-                  nodeIncrement = 1;
-                } else if (side === 2) {
-                  // Nodes at the top side of the reference element
-                  gaussPoint1 = gaussPoints[gaussPointIndex];
-                  gaussPoint2 = 1;
-                  firstNodeIndex = 2;
-                  lastNodeIndex = 9;
-                  nodeIncrement = 3;
-                } else if (side === 3) {
-                  // Nodes at the right side of the reference element
-                  gaussPoint1 = 1;
-                  gaussPoint2 = gaussPoints[gaussPointIndex];
-                  firstNodeIndex = 6;
-                  lastNodeIndex = 9;
-                  nodeIncrement = 1;
-                }
-                let basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(
-                  gaussPoint1,
-                  gaussPoint2
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      if (this.boundaryConditions[boundaryKey].type === "radiation") {
+        const { emissivity, Tinf: ambientTemp } = this.boundaryConditions[boundaryKey];
+        const radiationCoeff = emissivity * stefanBoltzmannConstant;
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          const sideNodes = elementTypes[this.elementTypes[elementIndex]].sideNodes[side];
+          const sideIntegrationPoints = this.getSideIntegrationPoints(
+            elementIndex,
+            side,
+            nodesXCoordinates,
+            nodesYCoordinates
+          );
+          for (const { basisFunction, weight } of sideIntegrationPoints) {
+            // Temperature of the current solution at the integration point
+            let currentTemp = 0;
+            for (const localNodeIndex of sideNodes) {
+              currentTemp +=
+                solutionVector[this.nop[elementIndex][localNodeIndex] - 1] * basisFunction[localNodeIndex];
+            }
+            for (const localNodeIndex of sideNodes) {
+              const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+              residualVector[globalNodeIndex] +=
+                -weight *
+                basisFunction[localNodeIndex] *
+                radiationCoeff *
+                (ambientTemp ** 4 + 3 * currentTemp ** 4);
+              for (const localNodeIndex2 of sideNodes) {
+                const globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
+                jacobianMatrix.addValue(
+                  globalNodeIndex,
+                  globalNodeIndex2,
+                  -weight *
+                    basisFunction[localNodeIndex] *
+                    basisFunction[localNodeIndex2] *
+                    4 *
+                    radiationCoeff *
+                    currentTemp ** 3
                 );
-                let basisFunction = basisFunctionsAndDerivatives.basisFunction;
-                let basisFunctionDerivKsi = basisFunctionsAndDerivatives.basisFunctionDerivKsi;
-                let basisFunctionDerivEta = basisFunctionsAndDerivatives.basisFunctionDerivEta;
-                let xCoordinates = 0;
-                let ksiDerivX = 0;
-                let etaDerivY = 0;
-                const numNodes = this.nop[elementIndex].length;
-                for (let nodeIndex = 0; nodeIndex < numNodes; nodeIndex++) {
-                  xCoordinates +=
-                    nodesXCoordinates[this.nop[elementIndex][nodeIndex] - 1] * basisFunction[nodeIndex];
-                  ksiDerivX +=
-                    nodesXCoordinates[this.nop[elementIndex][nodeIndex] - 1] *
-                    basisFunctionDerivKsi[nodeIndex];
-                  etaDerivY +=
-                    nodesYCoordinates[this.nop[elementIndex][nodeIndex] - 1] *
-                    basisFunctionDerivEta[nodeIndex];
-                }
-                for (
-                  let localNodeIndex = firstNodeIndex;
-                  localNodeIndex < lastNodeIndex;
-                  localNodeIndex += nodeIncrement
-                ) {
-                  let globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
-                  if (side === 0 || side === 2) {
-                    // Horizontal boundaries of the domain (assuming a rectangular domain)
-                    residualVector[globalNodeIndex] +=
-                      -gaussWeights[gaussPointIndex] *
-                      ksiDerivX *
-                      basisFunction[localNodeIndex] *
-                      convectionCoeff *
-                      extTemp;
-                    for (
-                      let localNodeIndex2 = firstNodeIndex;
-                      localNodeIndex2 < lastNodeIndex;
-                      localNodeIndex2 += nodeIncrement
-                    ) {
-                      let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                      jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
-                        -gaussWeights[gaussPointIndex] *
-                        ksiDerivX *
-                        basisFunction[localNodeIndex] *
-                        basisFunction[localNodeIndex2] *
-                        convectionCoeff;
-                    }
-                  } else if (side === 1 || side === 3) {
-                    // Vertical boundaries of the domain (assuming a rectangular domain)
-                    residualVector[globalNodeIndex] +=
-                      -gaussWeights[gaussPointIndex] *
-                      etaDerivY *
-                      basisFunction[localNodeIndex] *
-                      convectionCoeff *
-                      extTemp;
-                    for (
-                      let localNodeIndex2 = firstNodeIndex;
-                      localNodeIndex2 < lastNodeIndex;
-                      localNodeIndex2 += nodeIncrement
-                    ) {
-                      let globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
-                      jacobianMatrix[globalNodeIndex][globalNodeIndex2] +=
-                        -gaussWeights[gaussPointIndex] *
-                        etaDerivY *
-                        basisFunction[localNodeIndex] *
-                        basisFunction[localNodeIndex2] *
-                        convectionCoeff;
-                    }
-                  }
-                }
               }
             }
-          });
-        }
-      });
-    }
+          }
+        });
+      }
+    });
   }
 }
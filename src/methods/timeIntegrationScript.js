@@ -0,0 +1,147 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { addSparseMatrices } from "./sparseMatrixScript.js";
+import { createLinearSolver } from "./linearSolversScript.js";
+
+// Named theta schemes
+const thetaSchemes = {
+  explicitEuler: 0,
+  crankNicolson: 0.5,
+  implicitEuler: 1,
+};
+
+/**
+ * Check the transient configuration, throwing a descriptive error if it is not valid
+ * @param {object} transientConfig - Object containing the time-stepping details
+ * @returns {number} The value of theta
+ */
+export function validateTransientConfig({ timeStep, endTime, theta = 1, outputInterval = 1, onStep }) {
+  if (!(typeof timeStep === "number" && timeStep > 0)) {
+    throw new Error(`Transient timeStep must be a positive number, got ${timeStep}`);
+  }
+  if (!(typeof endTime === "number" && endTime > 0)) {
+    throw new Error(`Transient endTime must be a positive number, got ${endTime}`);
+  }
+  // The time step is constant (the system matrix is factorized once), so it must divide the end time
+  const numTimeSteps = endTime / timeStep;
+  if (Math.abs(numTimeSteps - Math.round(numTimeSteps)) > 1e-9 * numTimeSteps) {
+    throw new Error(`Transient endTime must be a whole number of time steps, got ${numTimeSteps} steps`);
+  }
+  const thetaValue = typeof theta === "string" ? thetaSchemes[theta] : theta;
+  if (!(typeof thetaValue === "number" && thetaValue >= 0 && thetaValue <= 1)) {
+    throw new Error(
+      `Transient theta must be a number between 0 and 1 or one of: ${Object.keys(thetaSchemes).join(", ")}`
+    );
+  }
+  if (!(Number.isInteger(outputInterval) && outputInterval > 0)) {
+    throw new Error(`Transient outputInterval must be a positive integer, got ${outputInterval}`);
+  }
+  if (onStep !== undefined && typeof onStep !== "function") {
+    throw new Error("Transient onStep must be a function");
+  }
+  return thetaValue;
+}
+
+/**
+ * Evaluate the initial condition at the nodes of the mesh
+ * @param {*} initialValue - A constant, a function of (x, y), or an array of nodal values
+ * @param {object} nodesCoordinates - Object containing x and y coordinates of nodes
+ * @returns {array} The nodal values of the initial condition
+ */
+export function evaluateInitialCondition(initialValue, { nodesXCoordinates, nodesYCoordinates }) {
+  const totalNodes = nodesXCoordinates.length;
+  if (typeof initialValue === "number") {
+    return new Array(totalNodes).fill(initialValue);
+  } else if (typeof initialValue === "function") {
+    return nodesXCoordinates.map((x, nodeIndex) =>
+      initialValue(x, nodesYCoordinates ? nodesYCoordinates[nodeIndex] : 0)
+    );
+  } else if (Array.isArray(initialValue) || ArrayBuffer.isView(initialValue)) {
+    if (initialValue.length !== totalNodes) {
+      throw new Error(`Initial condition has ${initialValue.length} nodal values, expected ${totalNodes}`);
+    }
+    return Array.from(initialValue);
+  }
+  throw new Error("Initial condition must be a number, a function of (x, y) or an array of nodal values");
+}
+
+/**
+ * Advance the first-order system C du/dt = J u - R in time with the theta method (J u = R at steady state)
+ * (theta = 0: explicit Euler, theta = 0.5: Crank-Nicolson, theta = 1: implicit Euler)
+ * @param {object} systemData - Object containing the assembled system
+ * @param {CSRMatrix} systemData.jacobianMatrix - The Jacobian matrix (without Dirichlet conditions)
+ * @param {array} systemData.residualVector - The residual vector (without Dirichlet conditions)
+ * @param {CSRMatrix} systemData.capacitanceMatrix - The capacitance (mass) matrix
+ * @param {Map} systemData.constrainedValues - Map from the constrained unknown index to its prescribed value
+ * @param {object} timeSteppingConfig - Object containing the time-stepping details
+ * @param {array} timeSteppingConfig.initialSolution - The solution at time zero
+ * @param {number} timeSteppingConfig.timeStep - The time step
+ * @param {number} timeSteppingConfig.endTime - The end time (a whole number of time steps)
+ * @param {number} timeSteppingConfig.theta - The theta parameter of the scheme
+ * @param {number} [timeSteppingConfig.outputInterval=1] - Number of time steps between stored solutions
+ * @param {function} [timeSteppingConfig.onStep] - Callback called after every step with
+ * { step, numTimeSteps, time, solutionVector }
+ * @param {string} solverMethod - The solver method of the linear systems
+ * @param {object} [solverOptions] - Options of the iterative solvers
+ * @returns {object} An object containing:
+ *  - solutionVector: The solution at the end time
+ *  - solutionHistory: Array of the stored solution vectors (including the initial solution)
+ *  - timeValues: Array of the times of the stored solution vectors
+ */
+export function thetaMethodSolver(
+  { jacobianMatrix, residualVector, capacitanceMatrix, constrainedValues },
+  { initialSolution, timeStep, endTime, theta, outputInterval = 1, onStep },
+  solverMethod,
+  solverOptions = {}
+) {
+  const numTimeSteps = Math.round(endTime / timeStep); // Checked by validateTransientConfig
+  const numRows = residualVector.length;
+
+  // Left-hand side matrix C / dt - theta * J, with the Dirichlet conditions imposed once
+  const lhsMatrix = addSparseMatrices(1 / timeStep, capacitanceMatrix, -theta, jacobianMatrix);
+  const liftingVector = new Array(numRows).fill(0); // Contribution of the prescribed values to the right-hand side
+  lhsMatrix.imposeDirichletConditions(constrainedValues, liftingVector);
+  const linearSolver = createLinearSolver(solverMethod, lhsMatrix, solverOptions);
+
+  // Right-hand side matrix C / dt + (1 - theta) * J
+  const rhsMatrix = addSparseMatrices(1 / timeStep, capacitanceMatrix, 1 - theta, jacobianMatrix);
+  const rhsVector = new Float64Array(numRows);
+
+  let solutionVector = Array.from(initialSolution);
+  const solutionHistory = [solutionVector];
+  const timeValues = [0];
+
+  for (let step = 1; step <= numTimeSteps; step++) {
+    const time = step * timeStep;
+
+    // Assemble the right-hand side of the step
+    rhsMatrix.multiply(solutionVector, rhsVector);
+    for (let rowIndex = 0; rowIndex < numRows; rowIndex++) {
+      if (constrainedValues.has(rowIndex)) {
+        rhsVector[rowIndex] = liftingVector[rowIndex];
+      } else {
+        rhsVector[rowIndex] += liftingVector[rowIndex] - residualVector[rowIndex];
+      }
+    }
+
+    ({ solutionVector } = linearSolver.solve(rhsVector, solutionVector));
+
+    if (step % outputInterval === 0 || step === numTimeSteps) {
+      solutionHistory.push(solutionVector);
+      timeValues.push(time);
+    }
+    if (onStep) {
+      onStep({ step, numTimeSteps, time, solutionVector });
+    }
+  }
+
+  return { solutionVector, solutionHistory, timeValues };
+}
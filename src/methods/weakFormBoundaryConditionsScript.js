@@ -0,0 +1,189 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import { BoundaryConditions } from "./boundaryConditionsScript.js";
+
+// Parameters of each boundary condition type of general PDEs, in the order of the positional form
+// (e.g., ["robin", alpha, g]); the values of vector problems are given per component, or as a number (or a
+// function of (x, y) returning one) shared by all the components
+export const weakFormBoundaryConditionTypes = {
+  dirichlet: { u: "componentValues" }, // Prescribed value of the unknown (null leaves a component free)
+  neumann: { g: "componentValues" }, // Prescribed flux (A grad u) . n, where n is the outward normal
+  robin: { alpha: "number", g: "componentValues" }, // Flux (A grad u) . n = g - alpha u
+  natural: {}, // Zero flux (natural boundary condition, nothing to impose)
+};
+
+/**
+ * Class to handle the boundary conditions of general PDEs
+ * The unknowns are numbered with numComponents degrees of freedom per node, numComponents * nodeIndex +
+ * component
+ */
+export class WeakFormBoundaryConditions extends BoundaryConditions {
+  /**
+   * Constructor to initialize the boundary conditions
+   * @param {object} boundaryConditions - Object mapping each boundary name to its condition in object form
+   * (see normalizeBoundaryConditions)
+   * @param {object} boundaryElements - Object containing elements that belong to each boundary
+   * @param {array} nop - Nodal numbering (NOP) array representing the connectivity between elements and nodes
+   * @param {string} meshDimension - The dimension of the mesh (e.g., "2D")
+   * @param {string} elementOrder - The order of elements (e.g., "linear", "quadratic")
+   * @param {array} [elementTypesArray] - The type of each element
+   * @param {string} [coordinateSystem='cartesian'] - The coordinate system, "cartesian" or "axisymmetric"
+   * @param {number} [numComponents=1] - The number of components of the unknown
+   */
+  constructor(
+    boundaryConditions,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    elementTypesArray,
+    coordinateSystem = "cartesian",
+    numComponents = 1
+  ) {
+    super(
+      boundaryConditions,
+      boundaryElements,
+      nop,
+      meshDimension,
+      elementOrder,
+      elementTypesArray,
+      coordinateSystem
+    );
+    this.numComponents = numComponents;
+  }
+
+  /**
+   * Evaluate the per-component values of a boundary condition parameter at a point
+   * @param {string} boundaryKey - The name of the boundary (used in the error messages)
+   * @param {*} value - The parameter: a number, a function of (x, y), or an array of per-component values
+   * @param {number} x - The x-coordinate of the point
+   * @param {number} y - The y-coordinate of the point
+   * @returns {array} The numComponents values (null for free components)
+   */
+  evaluateComponentValues(boundaryKey, value, x, y) {
+    const pointValue = typeof value === "function" ? value(x, y) : value;
+    if (typeof pointValue === "number" && Number.isFinite(pointValue)) {
+      return new Array(this.numComponents).fill(pointValue);
+    }
+    if (
+      !Array.isArray(pointValue) ||
+      pointValue.length !== this.numComponents ||
+      !pointValue.every((entry) => entry === null || (typeof entry === "number" && Number.isFinite(entry)))
+    ) {
+      throw new Error(
+        `The boundary condition on boundary "${boundaryKey}" must give a number or ${this.numComponents} ` +
+          `per-component values, got ${pointValue}`
+      );
+    }
+    return pointValue;
+  }
+
+  /**
+   * Impose the prescribed values of the unknown (Dirichlet boundary conditions)
+   * The conditions are imposed symmetrically, so that a symmetric matrix stays symmetric
+   * @param {array} residualVector - The load vector to be modified
+   * @param {CSRMatrix} jacobianMatrix - The compressed matrix to be modified
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  imposeDirichletBoundaryConditions(residualVector, jacobianMatrix, nodesXCoordinates, nodesYCoordinates) {
+    jacobianMatrix.imposeDirichletConditions(
+      this.getConstrainedValues(nodesXCoordinates, nodesYCoordinates),
+      residualVector
+    );
+  }
+
+  /**
+   * Collect the prescribed values of the degrees of freedom, with the functions of (x, y) evaluated at the
+   * nodes
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} [nodesYCoordinates] - Array of y-coordinates of nodes (none in 1D)
+   * @returns {Map} Map from the degree of freedom index to the prescribed value
+   */
+  getConstrainedValues(nodesXCoordinates, nodesYCoordinates) {
+    const constrainedValues = new Map(); // Degree of freedom index -> prescribed value
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const condition = this.boundaryConditions[boundaryKey];
+      if (condition.type === "dirichlet") {
+        this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+          this.getSideNodes(elementIndex, side).forEach((globalNodeIndex) => {
+            const componentValues = this.evaluateComponentValues(
+              boundaryKey,
+              condition.u,
+              nodesXCoordinates[globalNodeIndex],
+              nodesYCoordinates ? nodesYCoordinates[globalNodeIndex] : 0
+            );
+            componentValues.forEach((value, component) => {
+              if (value !== null) {
+                constrainedValues.set(this.numComponents * globalNodeIndex + component, value);
+              }
+            });
+          });
+        });
+      }
+    });
+
+    return constrainedValues;
+  }
+
+  /**
+   * Impose the prescribed fluxes (Neumann and Robin boundary conditions)
+   * @param {array} residualVector - The load vector to be modified
+   * @param {SparseMatrix} jacobianMatrix - The matrix to be modified (by the Robin term alpha u)
+   * @param {array} nodesXCoordinates - Array of x-coordinates of nodes
+   * @param {array} nodesYCoordinates - Array of y-coordinates of nodes
+   */
+  imposeFluxBoundaryConditions(residualVector, jacobianMatrix, nodesXCoordinates, nodesYCoordinates) {
+    const { numComponents } = this;
+    Object.keys(this.boundaryConditions).forEach((boundaryKey) => {
+      const condition = this.boundaryConditions[boundaryKey];
+      if (condition.type !== "neumann" && condition.type !== "robin") {
+        return;
+      }
+      const robinCoeff = condition.type === "robin" ? condition.alpha : 0;
+      this.boundaryElements[boundaryKey].forEach(([elementIndex, side]) => {
+        const sideNodes = elementTypes[this.elementTypes[elementIndex]].sideNodes[side];
+        const sideIntegrationPoints = this.getSideIntegrationPoints(
+          elementIndex,
+          side,
+          nodesXCoordinates,
+          nodesYCoordinates
+        );
+        for (const { basisFunction, xCoordinates, yCoordinates, weight } of sideIntegrationPoints) {
+          const fluxValues = this.evaluateComponentValues(
+            boundaryKey,
+            condition.g,
+            xCoordinates,
+            yCoordinates
+          );
+          for (const localNodeIndex of sideNodes) {
+            const globalNodeIndex = this.nop[elementIndex][localNodeIndex] - 1;
+            for (let component = 0; component < numComponents; component++) {
+              residualVector[numComponents * globalNodeIndex + component] +=
+                weight * basisFunction[localNodeIndex] * (fluxValues[component] || 0);
+              if (robinCoeff !== 0) {
+                for (const localNodeIndex2 of sideNodes) {
+                  const globalNodeIndex2 = this.nop[elementIndex][localNodeIndex2] - 1;
+                  jacobianMatrix.addValue(
+                    numComponents * globalNodeIndex + component,
+                    numComponents * globalNodeIndex2 + component,
+                    weight * basisFunction[localNodeIndex] * basisFunction[localNodeIndex2] * robinCoeff
+                  );
+                }
+              }
+            }
+          }
+        }
+      });
+    });
+  }
+}
@@ -0,0 +1,184 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { computeIsoparametricMapping } from "../mesh/isoparametricMappingScript.js";
+import {
+  validateMaterialProperty,
+  evaluateMaterialProperty,
+  computeElasticityMatrix,
+} from "../methods/materialPropertiesScript.js";
+import {
+  getStressState,
+  computeStrainDisplacementMatrix,
+  createThermalStrainField,
+} from "../solvers/linearElasticityScript.js";
+import { getElementTypesData, recoverNodalValues } from "./patchRecoveryScript.js";
+
+/**
+ * Compute the strains and stresses at the Gauss points of every element of a linear elastic solution
+ * The components are given in the order [xx, yy, zz, xy], where zz is the out-of-plane (or, in axisymmetric
+ * analyses, the hoop) component and the xy strain is the engineering shear strain
+ * @param {object} solution - The object returned by FEAScriptModel.solve for the linearElasticityScript solver,
+ * containing the solutionVector (interleaved displacements) and the meshData
+ * @param {object} materialConfig - Object containing the material properties (E, nu, stressState and the
+ * thermal expansion properties, see assembleLinearElasticityMat); the stresses are then those of the elastic
+ * strain, i.e., the strain minus the free thermal strain
+ * @returns {array} Array of Gauss points, each given as { elementIndex, xCoordinates, yCoordinates,
+ * displacement: [ux, uy], strain, stress, vonMises, principalStresses: [s1, s2] }, where the principal
+ * stresses are those in the xy-plane (s1 >= s2)
+ */
+export function computeGaussPointStress(solution, materialConfig) {
+  const { solutionVector, meshData } = solution;
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering,
+    elementTypes: meshElementTypes,
+    coordinateSystem = "cartesian",
+  } = meshData;
+  const { E: youngsModulus, nu: poissonsRatio } = materialConfig;
+  validateMaterialProperty("E", youngsModulus, nodalNumbering.length, false, false);
+  validateMaterialProperty("nu", poissonsRatio, nodalNumbering.length, false, false);
+  const stressState = getStressState(materialConfig, coordinateSystem);
+  const thermalStrainField = createThermalStrainField(
+    materialConfig,
+    nodesXCoordinates.length,
+    nodalNumbering.length
+  );
+
+  const gaussPointData = [];
+  const elementTypesData = getElementTypesData(meshElementTypes);
+  nodalNumbering.forEach((elementNodes, elementIndex) => {
+    const { basisFunctionsData, integrationPoints } = elementTypesData[meshElementTypes[elementIndex]];
+    const localNodalNumbers = elementNodes.map((globalNodeNumber) => globalNodeNumber - 1);
+    const elementDisplacements = localNodalNumbers.flatMap((globalNodeIndex) => [
+      solutionVector[2 * globalNodeIndex],
+      solutionVector[2 * globalNodeIndex + 1],
+    ]);
+
+    for (const { ksi, eta } of integrationPoints) {
+      const basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(ksi, eta);
+      const { basisFunction } = basisFunctionsAndDerivatives;
+      const { xCoordinates, yCoordinates, basisFunctionDerivX, basisFunctionDerivY } =
+        computeIsoparametricMapping(
+          basisFunctionsAndDerivatives,
+          localNodalNumbers,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          "2D"
+        );
+      const youngsModulusValue = evaluateMaterialProperty(
+        youngsModulus,
+        xCoordinates,
+        yCoordinates,
+        elementIndex
+      );
+      const poissonsRatioValue = evaluateMaterialProperty(
+        poissonsRatio,
+        xCoordinates,
+        yCoordinates,
+        elementIndex
+      );
+      const elasticityMatrix = computeElasticityMatrix(youngsModulusValue, poissonsRatioValue, stressState);
+
+      const strain = computeStrainDisplacementMatrix(
+        basisFunction,
+        basisFunctionDerivX,
+        basisFunctionDerivY,
+        xCoordinates,
+        stressState
+      ).map((strainRow) =>
+        strainRow.reduce((sum, entry, dofIndex) => sum + entry * elementDisplacements[dofIndex], 0)
+      );
+      const thermalStrainValue = thermalStrainField
+        ? thermalStrainField(xCoordinates, yCoordinates, elementIndex, basisFunction, localNodalNumbers)
+        : 0;
+      const elasticStrain = strain.map((value, strainIndex) =>
+        strainIndex < 3 ? value - thermalStrainValue : value
+      );
+      const stress = elasticityMatrix.map((elasticityRow) =>
+        elasticityRow.reduce((sum, entry, strainIndex) => sum + entry * elasticStrain[strainIndex], 0)
+      );
+      // Out-of-plane strain of the free (szz = 0) plane stress state
+      if (stressState === "planeStress") {
+        strain[2] =
+          thermalStrainValue +
+          (-poissonsRatioValue / (1 - poissonsRatioValue)) * (elasticStrain[0] + elasticStrain[1]);
+      }
+
+      gaussPointData.push({
+        elementIndex,
+        xCoordinates,
+        yCoordinates,
+        displacement: [0, 1].map((component) =>
+          basisFunction.reduce(
+            (sum, value, localNodeIndex) =>
+              sum + value * elementDisplacements[2 * localNodeIndex + component],
+            0
+          )
+        ),
+        strain,
+        stress,
+        ...computeStressMeasures(stress),
+      });
+    }
+  });
+
+  return gaussPointData;
+}
+
+/**
+ * Compute smoothed nodal values of the strains and stresses of a linear elastic solution with the
+ * superconvergent patch recovery (SPR, see recoverNodalValues), and the von Mises and principal stresses of the
+ * recovered stresses
+ * @param {object} solution - The object returned by FEAScriptModel.solve (see computeGaussPointStress)
+ * @param {object} materialConfig - Object containing the material properties (see computeGaussPointStress)
+ * @returns {object} An object containing the nodal arrays strainXX, strainYY, strainZZ, strainXY, stressXX,
+ * stressYY, stressZZ, stressXY, vonMises, principalStress1 and principalStress2
+ */
+export function computeNodalStress(solution, materialConfig) {
+  const nodalValues = recoverNodalValues(
+    solution.meshData,
+    computeGaussPointStress(solution, materialConfig),
+    ({ strain, stress }) => [...strain, ...stress]
+  );
+
+  const nodalStress = {};
+  ["strain", "stress"].forEach((fieldName, fieldIndex) => {
+    ["XX", "YY", "ZZ", "XY"].forEach((componentName, componentIndex) => {
+      nodalStress[`${fieldName}${componentName}`] = nodalValues.map(
+        (values) => values[4 * fieldIndex + componentIndex]
+      );
+    });
+  });
+  const stressMeasures = nodalValues.map((values) => computeStressMeasures(values.slice(4)));
+  nodalStress.vonMises = stressMeasures.map(({ vonMises }) => vonMises);
+  nodalStress.principalStress1 = stressMeasures.map(({ principalStresses }) => principalStresses[0]);
+  nodalStress.principalStress2 = stressMeasures.map(({ principalStresses }) => principalStresses[1]);
+
+  return nodalStress;
+}
+
+/**
+ * Compute the von Mises stress and the principal stresses in the xy-plane of a stress state
+ * @param {array} stress - The stress components [sxx, syy, szz, sxy]
+ * @returns {object} The vonMises stress and the principalStresses [s1, s2] (s1 >= s2)
+ */
+function computeStressMeasures([stressXX, stressYY, stressZZ, stressXY]) {
+  const meanStress = (stressXX + stressYY) / 2;
+  const radius = Math.hypot((stressXX - stressYY) / 2, stressXY); // Radius of the Mohr circle
+  return {
+    vonMises: Math.sqrt(
+      ((stressXX - stressYY) ** 2 + (stressYY - stressZZ) ** 2 + (stressZZ - stressXX) ** 2) / 2 +
+        3 * stressXY ** 2
+    ),
+    principalStresses: [meanStress + radius, meanStress - radius],
+  };
+}
@@ -0,0 +1,328 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { numericalIntegration } from "../methods/numericalIntegrationScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import {
+  computeIsoparametricMapping,
+  computeSideIntegrationPoints,
+  getCoordinateSystemWeight,
+} from "../mesh/isoparametricMappingScript.js";
+import { normalizeBoundaryConditions, resolveBoundaryNames } from "../methods/boundaryConditionsScript.js";
+import { validateMaterialProperty, evaluateConductivityTensor } from "../methods/materialPropertiesScript.js";
+import {
+  ThermalBoundaryConditions,
+  thermalBoundaryConditionTypes,
+} from "../methods/thermalBoundaryConditionsScript.js";
+import { SparseMatrix } from "../methods/sparseMatrixScript.js";
+import { assembleSolidHeatTransferMat } from "../solvers/solidHeatTransferScript.js";
+import { getElementTypesData, recoverNodalValues } from "./patchRecoveryScript.js";
+
+/**
+ * Compute the temperature gradient and the heat flux q = -k grad T at the Gauss points of every element
+ * @param {object} solution - The object returned by FEAScriptModel.solve, containing the solutionVector and
+ * the meshData (for a transient analysis, another solution may be selected, e.g.
+ * { ...solution, solutionVector: solution.solutionHistory[i] })
+ * @param {object} [materialConfig] - Object containing the material properties (k, see setMaterialConfig)
+ * @returns {array} Array of Gauss points, each given as { elementIndex, xCoordinates, yCoordinates, temperature,
+ * temperatureGradient: [dT/dx, dT/dy], heatFlux: [qx, qy] }
+ */
+export function computeGaussPointHeatFlux(solution, materialConfig = {}) {
+  const { solutionVector, meshData } = solution;
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering, elementTypes: meshElementTypes } = meshData;
+  const { k: thermalConductivity = 1 } = materialConfig;
+  validateMaterialProperty("k", thermalConductivity, nodalNumbering.length, true);
+
+  const gaussPointData = [];
+  const elementTypesData = getElementTypesData(meshElementTypes);
+  nodalNumbering.forEach((elementNodes, elementIndex) => {
+    const { basisFunctionsData, integrationPoints } = elementTypesData[meshElementTypes[elementIndex]];
+    const localNodalNumbers = elementNodes.map((globalNodeNumber) => globalNodeNumber - 1);
+    for (const { ksi, eta } of integrationPoints) {
+      gaussPointData.push({
+        elementIndex,
+        ...evaluateHeatFlux(
+          basisFunctionsData.getBasisFunctions(ksi, eta),
+          meshElementTypes[elementIndex],
+          elementIndex,
+          localNodalNumbers,
+          solution,
+          thermalConductivity
+        ),
+      });
+    }
+  });
+
+  return gaussPointData;
+}
+
+/**
+ * Compute smoothed nodal values of the temperature gradient and of the heat flux with the superconvergent
+ * patch recovery (SPR, see recoverNodalValues)
+ * @param {object} solution - The object returned by FEAScriptModel.solve (see computeGaussPointHeatFlux)
+ * @param {object} [materialConfig] - Object containing the material properties (k, see setMaterialConfig)
+ * @returns {object} An object containing the nodal arrays temperatureGradientX, temperatureGradientY,
+ * heatFluxX, heatFluxY and heatFluxMagnitude
+ */
+export function computeNodalHeatFlux(solution, materialConfig = {}) {
+  const nodalValues = recoverNodalValues(
+    solution.meshData,
+    computeGaussPointHeatFlux(solution, materialConfig),
+    ({ temperatureGradient, heatFlux }) => [...temperatureGradient, ...heatFlux]
+  );
+
+  const temperatureGradientX = nodalValues.map((values) => values[0]);
+  const temperatureGradientY = nodalValues.map((values) => values[1]);
+  const heatFluxX = nodalValues.map((values) => values[2]);
+  const heatFluxY = nodalValues.map((values) => values[3]);
+  const heatFluxMagnitude = heatFluxX.map((fluxX, nodeIndex) => Math.hypot(fluxX, heatFluxY[nodeIndex]));
+
+  return { temperatureGradientX, temperatureGradientY, heatFluxX, heatFluxY, heatFluxMagnitude };
+}
+
+/**
+ * Compute the total heat flow leaving the domain through a boundary, i.e., the integral of q . n along the
+ * boundary, where n is the outward normal (per unit depth for 2D meshes, per unit area for 1D meshes, or through
+ * the whole revolved surface in axisymmetric analyses)
+ * With the boundary conditions of a steady heat transfer model, the heat flows are consistent with the
+ * assembled system, so that they balance exactly (for a fin, e.g., the heat flow entering through the base
+ * equals the heat rejected by the convection boundaries): through a constant temperature boundary, the heat flow
+ * is the sum of the nodal reactions, i.e. the residuals of the system assembled without the constant
+ * temperatures, at its nodes (those shared with other constant temperature boundaries are divided equally
+ * among them); through the other boundaries, it is the integral of their condition
+ * Otherwise (and for transient analyses), the heat flux is integrated from the element temperature gradients,
+ * which converges with mesh refinement but does not balance exactly
+ * @param {object} solution - The object returned by FEAScriptModel.solve (see computeGaussPointHeatFlux)
+ * @param {string} boundaryName - The boundary name (or legacy index "0"-"3" of structured meshes)
+ * @param {object} [materialConfig] - Object containing the material properties (k and Q, see setMaterialConfig)
+ * @param {object} [boundaryConditions] - The boundary conditions of the model (e.g., model.boundaryConditions)
+ * @returns {number} The heat flow (negative if heat enters the domain)
+ */
+export function computeBoundaryHeatFlow(
+  solution,
+  boundaryName,
+  materialConfig = {},
+  boundaryConditions = null
+) {
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+    coordinateSystem = "cartesian",
+  } = solution.meshData;
+  const { k: thermalConductivity = 1 } = materialConfig;
+  validateMaterialProperty("k", thermalConductivity, nodalNumbering.length, true);
+  const { meshDimension } = elementTypes[meshElementTypes[0]];
+  const [resolvedBoundaryName] = Object.keys(
+    resolveBoundaryNames({ [boundaryName]: null }, boundaryElements, meshDimension)
+  );
+  if (boundaryConditions !== null && solution.solutionHistory === undefined) {
+    return computeConsistentBoundaryHeatFlow(
+      solution,
+      resolvedBoundaryName,
+      materialConfig,
+      boundaryConditions
+    );
+  }
+
+  const elementTypesData = getElementTypesData(meshElementTypes);
+  let heatFlow = 0;
+  boundaryElements[resolvedBoundaryName].forEach(([elementIndex, side]) => {
+    const elementType = meshElementTypes[elementIndex];
+    const { basisFunctionsData } = elementTypesData[elementType];
+    const localNodalNumbers = nodalNumbering[elementIndex].map((globalNodeNumber) => globalNodeNumber - 1);
+    const { gaussPoints, gaussWeights } = new numericalIntegration({
+      meshDimension: "1D",
+      elementOrder: elementTypes[elementType].elementOrder,
+    }).getGaussPointsAndWeights();
+    const sideIntegrationPoints = computeSideIntegrationPoints(
+      elementType,
+      side,
+      basisFunctionsData,
+      gaussPoints,
+      gaussWeights,
+      localNodalNumbers,
+      nodesXCoordinates,
+      nodesYCoordinates
+    );
+    for (const { ksi, eta, xCoordinates, weight, normal } of sideIntegrationPoints) {
+      const { heatFlux } = evaluateHeatFlux(
+        basisFunctionsData.getBasisFunctions(ksi, eta),
+        elementType,
+        elementIndex,
+        localNodalNumbers,
+        solution,
+        thermalConductivity
+      );
+      heatFlow +=
+        weight *
+        getCoordinateSystemWeight(coordinateSystem, xCoordinates) *
+        (heatFlux[0] * normal[0] + heatFlux[1] * normal[1]);
+    }
+  });
+
+  return heatFlow;
+}
+
+/**
+ * Compute the heat flow leaving the domain through a boundary consistently with the assembled system of a
+ * steady heat transfer model (see computeBoundaryHeatFlow)
+ * @param {object} solution - The object returned by FEAScriptModel.solve
+ * @param {string} boundaryName - The resolved boundary name
+ * @param {object} materialConfig - Object containing the material properties
+ * @param {object} boundaryConditions - The boundary conditions of the model
+ * @returns {number} The heat flow (negative if heat enters the domain)
+ */
+function computeConsistentBoundaryHeatFlow(solution, boundaryName, materialConfig, boundaryConditions) {
+  const { solutionVector, meshData } = solution;
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering, boundaryElements, coordinateSystem } =
+    meshData;
+  const { meshDimension } = elementTypes[meshData.elementTypes[0]];
+  const boundaryConditionsData = resolveBoundaryNames(
+    normalizeBoundaryConditions(boundaryConditions, thermalBoundaryConditionTypes),
+    boundaryElements,
+    meshDimension
+  );
+  const createThermalBoundaryConditions = (conditionsData) =>
+    new ThermalBoundaryConditions(
+      conditionsData,
+      boundaryElements,
+      nodalNumbering,
+      meshDimension,
+      undefined,
+      meshData.elementTypes,
+      coordinateSystem
+    );
+  const totalNodes = nodesXCoordinates.length;
+
+  if (boundaryConditionsData[boundaryName]?.type === "constantTemp") {
+    // Nodal reactions J T - R of the system assembled at the solution without the constant temperatures,
+    // which vanish at the other nodes
+    const { jacobianMatrix, residualVector } = assembleSolidHeatTransferMat(
+      { meshDimension, meshData, coordinateSystem },
+      boundaryConditions,
+      materialConfig,
+      { solutionVector, imposeConstantTemp: false }
+    );
+    const reactionVector = jacobianMatrix.multiply(solutionVector);
+
+    // Number of constant temperature boundaries of each node
+    const thermalBoundaryConditions = createThermalBoundaryConditions(boundaryConditionsData);
+    const boundaryNodeSets = {};
+    const numConstantTempBoundaries = new Array(totalNodes).fill(0);
+    Object.keys(boundaryConditionsData).forEach((boundaryKey) => {
+      if (boundaryConditionsData[boundaryKey].type === "constantTemp") {
+        boundaryNodeSets[boundaryKey] = new Set(
+          boundaryElements[boundaryKey].flatMap(([elementIndex, side]) =>
+            thermalBoundaryConditions.getSideNodes(elementIndex, side)
+          )
+        );
+        boundaryNodeSets[boundaryKey].forEach((nodeIndex) => numConstantTempBoundaries[nodeIndex]++);
+      }
+    });
+
+    let heatFlow = 0;
+    boundaryNodeSets[boundaryName].forEach((nodeIndex) => {
+      heatFlow +=
+        (reactionVector[nodeIndex] - residualVector[nodeIndex]) / numConstantTempBoundaries[nodeIndex];
+    });
+    return heatFlow;
+  }
+
+  // Terms of the condition of the boundary alone in the system (none for symmetry boundaries), whose residual
+  // at the solution is the heat flow entering the domain
+  const thermalBoundaryConditions = createThermalBoundaryConditions(
+    boundaryConditionsData[boundaryName] ? { [boundaryName]: boundaryConditionsData[boundaryName] } : {}
+  );
+  const boundaryResidualVector = new Array(totalNodes).fill(0);
+  const boundaryJacobianMatrix = new SparseMatrix(totalNodes);
+  thermalBoundaryConditions.imposeConvectionBoundaryConditions(
+    boundaryResidualVector,
+    boundaryJacobianMatrix,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+  thermalBoundaryConditions.imposeHeatFluxBoundaryConditions(
+    boundaryResidualVector,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+  thermalBoundaryConditions.imposeRadiationBoundaryConditions(
+    boundaryResidualVector,
+    boundaryJacobianMatrix,
+    nodesXCoordinates,
+    nodesYCoordinates,
+    solutionVector
+  );
+  const boundaryProductVector = boundaryJacobianMatrix.toCSR().multiply(solutionVector);
+
+  let heatFlow = 0;
+  for (let nodeIndex = 0; nodeIndex < totalNodes; nodeIndex++) {
+    heatFlow -= boundaryProductVector[nodeIndex] - boundaryResidualVector[nodeIndex];
+  }
+  return heatFlow;
+}
+
+/**
+ * Evaluate the temperature, its gradient and the heat flux at a point of an element
+ * @param {object} basisFunctionsAndDerivatives - The basis functions and their derivatives at the point
+ * @param {string} elementType - The element type
+ * @param {number} elementIndex - The index of the element
+ * @param {array} localNodalNumbers - The global indices (starting from 0) of the nodes of the element
+ * @param {object} solution - The object returned by FEAScriptModel.solve
+ * @param {*} thermalConductivity - The thermal conductivity (see setMaterialConfig)
+ * @returns {object} The xCoordinates, yCoordinates, temperature, temperatureGradient and heatFlux at the point
+ */
+function evaluateHeatFlux(
+  basisFunctionsAndDerivatives,
+  elementType,
+  elementIndex,
+  localNodalNumbers,
+  { solutionVector, meshData },
+  thermalConductivity
+) {
+  const { xCoordinates, yCoordinates, basisFunctionDerivX, basisFunctionDerivY } =
+    computeIsoparametricMapping(
+      basisFunctionsAndDerivatives,
+      localNodalNumbers,
+      meshData.nodesXCoordinates,
+      meshData.nodesYCoordinates,
+      elementTypes[elementType].meshDimension
+    );
+  let temperature = 0;
+  let temperatureDerivX = 0;
+  let temperatureDerivY = 0;
+  localNodalNumbers.forEach((globalNodeIndex, localNodeIndex) => {
+    temperature +=
+      solutionVector[globalNodeIndex] * basisFunctionsAndDerivatives.basisFunction[localNodeIndex];
+    temperatureDerivX += solutionVector[globalNodeIndex] * basisFunctionDerivX[localNodeIndex];
+    temperatureDerivY += solutionVector[globalNodeIndex] * basisFunctionDerivY[localNodeIndex];
+  });
+  const conductivityTensor = evaluateConductivityTensor(
+    thermalConductivity,
+    xCoordinates,
+    yCoordinates,
+    elementIndex,
+    temperature
+  );
+
+  return {
+    xCoordinates,
+    yCoordinates,
+    temperature,
+    temperatureGradient: [temperatureDerivX, temperatureDerivY],
+    heatFlux: [
+      -(conductivityTensor[0][0] * temperatureDerivX + conductivityTensor[0][1] * temperatureDerivY),
+      -(conductivityTensor[1][0] * temperatureDerivX + conductivityTensor[1][1] * temperatureDerivY),
+    ],
+  };
+}
@@ -0,0 +1,175 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { basisFunctions } from "../mesh/basisFunctionsScript.js";
+import { numericalIntegration } from "../methods/numericalIntegrationScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+
+/**
+ * Create the basis functions and integration points of each element type of a mesh
+ * @param {array} meshElementTypes - The element type of every element
+ * @returns {object} Object mapping each element type to its basisFunctionsData and integrationPoints
+ */
+export function getElementTypesData(meshElementTypes) {
+  const elementTypesData = {};
+  new Set(meshElementTypes).forEach((elementType) => {
+    elementTypesData[elementType] = {
+      basisFunctionsData: new basisFunctions(elementTypes[elementType]),
+      integrationPoints: new numericalIntegration(elementTypes[elementType]).getIntegrationPoints(),
+    };
+  });
+  return elementTypesData;
+}
+
+/**
+ * Compute smoothed nodal values of fields known at the Gauss points with the superconvergent patch recovery
+ * (SPR): at every node, a polynomial of the order of the elements is fitted by least squares to the Gauss
+ * point values of the elements that contain the node, and evaluated at the node
+ * @param {object} meshData - The mesh of the solution (nodes coordinates, nodalNumbering and elementTypes)
+ * @param {array} gaussPointData - Array of Gauss points, each given as { elementIndex, xCoordinates,
+ * yCoordinates, ... }
+ * @param {function} getPointValues - Function returning the array of field values of a Gauss point
+ * @returns {array} The recovered field values of every node
+ */
+export function recoverNodalValues(meshData, gaussPointData, getPointValues) {
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering, elementTypes: meshElementTypes } = meshData;
+  const { meshDimension, elementOrder } = elementTypes[meshElementTypes[0]];
+
+  // Gauss points of every element, and elements that contain every node
+  const elementGaussPoints = nodalNumbering.map(() => []);
+  gaussPointData.forEach((gaussPoint) => elementGaussPoints[gaussPoint.elementIndex].push(gaussPoint));
+  const nodeElements = nodesXCoordinates.map(() => []);
+  nodalNumbering.forEach((elementNodes, elementIndex) => {
+    elementNodes.forEach((globalNodeNumber) => nodeElements[globalNodeNumber - 1].push(elementIndex));
+  });
+
+  return nodesXCoordinates.map((nodeXCoordinate, nodeIndex) => {
+    const nodeYCoordinate = meshDimension === "2D" ? nodesYCoordinates[nodeIndex] : 0;
+    const patchGaussPoints = nodeElements[nodeIndex].flatMap(
+      (elementIndex) => elementGaussPoints[elementIndex]
+    );
+    return fitPatchPolynomial(
+      patchGaussPoints.map(({ xCoordinates, yCoordinates }) => [
+        xCoordinates - nodeXCoordinate,
+        yCoordinates - nodeYCoordinate,
+      ]),
+      patchGaussPoints.map(getPointValues),
+      meshDimension,
+      elementOrder
+    );
+  });
+}
+
+/**
+ * Fit a polynomial to values at scattered points by least squares and evaluate it at the origin
+ * The polynomial order is lowered if the points do not determine the polynomial (e.g., at the corners of a mesh)
+ * @param {array} points - The coordinates [x, y] of the points, relative to the evaluation point
+ * @param {array} values - The values at the points (an array of fields per point)
+ * @param {string} meshDimension - The dimension of the mesh
+ * @param {string} elementOrder - The order of elements, which sets the polynomial order
+ * @returns {array} The fitted values at the origin (one per field)
+ */
+function fitPatchPolynomial(points, values, meshDimension, elementOrder) {
+  const numFields = values[0].length;
+  // Scale the coordinates to improve the conditioning of the least squares system
+  const patchSize = Math.max(...points.map(([x, y]) => Math.hypot(x, y))) || 1;
+
+  for (let polynomialOrder = elementOrder === "quadratic" ? 2 : 1; polynomialOrder > 0; polynomialOrder--) {
+    const monomials = points.map(([x, y]) =>
+      getMonomials(x / patchSize, y / patchSize, meshDimension, polynomialOrder)
+    );
+    const numTerms = monomials[0].length;
+    if (points.length < numTerms) {
+      continue;
+    }
+
+    // Normal equations (A^T A) c = A^T b, solved by Gaussian elimination with partial pivoting
+    const normalMatrix = Array.from({ length: numTerms }, () => new Array(numTerms).fill(0));
+    const normalRhs = Array.from({ length: numTerms }, () => new Array(numFields).fill(0));
+    monomials.forEach((pointMonomials, pointIndex) => {
+      for (let termIndex1 = 0; termIndex1 < numTerms; termIndex1++) {
+        for (let termIndex2 = 0; termIndex2 < numTerms; termIndex2++) {
+          normalMatrix[termIndex1][termIndex2] += pointMonomials[termIndex1] * pointMonomials[termIndex2];
+        }
+        for (let fieldIndex = 0; fieldIndex < numFields; fieldIndex++) {
+          normalRhs[termIndex1][fieldIndex] += pointMonomials[termIndex1] * values[pointIndex][fieldIndex];
+        }
+      }
+    });
+    const coefficients = solveNormalEquations(normalMatrix, normalRhs);
+    if (coefficients) {
+      return coefficients[0];
+    }
+  }
+
+  // Average of the values if no polynomial can be fitted
+  return values
+    .reduce((sum, pointValues) => sum.map((fieldSum, fieldIndex) => fieldSum + pointValues[fieldIndex]))
+    .map((fieldSum) => fieldSum / values.length);
+}
+
+/**
+ * Return the monomials of a complete polynomial at a point
+ * @param {number} x - The x-coordinate of the point
+ * @param {number} y - The y-coordinate of the point
+ * @param {string} meshDimension - The dimension of the mesh
+ * @param {number} polynomialOrder - The order of the polynomial (1 or 2)
+ * @returns {array} The monomials, starting from the constant term
+ */
+function getMonomials(x, y, meshDimension, polynomialOrder) {
+  if (meshDimension === "1D") {
+    return polynomialOrder === 2 ? [1, x, x * x] : [1, x];
+  }
+  return polynomialOrder === 2 ? [1, x, y, x * x, x * y, y * y] : [1, x, y];
+}
+
+/**
+ * Solve a small dense system with several right-hand sides by Gaussian elimination with partial pivoting
+ * @param {array} matrix - The system matrix (modified)
+ * @param {array} rhs - The right-hand sides, one row per equation (modified)
+ * @returns {array|null} The solution, one row per unknown, or null if the matrix is (nearly) singular
+ */
+function solveNormalEquations(matrix, rhs) {
+  const size = matrix.length;
+  const tolerance = 1e-10 * Math.max(...matrix.map((row, rowIndex) => Math.abs(row[rowIndex])));
+  for (let pivotIndex = 0; pivotIndex < size; pivotIndex++) {
+    let maxRowIndex = pivotIndex;
+    for (let rowIndex = pivotIndex + 1; rowIndex < size; rowIndex++) {
+      if (Math.abs(matrix[rowIndex][pivotIndex]) > Math.abs(matrix[maxRowIndex][pivotIndex])) {
+        maxRowIndex = rowIndex;
+      }
+    }
+    if (Math.abs(matrix[maxRowIndex][pivotIndex]) <= tolerance) {
+      return null;
+    }
+    [matrix[pivotIndex], matrix[maxRowIndex]] = [matrix[maxRowIndex], matrix[pivotIndex]];
+    [rhs[pivotIndex], rhs[maxRowIndex]] = [rhs[maxRowIndex], rhs[pivotIndex]];
+    for (let rowIndex = pivotIndex + 1; rowIndex < size; rowIndex++) {
+      const factor = matrix[rowIndex][pivotIndex] / matrix[pivotIndex][pivotIndex];
+      for (let colIndex = pivotIndex; colIndex < size; colIndex++) {
+        matrix[rowIndex][colIndex] -= factor * matrix[pivotIndex][colIndex];
+      }
+      rhs[rowIndex] = rhs[rowIndex].map((value, fieldIndex) => value - factor * rhs[pivotIndex][fieldIndex]);
+    }
+  }
+
+  // Back substitution
+  const solution = new Array(size);
+  for (let rowIndex = size - 1; rowIndex >= 0; rowIndex--) {
+    solution[rowIndex] = rhs[rowIndex].map((value, fieldIndex) => {
+      let sum = value;
+      for (let colIndex = rowIndex + 1; colIndex < size; colIndex++) {
+        sum -= matrix[rowIndex][colIndex] * solution[colIndex][fieldIndex];
+      }
+      return sum / matrix[rowIndex][rowIndex];
+    });
+  }
+  return solution;
+}
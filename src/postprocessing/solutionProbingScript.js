@@ -0,0 +1,295 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { basisFunctions } from "../mesh/basisFunctionsScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+
+/**
+ * Class to evaluate a finite element solution at arbitrary points
+ * The element that contains a point is found with a grid of element bounding boxes, and the natural
+ * coordinates of the point are computed by inverting the isoparametric mapping with Newton's method
+ */
+export class SolutionEvaluator {
+  /**
+   * Constructor to initialize the SolutionEvaluator class
+   * @param {object} solution - The object returned by FEAScriptModel.solve, containing the solutionVector and
+   * the meshData
+   */
+  constructor({ solutionVector, meshData }) {
+    this.solutionVector = solutionVector;
+    this.nodesXCoordinates = meshData.nodesXCoordinates;
+    this.nodesYCoordinates = meshData.nodesYCoordinates;
+    this.nodalNumbering = meshData.nodalNumbering;
+    this.elementTypes = meshData.elementTypes;
+    this.meshDimension = elementTypes[this.elementTypes[0]].meshDimension;
+    this.basisFunctionsData = {};
+    new Set(this.elementTypes).forEach((elementType) => {
+      this.basisFunctionsData[elementType] = new basisFunctions(elementTypes[elementType]);
+    });
+    this.buildSearchGrid();
+  }
+
+  /**
+   * Sort the bounding boxes of the elements in a uniform grid of cells
+   */
+  buildSearchGrid() {
+    const getNodeY = (nodeIndex) => (this.meshDimension === "2D" ? this.nodesYCoordinates[nodeIndex] : 0);
+    this.boundingBoxes = this.nodalNumbering.map((elementNodes) => {
+      const elementX = elementNodes.map((globalNodeNumber) => this.nodesXCoordinates[globalNodeNumber - 1]);
+      const elementY = elementNodes.map((globalNodeNumber) => getNodeY(globalNodeNumber - 1));
+      // Padding for the curved sides of quadratic elements and for points on the sides
+      const padding =
+        0.1 *
+        Math.max(
+          Math.max(...elementX) - Math.min(...elementX),
+          Math.max(...elementY) - Math.min(...elementY)
+        );
+      return [
+        Math.min(...elementX) - padding,
+        Math.min(...elementY) - padding,
+        Math.max(...elementX) + padding,
+        Math.max(...elementY) + padding,
+      ];
+    });
+
+    this.gridMin = [
+      Math.min(...this.boundingBoxes.map((box) => box[0])),
+      Math.min(...this.boundingBoxes.map((box) => box[1])),
+    ];
+    const gridMax = [
+      Math.max(...this.boundingBoxes.map((box) => box[2])),
+      Math.max(...this.boundingBoxes.map((box) => box[3])),
+    ];
+    this.numCells =
+      this.meshDimension === "2D"
+        ? Math.ceil(Math.sqrt(this.nodalNumbering.length))
+        : this.nodalNumbering.length;
+    this.cellSize = [
+      (gridMax[0] - this.gridMin[0]) / this.numCells || 1,
+      (gridMax[1] - this.gridMin[1]) / this.numCells || 1,
+    ];
+    this.gridCells = new Map();
+    this.boundingBoxes.forEach((box, elementIndex) => {
+      const [minCellX, minCellY] = this.getCell(box[0], box[1]);
+      const [maxCellX, maxCellY] = this.getCell(box[2], box[3]);
+      for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+        for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+          const cellKey = cellX * (this.numCells + 1) + cellY;
+          if (!this.gridCells.has(cellKey)) {
+            this.gridCells.set(cellKey, []);
+          }
+          this.gridCells.get(cellKey).push(elementIndex);
+        }
+      }
+    });
+  }
+
+  /**
+   * Return the grid cell of a point
+   * @param {number} x - The x-coordinate of the point
+   * @param {number} y - The y-coordinate of the point
+   * @returns {array} The cell indices [cellX, cellY]
+   */
+  getCell(x, y) {
+    return [
+      Math.min(this.numCells, Math.max(0, Math.floor((x - this.gridMin[0]) / this.cellSize[0]))),
+      Math.min(this.numCells, Math.max(0, Math.floor((y - this.gridMin[1]) / this.cellSize[1]))),
+    ];
+  }
+
+  /**
+   * Find the element that contains a point and the natural coordinates of the point
+   * @param {number} x - The x-coordinate of the point
+   * @param {number} [y=0] - The y-coordinate of the point (ignored for 1D meshes)
+   * @returns {object|null} An object containing the elementIndex, ksi and eta, or null if the point is
+   * outside the mesh
+   */
+  locatePoint(x, y = 0) {
+    const pointY = this.meshDimension === "2D" ? y : 0;
+    const [cellX, cellY] = this.getCell(x, pointY);
+    const candidateElements = this.gridCells.get(cellX * (this.numCells + 1) + cellY) || [];
+
+    for (const elementIndex of candidateElements) {
+      const [minX, minY, maxX, maxY] = this.boundingBoxes[elementIndex];
+      if (x < minX || x > maxX || pointY < minY || pointY > maxY) {
+        continue;
+      }
+      const naturalCoordinates = this.invertIsoparametricMapping(elementIndex, x, pointY);
+      if (naturalCoordinates && this.isInsideReferenceElement(elementIndex, naturalCoordinates)) {
+        return { elementIndex, ...naturalCoordinates };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compute the natural coordinates of a point of an element with Newton's method
+   * @param {number} elementIndex - The index of the element
+   * @param {number} x - The x-coordinate of the point
+   * @param {number} y - The y-coordinate of the point
+   * @returns {object|null} The natural coordinates { ksi, eta } (eta is null for 1D elements), or null if
+   * Newton's method does not converge
+   */
+  invertIsoparametricMapping(elementIndex, x, y) {
+    const elementType = this.elementTypes[elementIndex];
+    const basisFunctionsData = this.basisFunctionsData[elementType];
+    const localNodalNumbers = this.nodalNumbering[elementIndex].map(
+      (globalNodeNumber) => globalNodeNumber - 1
+    );
+    const isTriangle = elementTypes[elementType].elementShape === "triangle";
+    let ksi = isTriangle ? 1 / 3 : 0.5; // Start from the center of the reference element
+    let eta = this.meshDimension === "2D" ? ksi : null;
+
+    for (let iteration = 0; iteration < 20; iteration++) {
+      const { basisFunction, basisFunctionDerivKsi, basisFunctionDerivEta } =
+        basisFunctionsData.getBasisFunctions(ksi, eta);
+      let xCoordinates = 0;
+      let yCoordinates = 0;
+      let ksiDerivX = 0;
+      let etaDerivX = 0;
+      let ksiDerivY = 0;
+      let etaDerivY = 0;
+      localNodalNumbers.forEach((globalNodeIndex, localNodeIndex) => {
+        const nodeXCoordinate = this.nodesXCoordinates[globalNodeIndex];
+        xCoordinates += nodeXCoordinate * basisFunction[localNodeIndex];
+        ksiDerivX += nodeXCoordinate * basisFunctionDerivKsi[localNodeIndex];
+        if (this.meshDimension === "2D") {
+          const nodeYCoordinate = this.nodesYCoordinates[globalNodeIndex];
+          yCoordinates += nodeYCoordinate * basisFunction[localNodeIndex];
+          etaDerivX += nodeXCoordinate * basisFunctionDerivEta[localNodeIndex];
+          ksiDerivY += nodeYCoordinate * basisFunctionDerivKsi[localNodeIndex];
+          etaDerivY += nodeYCoordinate * basisFunctionDerivEta[localNodeIndex];
+        }
+      });
+
+      // Newton update of the natural coordinates
+      let ksiUpdate;
+      let etaUpdate = 0;
+      if (this.meshDimension === "1D") {
+        ksiUpdate = (x - xCoordinates) / ksiDerivX;
+      } else {
+        const detJacobian = ksiDerivX * etaDerivY - etaDerivX * ksiDerivY;
+        ksiUpdate = (etaDerivY * (x - xCoordinates) - etaDerivX * (y - yCoordinates)) / detJacobian;
+        etaUpdate = (ksiDerivX * (y - yCoordinates) - ksiDerivY * (x - xCoordinates)) / detJacobian;
+      }
+      if (!Number.isFinite(ksiUpdate) || !Number.isFinite(etaUpdate)) {
+        return null;
+      }
+      ksi += ksiUpdate;
+      if (this.meshDimension === "2D") {
+        eta += etaUpdate;
+      }
+      if (Math.abs(ksiUpdate) + Math.abs(etaUpdate) < 1e-12) {
+        return { ksi, eta };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check if natural coordinates lie in the reference element (with a small tolerance for points on the sides)
+   * @param {number} elementIndex - The index of the element
+   * @param {object} naturalCoordinates - The natural coordinates { ksi, eta }
+   * @returns {boolean} True if the point lies in the element
+   */
+  isInsideReferenceElement(elementIndex, { ksi, eta }) {
+    const tolerance = 1e-9;
+    if (this.meshDimension === "1D") {
+      return ksi >= -tolerance && ksi <= 1 + tolerance;
+    } else if (elementTypes[this.elementTypes[elementIndex]].elementShape === "triangle") {
+      return ksi >= -tolerance && eta >= -tolerance && ksi + eta <= 1 + tolerance;
+    }
+    return ksi >= -tolerance && ksi <= 1 + tolerance && eta >= -tolerance && eta <= 1 + tolerance;
+  }
+
+  /**
+   * Interpolate a nodal field at a point
+   * @param {number} x - The x-coordinate of the point
+   * @param {number} [y=0] - The y-coordinate of the point (ignored for 1D meshes)
+   * @param {array} [nodalValues] - The nodal values of the field (the solutionVector by default), e.g. a
+   * recovered heat flux component or a stored solution of a transient analysis
+   * @returns {number|null} The interpolated value, or null if the point is outside the mesh
+   */
+  evaluate(x, y = 0, nodalValues = this.solutionVector) {
+    const pointLocation = this.locatePoint(x, y);
+    if (!pointLocation) {
+      return null;
+    }
+    const { elementIndex, ksi, eta } = pointLocation;
+    const { basisFunction } = this.basisFunctionsData[this.elementTypes[elementIndex]].getBasisFunctions(
+      ksi,
+      eta
+    );
+    return this.nodalNumbering[elementIndex].reduce(
+      (value, globalNodeNumber, localNodeIndex) =>
+        value + nodalValues[globalNodeNumber - 1] * basisFunction[localNodeIndex],
+      0
+    );
+  }
+}
+
+/**
+ * Sample a finite element solution at equally spaced points along a polyline, e.g. for line profiles
+ * @param {object} solution - The object returned by FEAScriptModel.solve
+ * @param {array} polylinePoints - The vertices of the polyline, given as [x, y] (or [x] for 1D meshes)
+ * @param {object} [options] - Sampling options
+ * @param {number} [options.numSamples=100] - The number of sampled points (including both ends)
+ * @param {array} [options.nodalValues] - The nodal values of the sampled field (the solutionVector by default)
+ * @returns {object} An object containing the arrays distances (along the polyline), xCoordinates,
+ * yCoordinates and values (null at points outside the mesh)
+ */
+export function sampleAlongPolyline(solution, polylinePoints, { numSamples = 100, nodalValues } = {}) {
+  if (!Array.isArray(polylinePoints) || polylinePoints.length < 2) {
+    throw new Error("A polyline requires at least two points");
+  }
+  if (!(Number.isInteger(numSamples) && numSamples >= 2)) {
+    throw new Error(`Polyline numSamples must be an integer greater than 1, got ${numSamples}`);
+  }
+  const solutionEvaluator = new SolutionEvaluator(solution);
+  const vertices = polylinePoints.map(([x, y = 0]) => [x, y]);
+
+  // Cumulative length of the polyline at its vertices
+  const vertexDistances = [0];
+  for (let vertexIndex = 1; vertexIndex < vertices.length; vertexIndex++) {
+    vertexDistances[vertexIndex] =
+      vertexDistances[vertexIndex - 1] +
+      Math.hypot(
+        vertices[vertexIndex][0] - vertices[vertexIndex - 1][0],
+        vertices[vertexIndex][1] - vertices[vertexIndex - 1][1]
+      );
+  }
+  const totalLength = vertexDistances[vertexDistances.length - 1];
+
+  const distances = [];
+  const xCoordinates = [];
+  const yCoordinates = [];
+  const values = [];
+  let segmentIndex = 0;
+  for (let sampleIndex = 0; sampleIndex < numSamples; sampleIndex++) {
+    const distance = (totalLength * sampleIndex) / (numSamples - 1);
+    while (segmentIndex < vertices.length - 2 && distance > vertexDistances[segmentIndex + 1]) {
+      segmentIndex++;
+    }
+    const segmentLength = vertexDistances[segmentIndex + 1] - vertexDistances[segmentIndex];
+    const segmentFraction =
+      segmentLength > 0 ? (distance - vertexDistances[segmentIndex]) / segmentLength : 0;
+    const [startX, startY] = vertices[segmentIndex];
+    const [endX, endY] = vertices[segmentIndex + 1];
+    const x = startX + segmentFraction * (endX - startX);
+    const y = startY + segmentFraction * (endY - startY);
+
+    distances.push(distance);
+    xCoordinates.push(x);
+    yCoordinates.push(y);
+    values.push(solutionEvaluator.evaluate(x, y, nodalValues));
+  }
+
+  return { distances, xCoordinates, yCoordinates, values };
+}
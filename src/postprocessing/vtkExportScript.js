@@ -0,0 +1,355 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { computeGaussPointHeatFlux, computeNodalHeatFlux } from "./heatFluxScript.js";
+import { computeNodalStress } from "./elasticStressScript.js";
+
+/**
+ * VTK cell type of each element type, and order of the FEAScript local nodes in the VTK cell
+ * (see elementTypes for the FEAScript local node numbering)
+ */
+const vtkCellTypes = {
+  line2: { cellType: 3, nodeOrder: [0, 1] }, // VTK_LINE
+  line3: { cellType: 21, nodeOrder: [0, 2, 1] }, // VTK_QUADRATIC_EDGE
+  quad4: { cellType: 9, nodeOrder: [0, 2, 3, 1] }, // VTK_QUAD
+  quad9: { cellType: 28, nodeOrder: [0, 6, 8, 2, 3, 7, 5, 1, 4] }, // VTK_BIQUADRATIC_QUAD
+  tri3: { cellType: 5, nodeOrder: [0, 1, 2] }, // VTK_TRIANGLE
+  tri6: { cellType: 22, nodeOrder: [0, 1, 2, 3, 4, 5] }, // VTK_QUADRATIC_TRIANGLE
+};
+
+/**
+ * Create a legacy VTK file (ASCII) of an unstructured grid with the solution
+ * @param {object} solution - The object returned by FEAScriptModel.solve, containing the solutionVector and
+ * the meshData
+ * @param {object} [options] - Export options (see collectExportData)
+ * @param {string} [options.title="FEAScript solution"] - The title of the dataset
+ * @returns {string} The content of the .vtk file
+ */
+export function exportLegacyVTK(solution, options = {}) {
+  const { title = "FEAScript solution" } = options;
+  const { points, cells, pointData, cellData } = collectExportData(solution, options);
+  const lines = [
+    "# vtk DataFile Version 3.0",
+    title.replace(/\n/g, " "),
+    "ASCII",
+    "DATASET UNSTRUCTURED_GRID",
+  ];
+
+  lines.push(`POINTS ${points.length} double`);
+  points.forEach((point) => lines.push(point.join(" ")));
+  const cellListSize = cells.reduce((size, { connectivity }) => size + connectivity.length + 1, 0);
+  lines.push(`CELLS ${cells.length} ${cellListSize}`);
+  cells.forEach(({ connectivity }) => lines.push(`${connectivity.length} ${connectivity.join(" ")}`));
+  lines.push(`CELL_TYPES ${cells.length}`);
+  cells.forEach(({ cellType }) => lines.push(`${cellType}`));
+
+  // Point and cell fields
+  [
+    ["POINT_DATA", points.length, pointData],
+    ["CELL_DATA", cells.length, cellData],
+  ].forEach(([sectionName, numValues, fields]) => {
+    if (fields.length === 0) {
+      return;
+    }
+    lines.push(`${sectionName} ${numValues}`);
+    fields.forEach(({ name, numComponents, values }) => {
+      if (numComponents === 1) {
+        lines.push(`SCALARS ${name} double 1`, "LOOKUP_TABLE default");
+        values.forEach((value) => lines.push(`${value}`));
+      } else {
+        lines.push(`VECTORS ${name} double`);
+        for (let valueIndex = 0; valueIndex < values.length; valueIndex += 3) {
+          lines.push(`${values[valueIndex]} ${values[valueIndex + 1]} ${values[valueIndex + 2]}`);
+        }
+      }
+    });
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Create a VTK XML unstructured grid file (.vtu) with the solution
+ * @param {object} solution - The object returned by FEAScriptModel.solve, containing the solutionVector and
+ * the meshData
+ * @param {object} [options] - Export options (see collectExportData)
+ * @param {string} [options.encoding="ascii"] - "ascii" or "base64" (inline binary data)
+ * @returns {string} The content of the .vtu file
+ */
+export function exportVTU(solution, options = {}) {
+  const { encoding = "ascii" } = options;
+  if (encoding !== "ascii" && encoding !== "base64") {
+    throw new Error(`Unknown VTU encoding "${encoding}". Available encodings: ascii, base64`);
+  }
+  const { points, cells, pointData, cellData } = collectExportData(solution, options);
+
+  const formatDataArray = (type, attributes, values) => {
+    const format = encoding === "ascii" ? "ascii" : "binary";
+    const content = encoding === "ascii" ? values.join(" ") : encodeBase64DataArray(type, values);
+    return `<DataArray type="${type}" ${attributes}format="${format}">${content}</DataArray>`;
+  };
+  const formatFields = (fields) =>
+    fields.map(({ name, numComponents, values }) =>
+      formatDataArray("Float64", `Name="${name}" NumberOfComponents="${numComponents}" `, values)
+    );
+
+  const offsets = [];
+  cells.reduce((offset, { connectivity }) => {
+    offsets.push(offset + connectivity.length);
+    return offset + connectivity.length;
+  }, 0);
+
+  return [
+    '<?xml version="1.0"?>',
+    '<VTKFile type="UnstructuredGrid" version="0.1" byte_order="LittleEndian" header_type="UInt32">',
+    "  <UnstructuredGrid>",
+    `    <Piece NumberOfPoints="${points.length}" NumberOfCells="${cells.length}">`,
+    "      <PointData>",
+    ...formatFields(pointData).map((line) => `        ${line}`),
+    "      </PointData>",
+    "      <CellData>",
+    ...formatFields(cellData).map((line) => `        ${line}`),
+    "      </CellData>",
+    "      <Points>",
+    `        ${formatDataArray("Float64", 'NumberOfComponents="3" ', points.flat())}`,
+    "      </Points>",
+    "      <Cells>",
+    `        ${formatDataArray(
+      "Int32",
+      'Name="connectivity" ',
+      cells.flatMap(({ connectivity }) => connectivity)
+    )}`,
+    `        ${formatDataArray("Int32", 'Name="offsets" ', offsets)}`,
+    `        ${formatDataArray(
+      "UInt8",
+      'Name="types" ',
+      cells.map(({ cellType }) => cellType)
+    )}`,
+    "      </Cells>",
+    "    </Piece>",
+    "  </UnstructuredGrid>",
+    "</VTKFile>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Create a ParaView collection file (.pvd) that groups the files of a time series
+ * @param {array} dataSets - Array of { time, fileName } of the files of the collection
+ * @returns {string} The content of the .pvd file
+ */
+export function exportPVD(dataSets) {
+  return [
+    '<?xml version="1.0"?>',
+    '<VTKFile type="Collection" version="0.1" byte_order="LittleEndian">',
+    "  <Collection>",
+    ...dataSets.map(
+      ({ time, fileName }) => `    <DataSet timestep="${time}" group="" part="0" file="${fileName}"/>`
+    ),
+    "  </Collection>",
+    "</VTKFile>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Create the .vtu files of the stored solutions of a transient analysis and their .pvd collection
+ * @param {object} solution - The object returned by FEAScriptModel.solve for a transient analysis, containing
+ * the solutionHistory and timeValues
+ * @param {string} baseName - The base name of the files (e.g., "wall" gives wall_0.vtu, ..., and wall.pvd)
+ * @param {object} [options] - Export options (see exportVTU)
+ * @returns {array} Array of { fileName, content } of the files, the .pvd collection being the last one
+ */
+export function exportTransientVTU(solution, baseName, options = {}) {
+  const { solutionHistory, timeValues } = solution;
+  if (!Array.isArray(solutionHistory) || !Array.isArray(timeValues)) {
+    throw new Error("Transient export requires the solutionHistory and timeValues of a transient analysis");
+  }
+
+  const files = solutionHistory.map((solutionVector, stepIndex) => ({
+    fileName: `${baseName}_${stepIndex}.vtu`,
+    content: exportVTU({ ...solution, solutionVector }, options),
+  }));
+  files.push({
+    fileName: `${baseName}.pvd`,
+    // The collection refers to the files relative to its own directory
+    content: exportPVD(
+      files.map(({ fileName }, stepIndex) => ({
+        time: timeValues[stepIndex],
+        fileName: fileName.split(/[\\/]/).pop(),
+      }))
+    ),
+  });
+  return files;
+}
+
+/**
+ * Save the content of an exported file: it is downloaded in browsers and written to disk in Node.js or Deno
+ * @param {string} fileName - The name (or path, outside browsers) of the file
+ * @param {string} content - The content of the file
+ */
+export async function saveExportFile(fileName, content) {
+  if (typeof document !== "undefined" && typeof Blob !== "undefined") {
+    const fileUrl = URL.createObjectURL(new Blob([content], { type: "application/octet-stream" }));
+    const downloadLink = document.createElement("a");
+    downloadLink.href = fileUrl;
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(fileUrl);
+    return;
+  }
+
+  let fileSystem;
+  try {
+    fileSystem = await import("node:fs/promises");
+  } catch (error) {
+    throw new Error("Saving files requires a browser page, Node.js or Deno");
+  }
+  await fileSystem.writeFile(fileName, content);
+}
+
+/**
+ * Collect the points, cells and fields of a solution in the VTK layout
+ * @param {object} solution - The object returned by FEAScriptModel.solve
+ * @param {object} options - Export options
+ * @param {object} [options.pointData] - Additional point fields, mapping each name to an array of nodal values
+ * (numbers, or [x, y] vectors)
+ * @param {object} [options.cellData] - Additional cell fields, mapping each name to an array of element values
+ * (numbers, or [x, y] vectors)
+ * @param {object} [options.materialConfig] - The material properties; if given, the heat flux is exported as
+ * a point field (patch recovery) and as a cell field (average of the Gauss points), or, for linear elastic
+ * solutions, the stresses, the strains and the von Mises stress as point fields
+ * @param {string} [options.fieldName="temperature"] - The name of the solution field (linear elastic solutions
+ * are exported as the "displacement" vector field)
+ * @returns {object} The points ([x, y, z]), cells ({ cellType, connectivity }), pointData and cellData
+ * (arrays of { name, numComponents, values }, with flattened values)
+ */
+function collectExportData(
+  solution,
+  { pointData = {}, cellData = {}, materialConfig, fieldName = "temperature" }
+) {
+  const { solutionVector, meshData } = solution;
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering, elementTypes: meshElementTypes } = meshData;
+  const totalNodes = nodesXCoordinates.length;
+
+  const points = nodesXCoordinates.map((x, nodeIndex) => [
+    x,
+    nodesYCoordinates && nodesYCoordinates.length === totalNodes ? nodesYCoordinates[nodeIndex] : 0,
+    0,
+  ]);
+  const cells = nodalNumbering.map((elementNodes, elementIndex) => {
+    const { cellType, nodeOrder } = vtkCellTypes[meshElementTypes[elementIndex]];
+    return { cellType, connectivity: nodeOrder.map((localNodeIndex) => elementNodes[localNodeIndex] - 1) };
+  });
+
+  const elastic = solution.displacementX !== undefined; // Linear elastic solution
+  const pointFields = elastic
+    ? {
+        displacement: solution.displacementX.map((valueX, nodeIndex) => [
+          valueX,
+          solution.displacementY[nodeIndex],
+        ]),
+      }
+    : { [fieldName]: solutionVector };
+  Object.assign(pointFields, pointData);
+  const cellFields = { ...cellData };
+  if (materialConfig && elastic) {
+    const nodalStress = computeNodalStress(solution, materialConfig);
+    Object.keys(nodalStress).forEach((stressName) => {
+      pointFields[stressName] = nodalStress[stressName];
+    });
+  } else if (materialConfig) {
+    const { heatFluxX, heatFluxY } = computeNodalHeatFlux(solution, materialConfig);
+    pointFields.heatFlux = heatFluxX.map((fluxX, nodeIndex) => [fluxX, heatFluxY[nodeIndex]]);
+    const elementFluxes = nodalNumbering.map(() => ({ sumX: 0, sumY: 0, numPoints: 0 }));
+    computeGaussPointHeatFlux(solution, materialConfig).forEach(({ elementIndex, heatFlux }) => {
+      elementFluxes[elementIndex].sumX += heatFlux[0];
+      elementFluxes[elementIndex].sumY += heatFlux[1];
+      elementFluxes[elementIndex].numPoints++;
+    });
+    cellFields.heatFlux = elementFluxes.map(({ sumX, sumY, numPoints }) => [
+      sumX / numPoints,
+      sumY / numPoints,
+    ]);
+  }
+
+  return {
+    points,
+    cells,
+    pointData: formatExportFields(pointFields, totalNodes, "point"),
+    cellData: formatExportFields(cellFields, nodalNumbering.length, "cell"),
+  };
+}
+
+/**
+ * Check the fields of an export and flatten their values (vectors get 3 components, as required by VTK)
+ * @param {object} fields - Object mapping each field name to its array of values
+ * @param {number} numValues - The expected number of values (nodes or elements)
+ * @param {string} fieldLocation - "point" or "cell" (used in the error messages)
+ * @returns {array} Array of { name, numComponents, values }
+ */
+function formatExportFields(fields, numValues, fieldLocation) {
+  return Object.keys(fields).map((name) => {
+    const values = Array.from(fields[name]);
+    if (values.length !== numValues) {
+      throw new Error(
+        `Export ${fieldLocation} field "${name}" has ${values.length} values, expected ${numValues}`
+      );
+    }
+    const isVector = Array.isArray(values[0]);
+    return {
+      name: name.replace(/\s/g, "_"),
+      numComponents: isVector ? 3 : 1,
+      values: isVector
+        ? values.flatMap(([valueX, valueY = 0, valueZ = 0]) => [valueX, valueY, valueZ])
+        : values,
+    };
+  });
+}
+
+/**
+ * Encode the values of a VTU data array in base64, preceded by the UInt32 byte count of the data
+ * @param {string} type - The VTK data type ("Float64", "Int32" or "UInt8")
+ * @param {array} values - The values
+ * @returns {string} The base64 encoded data
+ */
+function encodeBase64DataArray(type, values) {
+  const bytesPerValue = { Float64: 8, Int32: 4, UInt8: 1 }[type];
+  const numBytes = values.length * bytesPerValue;
+  const dataView = new DataView(new ArrayBuffer(4 + numBytes));
+  dataView.setUint32(0, numBytes, true);
+  values.forEach((value, valueIndex) => {
+    const byteOffset = 4 + valueIndex * bytesPerValue;
+    if (type === "Float64") {
+      dataView.setFloat64(byteOffset, value, true);
+    } else if (type === "Int32") {
+      dataView.setInt32(byteOffset, value, true);
+    } else {
+      dataView.setUint8(byteOffset, value);
+    }
+  });
+
+  // Base64 encoding of the bytes (3 bytes give 4 characters)
+  const base64Characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const bytes = new Uint8Array(dataView.buffer);
+  let encodedData = "";
+  for (let byteIndex = 0; byteIndex < bytes.length; byteIndex += 3) {
+    const byteTriplet =
+      (bytes[byteIndex] << 16) | ((bytes[byteIndex + 1] || 0) << 8) | (bytes[byteIndex + 2] || 0);
+    encodedData +=
+      base64Characters[(byteTriplet >> 18) & 63] +
+      base64Characters[(byteTriplet >> 12) & 63] +
+      (byteIndex + 1 < bytes.length ? base64Characters[(byteTriplet >> 6) & 63] : "=") +
+      (byteIndex + 2 < bytes.length ? base64Characters[byteTriplet & 63] : "=");
+  }
+  return encodedData;
+}
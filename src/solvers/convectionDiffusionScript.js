@@ -0,0 +1,46 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { assembleSolidHeatTransferMat } from "./solidHeatTransferScript.js";
+
+/**
+ * Assemble the matrix of steady convection-diffusion (heat transport by a prescribed flow)
+ * rho c v . grad T - div(k grad T) = Q
+ * The Galerkin method oscillates when convection dominates (element Peclet numbers above 1), so the test
+ * functions are augmented with the streamline-upwind Petrov-Galerkin (SUPG) term tau v . grad N, which adds
+ * diffusion along the streamlines only
+ * The SUPG term weights the whole residual, including its diffusion term (for quadratic elements), and its
+ * parameter tau uses half the element size for quadratic elements, so that they do not oscillate either
+ * @param {object} meshConfig - Object containing computational mesh details
+ * @param {object} boundaryConditions - Object mapping each boundary name to its condition: the thermal ones
+ * (constantTemp, convection, heatFlux, radiation, symmetry), { type: "inflow", T } for the temperature of the
+ * incoming flow, or { type: "outflow" } where the flow leaves the domain (zero diffusive heat flux)
+ * @param {object} materialConfig - Object containing the material properties (see assembleSolidHeatTransferMat)
+ * @param {*} materialConfig.velocity - Prescribed velocity: a constant [vx, vy] (a number in 1D), a function of
+ * (x, y) returning one, or an array of nodal velocities
+ * @param {*} [materialConfig.density=1] - Density: a constant, a function of (x, y), or an array of per-element
+ * values
+ * @param {*} [materialConfig.specificHeat=1] - Specific heat, in any of the forms of the density
+ * @param {object} [options] - Assembly options
+ * @param {array|number} [options.solutionVector] - The current solution of a Newton-Raphson iteration, for
+ * nonlinear problems (see assembleSolidHeatTransferMat)
+ * @returns {object} The assembled system (see assembleSolidHeatTransferMat)
+ */
+export function assembleConvectionDiffusionMat(
+  meshConfig,
+  boundaryConditions,
+  materialConfig = {},
+  { solutionVector = null } = {}
+) {
+  return assembleSolidHeatTransferMat(meshConfig, boundaryConditions, materialConfig, {
+    solutionVector,
+    convective: true,
+  });
+}
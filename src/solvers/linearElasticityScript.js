@@ -0,0 +1,457 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { basisFunctions } from "../mesh/basisFunctionsScript.js";
+import { numericalIntegration } from "../methods/numericalIntegrationScript.js";
+import { meshGeneration } from "../mesh/meshGenerationScript.js";
+import {
+  ElasticBoundaryConditions,
+  elasticBoundaryConditionTypes,
+} from "../methods/elasticBoundaryConditionsScript.js";
+import { normalizeBoundaryConditions, resolveBoundaryNames } from "../methods/boundaryConditionsScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import {
+  computeIsoparametricMapping,
+  validateCoordinateSystem,
+  getCoordinateSystemWeight,
+} from "../mesh/isoparametricMappingScript.js";
+import { SparseMatrix } from "../methods/sparseMatrixScript.js";
+import {
+  validateMaterialProperty,
+  evaluateMaterialProperty,
+  computeElasticityMatrix,
+} from "../methods/materialPropertiesScript.js";
+
+// Stress states of plane elastic analyses (axisymmetry is set by the coordinate system of the mesh)
+export const stressStates = ["planeStress", "planeStrain"];
+
+/**
+ * Assemble the linear elasticity stiffness matrix and load vector of a 2D mesh, with two displacement degrees
+ * of freedom per node (2 * nodeIndex for the x-component and 2 * nodeIndex + 1 for the y-component)
+ * @param {object} meshConfig - Object containing computational mesh details (in axisymmetric analyses, x is
+ * the radius and y the axial coordinate)
+ * @param {object} boundaryConditions - Object mapping each boundary name (or legacy index "0"-"3") to its
+ * condition, in object form (e.g., { type: "roller", normal: "x" }) or positional form (e.g., ["fixed"])
+ * @param {object} materialConfig - Object containing the material properties
+ * @param {*} materialConfig.E - Young's modulus: a constant, a function of (x, y), or an array of per-element
+ * values
+ * @param {*} materialConfig.nu - Poisson's ratio, in any of the forms of E
+ * @param {*} [materialConfig.bodyForceX=0] - Body force per unit volume along x, in any of the forms of E
+ * @param {*} [materialConfig.bodyForceY=0] - Body force per unit volume along y, in any of the forms of E
+ * @param {string} [materialConfig.stressState='planeStress'] - "planeStress" or "planeStrain" (unused in
+ * axisymmetric analyses)
+ * @param {*} [materialConfig.temperature] - Temperature field causing thermal expansion loads: a constant, a
+ * function of (x, y), or an array of nodal values (e.g., the solution of a heat transfer analysis on the same
+ * mesh)
+ * @param {*} [materialConfig.thermalExpansion] - Coefficient of thermal expansion (required with the
+ * temperature), in any of the forms of E
+ * @param {number} [materialConfig.referenceTemperature] - Temperature at which the thermal strain is zero
+ * (required with the temperature)
+ * @param {*} [materialConfig.density] - Density (only for modal analyses), in any of the forms of E
+ * @param {object} [options] - Assembly options
+ * @param {boolean} [options.modal=false] - Whether the mass matrix is assembled; the prescribed displacements
+ * are then returned instead of imposed, since they constrain the eigenproblem
+ * @returns {object} An object containing:
+ *  - jacobianMatrix: The assembled stiffness matrix in compressed sparse row (CSR) format
+ *  - residualVector: The assembled load vector
+ *  - nodesCoordinates: Object containing x and y coordinates of nodes
+ *  - meshData: Object containing the nodes coordinates, nodalNumbering, elementTypes, boundaryElements and
+ *    coordinateSystem of the mesh
+ *  - massMatrix: The assembled (consistent) mass matrix in CSR format (only for modal analyses)
+ *  - constrainedValues: Map from degree of freedom index to prescribed displacement (only for modal analyses)
+ */
+export function assembleLinearElasticityMat(
+  meshConfig,
+  boundaryConditions,
+  materialConfig = {},
+  { modal = false } = {}
+) {
+  // Extract mesh details from the configuration object
+  const {
+    meshDimension, // The dimension of the mesh
+    numElementsX, // Number of elements in x-direction
+    numElementsY, // Number of elements in y-direction
+    maxX, // Max x-coordinate (m) of the domain
+    maxY, // Max y-coordinate (m) of the domain
+    minX, // Min x-coordinate (m) of the domain
+    minY, // Min y-coordinate (m) of the domain
+    gradingX, // Grading of the element sizes in x-direction
+    gradingY, // Grading of the element sizes in y-direction
+    boundaryCurves, // Curved edges of the domain
+    blocks, // Blocks of a multi-block mesh
+    elementOrder, // The order of elements
+    elementShape, // The shape of the elements of structured 2D meshes
+    meshData, // Predefined (e.g., unstructured) mesh
+    meshFile, // Content of a mesh file (Gmsh format)
+    coordinateSystem = "cartesian", // "cartesian" or "axisymmetric" (x is the radius and y the axial coordinate)
+  } = meshConfig;
+  if (meshDimension !== "2D") {
+    throw new Error("The linear elasticity solver requires a 2D mesh");
+  }
+
+  // Create a new instance of the meshGeneration class
+  const meshGenerationData = new meshGeneration({
+    numElementsX,
+    numElementsY,
+    maxX,
+    maxY,
+    minX,
+    minY,
+    gradingX,
+    gradingY,
+    boundaryCurves,
+    blocks,
+    meshDimension,
+    elementOrder,
+    elementShape,
+    meshData,
+    meshFile,
+  });
+
+  // Generate the mesh
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: nop,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+  } = meshGenerationData.generateMesh();
+  validateCoordinateSystem(coordinateSystem, nodesXCoordinates);
+
+  // Check the boundary conditions and match them with the boundaries of the mesh
+  const elasticBoundaryConditionsData = resolveBoundaryNames(
+    normalizeBoundaryConditions(boundaryConditions, elasticBoundaryConditionTypes),
+    boundaryElements,
+    meshDimension
+  );
+
+  // Initialize variables for matrix assembly
+  const totalElements = nop.length; // Total number of elements
+  const totalNodes = nodesXCoordinates.length; // Total number of nodes
+  const residualVector = new Array(2 * totalNodes).fill(0); // Load vector
+  const jacobianMatrix = new SparseMatrix(2 * totalNodes); // Stiffness matrix (assembled in COO format)
+  const massMatrix = modal ? new SparseMatrix(2 * totalNodes) : null; // Mass matrix
+
+  // Extract material properties from the configuration object
+  const {
+    E: youngsModulus, // Young's modulus
+    nu: poissonsRatio, // Poisson's ratio
+    bodyForceX = 0, // Body force per unit volume along x
+    bodyForceY = 0, // Body force per unit volume along y
+    density, // Density (modal analyses)
+  } = materialConfig;
+  if (youngsModulus === undefined || poissonsRatio === undefined) {
+    throw new Error(
+      "Linear elastic analyses require the E (Young's modulus) and nu (Poisson's ratio) material properties"
+    );
+  }
+  validateMaterialProperty("E", youngsModulus, totalElements, false, false);
+  validateMaterialProperty("nu", poissonsRatio, totalElements, false, false);
+  validateMaterialProperty("bodyForceX", bodyForceX, totalElements, false, false);
+  validateMaterialProperty("bodyForceY", bodyForceY, totalElements, false, false);
+  if (modal) {
+    if (density === undefined) {
+      throw new Error("Modal elastic analyses require the density material property");
+    }
+    validateMaterialProperty("density", density, totalElements, false, false);
+  }
+  const stressState = getStressState(materialConfig, coordinateSystem);
+  const thermalStrainField = createThermalStrainField(materialConfig, totalNodes, totalElements);
+
+  // Basis functions and integration points of each element type of the mesh
+  const elementTypesData = {};
+  new Set(meshElementTypes).forEach((elementType) => {
+    elementTypesData[elementType] = {
+      basisFunctionsData: new basisFunctions(elementTypes[elementType]),
+      integrationPoints: new numericalIntegration(elementTypes[elementType]).getIntegrationPoints(),
+    };
+  });
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const elementType = meshElementTypes[elementIndex];
+    const { basisFunctionsData, integrationPoints } = elementTypesData[elementType];
+    const numNodes = nop[elementIndex].length; // Number of nodes of the element
+    // Subtract 1 from nop in order to start numbering from 0
+    const localNodalNumbers = nop[elementIndex].map((globalNodeNumber) => globalNodeNumber - 1);
+    const localStiffnessMatrix = Array.from({ length: 2 * numNodes }, () => new Array(2 * numNodes).fill(0));
+    const localMassMatrix = Array.from({ length: numNodes }, () => new Array(numNodes).fill(0));
+
+    // Loop over Gauss points
+    for (const { ksi, eta, weight: gaussWeight } of integrationPoints) {
+      // Isoparametric mapping
+      const basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(ksi, eta);
+      const { basisFunction } = basisFunctionsAndDerivatives;
+      const { xCoordinates, yCoordinates, detJacobian, basisFunctionDerivX, basisFunctionDerivY } =
+        computeIsoparametricMapping(
+          basisFunctionsAndDerivatives,
+          localNodalNumbers,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          meshDimension
+        );
+      // Integrals over the revolved domain in axisymmetric analyses
+      const weight = gaussWeight * detJacobian * getCoordinateSystemWeight(coordinateSystem, xCoordinates);
+
+      // Evaluate the material properties at the Gauss point
+      const elasticityMatrix = computeElasticityMatrix(
+        evaluateMaterialProperty(youngsModulus, xCoordinates, yCoordinates, elementIndex),
+        evaluateMaterialProperty(poissonsRatio, xCoordinates, yCoordinates, elementIndex),
+        stressState
+      );
+      const bodyForce = [
+        evaluateMaterialProperty(bodyForceX, xCoordinates, yCoordinates, elementIndex),
+        evaluateMaterialProperty(bodyForceY, xCoordinates, yCoordinates, elementIndex),
+      ];
+
+      // Stiffness matrix B^T D B and body force loads
+      const strainDisplacementMatrix = computeStrainDisplacementMatrix(
+        basisFunction,
+        basisFunctionDerivX,
+        basisFunctionDerivY,
+        xCoordinates,
+        stressState
+      );
+      const stressDisplacementMatrix = elasticityMatrix.map((elasticityRow) =>
+        strainDisplacementMatrix[0].map((_, dofIndex) =>
+          elasticityRow.reduce(
+            (sum, entry, strainIndex) => sum + entry * strainDisplacementMatrix[strainIndex][dofIndex],
+            0
+          )
+        )
+      );
+      for (let dofIndex1 = 0; dofIndex1 < 2 * numNodes; dofIndex1++) {
+        for (let dofIndex2 = 0; dofIndex2 < 2 * numNodes; dofIndex2++) {
+          let stiffness = 0;
+          for (let strainIndex = 0; strainIndex < 4; strainIndex++) {
+            stiffness +=
+              strainDisplacementMatrix[strainIndex][dofIndex1] *
+              stressDisplacementMatrix[strainIndex][dofIndex2];
+          }
+          localStiffnessMatrix[dofIndex1][dofIndex2] += weight * stiffness;
+        }
+      }
+      for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
+        const globalNodeIndex = localNodalNumbers[localNodeIndex];
+        residualVector[2 * globalNodeIndex] += weight * basisFunction[localNodeIndex] * bodyForce[0];
+        residualVector[2 * globalNodeIndex + 1] += weight * basisFunction[localNodeIndex] * bodyForce[1];
+      }
+
+      // Mass matrix rho N_a N_b (the same for both displacement components)
+      if (modal) {
+        const densityValue = evaluateMaterialProperty(density, xCoordinates, yCoordinates, elementIndex);
+        for (let localNodeIndex1 = 0; localNodeIndex1 < numNodes; localNodeIndex1++) {
+          for (let localNodeIndex2 = 0; localNodeIndex2 < numNodes; localNodeIndex2++) {
+            localMassMatrix[localNodeIndex1][localNodeIndex2] +=
+              weight * densityValue * basisFunction[localNodeIndex1] * basisFunction[localNodeIndex2];
+          }
+        }
+      }
+
+      // Thermal expansion loads B^T D e_th, with the free thermal strain e_th = alpha (T - Tref) [1, 1, 1, 0]
+      if (thermalStrainField) {
+        const thermalStrainValue = thermalStrainField(
+          xCoordinates,
+          yCoordinates,
+          elementIndex,
+          basisFunction,
+          localNodalNumbers
+        );
+        const thermalStress = elasticityMatrix.map(
+          (elasticityRow) => thermalStrainValue * (elasticityRow[0] + elasticityRow[1] + elasticityRow[2])
+        );
+        for (let dofIndex = 0; dofIndex < 2 * numNodes; dofIndex++) {
+          let thermalLoad = 0;
+          for (let strainIndex = 0; strainIndex < 4; strainIndex++) {
+            thermalLoad += strainDisplacementMatrix[strainIndex][dofIndex] * thermalStress[strainIndex];
+          }
+          residualVector[2 * localNodalNumbers[Math.floor(dofIndex / 2)] + (dofIndex % 2)] +=
+            weight * thermalLoad;
+        }
+      }
+    }
+
+    // Scatter the element contributions to the global matrix
+    const localDofs = localNodalNumbers.flatMap((globalNodeIndex) => [
+      2 * globalNodeIndex,
+      2 * globalNodeIndex + 1,
+    ]);
+    localDofs.forEach((globalDof1, dofIndex1) => {
+      localDofs.forEach((globalDof2, dofIndex2) => {
+        jacobianMatrix.addValue(globalDof1, globalDof2, localStiffnessMatrix[dofIndex1][dofIndex2]);
+        if (modal && dofIndex1 % 2 === dofIndex2 % 2) {
+          massMatrix.addValue(
+            globalDof1,
+            globalDof2,
+            localMassMatrix[Math.floor(dofIndex1 / 2)][Math.floor(dofIndex2 / 2)]
+          );
+        }
+      });
+    });
+  }
+
+  // Create an instance of ElasticBoundaryConditions
+  const elasticBoundaryConditions = new ElasticBoundaryConditions(
+    elasticBoundaryConditionsData,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    meshElementTypes,
+    coordinateSystem
+  );
+
+  // Impose traction and pressure boundary conditions
+  elasticBoundaryConditions.imposeTractionBoundaryConditions(
+    residualVector,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+
+  // Compress the stiffness matrix to CSR format
+  const compressedJacobianMatrix = jacobianMatrix.toCSR();
+  const solutionMeshData = {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: nop,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+    coordinateSystem,
+  };
+
+  // For modal analyses, the prescribed displacements constrain the eigenproblem
+  if (modal) {
+    return {
+      jacobianMatrix: compressedJacobianMatrix,
+      residualVector,
+      nodesCoordinates: {
+        nodesXCoordinates,
+        nodesYCoordinates,
+      },
+      meshData: solutionMeshData,
+      massMatrix: massMatrix.toCSR(),
+      constrainedValues: elasticBoundaryConditions.getConstrainedValues(nodesXCoordinates),
+    };
+  }
+
+  // Impose the prescribed displacements
+  elasticBoundaryConditions.imposeDisplacementBoundaryConditions(
+    residualVector,
+    compressedJacobianMatrix,
+    nodesXCoordinates
+  );
+
+  return {
+    jacobianMatrix: compressedJacobianMatrix,
+    residualVector,
+    nodesCoordinates: {
+      nodesXCoordinates,
+      nodesYCoordinates,
+    },
+    meshData: solutionMeshData,
+  };
+}
+
+/**
+ * Return the stress state of an elastic analysis
+ * @param {object} materialConfig - Object containing the material properties (stressState)
+ * @param {string} [coordinateSystem='cartesian'] - The coordinate system of the mesh
+ * @returns {string} "planeStress", "planeStrain" or "axisymmetric"
+ */
+export function getStressState({ stressState = "planeStress" }, coordinateSystem = "cartesian") {
+  if (!stressStates.includes(stressState)) {
+    throw new Error(`Unknown stress state "${stressState}". Stress states: ${stressStates.join(", ")}`);
+  }
+  return coordinateSystem === "axisymmetric" ? "axisymmetric" : stressState;
+}
+
+/**
+ * Create the evaluator of the free thermal strain alpha (T - Tref) of an elastic analysis, by which the
+ * temperature field expands the material equally along x, y and z
+ * @param {object} materialConfig - Object containing the temperature, thermalExpansion and referenceTemperature
+ * (see assembleLinearElasticityMat)
+ * @param {number} totalNodes - The number of nodes of the mesh
+ * @param {number} totalElements - The number of elements of the mesh
+ * @returns {function|null} A function of (x, y, elementIndex, basisFunction, localNodalNumbers) returning the
+ * thermal strain at a point of an element, where localNodalNumbers are the global indices (starting from 0) of
+ * the nodes of the element, or null without temperature field
+ */
+export function createThermalStrainField(
+  { temperature, thermalExpansion, referenceTemperature },
+  totalNodes,
+  totalElements
+) {
+  if (temperature === undefined) {
+    return null;
+  }
+  if (thermalExpansion === undefined || referenceTemperature === undefined) {
+    throw new Error(
+      "Thermal expansion loads require the thermalExpansion and referenceTemperature material properties"
+    );
+  }
+  validateMaterialProperty("thermalExpansion", thermalExpansion, totalElements, false, false);
+  if (!(typeof referenceTemperature === "number" && Number.isFinite(referenceTemperature))) {
+    throw new Error(`The reference temperature must be a number, got ${referenceTemperature}`);
+  }
+
+  let temperatureField; // Function of (x, y, basisFunction, localNodalNumbers)
+  if (typeof temperature === "number" && Number.isFinite(temperature)) {
+    temperatureField = () => temperature;
+  } else if (typeof temperature === "function") {
+    temperatureField = (x, y) => temperature(x, y);
+  } else if (
+    Array.isArray(temperature) &&
+    temperature.length === totalNodes &&
+    temperature.every((value) => typeof value === "number" && Number.isFinite(value))
+  ) {
+    temperatureField = (x, y, basisFunction, localNodalNumbers) =>
+      localNodalNumbers.reduce(
+        (sum, globalNodeIndex, localNodeIndex) =>
+          sum + basisFunction[localNodeIndex] * temperature[globalNodeIndex],
+        0
+      );
+  } else {
+    throw new Error(
+      `The temperature must be a number, a function of (x, y), or an array of ${totalNodes} nodal values`
+    );
+  }
+
+  return (x, y, elementIndex, basisFunction, localNodalNumbers) =>
+    evaluateMaterialProperty(thermalExpansion, x, y, elementIndex) *
+    (temperatureField(x, y, basisFunction, localNodalNumbers) - referenceTemperature);
+}
+
+/**
+ * Compute the strain-displacement matrix B at a point of an element, relating the strain components
+ * [exx, eyy, ezz, gxy] to the nodal displacements [ux1, uy1, ux2, uy2, ...]
+ * In axisymmetric analyses ezz is the hoop strain ux / x; otherwise ezz is not a kinematic strain and its row
+ * is zero (see computeElasticityMatrix)
+ * @param {array} basisFunction - The basis functions at the point
+ * @param {array} basisFunctionDerivX - The x-derivatives of the basis functions
+ * @param {array} basisFunctionDerivY - The y-derivatives of the basis functions
+ * @param {number} xCoordinates - The x-coordinate of the point (the radius in axisymmetric analyses)
+ * @param {string} stressState - "planeStress", "planeStrain" or "axisymmetric"
+ * @returns {array} The 4 x (2 * numNodes) strain-displacement matrix
+ */
+export function computeStrainDisplacementMatrix(
+  basisFunction,
+  basisFunctionDerivX,
+  basisFunctionDerivY,
+  xCoordinates,
+  stressState
+) {
+  const axisymmetric = stressState === "axisymmetric";
+  return [
+    basisFunctionDerivX.flatMap((derivX) => [derivX, 0]),
+    basisFunctionDerivY.flatMap((derivY) => [0, derivY]),
+    basisFunction.flatMap((value) => [axisymmetric ? value / xCoordinates : 0, 0]),
+    basisFunctionDerivX.flatMap((derivX, localNodeIndex) => [basisFunctionDerivY[localNodeIndex], derivX]),
+  ];
+}
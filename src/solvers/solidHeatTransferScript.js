@@ -11,18 +11,77 @@
 import { basisFunctions } from "../mesh/basisFunctionsScript.js";
 import { numericalIntegration } from "../methods/numericalIntegrationScript.js";
 import { meshGeneration } from "../mesh/meshGenerationScript.js";
-import { ThermalBoundaryConditions } from "../methods/thermalBoundaryConditionsScript.js";
+import {
+  ThermalBoundaryConditions,
+  thermalBoundaryConditionTypes,
+  convectionDiffusionBoundaryConditionTypes,
+} from "../methods/thermalBoundaryConditionsScript.js";
+import { normalizeBoundaryConditions, resolveBoundaryNames } from "../methods/boundaryConditionsScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import {
+  computeIsoparametricMapping,
+  computeBasisFunctionSecondDerivatives,
+  validateCoordinateSystem,
+  getCoordinateSystemWeight,
+} from "../mesh/isoparametricMappingScript.js";
+import { SparseMatrix } from "../methods/sparseMatrixScript.js";
+import {
+  validateMaterialProperty,
+  evaluateMaterialProperty,
+  evaluateMaterialPropertyDerivative,
+  evaluateConductivityTensor,
+  isTemperatureDependent,
+} from "../methods/materialPropertiesScript.js";
+import {
+  createVelocityField,
+  computeElementLengthAlongFlow,
+  computeSupgWeights,
+} from "../methods/supgStabilizationScript.js";
 
 /**
  * Assemble the solid heat transfer matrix
  * @param {object} meshConfig - Object containing computational mesh details
- * @param {object} boundaryConditions - Object containing boundary conditions for the finite element analysis
+ * @param {object} boundaryConditions - Object mapping each boundary name (or legacy index "0"-"3") to its
+ * condition, in object form (e.g., { type: "convection", h: 10, Tinf: 20 }) or positional form
+ * @param {object} [materialConfig] - Object containing the material properties
+ * @param {*} [materialConfig.k=1] - Thermal conductivity: a constant, a 2x2 tensor [[kxx, kxy], [kyx, kyy]],
+ * a function of (x, y) or (x, y, T) returning either, a table { T, values } of values at increasing
+ * temperatures, or an array of per-element values
+ * @param {*} [materialConfig.Q=0] - Volumetric heat source: a constant, a function of (x, y) or (x, y, T), a
+ * table { T, values }, or an array of per-element values
+ * @param {*} [materialConfig.density] - Density (only for transient and convective analyses, 1 by default in
+ * the latter): a constant, a function of (x, y), or an array of per-element values
+ * @param {*} [materialConfig.specificHeat] - Specific heat (only for transient and convective analyses, 1 by
+ * default in the latter), in any of the forms of the density
+ * @param {*} [materialConfig.velocity] - Prescribed velocity (only for convective analyses, see
+ * createVelocityField)
+ * @param {object} [options] - Assembly options
+ * @param {boolean} [options.transient=false] - Whether the capacitance matrix is assembled; constant temperature
+ * boundary conditions are then returned instead of imposed, since they apply to the time-stepping system
+ * @param {array|number} [options.solutionVector] - The current solution of a Newton-Raphson iteration (nodal
+ * values, or a constant for a uniform initial guess), at which the nonlinear terms (radiation, temperature-
+ * dependent material properties) are linearized; the assembled system J u = R then gives the next iterate
+ * @param {boolean} [options.convective=false] - Whether the convection term rho c v . grad T of the velocity
+ * is assembled, with streamline-upwind Petrov-Galerkin (SUPG) stabilization (see
+ * assembleConvectionDiffusionMat)
+ * @param {boolean} [options.imposeConstantTemp=true] - Whether the constant temperature boundary conditions are
+ * imposed; otherwise they are returned, e.g. for the nodal reactions (heat flows) of the system at a solution
  * @returns {object} An object containing:
- *  - jacobianMatrix: The assembled Jacobian matrix
+ *  - jacobianMatrix: The assembled Jacobian matrix in compressed sparse row (CSR) format
  *  - residualVector: The assembled residual vector
  *  - nodesCoordinates: Object containing x and y coordinates of nodes
+ *  - meshData: Object containing the nodes coordinates, nodalNumbering, elementTypes, boundaryElements and
+ *    coordinateSystem of the mesh
+ *  - capacitanceMatrix: The assembled capacitance (mass) matrix in CSR format (only for transient analyses)
+ *  - constantTempValues: Map from node index to prescribed temperature (only for transient analyses, or when
+ *    the constant temperature boundary conditions are not imposed)
  */
-export function assembleSolidHeatTransferMat(meshConfig, boundaryConditions) {
+export function assembleSolidHeatTransferMat(
+  meshConfig,
+  boundaryConditions,
+  materialConfig = {},
+  { transient = false, solutionVector = null, convective = false, imposeConstantTemp = true } = {}
+) {
   // Extract mesh details from the configuration object
   const {
     meshDimension, // The dimension of the mesh
@@ -30,200 +89,428 @@ export function assembleSolidHeatTransferMat(meshConfig, boundaryConditions) {
     numElementsY, // Number of elements in y-direction
     maxX, // Max x-coordinate (m) of the domain
     maxY, // Max y-coordinate (m) of the domain
+    minX, // Min x-coordinate (m) of the domain
+    minY, // Min y-coordinate (m) of the domain
+    gradingX, // Grading of the element sizes in x-direction
+    gradingY, // Grading of the element sizes in y-direction
+    boundaryCurves, // Curved edges of the domain
+    blocks, // Blocks of a multi-block mesh
     elementOrder, // The order of elements
+    elementShape, // The shape of the elements of structured 2D meshes
+    meshData, // Predefined (e.g., unstructured) mesh
+    meshFile, // Content of a mesh file (Gmsh format)
+    coordinateSystem = "cartesian", // "cartesian" or "axisymmetric" (x is the radius and y the axial coordinate)
   } = meshConfig;
 
-  // Extract boundary conditions from the configuration object
-  let convectionHeatTranfCoeff = [];
-  let convectionExtTemp = [];
-  Object.keys(boundaryConditions).forEach((key) => {
-    const boundaryCondition = boundaryConditions[key];
-    if (boundaryCondition[0] === "convection") {
-      convectionHeatTranfCoeff[key] = boundaryCondition[1];
-      convectionExtTemp[key] = boundaryCondition[2];
-    }
-  });
-
   // Create a new instance of the meshGeneration class
   const meshGenerationData = new meshGeneration({
     numElementsX,
     numElementsY,
     maxX,
     maxY,
+    minX,
+    minY,
+    gradingX,
+    gradingY,
+    boundaryCurves,
+    blocks,
     meshDimension,
     elementOrder,
+    elementShape,
+    meshData,
+    meshFile,
   });
 
   // Generate the mesh
   const nodesCoordinatesAndNumbering = meshGenerationData.generateMesh();
 
-  // Extract nodes coordinates and nodal numbering (NOP) from the mesh data
+  // Extract nodes coordinates, nodal numbering (NOP) and element types from the mesh data
   let nodesXCoordinates = nodesCoordinatesAndNumbering.nodesXCoordinates;
   let nodesYCoordinates = nodesCoordinatesAndNumbering.nodesYCoordinates;
-  let totalNodesX = nodesCoordinatesAndNumbering.totalNodesX;
-  let totalNodesY = nodesCoordinatesAndNumbering.totalNodesY;
   let nop = nodesCoordinatesAndNumbering.nodalNumbering;
+  let meshElementTypes = nodesCoordinatesAndNumbering.elementTypes;
   let boundaryElements = nodesCoordinatesAndNumbering.boundaryElements;
+  validateCoordinateSystem(coordinateSystem, nodesXCoordinates);
+
+  // Check the boundary conditions and match them with the boundaries of the mesh
+  const thermalBoundaryConditionsData = resolveBoundaryNames(
+    normalizeBoundaryConditions(
+      boundaryConditions,
+      convective ? convectionDiffusionBoundaryConditionTypes : thermalBoundaryConditionTypes
+    ),
+    boundaryElements,
+    meshDimension
+  );
 
   // Initialize variables for matrix assembly
-  const totalElements = numElementsX * numElementsY; // Total number of elements
-  const totalNodes = totalNodesX * totalNodesY; // Total number of nodes
+  const totalElements = nop.length; // Total number of elements
+  const totalNodes = nodesXCoordinates.length; // Total number of nodes
   let localNodalNumbers = []; // Local nodal numbering
-  let gaussPoints = []; // Gauss points
-  let gaussWeights = []; // Gauss weights
-  let basisFunction = []; // Basis functions
-  let basisFunctionDerivKsi = []; // Derivatives of basis functions with respect to ksi
-  let basisFunctionDerivEta = []; // Derivatives of basis functions with respect to eta
-  let basisFunctionDerivX = []; // The x-derivative of the basis function
-  let basisFunctionDerivY = []; // The y-derivative of the basis function
   let residualVector = []; // Galerkin residuals
-  let jacobianMatrix = []; // Jacobian matrix
-  let xCoordinates; // x-coordinate (physical coordinates)
-  let yCoordinates; // y-coordinate (physical coordinates)
-  let ksiDerivX; // ksi-derivative of xCoordinates
-  let etaDerivX; // eta-derivative of xCoordinates (ksi and eta are natural coordinates that vary within a reference element)
-  let ksiDerivY; // ksi-derivative of yCoordinates
-  let etaDerivY; // eta-derivative of yCoordinates
-  let detJacobian; // The jacobian of the isoparametric mapping
-
-  // Initialize jacobianMatrix and residualVector arrays
+  let jacobianMatrix = new SparseMatrix(totalNodes); // Jacobian matrix (assembled in COO format)
+  let localJacobianMatrix = []; // Element contributions to the Jacobian matrix
+  let capacitanceMatrix = transient ? new SparseMatrix(totalNodes) : null; // Capacitance (mass) matrix
+  let localCapacitanceMatrix = []; // Element contributions to the capacitance matrix
+
+  // Extract material properties from the configuration object
+  const {
+    k: thermalConductivity = 1, // Thermal conductivity (isotropic value or tensor)
+    Q: heatSource = 0, // Volumetric heat source
+    density, // Density (transient and convective analyses)
+    specificHeat, // Specific heat (transient and convective analyses)
+    velocity, // Prescribed velocity (convective analyses)
+  } = materialConfig;
+  validateMaterialProperty("k", thermalConductivity, totalElements, true);
+  validateMaterialProperty("Q", heatSource, totalElements);
+  if (transient) {
+    if (density === undefined || specificHeat === undefined) {
+      throw new Error("Transient analyses require the density and specificHeat material properties");
+    }
+    validateMaterialProperty("density", density, totalElements, false, false);
+    validateMaterialProperty("specificHeat", specificHeat, totalElements, false, false);
+  }
+  let velocityField = null; // Evaluator of the prescribed velocity (convective analyses)
+  if (convective) {
+    if (velocity === undefined) {
+      throw new Error("Convective analyses require the velocity material property");
+    }
+    velocityField = createVelocityField(velocity, totalNodes, meshDimension);
+    // The heat capacity defaults to 1, for the generic equation v . grad u - div(k grad u) = Q
+    validateMaterialProperty("density", density ?? 1, totalElements, false, false);
+    validateMaterialProperty("specificHeat", specificHeat ?? 1, totalElements, false, false);
+  }
+  const temperatureDependent =
+    isTemperatureDependent(thermalConductivity) || isTemperatureDependent(heatSource);
+  if (temperatureDependent && !solutionVector) {
+    throw new Error(
+      "Temperature-dependent material properties require the current solution of the Newton-Raphson method"
+    );
+  }
+
+  // Initialize residualVector array
   for (let nodeIndex = 0; nodeIndex < totalNodes; nodeIndex++) {
     residualVector[nodeIndex] = 0;
-    jacobianMatrix.push([]);
-    for (let colIndex = 0; colIndex < totalNodes; colIndex++) {
-      jacobianMatrix[nodeIndex][colIndex] = 0;
-    }
   }
 
-  // Initialize the basisFunctions class
-  const basisFunctionsData = new basisFunctions({
-    meshDimension,
-    elementOrder,
-  });
+  // Expand a uniform initial guess of a Newton-Raphson iteration
+  if (typeof solutionVector === "number") {
+    solutionVector = new Array(totalNodes).fill(solutionVector);
+  }
 
-  // Initialize the numericalIntegration class
-  const numIntegrationData = new numericalIntegration({
-    meshDimension,
-    elementOrder,
+  // Basis functions and integration points of each element type of the mesh, and basis functions of the
+  // vertices (those of the linear element of the same shape) for the element length of the SUPG method
+  const elementTypesData = {};
+  new Set(meshElementTypes).forEach((elementType) => {
+    elementTypesData[elementType] = {
+      basisFunctionsData: new basisFunctions(elementTypes[elementType]),
+      integrationPoints: new numericalIntegration(elementTypes[elementType]).getIntegrationPoints(),
+      vertexBasisFunctionsData: new basisFunctions({ ...elementTypes[elementType], elementOrder: "linear" }),
+    };
   });
 
-  // Calculate Gauss points and weights
-  let gaussPointsAndWeights = numIntegrationData.getGaussPointsAndWeights();
-  gaussPoints = gaussPointsAndWeights.gaussPoints;
-  gaussWeights = gaussPointsAndWeights.gaussWeights;
-
-  // Determine the number of nodes in the reference element based on the first element in the nop array
-  const numNodes = nop[0].length;
-
   // Matrix assembly
   for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const elementType = meshElementTypes[elementIndex];
+    const { basisFunctionsData, integrationPoints, vertexBasisFunctionsData } = elementTypesData[elementType];
+    const numNodes = nop[elementIndex].length; // Number of nodes of the element
+    localNodalNumbers = [];
     for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
       // Subtract 1 from nop in order to start numbering from 0
       localNodalNumbers[localNodeIndex] = nop[elementIndex][localNodeIndex] - 1;
+      localJacobianMatrix[localNodeIndex] = new Array(numNodes).fill(0);
+      localCapacitanceMatrix[localNodeIndex] = new Array(numNodes).fill(0);
     }
 
     // Loop over Gauss points
-    for (let gaussPointIndex1 = 0; gaussPointIndex1 < gaussPoints.length; gaussPointIndex1++) {
-      for (let gaussPointIndex2 = 0; gaussPointIndex2 < gaussPoints.length; gaussPointIndex2++) {
-        // Initialise variables for isoparametric mapping
-        let basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(
-          gaussPoints[gaussPointIndex1],
-          gaussPoints[gaussPointIndex2]
+    for (const { ksi, eta, weight: gaussWeight } of integrationPoints) {
+      // Isoparametric mapping
+      const basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(ksi, eta);
+      const { basisFunction } = basisFunctionsAndDerivatives;
+      const { xCoordinates, yCoordinates, detJacobian, basisFunctionDerivX, basisFunctionDerivY } =
+        computeIsoparametricMapping(
+          basisFunctionsAndDerivatives,
+          localNodalNumbers,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          elementTypes[elementType].meshDimension
         );
-        basisFunction = basisFunctionsAndDerivatives.basisFunction;
-        basisFunctionDerivKsi = basisFunctionsAndDerivatives.basisFunctionDerivKsi;
-        basisFunctionDerivEta = basisFunctionsAndDerivatives.basisFunctionDerivEta;
-        xCoordinates = 0;
-        yCoordinates = 0;
-        ksiDerivX = 0;
-        etaDerivX = 0;
-        ksiDerivY = 0;
-        etaDerivY = 0;
-        detJacobian = 0;
-
-        // Isoparametric mapping
+      // Integrals over the revolved domain in axisymmetric analyses
+      const weight = gaussWeight * getCoordinateSystemWeight(coordinateSystem, xCoordinates);
+
+      // Temperature and temperature gradient at the Gauss point (for temperature-dependent properties)
+      let temperature = 0;
+      let temperatureDerivX = 0;
+      let temperatureDerivY = 0;
+      if (temperatureDependent) {
         for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
-          xCoordinates +=
-            nodesXCoordinates[localNodalNumbers[localNodeIndex]] * basisFunction[localNodeIndex];
-          yCoordinates +=
-            nodesYCoordinates[localNodalNumbers[localNodeIndex]] * basisFunction[localNodeIndex];
-          ksiDerivX +=
-            nodesXCoordinates[localNodalNumbers[localNodeIndex]] * basisFunctionDerivKsi[localNodeIndex];
-          etaDerivX +=
-            nodesXCoordinates[localNodalNumbers[localNodeIndex]] * basisFunctionDerivEta[localNodeIndex];
-          ksiDerivY +=
-            nodesYCoordinates[localNodalNumbers[localNodeIndex]] * basisFunctionDerivKsi[localNodeIndex];
-          etaDerivY +=
-            nodesYCoordinates[localNodalNumbers[localNodeIndex]] * basisFunctionDerivEta[localNodeIndex];
-          detJacobian = ksiDerivX * etaDerivY - etaDerivX * ksiDerivY;
+          const nodalTemperature = solutionVector[localNodalNumbers[localNodeIndex]];
+          temperature += nodalTemperature * basisFunction[localNodeIndex];
+          temperatureDerivX += nodalTemperature * basisFunctionDerivX[localNodeIndex];
+          temperatureDerivY += nodalTemperature * basisFunctionDerivY[localNodeIndex];
         }
+      }
 
-        // Compute x-derivative and y-derivative of basis functions
-        for (let localNodeIndex = 0; localNodeIndex < numNodes; localNodeIndex++) {
-          basisFunctionDerivX[localNodeIndex] =
-            (etaDerivY * basisFunctionDerivKsi[localNodeIndex] -
-              ksiDerivY * basisFunctionDerivEta[localNodeIndex]) /
-            detJacobian; // The x-derivative of the n basis function
-          basisFunctionDerivY[localNodeIndex] =
-            (ksiDerivX * basisFunctionDerivEta[localNodeIndex] -
-              etaDerivX * basisFunctionDerivKsi[localNodeIndex]) /
-            detJacobian; // The y-derivative of the n basis function
+      // Evaluate the material properties at the Gauss point
+      const conductivityTensor = evaluateConductivityTensor(
+        thermalConductivity,
+        xCoordinates,
+        yCoordinates,
+        elementIndex,
+        temperature
+      );
+      const heatSourceValue = evaluateMaterialProperty(
+        heatSource,
+        xCoordinates,
+        yCoordinates,
+        elementIndex,
+        temperature
+      );
+      const heatCapacityValue =
+        transient || convective
+          ? evaluateMaterialProperty(density ?? 1, xCoordinates, yCoordinates, elementIndex) *
+            evaluateMaterialProperty(specificHeat ?? 1, xCoordinates, yCoordinates, elementIndex)
+          : 0;
+
+      // Convection term rho c v . grad N and test functions N + tau v . grad N of the SUPG method, which
+      // weight the convection term and the heat source, while the SUPG weights alone also weight the diffusion
+      // term -div(k grad N) of the residual (with the conductivity taken as uniform over the element), which
+      // does not vanish for quadratic elements
+      let testFunction = basisFunction;
+      let supgWeights = null;
+      let convectionDerivatives = null;
+      let diffusionDerivatives = null;
+      if (convective) {
+        const velocityValue = velocityField(xCoordinates, yCoordinates, basisFunction, localNodalNumbers);
+        const vertexMapping = computeIsoparametricMapping(
+          vertexBasisFunctionsData.getBasisFunctions(ksi, eta),
+          elementTypes[elementType].vertexNodes.map((localNodeIndex) => localNodalNumbers[localNodeIndex]),
+          nodesXCoordinates,
+          nodesYCoordinates,
+          elementTypes[elementType].meshDimension
+        );
+        supgWeights = computeSupgWeights(
+          velocityValue,
+          basisFunctionDerivX,
+          basisFunctionDerivY,
+          conductivityTensor,
+          heatCapacityValue,
+          computeElementLengthAlongFlow(
+            velocityValue,
+            vertexMapping.basisFunctionDerivX,
+            vertexMapping.basisFunctionDerivY,
+            elementTypes[elementType].elementOrder
+          )
+        );
+        testFunction = basisFunction.map((value, localNodeIndex) => value + supgWeights[localNodeIndex]);
+        convectionDerivatives = basisFunctionDerivX.map(
+          (derivX, localNodeIndex) =>
+            heatCapacityValue *
+            (velocityValue[0] * derivX + velocityValue[1] * basisFunctionDerivY[localNodeIndex])
+        );
+        const { basisFunctionDerivXX, basisFunctionDerivXY, basisFunctionDerivYY } =
+          computeBasisFunctionSecondDerivatives(
+            basisFunctionsAndDerivatives,
+            basisFunctionsData.getBasisFunctionSecondDerivatives(ksi, eta),
+            { basisFunctionDerivX, basisFunctionDerivY },
+            localNodalNumbers,
+            nodesXCoordinates,
+            nodesYCoordinates,
+            elementTypes[elementType].meshDimension
+          );
+        diffusionDerivatives = basisFunctionDerivXX.map(
+          (derivXX, localNodeIndex) =>
+            -(
+              conductivityTensor[0][0] * derivXX +
+              (conductivityTensor[0][1] + conductivityTensor[1][0]) * basisFunctionDerivXY[localNodeIndex] +
+              conductivityTensor[1][1] * basisFunctionDerivYY[localNodeIndex]
+            )
+        );
+      }
+
+      // Computation of Galerkin's residuals and Jacobian matrix
+      for (let localNodeIndex1 = 0; localNodeIndex1 < numNodes; localNodeIndex1++) {
+        let globalNodeIndex1 = localNodalNumbers[localNodeIndex1];
+        residualVector[globalNodeIndex1] +=
+          -weight * detJacobian * testFunction[localNodeIndex1] * heatSourceValue;
+
+        for (let localNodeIndex2 = 0; localNodeIndex2 < numNodes; localNodeIndex2++) {
+          localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
+            -weight *
+            detJacobian *
+            (basisFunctionDerivX[localNodeIndex1] *
+              (conductivityTensor[0][0] * basisFunctionDerivX[localNodeIndex2] +
+                conductivityTensor[0][1] * basisFunctionDerivY[localNodeIndex2]) +
+              basisFunctionDerivY[localNodeIndex1] *
+                (conductivityTensor[1][0] * basisFunctionDerivX[localNodeIndex2] +
+                  conductivityTensor[1][1] * basisFunctionDerivY[localNodeIndex2]));
+          localCapacitanceMatrix[localNodeIndex1][localNodeIndex2] +=
+            weight *
+            detJacobian *
+            heatCapacityValue *
+            basisFunction[localNodeIndex1] *
+            basisFunction[localNodeIndex2];
+          if (convective) {
+            localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
+              -weight *
+              detJacobian *
+              (testFunction[localNodeIndex1] * convectionDerivatives[localNodeIndex2] +
+                supgWeights[localNodeIndex1] * diffusionDerivatives[localNodeIndex2]);
+          }
         }
+      }
+
+      // Tangent terms of the temperature-dependent properties (Newton-Raphson linearization): the term A is
+      // added to the Jacobian matrix and A u_k to the residual vector, so that J u = R gives the next iterate
+      if (temperatureDependent) {
+        const conductivityDerivTensor = evaluateConductivityTensor(
+          thermalConductivity,
+          xCoordinates,
+          yCoordinates,
+          elementIndex,
+          temperature,
+          true
+        );
+        const heatSourceDerivValue = evaluateMaterialPropertyDerivative(
+          heatSource,
+          xCoordinates,
+          yCoordinates,
+          elementIndex,
+          temperature
+        );
+        // Derivative of the heat flux with respect to the temperature (dk/dT grad T)
+        const fluxDerivX =
+          conductivityDerivTensor[0][0] * temperatureDerivX +
+          conductivityDerivTensor[0][1] * temperatureDerivY;
+        const fluxDerivY =
+          conductivityDerivTensor[1][0] * temperatureDerivX +
+          conductivityDerivTensor[1][1] * temperatureDerivY;
 
-        // Computation of Galerkin's residuals and Jacobian matrix
         for (let localNodeIndex1 = 0; localNodeIndex1 < numNodes; localNodeIndex1++) {
-          let globalNodeIndex1 = localNodalNumbers[localNodeIndex1];
-          residualVector[globalNodeIndex1] +=
-            gaussWeights[gaussPointIndex1] *
-            gaussWeights[gaussPointIndex2] *
+          const tangentFactor =
+            weight *
             detJacobian *
-            basisFunction[localNodeIndex1];
-
+            (-(
+              basisFunctionDerivX[localNodeIndex1] * fluxDerivX +
+              basisFunctionDerivY[localNodeIndex1] * fluxDerivY
+            ) +
+              testFunction[localNodeIndex1] * heatSourceDerivValue);
+          residualVector[localNodalNumbers[localNodeIndex1]] += tangentFactor * temperature;
           for (let localNodeIndex2 = 0; localNodeIndex2 < numNodes; localNodeIndex2++) {
-            let globalNodeIndex2 = localNodalNumbers[localNodeIndex2];
-            jacobianMatrix[globalNodeIndex1][globalNodeIndex2] +=
-              -gaussWeights[gaussPointIndex1] *
-              gaussWeights[gaussPointIndex2] *
-              detJacobian *
-              (basisFunctionDerivX[localNodeIndex1] * basisFunctionDerivX[localNodeIndex2] +
-                basisFunctionDerivY[localNodeIndex1] * basisFunctionDerivY[localNodeIndex2]);
+            localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
+              tangentFactor * basisFunction[localNodeIndex2];
           }
         }
       }
     }
+
+    // Scatter the element contributions to the global matrices
+    for (let localNodeIndex1 = 0; localNodeIndex1 < numNodes; localNodeIndex1++) {
+      for (let localNodeIndex2 = 0; localNodeIndex2 < numNodes; localNodeIndex2++) {
+        jacobianMatrix.addValue(
+          localNodalNumbers[localNodeIndex1],
+          localNodalNumbers[localNodeIndex2],
+          localJacobianMatrix[localNodeIndex1][localNodeIndex2]
+        );
+        if (transient) {
+          capacitanceMatrix.addValue(
+            localNodalNumbers[localNodeIndex1],
+            localNodalNumbers[localNodeIndex2],
+            localCapacitanceMatrix[localNodeIndex1][localNodeIndex2]
+          );
+        }
+      }
+    }
   }
 
   // Create an instance of ThermalBoundaryConditions
   const thermalBoundaryConditions = new ThermalBoundaryConditions(
-    boundaryConditions,
+    thermalBoundaryConditionsData,
     boundaryElements,
     nop,
     meshDimension,
-    elementOrder
+    elementOrder,
+    meshElementTypes,
+    coordinateSystem
   );
 
+  // Check the inflow and outflow boundaries against the direction of the flow
+  if (convective) {
+    thermalBoundaryConditions.checkFlowBoundaryConditions(
+      velocityField,
+      nodesXCoordinates,
+      nodesYCoordinates
+    );
+  }
+
   // Impose Convection boundary conditions
   thermalBoundaryConditions.imposeConvectionBoundaryConditions(
     residualVector,
     jacobianMatrix,
-    gaussPoints,
-    gaussWeights,
     nodesXCoordinates,
-    nodesYCoordinates,
-    basisFunctionsData,
-    convectionHeatTranfCoeff,
-    convectionExtTemp
+    nodesYCoordinates
   );
 
+  // Impose HeatFlux boundary conditions
+  thermalBoundaryConditions.imposeHeatFluxBoundaryConditions(
+    residualVector,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+
+  // Impose Radiation boundary conditions (linearized at the current solution)
+  if (Object.values(thermalBoundaryConditionsData).some(({ type }) => type === "radiation")) {
+    if (!solutionVector) {
+      throw new Error(
+        "Radiation boundary conditions require the current solution of the Newton-Raphson method"
+      );
+    }
+    thermalBoundaryConditions.imposeRadiationBoundaryConditions(
+      residualVector,
+      jacobianMatrix,
+      nodesXCoordinates,
+      nodesYCoordinates,
+      solutionVector
+    );
+  }
+
+  // Mesh data of the solution (in the form accepted by meshConfig.meshData), e.g. for post-processing
+  const solutionMeshData = {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: nop,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+    coordinateSystem,
+  };
+
+  // Compress the Jacobian matrix to CSR format
+  const compressedJacobianMatrix = jacobianMatrix.toCSR();
+
+  // For transient analyses, the ConstantTemp boundary conditions are imposed on the time-stepping system
+  if (transient || !imposeConstantTemp) {
+    return {
+      jacobianMatrix: compressedJacobianMatrix,
+      residualVector,
+      nodesCoordinates: {
+        nodesXCoordinates,
+        nodesYCoordinates,
+      },
+      meshData: solutionMeshData,
+      capacitanceMatrix: transient ? capacitanceMatrix.toCSR() : null,
+      constantTempValues: thermalBoundaryConditions.getConstantTempValues(),
+    };
+  }
+
   // Impose ConstantTemp boundary conditions
-  thermalBoundaryConditions.imposeConstantTempBoundaryConditions(residualVector, jacobianMatrix);
+  thermalBoundaryConditions.imposeConstantTempBoundaryConditions(residualVector, compressedJacobianMatrix);
 
   return {
-    jacobianMatrix,
+    jacobianMatrix: compressedJacobianMatrix,
     residualVector,
     nodesCoordinates: {
       nodesXCoordinates,
       nodesYCoordinates,
     },
+    meshData: solutionMeshData,
   };
 }
@@ -0,0 +1,330 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { basisFunctions } from "../mesh/basisFunctionsScript.js";
+import { numericalIntegration } from "../methods/numericalIntegrationScript.js";
+import { meshGeneration } from "../mesh/meshGenerationScript.js";
+import {
+  WeakFormBoundaryConditions,
+  weakFormBoundaryConditionTypes,
+} from "../methods/weakFormBoundaryConditionsScript.js";
+import { normalizeBoundaryConditions, resolveBoundaryNames } from "../methods/boundaryConditionsScript.js";
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import {
+  computeIsoparametricMapping,
+  validateCoordinateSystem,
+  getCoordinateSystemWeight,
+} from "../mesh/isoparametricMappingScript.js";
+import { SparseMatrix } from "../methods/sparseMatrixScript.js";
+import {
+  validateMaterialProperty,
+  evaluateMaterialProperty,
+  evaluateConductivityTensor,
+} from "../methods/materialPropertiesScript.js";
+import { createVelocityField } from "../methods/supgStabilizationScript.js";
+
+/**
+ * Assemble the matrix and load vector of a general second-order PDE, given by the coefficients of
+ * -div(A grad u) + b . grad u + c u = f
+ * and/or by a callback returning the element contributions of its weak form at each Gauss point
+ * The unknowns are numbered with numComponents degrees of freedom per node, numComponents * nodeIndex +
+ * component
+ * @param {object} meshConfig - Object containing computational mesh details
+ * @param {object} boundaryConditions - Object mapping each boundary name (or legacy index "0"-"3") to its
+ * condition, in object form (e.g., { type: "robin", alpha: 2, g: 0 }) or positional form
+ * (e.g., ["dirichlet", 0])
+ * @param {object} materialConfig - Object containing the coefficients (for scalar PDEs) and the weak form
+ * @param {*} [materialConfig.A=0] - Diffusion coefficient: a constant, a 2x2 tensor [[Axx, Axy], [Ayx, Ayy]],
+ * a function of (x, y) returning either, or an array of per-element values
+ * @param {*} [materialConfig.b] - Convection velocity: a constant [bx, by] (a number in 1D), a function of
+ * (x, y) returning one, or an array of nodal velocities
+ * @param {*} [materialConfig.c=0] - Reaction coefficient: a constant, a function of (x, y), or an array of
+ * per-element values
+ * @param {*} [materialConfig.f=0] - Source term, in any of the forms of c
+ * @param {number} [materialConfig.numComponents=1] - The number of components of the unknown (vector PDEs are
+ * given by the weakForm callback)
+ * @param {function} [materialConfig.weakForm] - Callback called at every Gauss point with { elementIndex, x,
+ * y, basisFunction, basisFunctionDerivX, basisFunctionDerivY, weight, numComponents }, where weight includes
+ * the Jacobian determinant (and 2 pi r in axisymmetric analyses), and returning { stiffness, load }: the
+ * contributions to the element matrix (numComponents * numNodes square) and load vector (numComponents *
+ * numNodes), both optional and numbered like the global unknowns with the local node indices
+ * @returns {object} An object containing:
+ *  - jacobianMatrix: The assembled matrix in compressed sparse row (CSR) format
+ *  - residualVector: The assembled load vector
+ *  - nodesCoordinates: Object containing x and y coordinates of nodes
+ *  - meshData: Object containing the nodes coordinates, nodalNumbering, elementTypes, boundaryElements and
+ *    coordinateSystem of the mesh
+ */
+export function assembleWeakFormMat(meshConfig, boundaryConditions, materialConfig = {}) {
+  // Extract mesh details from the configuration object
+  const {
+    meshDimension, // The dimension of the mesh
+    numElementsX, // Number of elements in x-direction
+    numElementsY, // Number of elements in y-direction
+    maxX, // Max x-coordinate (m) of the domain
+    maxY, // Max y-coordinate (m) of the domain
+    minX, // Min x-coordinate (m) of the domain
+    minY, // Min y-coordinate (m) of the domain
+    gradingX, // Grading of the element sizes in x-direction
+    gradingY, // Grading of the element sizes in y-direction
+    boundaryCurves, // Curved edges of the domain
+    blocks, // Blocks of a multi-block mesh
+    elementOrder, // The order of elements
+    elementShape, // The shape of the elements of structured 2D meshes
+    meshData, // Predefined (e.g., unstructured) mesh
+    meshFile, // Content of a mesh file (Gmsh format)
+    coordinateSystem = "cartesian", // "cartesian" or "axisymmetric" (x is the radius and y the axial coordinate)
+  } = meshConfig;
+
+  // Create a new instance of the meshGeneration class
+  const meshGenerationData = new meshGeneration({
+    numElementsX,
+    numElementsY,
+    maxX,
+    maxY,
+    minX,
+    minY,
+    gradingX,
+    gradingY,
+    boundaryCurves,
+    blocks,
+    meshDimension,
+    elementOrder,
+    elementShape,
+    meshData,
+    meshFile,
+  });
+
+  // Generate the mesh
+  const {
+    nodesXCoordinates,
+    nodesYCoordinates,
+    nodalNumbering: nop,
+    elementTypes: meshElementTypes,
+    boundaryElements,
+  } = meshGenerationData.generateMesh();
+  validateCoordinateSystem(coordinateSystem, nodesXCoordinates);
+
+  // Check the boundary conditions and match them with the boundaries of the mesh
+  const weakFormBoundaryConditionsData = resolveBoundaryNames(
+    normalizeBoundaryConditions(boundaryConditions, weakFormBoundaryConditionTypes),
+    boundaryElements,
+    meshDimension
+  );
+
+  // Extract the coefficients of the PDE from the configuration object
+  const {
+    A: diffusionCoeff = 0, // Diffusion coefficient (isotropic value or tensor)
+    b: convectionVelocity, // Convection velocity
+    c: reactionCoeff = 0, // Reaction coefficient
+    f: sourceTerm = 0, // Source term
+    numComponents = 1, // Number of components of the unknown
+    weakForm = null, // Element contributions of the weak form at each Gauss point
+  } = materialConfig;
+  if (!(Number.isInteger(numComponents) && numComponents >= 1)) {
+    throw new Error(`The number of components must be a positive integer, got ${numComponents}`);
+  }
+  if (weakForm !== null && typeof weakForm !== "function") {
+    throw new Error("The weakForm must be a function of the Gauss point data");
+  }
+  const hasCoefficients = ["A", "b", "c", "f"].some((coeffName) => materialConfig[coeffName] !== undefined);
+  if (!hasCoefficients && weakForm === null) {
+    throw new Error("General PDEs require the coefficients A, b, c and f, or the weakForm callback");
+  }
+  if (hasCoefficients && numComponents > 1) {
+    throw new Error(
+      "The coefficients A, b, c and f define scalar PDEs, vector PDEs are given by the weakForm callback"
+    );
+  }
+
+  // Initialize variables for matrix assembly
+  const totalElements = nop.length; // Total number of elements
+  const totalNodes = nodesXCoordinates.length; // Total number of nodes
+  const residualVector = new Array(numComponents * totalNodes).fill(0); // Load vector
+  const jacobianMatrix = new SparseMatrix(numComponents * totalNodes); // Matrix (assembled in COO format)
+  validateMaterialProperty("A", diffusionCoeff, totalElements, true, false);
+  validateMaterialProperty("c", reactionCoeff, totalElements, false, false);
+  validateMaterialProperty("f", sourceTerm, totalElements, false, false);
+  const velocityField =
+    convectionVelocity === undefined
+      ? null
+      : createVelocityField(convectionVelocity, totalNodes, meshDimension);
+
+  // Basis functions and integration points of each element type of the mesh
+  const elementTypesData = {};
+  new Set(meshElementTypes).forEach((elementType) => {
+    elementTypesData[elementType] = {
+      basisFunctionsData: new basisFunctions(elementTypes[elementType]),
+      integrationPoints: new numericalIntegration(elementTypes[elementType]).getIntegrationPoints(),
+    };
+  });
+
+  // Matrix assembly
+  for (let elementIndex = 0; elementIndex < totalElements; elementIndex++) {
+    const elementType = meshElementTypes[elementIndex];
+    const { basisFunctionsData, integrationPoints } = elementTypesData[elementType];
+    const numNodes = nop[elementIndex].length; // Number of nodes of the element
+    const numDofs = numComponents * numNodes; // Number of degrees of freedom of the element
+    // Subtract 1 from nop in order to start numbering from 0
+    const localNodalNumbers = nop[elementIndex].map((globalNodeNumber) => globalNodeNumber - 1);
+    const localJacobianMatrix = Array.from({ length: numDofs }, () => new Array(numDofs).fill(0));
+    const localResidualVector = new Array(numDofs).fill(0);
+
+    // Loop over Gauss points
+    for (const { ksi, eta, weight: gaussWeight } of integrationPoints) {
+      // Isoparametric mapping
+      const basisFunctionsAndDerivatives = basisFunctionsData.getBasisFunctions(ksi, eta);
+      const { basisFunction } = basisFunctionsAndDerivatives;
+      const { xCoordinates, yCoordinates, detJacobian, basisFunctionDerivX, basisFunctionDerivY } =
+        computeIsoparametricMapping(
+          basisFunctionsAndDerivatives,
+          localNodalNumbers,
+          nodesXCoordinates,
+          nodesYCoordinates,
+          elementTypes[elementType].meshDimension
+        );
+      // Integrals over the revolved domain in axisymmetric analyses
+      const weight = gaussWeight * detJacobian * getCoordinateSystemWeight(coordinateSystem, xCoordinates);
+
+      // Coefficient form: diffusion, convection and reaction terms, and source
+      if (hasCoefficients) {
+        const diffusionTensor = evaluateConductivityTensor(
+          diffusionCoeff,
+          xCoordinates,
+          yCoordinates,
+          elementIndex
+        );
+        const [velocityX, velocityY] = velocityField
+          ? velocityField(xCoordinates, yCoordinates, basisFunction, localNodalNumbers)
+          : [0, 0];
+        const reactionValue = evaluateMaterialProperty(
+          reactionCoeff,
+          xCoordinates,
+          yCoordinates,
+          elementIndex
+        );
+        const sourceValue = evaluateMaterialProperty(sourceTerm, xCoordinates, yCoordinates, elementIndex);
+
+        for (let localNodeIndex1 = 0; localNodeIndex1 < numNodes; localNodeIndex1++) {
+          localResidualVector[localNodeIndex1] += weight * basisFunction[localNodeIndex1] * sourceValue;
+          for (let localNodeIndex2 = 0; localNodeIndex2 < numNodes; localNodeIndex2++) {
+            localJacobianMatrix[localNodeIndex1][localNodeIndex2] +=
+              weight *
+              (basisFunctionDerivX[localNodeIndex1] *
+                (diffusionTensor[0][0] * basisFunctionDerivX[localNodeIndex2] +
+                  diffusionTensor[0][1] * basisFunctionDerivY[localNodeIndex2]) +
+                basisFunctionDerivY[localNodeIndex1] *
+                  (diffusionTensor[1][0] * basisFunctionDerivX[localNodeIndex2] +
+                    diffusionTensor[1][1] * basisFunctionDerivY[localNodeIndex2]) +
+                basisFunction[localNodeIndex1] *
+                  (velocityX * basisFunctionDerivX[localNodeIndex2] +
+                    velocityY * basisFunctionDerivY[localNodeIndex2] +
+                    reactionValue * basisFunction[localNodeIndex2]));
+          }
+        }
+      }
+
+      // User-defined weak form
+      if (weakForm !== null) {
+        const { stiffness, load } =
+          weakForm({
+            elementIndex,
+            x: xCoordinates,
+            y: yCoordinates,
+            basisFunction,
+            basisFunctionDerivX,
+            basisFunctionDerivY,
+            weight,
+            numComponents,
+          }) || {};
+        if (stiffness !== undefined) {
+          if (!(Array.isArray(stiffness) && stiffness.length === numDofs)) {
+            throw new Error(`The weakForm stiffness of element ${elementIndex} must have ${numDofs} rows`);
+          }
+          stiffness.forEach((stiffnessRow, dofIndex1) => {
+            if (!(Array.isArray(stiffnessRow) && stiffnessRow.length === numDofs)) {
+              throw new Error(
+                `The weakForm stiffness of element ${elementIndex} must have ${numDofs} columns`
+              );
+            }
+            stiffnessRow.forEach((value, dofIndex2) => {
+              localJacobianMatrix[dofIndex1][dofIndex2] += value;
+            });
+          });
+        }
+        if (load !== undefined) {
+          if (!(Array.isArray(load) && load.length === numDofs)) {
+            throw new Error(`The weakForm load of element ${elementIndex} must have ${numDofs} entries`);
+          }
+          load.forEach((value, dofIndex) => {
+            localResidualVector[dofIndex] += value;
+          });
+        }
+      }
+    }
+
+    // Scatter the element contributions to the global matrix and load vector
+    const localDofs = localNodalNumbers.flatMap((globalNodeIndex) =>
+      Array.from({ length: numComponents }, (_, component) => numComponents * globalNodeIndex + component)
+    );
+    localDofs.forEach((globalDof1, dofIndex1) => {
+      residualVector[globalDof1] += localResidualVector[dofIndex1];
+      localDofs.forEach((globalDof2, dofIndex2) => {
+        jacobianMatrix.addValue(globalDof1, globalDof2, localJacobianMatrix[dofIndex1][dofIndex2]);
+      });
+    });
+  }
+
+  // Create an instance of WeakFormBoundaryConditions
+  const weakFormBoundaryConditions = new WeakFormBoundaryConditions(
+    weakFormBoundaryConditionsData,
+    boundaryElements,
+    nop,
+    meshDimension,
+    elementOrder,
+    meshElementTypes,
+    coordinateSystem,
+    numComponents
+  );
+
+  // Impose Neumann and Robin boundary conditions
+  weakFormBoundaryConditions.imposeFluxBoundaryConditions(
+    residualVector,
+    jacobianMatrix,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+
+  // Compress the matrix to CSR format and impose the Dirichlet boundary conditions
+  const compressedJacobianMatrix = jacobianMatrix.toCSR();
+  weakFormBoundaryConditions.imposeDirichletBoundaryConditions(
+    residualVector,
+    compressedJacobianMatrix,
+    nodesXCoordinates,
+    nodesYCoordinates
+  );
+
+  return {
+    jacobianMatrix: compressedJacobianMatrix,
+    residualVector,
+    nodesCoordinates: {
+      nodesXCoordinates,
+      nodesYCoordinates,
+    },
+    meshData: {
+      nodesXCoordinates,
+      nodesYCoordinates,
+      nodalNumbering: nop,
+      elementTypes: meshElementTypes,
+      boundaryElements,
+      coordinateSystem,
+    },
+  };
+}
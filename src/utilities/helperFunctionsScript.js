@@ -10,15 +10,31 @@
 
 /**
  * Function to handle version information and fetch the latest update date and release from GitHub
+ * Nothing is printed if the network is not available (e.g., in offline Node.js runs), and a warning if GitHub
+ * does not answer the request (e.g., when its rate limit is exceeded)
  */
 export async function printVersion() {
+  if (typeof fetch !== "function") {
+    return;
+  }
+
   // Fetch the latest release information
   //const releaseResponse = await fetch("https://api.github.com/repos/FEAScript/FEAScript/releases/latest");
   //const releaseData = await releaseResponse.json();
   //console.log(`FEAScript version: ${releaseData.tag_name} - ${releaseData.name}`);
 
   // Fetch the latest commit date
-  const commitResponse = await fetch("https://api.github.com/repos/FEAScript/FEAScript/commits/main");
+  let commitResponse;
+  try {
+    commitResponse = await fetch("https://api.github.com/repos/FEAScript/FEAScript/commits/main");
+  } catch {
+    // The network is not available
+    return;
+  }
+  if (!commitResponse.ok) {
+    console.warn(`FEAScript version information is not available (HTTP status ${commitResponse.status})`);
+    return;
+  }
   const commitData = await commitResponse.json();
   const latestCommitDate = new Date(commitData.commit.committer.date).toLocaleString();
   console.log(`Latest FEAScript update: ${latestCommitDate}`);
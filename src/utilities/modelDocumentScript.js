@@ -0,0 +1,514 @@
+//   ______ ______           _____           _       _     //
+//  |  ____|  ____|   /\    / ____|         (_)     | |    //
+//  | |__  | |__     /  \  | (___   ___ ____ _ ____ | |_   //
+//  |  __| |  __|   / /\ \  \___ \ / __|  __| |  _ \| __|  //
+//  | |    | |____ / ____ \ ____) | (__| |  | | |_) | |    //
+//  |_|    |______/_/    \_\_____/ \___|_|  |_|  __/| |    //
+//                                            | |   | |    //
+//                                            |_|   | |_   //
+//       Website: https://feascript.com/             \__|  //
+
+import { normalizeBoundaryConditions } from "../methods/boundaryConditionsScript.js";
+import {
+  thermalBoundaryConditionTypes,
+  convectionDiffusionBoundaryConditionTypes,
+} from "../methods/thermalBoundaryConditionsScript.js";
+import { elasticBoundaryConditionTypes } from "../methods/elasticBoundaryConditionsScript.js";
+import { weakFormBoundaryConditionTypes } from "../methods/weakFormBoundaryConditionsScript.js";
+import { validateMaterialProperty } from "../methods/materialPropertiesScript.js";
+import { createVelocityField } from "../methods/supgStabilizationScript.js";
+import { validateTransientConfig } from "../methods/timeIntegrationScript.js";
+import { validateModalConfig } from "../methods/eigenSolverScript.js";
+import { validateSolverMethod } from "../methods/linearSolversScript.js";
+import { validateNewtonRaphsonOptions } from "../methods/newtonRaphsonScript.js";
+import { coordinateSystems } from "../mesh/isoparametricMappingScript.js";
+import { stressStates } from "../solvers/linearElasticityScript.js";
+
+// Current version of the schema of model documents
+export const modelDocumentVersion = 1;
+
+// Identifier of model documents
+const modelDocumentFormat = "FEAScript model";
+
+// Upgrades of older documents, keyed by the version they upgrade from
+const documentMigrations = {
+  // Version 0: the plain model settings, as written by JSON.stringify before the documents were versioned
+  0: (document) => ({ format: modelDocumentFormat, schemaVersion: 1, model: document }),
+};
+
+// Boundary condition types of each solver, used to check the boundary conditions of a document
+const solverBoundaryConditionTypes = {
+  solidHeatTransferScript: thermalBoundaryConditionTypes,
+  convectionDiffusionScript: convectionDiffusionBoundaryConditionTypes,
+  linearElasticityScript: elasticBoundaryConditionTypes,
+  weakFormScript: weakFormBoundaryConditionTypes,
+};
+
+// Material properties of each solver, with the options of validateMaterialProperty
+const solverMaterialProperties = {
+  solidHeatTransferScript: {
+    k: { allowTensor: true, allowTemperature: true },
+    Q: { allowTensor: false, allowTemperature: true },
+    density: { allowTensor: false, allowTemperature: false },
+    specificHeat: { allowTensor: false, allowTemperature: false },
+  },
+  convectionDiffusionScript: {
+    k: { allowTensor: true, allowTemperature: true },
+    Q: { allowTensor: false, allowTemperature: true },
+    density: { allowTensor: false, allowTemperature: false },
+    specificHeat: { allowTensor: false, allowTemperature: false },
+  },
+  linearElasticityScript: {
+    E: { allowTensor: false, allowTemperature: false },
+    nu: { allowTensor: false, allowTemperature: false },
+    bodyForceX: { allowTensor: false, allowTemperature: false },
+    bodyForceY: { allowTensor: false, allowTemperature: false },
+    thermalExpansion: { allowTensor: false, allowTemperature: false },
+    density: { allowTensor: false, allowTemperature: false },
+  },
+  weakFormScript: {
+    A: { allowTensor: true, allowTemperature: false },
+    c: { allowTensor: false, allowTemperature: false },
+    f: { allowTensor: false, allowTemperature: false },
+  },
+};
+
+/**
+ * Create the JSON document of a model, with the schema version and optionally a computed solution
+ * Functions (e.g., material properties given as functions of (x, y)) cannot be stored in a document, while the
+ * onStep callback of transient analyses is left out
+ * @param {object} modelSettings - Object containing the solverConfig, meshConfig, boundaryConditions,
+ * materialConfig, transientConfig, modalConfig, solverMethod, solverOptions and newtonOptions of the model
+ * @param {object} [solution] - The solution returned by the solve method of the model
+ * @returns {object} The model document (a plain object, ready for JSON.stringify)
+ */
+export function createModelDocument(modelSettings, solution = null) {
+  const { solverConfig, meshConfig, boundaryConditions, materialConfig, transientConfig } = modelSettings;
+  const { modalConfig, solverMethod, solverOptions, newtonOptions } = modelSettings;
+
+  // Gmsh files read as binary data are stored as text (only the ASCII format is supported)
+  let storedMeshConfig = meshConfig;
+  if (meshConfig && meshConfig.meshFile && typeof meshConfig.meshFile !== "string") {
+    const { meshFile } = meshConfig;
+    storedMeshConfig = {
+      ...meshConfig,
+      meshFile: new TextDecoder().decode(ArrayBuffer.isView(meshFile) ? meshFile : new Uint8Array(meshFile)),
+    };
+  }
+  let storedTransientConfig = transientConfig;
+  if (transientConfig) {
+    const { onStep, ...transientSettings } = transientConfig;
+    storedTransientConfig = transientSettings;
+  }
+
+  const document = {
+    format: modelDocumentFormat,
+    schemaVersion: modelDocumentVersion,
+    model: convertToDocumentValue(
+      {
+        solverConfig,
+        meshConfig: storedMeshConfig,
+        boundaryConditions,
+        materialConfig,
+        transientConfig: storedTransientConfig,
+        modalConfig,
+        solverMethod,
+        solverOptions,
+        newtonOptions,
+      },
+      "model"
+    ),
+  };
+  if (solution) {
+    document.solution = convertToDocumentValue(solution, "solution");
+  }
+  return document;
+}
+
+/**
+ * Read a model document, upgrading documents of older schema versions and checking its content
+ * Errors give the path of the offending entry of the document, e.g. "model.meshConfig.numElementsX"
+ * @param {string|object} document - The model document, as a JSON string or a parsed object
+ * @returns {object} An object containing:
+ *  - modelSettings: The settings of the model (see createModelDocument)
+ *  - solution: The solution embedded in the document, or null
+ */
+export function readModelDocument(document) {
+  let parsedDocument = document;
+  if (typeof document === "string") {
+    try {
+      parsedDocument = JSON.parse(document);
+    } catch (error) {
+      throw new Error(`Model document is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(parsedDocument)) {
+    throw new Error("Model document must be a JSON object");
+  }
+
+  // Upgrade the document to the current version
+  const { schemaVersion = 0 } = parsedDocument;
+  if (!(Number.isInteger(schemaVersion) && schemaVersion >= 0)) {
+    throw documentError("schemaVersion", `must be a non-negative integer, got ${schemaVersion}`);
+  }
+  if (schemaVersion > modelDocumentVersion) {
+    throw documentError(
+      "schemaVersion",
+      `version ${schemaVersion} is newer than the supported version ${modelDocumentVersion}, ` +
+        "update FEAScript to read this document"
+    );
+  }
+  let migratedDocument = parsedDocument;
+  for (let version = schemaVersion; version < modelDocumentVersion; version++) {
+    migratedDocument = documentMigrations[version](migratedDocument);
+  }
+
+  if (migratedDocument.format !== modelDocumentFormat) {
+    throw documentError(
+      "format",
+      `must be "${modelDocumentFormat}", got ${describeValue(migratedDocument.format)}`
+    );
+  }
+  const modelSettings = readModelSettings(migratedDocument.model, "model");
+  const solution =
+    migratedDocument.solution === undefined || migratedDocument.solution === null
+      ? null
+      : readSolution(
+          migratedDocument.solution,
+          "solution",
+          solverNodalValueCounts[modelSettings.solverConfig] || 1
+        );
+
+  return { modelSettings, solution };
+}
+
+// Number of values per node of the solutions of each solver (one by default)
+const solverNodalValueCounts = {
+  linearElasticityScript: 2, // Displacements along x and y
+};
+
+/**
+ * Check the model settings of a document and complete them with the default values
+ * @param {object} model - The model section of the document
+ * @param {string} path - The path of the section in the document
+ * @returns {object} The model settings
+ */
+function readModelSettings(model, path) {
+  checkObject(model, path);
+  const {
+    solverConfig,
+    meshConfig,
+    boundaryConditions = {},
+    materialConfig = {},
+    transientConfig = null,
+    modalConfig = null,
+    solverMethod = "lusolve",
+    solverOptions = {},
+    newtonOptions = {},
+  } = model;
+
+  if (!(typeof solverConfig === "string" && solverConfig.length > 0)) {
+    throw documentError(
+      `${path}.solverConfig`,
+      `must be the name of a solver, got ${describeValue(solverConfig)}`
+    );
+  }
+  readMeshConfig(meshConfig, `${path}.meshConfig`);
+
+  // Boundary conditions
+  checkObject(boundaryConditions, `${path}.boundaryConditions`);
+  const conditionTypes = solverBoundaryConditionTypes[solverConfig];
+  if (conditionTypes) {
+    Object.keys(boundaryConditions).forEach((boundaryKey) => {
+      checkWith(`${path}.boundaryConditions.${boundaryKey}`, () =>
+        normalizeBoundaryConditions({ [boundaryKey]: boundaryConditions[boundaryKey] }, conditionTypes)
+      );
+    });
+  }
+
+  // Material properties (per-element arrays are checked against the mesh when solving)
+  checkObject(materialConfig, `${path}.materialConfig`);
+  const materialProperties = solverMaterialProperties[solverConfig] || {};
+  Object.keys(materialConfig).forEach((propertyName) => {
+    const property = materialConfig[propertyName];
+    if (propertyName in materialProperties && property !== undefined) {
+      const { allowTensor, allowTemperature } = materialProperties[propertyName];
+      checkWith(`${path}.materialConfig.${propertyName}`, () =>
+        validateMaterialProperty(
+          propertyName,
+          property,
+          Array.isArray(property) ? property.length : 0,
+          allowTensor,
+          allowTemperature
+        )
+      );
+    }
+  });
+  if (solverConfig === "linearElasticityScript" && materialConfig.stressState !== undefined) {
+    checkOption(materialConfig.stressState, stressStates, `${path}.materialConfig.stressState`);
+  }
+  const velocityName = { convectionDiffusionScript: "velocity", weakFormScript: "b" }[solverConfig];
+  if (velocityName && materialConfig[velocityName] !== undefined) {
+    // Nodal velocities are checked against the mesh when solving
+    const velocity = materialConfig[velocityName];
+    const { meshDimension } = meshConfig;
+    const isNodal = Array.isArray(velocity) && (meshDimension === "1D" || Array.isArray(velocity[0]));
+    checkWith(`${path}.materialConfig.${velocityName}`, () =>
+      createVelocityField(velocity, isNodal ? velocity.length : 0, meshDimension)
+    );
+  }
+
+  // Transient analysis
+  if (transientConfig !== null) {
+    checkObject(transientConfig, `${path}.transientConfig`);
+    checkWith(`${path}.transientConfig`, () => validateTransientConfig(transientConfig));
+    const { initialTemperature } = transientConfig;
+    if (!(
+      (typeof initialTemperature === "number" && Number.isFinite(initialTemperature)) ||
+      (Array.isArray(initialTemperature) && initialTemperature.every((value) => typeof value === "number"))
+    )) {
+      throw documentError(
+        `${path}.transientConfig.initialTemperature`,
+        `must be a number or an array of nodal values, got ${describeValue(initialTemperature)}`
+      );
+    }
+  }
+
+  // Modal analysis
+  if (modalConfig !== null) {
+    checkObject(modalConfig, `${path}.modalConfig`);
+    checkWith(`${path}.modalConfig`, () => validateModalConfig(modalConfig));
+  }
+
+  // Solvers
+  checkWith(`${path}.solverMethod`, () => validateSolverMethod(solverMethod));
+  checkObject(solverOptions, `${path}.solverOptions`);
+  checkWith(`${path}.solverOptions`, () => validateSolverMethod(solverMethod, solverOptions));
+  checkObject(newtonOptions, `${path}.newtonOptions`);
+  checkWith(`${path}.newtonOptions`, () => validateNewtonRaphsonOptions(newtonOptions));
+
+  return {
+    solverConfig,
+    meshConfig,
+    boundaryConditions,
+    materialConfig,
+    transientConfig,
+    modalConfig,
+    solverMethod,
+    solverOptions,
+    newtonOptions,
+  };
+}
+
+/**
+ * Check the mesh configuration of a document
+ * @param {object} meshConfig - The mesh configuration
+ * @param {string} path - The path of the mesh configuration in the document
+ */
+function readMeshConfig(meshConfig, path) {
+  checkObject(meshConfig, path);
+  const {
+    meshDimension = "2D",
+    elementOrder,
+    elementShape,
+    coordinateSystem,
+    meshFile,
+    meshData,
+  } = meshConfig;
+  checkOption(meshDimension, ["1D", "2D"], `${path}.meshDimension`);
+  if (elementOrder !== undefined) {
+    checkOption(elementOrder, ["linear", "quadratic"], `${path}.elementOrder`);
+  }
+  if (elementShape !== undefined) {
+    checkOption(elementShape, ["quadrilateral", "triangle"], `${path}.elementShape`);
+  }
+  if (coordinateSystem !== undefined) {
+    checkOption(coordinateSystem, coordinateSystems, `${path}.coordinateSystem`);
+  }
+
+  if (meshData !== undefined && meshData !== null) {
+    checkObject(meshData, `${path}.meshData`);
+    ["nodesXCoordinates", "nodalNumbering"].forEach((fieldName) => {
+      if (!Array.isArray(meshData[fieldName])) {
+        throw documentError(`${path}.meshData.${fieldName}`, "must be an array");
+      }
+    });
+  } else if (meshFile !== undefined && meshFile !== null) {
+    if (typeof meshFile !== "string") {
+      throw documentError(`${path}.meshFile`, "must be the content of a Gmsh mesh file");
+    }
+  } else if (meshConfig.blocks !== undefined && meshConfig.blocks !== null) {
+    // Multi-block structured mesh
+    if (!Array.isArray(meshConfig.blocks) || meshConfig.blocks.length === 0) {
+      throw documentError(`${path}.blocks`, "must be a nonempty array of blocks");
+    }
+    meshConfig.blocks.forEach((block, blockIndex) => {
+      checkObject(block, `${path}.blocks[${blockIndex}]`);
+      readStructuredBlock(block, ["X", "Y"], `${path}.blocks[${blockIndex}]`);
+    });
+  } else {
+    // Structured mesh
+    readStructuredBlock(meshConfig, meshDimension === "1D" ? ["X"] : ["X", "Y"], path);
+  }
+}
+
+/**
+ * Check the numbers of elements and the extent of a structured mesh (or of a block of a multi-block mesh)
+ * @param {object} block - The mesh configuration or the block
+ * @param {array} directions - The directions of the mesh ("X" and "Y")
+ * @param {string} path - The path of the block in the document
+ */
+function readStructuredBlock(block, directions, path) {
+  directions.forEach((direction) => {
+    const numElements = block[`numElements${direction}`];
+    const minCoordinate = block[`min${direction}`] === undefined ? 0 : block[`min${direction}`];
+    const maxCoordinate = block[`max${direction}`];
+    if (!(Number.isInteger(numElements) && numElements > 0)) {
+      throw documentError(
+        `${path}.numElements${direction}`,
+        `must be a positive integer, got ${describeValue(numElements)}`
+      );
+    }
+    if (!(typeof minCoordinate === "number" && Number.isFinite(minCoordinate))) {
+      throw documentError(`${path}.min${direction}`, `must be a number, got ${describeValue(minCoordinate)}`);
+    }
+    // The extent of a mapped block is given by its boundary curves
+    if (!block.boundaryCurves && !(typeof maxCoordinate === "number" && maxCoordinate > minCoordinate)) {
+      throw documentError(
+        `${path}.max${direction}`,
+        `must be a number greater than min${direction} (${minCoordinate}), got ${describeValue(maxCoordinate)}`
+      );
+    }
+  });
+}
+
+/**
+ * Check the solution embedded in a document
+ * @param {object} solution - The solution
+ * @param {string} path - The path of the solution in the document
+ * @param {number} nodalValueCount - The number of values per node of the solution vector
+ * @returns {object} The solution
+ */
+function readSolution(solution, path, nodalValueCount) {
+  checkObject(solution, path);
+  const { solutionVector, nodesCoordinates } = solution;
+  if (!(Array.isArray(solutionVector) && solutionVector.every((value) => typeof value === "number"))) {
+    throw documentError(`${path}.solutionVector`, "must be an array of nodal values");
+  }
+  checkObject(nodesCoordinates, `${path}.nodesCoordinates`);
+  if (!Array.isArray(nodesCoordinates.nodesXCoordinates)) {
+    throw documentError(`${path}.nodesCoordinates.nodesXCoordinates`, "must be an array");
+  }
+  const expectedLength = nodalValueCount * nodesCoordinates.nodesXCoordinates.length;
+  if (solutionVector.length !== expectedLength) {
+    throw documentError(
+      `${path}.solutionVector`,
+      `has ${solutionVector.length} values, expected ${expectedLength} (${nodalValueCount} per node)`
+    );
+  }
+  return solution;
+}
+
+/**
+ * Convert a value to its JSON form, throwing an error if it contains functions
+ * @param {*} value - The value
+ * @param {string} path - The path of the value in the document (used in the error messages)
+ * @returns {*} The value with typed arrays converted to arrays
+ */
+function convertToDocumentValue(value, path) {
+  if (typeof value === "function") {
+    throw new Error(
+      `Cannot store "${path}" in a model document: functions cannot be saved, ` +
+        "use constants, arrays of values or tables instead"
+    );
+  }
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, itemIndex) => convertToDocumentValue(item, `${path}[${itemIndex}]`));
+  }
+  if (value instanceof Map) {
+    return convertToDocumentValue(Object.fromEntries(value), path);
+  }
+  if (value !== null && typeof value === "object") {
+    const convertedValue = {};
+    Object.keys(value).forEach((key) => {
+      if (value[key] !== undefined) {
+        convertedValue[key] = convertToDocumentValue(value[key], `${path}.${key}`);
+      }
+    });
+    return convertedValue;
+  }
+  return value;
+}
+
+/**
+ * Run a validation function, adding the path of the checked entry to its error
+ * @param {string} path - The path of the checked entry in the document
+ * @param {function} validate - The validation function
+ */
+function checkWith(path, validate) {
+  try {
+    validate();
+  } catch (error) {
+    throw documentError(path, error.message);
+  }
+}
+
+/**
+ * Check that an entry of a document is an object
+ * @param {*} value - The entry
+ * @param {string} path - The path of the entry in the document
+ */
+function checkObject(value, path) {
+  if (!isPlainObject(value)) {
+    throw documentError(path, `must be an object, got ${describeValue(value)}`);
+  }
+}
+
+/**
+ * Check that an entry of a document is one of the supported options
+ * @param {*} value - The entry
+ * @param {array} options - The supported options
+ * @param {string} path - The path of the entry in the document
+ */
+function checkOption(value, options, path) {
+  if (!options.includes(value)) {
+    throw documentError(path, `must be one of ${options.join(", ")}, got ${describeValue(value)}`);
+  }
+}
+
+/**
+ * Check whether a value is a (non-array) object
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is an object and not an array
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Describe a value in an error message
+ * @param {*} value - The value
+ * @returns {string} The description of the value
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) {
+    return "an array";
+  }
+  if (isPlainObject(value)) {
+    return "an object";
+  }
+  return typeof value === "string" ? `"${value}"` : String(value);
+}
+
+/**
+ * Create the error of an invalid entry of a document
+ * @param {string} path - The path of the entry in the document
+ * @param {string} message - The description of the problem
+ * @returns {Error} The error
+ */
+function documentError(path, message) {
+  return new Error(`Invalid model document at "${path}": ${message}`);
+}
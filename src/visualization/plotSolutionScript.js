@@ -8,15 +8,87 @@
 //                                            |_|   | |_   //
 //       Website: https://feascript.com/             \__|  //
 
+import { elementTypes } from "../mesh/elementTypesScript.js";
+import { computeNodalHeatFlux } from "../postprocessing/heatFluxScript.js";
+import { sampleAlongPolyline } from "../postprocessing/solutionProbingScript.js";
+
+// Plot types available for each mesh dimension
+const availablePlotTypes = {
+  "1D": ["line", "mesh"],
+  "2D": ["contour", "surface", "line", "quiver", "mesh"],
+};
+
+// Plot types that can be animated
+const animatedPlotTypes = ["line", "contour", "surface"];
+
+// Splitting of each 2D element type into triangles (quadratic elements are split at their mid-side and
+// interior nodes, so that the quadratic nodal values are all shown)
+const elementTriangulations = {
+  quad4: [
+    [0, 2, 3],
+    [0, 3, 1],
+  ],
+  quad9: [
+    [0, 3, 4],
+    [0, 4, 1],
+    [3, 6, 7],
+    [3, 7, 4],
+    [1, 4, 5],
+    [1, 5, 2],
+    [4, 7, 8],
+    [4, 8, 5],
+  ],
+  tri3: [[0, 1, 2]],
+  tri6: [
+    [0, 3, 5],
+    [3, 1, 4],
+    [5, 4, 2],
+    [3, 4, 5],
+  ],
+};
+
+// Number of segments drawn along each side of quadratic elements (sides may be curved)
+const quadraticSideSegments = 4;
+
 /**
  * Create plots of the solution vector
  * @param {*} solutionVector - The computed solution vector
- * @param {*} nodesCoordinates - Object containing x and y coordinates for the nodes
+ * @param {*} nodesCoordinates - Object containing x and y coordinates for the nodes, or the meshData of the
+ * solution, whose nodal numbering and element types are needed to plot non-rectangular and unstructured meshes
+ * (and by the "line" plots of 2D solutions and the "quiver" and "mesh" plots)
  * @param {string} solverConfig - Parameter specifying the type of solver
  * @param {string} meshDimension - The dimension of the solution
- * @param {string} plotType - The type of plot
+ * @param {string} plotType - The type of plot: "line" (1D solutions, or 2D solutions sampled along a line),
+ * "contour" and "surface" (2D solutions), "quiver" (arrows of a vector field, e.g. the heat flux) or "mesh"
+ * (nodes, numbered from 1 as in the nodal numbering, and elements, numbered from 0 as in the boundary
+ * elements, with the boundaries highlighted)
  * @param {string} plotDivId - The id of the div where the plot will be rendered
- * @param {boolean} showMesh - Flag to indicate if the mesh would be rendered
+ * @param {boolean} showMesh - Flag to indicate if the mesh would be rendered (nodes are marked in 1D)
+ * @param {object} [plotOptions] - Options of the plot
+ * @param {string} [plotOptions.title] - The title of the plot
+ * @param {string} [plotOptions.fieldName="Solution"] - The name of the plotted field
+ * @param {string} [plotOptions.units] - The units of the plotted field (e.g., "°C")
+ * @param {string} [plotOptions.lengthUnits] - The units of the coordinates (e.g., "m")
+ * @param {string|array} [plotOptions.colorscale] - A Plotly colorscale (e.g., "Viridis", "Jet" or
+ * [[0, "blue"], [1, "red"]])
+ * @param {array} [plotOptions.range] - The [minimum, maximum] values of the colorbar (or of the vertical axis
+ * of line plots)
+ * @param {array} [plotOptions.linePoints] - The vertices [x, y] of the sampled polyline ("line" plots of 2D
+ * solutions)
+ * @param {number} [plotOptions.numSamples=100] - The number of sampled points along the polyline
+ * @param {array} [plotOptions.vectorField] - The nodal [xComponents, yComponents] of the vector field of
+ * "quiver" plots
+ * @param {object} [plotOptions.materialConfig] - The material properties used to compute the heat flux of
+ * "quiver" plots when no vectorField is given (see computeNodalHeatFlux)
+ * @param {number} [plotOptions.arrowScale] - The length of the longest arrow (by default, about the size of
+ * the elements)
+ * @param {boolean} [plotOptions.showNumbering=true] - Flag to indicate if the node and element numbers are
+ * shown in "mesh" plots
+ * @param {array} [plotOptions.deformation] - The nodal [xComponents, yComponents] of a displacement field
+ * (e.g., [solution.displacementX, solution.displacementY], or [solution.modeShapesX[0],
+ * solution.modeShapesY[0]] for the mode shapes of modal analyses), by which the mesh of 2D plots is deformed
+ * @param {number} [plotOptions.deformationScale] - The scale factor of the displacements (by default, the
+ * largest displacement is a tenth of the size of the domain)
  */
 export function plotSolution(
   solutionVector,
@@ -25,97 +97,967 @@ export function plotSolution(
   meshDimension,
   plotType,
   plotDivId,
-  showMesh = false // Currently only for rectangular domains
+  showMesh = false,
+  plotOptions = {}
+) {
+  checkPlotType(nodesCoordinates, meshDimension, plotType);
+  const options = {
+    title: `${plotType} plot${showMesh ? " with mesh" : ""} - ${solverConfig}`,
+    fieldName: "Solution",
+    ...plotOptions,
+  };
+
+  // Create the plot using Plotly
+  const { plotData, layout } = buildPlot(
+    solutionVector,
+    options.deformation
+      ? deformNodesCoordinates(nodesCoordinates, meshDimension, options.deformation, options.deformationScale)
+      : nodesCoordinates,
+    meshDimension,
+    plotType,
+    showMesh,
+    options
+  );
+  getPlotly().newPlot(plotDivId, plotData, layout);
+}
+
+/**
+ * Animate a sequence of solutions, e.g. the stored solutions of a transient analysis or the results of a
+ * parametric sweep, with Plotly frames, a slider and play/pause buttons
+ * The colorbar (or vertical axis) range is the same in all frames: the overall range of the solutions, unless
+ * plotOptions.range is given
+ * @param {array} solutionVectors - The sequence of solution vectors (e.g., solution.solutionHistory)
+ * @param {array} [frameLabels] - The label of each frame (e.g., solution.timeValues), by default its index
+ * @param {*} nodesCoordinates - The nodes coordinates or the meshData of the solution (see plotSolution)
+ * @param {string} solverConfig - Parameter specifying the type of solver
+ * @param {string} meshDimension - The dimension of the solution
+ * @param {string} plotType - The type of plot: "line", "contour" or "surface" (see plotSolution)
+ * @param {string} plotDivId - The id of the div where the animation will be rendered
+ * @param {boolean} showMesh - Flag to indicate if the mesh would be rendered
+ * @param {object} [plotOptions] - Options of the plot (see plotSolution)
+ * @param {number} [plotOptions.frameDuration=200] - The duration of each frame during playback, in milliseconds
+ * @param {string} [plotOptions.labelPrefix=""] - Text shown before the label of the current frame (e.g., "t = ")
+ */
+export function animateSolution(
+  solutionVectors,
+  frameLabels,
+  nodesCoordinates,
+  solverConfig,
+  meshDimension,
+  plotType,
+  plotDivId,
+  showMesh = false,
+  plotOptions = {}
+) {
+  if (!animatedPlotTypes.includes(plotType)) {
+    throw new Error(
+      `Plot type "${plotType}" cannot be animated. Animated types: ${animatedPlotTypes.join(", ")}`
+    );
+  }
+  checkPlotType(nodesCoordinates, meshDimension, plotType);
+  if (!solutionVectors || solutionVectors.length === 0) {
+    throw new Error("animateSolution requires at least one solution vector");
+  }
+  // Numeric labels (e.g., times) are rounded to hide the round-off of their computation
+  const labels = frameLabels
+    ? Array.from(frameLabels, (label) =>
+        typeof label === "number" ? String(Number(label.toPrecision(10))) : String(label)
+      )
+    : solutionVectors.map((_, frameIndex) => String(frameIndex));
+  if (labels.length !== solutionVectors.length) {
+    throw new Error(
+      `${labels.length} frame labels were given for ${solutionVectors.length} solution vectors`
+    );
+  }
+
+  // Fix the range over all frames
+  let { frameDuration = 200, labelPrefix = "", range, ...otherOptions } = plotOptions;
+  if (!range) {
+    let minValue = Infinity;
+    let maxValue = -Infinity;
+    solutionVectors.forEach((solutionVector) => {
+      for (const value of solutionVector) {
+        minValue = Math.min(minValue, value);
+        maxValue = Math.max(maxValue, value);
+      }
+    });
+    range = minValue < maxValue ? [minValue, maxValue] : [minValue - 1, maxValue + 1];
+  }
+  const options = {
+    title: `${plotType} animation${showMesh ? " with mesh" : ""} - ${solverConfig}`,
+    fieldName: "Solution",
+    ...otherOptions,
+    range,
+  };
+
+  // Frames with the data arrays of each solution (the other attributes of the traces are the same in all
+  // frames), named after their index so that the labels need not be unique
+  const figures = solutionVectors.map((solutionVector) =>
+    buildPlot(solutionVector, nodesCoordinates, meshDimension, plotType, showMesh, options)
+  );
+  const frames = figures.map(({ plotData }, frameIndex) => ({
+    name: String(frameIndex),
+    data: plotData.map(({ x, y, z, intensity }) =>
+      Object.fromEntries(Object.entries({ x, y, z, intensity }).filter(([, value]) => value !== undefined))
+    ),
+  }));
+
+  // Play/pause buttons and slider (3D traces are redrawn at every frame)
+  const animationSettings = (duration) => ({
+    mode: "immediate",
+    frame: { duration, redraw: plotType !== "line" },
+    transition: { duration: 0 },
+  });
+  const { plotData, layout } = figures[0];
+  layout.height += 100;
+  layout.updatemenus = [
+    {
+      type: "buttons",
+      direction: "left",
+      showactive: false,
+      x: 0,
+      y: 0,
+      xanchor: "left",
+      yanchor: "top",
+      pad: { t: 60, r: 10 },
+      buttons: [
+        {
+          label: "Play",
+          method: "animate",
+          args: [null, { ...animationSettings(frameDuration), fromcurrent: true }],
+        },
+        { label: "Pause", method: "animate", args: [[null], animationSettings(0)] },
+      ],
+    },
+  ];
+  layout.sliders = [
+    {
+      active: 0,
+      x: 0.15,
+      len: 0.85,
+      y: 0,
+      yanchor: "top",
+      pad: { t: 50 },
+      currentvalue: { prefix: labelPrefix },
+      steps: frames.map(({ name }, frameIndex) => ({
+        label: labels[frameIndex],
+        method: "animate",
+        args: [[name], animationSettings(0)],
+      })),
+    },
+  ];
+
+  // Create the animation using Plotly
+  getPlotly().newPlot(plotDivId, { data: plotData, layout, frames });
+}
+
+/**
+ * Export the frames of an animation created by animateSolution as PNG images (in a browser page)
+ * @param {string} plotDivId - The id of the div of the animation
+ * @param {object} [exportOptions] - Options of the export
+ * @param {boolean} [exportOptions.download=true] - Flag to indicate if the images are downloaded as files
+ * @param {string} [exportOptions.fileNamePrefix="frame"] - The prefix of the file names, followed by the frame
+ * index (e.g., frame_007.png)
+ * @param {number} [exportOptions.width] - The width of the images in pixels (by default, that of the plot)
+ * @param {number} [exportOptions.height] - The height of the images in pixels (by default, that of the plot)
+ * @param {number} [exportOptions.scale=1] - The scale factor of the images (e.g., 2 for high resolution)
+ * @returns {Promise<array>} The exported frames, each given as { label, fileName, dataUrl }
+ */
+export async function exportAnimationFrames(
+  plotDivId,
+  { download = true, fileNamePrefix = "frame", width, height, scale = 1 } = {}
 ) {
+  if (typeof document === "undefined") {
+    throw new Error("exportAnimationFrames requires a browser page");
+  }
+  const Plotly = getPlotly();
+  const plotDiv = document.getElementById(plotDivId);
+  const sliders = plotDiv && plotDiv.layout && plotDiv.layout.sliders;
+  if (!sliders || sliders.length === 0) {
+    throw new Error(`The div "${plotDivId}" does not contain an animation created by animateSolution`);
+  }
+
+  const steps = sliders[0].steps;
+  const numDigits = String(steps.length - 1).length;
+  const exportedFrames = [];
+  for (let frameIndex = 0; frameIndex < steps.length; frameIndex++) {
+    const { label, args } = steps[frameIndex];
+    await Plotly.animate(plotDiv, args[0], {
+      mode: "immediate",
+      frame: { duration: 0, redraw: true },
+      transition: { duration: 0 },
+    });
+    const dataUrl = await Plotly.toImage(plotDiv, { format: "png", width, height, scale });
+    const fileName = `${fileNamePrefix}_${String(frameIndex).padStart(numDigits, "0")}.png`;
+    if (download) {
+      const link = document.createElement("a");
+      link.href = dataUrl;
+      link.download = fileName;
+      link.click();
+    }
+    exportedFrames.push({ label, fileName, dataUrl });
+  }
+  return exportedFrames;
+}
+
+/**
+ * Check that a plot type is available for the mesh dimension and the given mesh data
+ * @param {object} nodesCoordinates - The nodes coordinates or the meshData of the solution
+ * @param {string} meshDimension - The dimension of the solution
+ * @param {string} plotType - The type of plot
+ */
+function checkPlotType({ nodalNumbering }, meshDimension, plotType) {
+  if (!(availablePlotTypes[meshDimension] || []).includes(plotType)) {
+    throw new Error(
+      `Plot type "${plotType}" is not available for ${meshDimension} solutions. ` +
+        `Available types: ${(availablePlotTypes[meshDimension] || []).join(", ")}`
+    );
+  }
+  if (["quiver", "mesh"].includes(plotType) || (meshDimension === "2D" && plotType === "line")) {
+    if (!nodalNumbering) {
+      throw new Error(
+        `Plot type "${plotType}" requires the meshData of the solution (e.g., solution.meshData) instead ` +
+          "of nodesCoordinates"
+      );
+    }
+  }
+}
+
+/**
+ * Displace the nodes of a 2D mesh by a scaled displacement field
+ * @param {object} nodesCoordinates - The meshData of the solution
+ * @param {string} meshDimension - The dimension of the solution
+ * @param {array} deformation - The nodal [xComponents, yComponents] of the displacements
+ * @param {number} [deformationScale] - The scale factor of the displacements (see plotSolution)
+ * @returns {object} A copy of the meshData with the displaced nodes coordinates
+ */
+function deformNodesCoordinates(nodesCoordinates, meshDimension, deformation, deformationScale) {
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering } = nodesCoordinates;
+  if (meshDimension !== "2D" || !nodalNumbering) {
+    throw new Error(
+      "Deformed plots require a 2D solution and its meshData (e.g., solution.meshData) instead of " +
+        "nodesCoordinates"
+    );
+  }
+  const [displacementX, displacementY] = deformation;
+  if (
+    !Array.isArray(displacementX) ||
+    !Array.isArray(displacementY) ||
+    displacementX.length !== nodesXCoordinates.length ||
+    displacementY.length !== nodesXCoordinates.length
+  ) {
+    throw new Error(
+      `The deformation must be the nodal [xComponents, yComponents] of ${nodesXCoordinates.length} nodes`
+    );
+  }
+
+  // By default, the largest displacement is a tenth of the size of the domain
+  let scale = deformationScale;
+  if (scale === undefined) {
+    const domainSize = Math.max(
+      Math.max(...nodesXCoordinates) - Math.min(...nodesXCoordinates),
+      Math.max(...nodesYCoordinates) - Math.min(...nodesYCoordinates)
+    );
+    const maxDisplacement = Math.max(
+      ...displacementX.map((valueX, nodeIndex) => Math.hypot(valueX, displacementY[nodeIndex]))
+    );
+    scale = maxDisplacement > 0 ? (0.1 * domainSize) / maxDisplacement : 0;
+  }
+
+  return {
+    ...nodesCoordinates,
+    nodesXCoordinates: nodesXCoordinates.map((x, nodeIndex) => x + scale * displacementX[nodeIndex]),
+    nodesYCoordinates: nodesYCoordinates.map((y, nodeIndex) => y + scale * displacementY[nodeIndex]),
+  };
+}
+
+/**
+ * Build the data and layout of a plot
+ * @param {array} solutionVector - The computed solution vector
+ * @param {object} nodesCoordinates - The nodes coordinates or the meshData of the solution
+ * @param {string} meshDimension - The dimension of the solution
+ * @param {string} plotType - The type of plot
+ * @param {boolean} showMesh - Flag to indicate if the mesh would be rendered
+ * @param {object} options - Options of the plot (see plotSolution), with the default title and fieldName
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildPlot(solutionVector, nodesCoordinates, meshDimension, plotType, showMesh, options) {
+  if (plotType === "mesh") {
+    return buildMeshPlot(nodesCoordinates, meshDimension, options);
+  } else if (plotType === "quiver") {
+    return buildVectorFieldPlot(solutionVector, nodesCoordinates, showMesh, options);
+  } else if (meshDimension === "1D" && plotType === "line") {
+    const { nodesXCoordinates } = nodesCoordinates;
+
+    // Sort the nodes by their x-coordinate (quadratic meshes are already ordered, but imported ones may not be)
+    const sortedNodeIndices = Array.from(nodesXCoordinates.keys()).sort(
+      (nodeIndex1, nodeIndex2) => nodesXCoordinates[nodeIndex1] - nodesXCoordinates[nodeIndex2]
+    );
+
+    // Create the data structure for the line plot
+    let lineData = {
+      x: sortedNodeIndices.map((nodeIndex) => nodesXCoordinates[nodeIndex]),
+      y: sortedNodeIndices.map((nodeIndex) => solutionVector[nodeIndex]),
+      mode: showMesh ? "lines+markers" : "lines",
+      type: "scatter",
+      line: { color: "rgb(219, 64, 82)", width: 2 },
+      name: options.fieldName,
+    };
+
+    // Set the layout for the line plot
+    let maxWindowWidth = getMaxPlotWidth();
+    let layout = {
+      title: options.title,
+      width: maxWindowWidth,
+      height: maxWindowWidth / 2,
+      xaxis: { title: withUnits("x", options.lengthUnits) },
+      yaxis: { title: withUnits(options.fieldName, options.units), range: options.range },
+    };
+    return { plotData: [lineData], layout };
+  } else if (plotType === "line") {
+    return buildSampledLinePlot(solutionVector, nodesCoordinates, showMesh, options);
+  } else if (nodesCoordinates.nodalNumbering) {
+    // Plot any mesh from its connectivity
+    return buildTriangulatedPlot(solutionVector, nodesCoordinates, plotType, showMesh, options);
+  }
+  return buildGridPlot(solutionVector, nodesCoordinates, plotType, showMesh, options);
+}
+
+/**
+ * Plot a 2D solution on a structured rectangular mesh, given by the nodes coordinates only
+ * @param {array} solutionVector - The computed solution vector
+ * @param {object} nodesCoordinates - Object containing x and y coordinates for the nodes
+ * @param {string} plotType - The type of plot ("contour" or "surface")
+ * @param {boolean} showMesh - Flag to indicate if the mesh would be rendered
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildGridPlot(solutionVector, nodesCoordinates, plotType, showMesh, options) {
   const { nodesXCoordinates, nodesYCoordinates } = nodesCoordinates;
 
-  if (meshDimension === "2D" && plotType === "contour") {
-    // Calculate the number of nodes along the x-axis and y-axis
-    const numNodesX = new Set(nodesXCoordinates).size;
-    const numNodesY = new Set(nodesYCoordinates).size;
+  // Calculate the number of nodes along the x-axis and y-axis
+  const numNodesX = new Set(nodesXCoordinates).size;
+  const numNodesY = new Set(nodesYCoordinates).size;
+  if (numNodesX * numNodesY !== nodesXCoordinates.length) {
+    throw new Error(
+      "The nodes do not form a rectangular grid, plot the solution with its meshData " +
+        "(e.g., solution.meshData) instead of nodesCoordinates"
+    );
+  }
 
-    // Reshape the nodesXCoordinates and nodesYCoordinates arrays to match the grid dimensions
-    let reshapedXCoordinates = math.reshape(Array.from(nodesXCoordinates), [numNodesX, numNodesY]);
-    let reshapedYCoordinates = math.reshape(Array.from(nodesYCoordinates), [numNodesX, numNodesY]);
+  // Reshape the nodesXCoordinates and nodesYCoordinates arrays to match the grid dimensions
+  let reshapedXCoordinates = reshapeArray(nodesXCoordinates, numNodesX, numNodesY);
+  let reshapedYCoordinates = reshapeArray(nodesYCoordinates, numNodesX, numNodesY);
 
-    // Reshape the solution array to match the grid dimensions
-    let reshapedSolution = math.reshape(Array.from(solutionVector), [numNodesX, numNodesY]);
+  // Reshape the solution array to match the grid dimensions
+  let reshapedSolution = reshapeArray(solutionVector, numNodesX, numNodesY);
 
-    // Transpose the reshapedSolution array to get column-wise data
-    let transposedSolution = math.transpose(reshapedSolution);
+  // Transpose the reshapedSolution array to get column-wise data
+  let transposedSolution = reshapedSolution[0].map((_, columnIndex) =>
+    reshapedSolution.map((row) => row[columnIndex])
+  );
 
-    // Create an array for x-coordinates used in the contour plot
-    let reshapedXForPlot = [];
-    for (let i = 0; i < numNodesX * numNodesY; i += numNodesY) {
-      let xValue = nodesXCoordinates[i];
-      reshapedXForPlot.push(xValue);
+  // Create an array for x-coordinates used in the contour plot
+  let reshapedXForPlot = [];
+  for (let i = 0; i < numNodesX * numNodesY; i += numNodesY) {
+    let xValue = nodesXCoordinates[i];
+    reshapedXForPlot.push(xValue);
+  }
+
+  // Create the data structure for the contour (or surface) plot
+  const [minValue, maxValue] = options.range || [];
+  let solutionData = {
+    z: transposedSolution,
+    type: plotType,
+    x: reshapedXForPlot,
+    y: reshapedYCoordinates[0],
+    colorscale: options.colorscale,
+    colorbar: { title: withUnits(options.fieldName, options.units) },
+  };
+  if (plotType === "contour") {
+    solutionData.contours = { coloring: "heatmap" };
+    Object.assign(solutionData, { zmin: minValue, zmax: maxValue });
+  } else {
+    Object.assign(solutionData, { cmin: minValue, cmax: maxValue });
+  }
+
+  // Create mesh lines for the computational grid if showMesh is true
+  let meshData = [];
+  if (showMesh) {
+    let meshLinesX = [];
+    let meshLinesY = [];
+    let meshLinesZ = [];
+
+    // Horizontal mesh lines
+    for (let i = 0; i < numNodesY; i++) {
+      meshLinesX.push(...reshapedXCoordinates.map((row) => row[i]), null);
+      meshLinesY.push(...reshapedYCoordinates.map((row) => row[i]), null);
+      meshLinesZ.push(...reshapedSolution.map((row) => row[i]), null);
     }
 
-    // Create the data structure for the contour plot
-    let contourData = {
-      z: transposedSolution,
-      type: "contour",
-      contours: {
-        coloring: "heatmap",
+    // Vertical mesh lines
+    for (let i = 0; i < numNodesX; i++) {
+      meshLinesX.push(...reshapedXCoordinates[i], null);
+      meshLinesY.push(...reshapedYCoordinates[i], null);
+      meshLinesZ.push(...reshapedSolution[i], null);
+    }
+
+    // Create the data structure for the mesh lines (drawn on the surface of surface plots)
+    meshData = {
+      x: meshLinesX,
+      y: meshLinesY,
+      mode: "lines",
+      type: "scatter",
+      line: {
+        color: "palegoldenrod",
+        width: 1,
       },
-      x: reshapedXForPlot,
-      y: reshapedYCoordinates[0],
+      showlegend: false,
     };
+    if (plotType === "surface") {
+      Object.assign(meshData, { type: "scatter3d", z: meshLinesZ, hoverinfo: "skip" });
+    }
+  }
 
-    // Create mesh lines for the computational grid if showMesh is true
-    let meshData = [];
-    if (showMesh) {
-      let meshLinesX = [];
-      let meshLinesY = [];
+  // Set a fixed maximum window size for the plot
+  let maxWindowWidth = getMaxPlotWidth();
+  let maxPlotWidth = Math.max(...reshapedXForPlot);
+  let maxPlotHeight = Math.max(...reshapedYCoordinates[0]);
+  let zoomFactor = maxWindowWidth / maxPlotWidth;
+  let plotWidth = zoomFactor * maxPlotWidth;
+  let plotHeight = zoomFactor * maxPlotHeight;
 
-      // Horizontal mesh lines
-      for (let i = 0; i < numNodesY; i++) {
-        meshLinesX.push(...reshapedXCoordinates.map((row) => row[i]), null);
-        meshLinesY.push(...reshapedYCoordinates.map((row) => row[i]), null);
-      }
+  // Set the layout for the contour plot
+  let layout = {
+    title: options.title,
+    width: plotWidth,
+    height: plotHeight,
+    xaxis: { title: withUnits("x", options.lengthUnits) },
+    yaxis: { title: withUnits("y", options.lengthUnits) },
+  };
+  if (plotType === "surface") {
+    layout.height = Math.max(plotHeight, maxWindowWidth * 0.75);
+    layout.scene = getSurfaceScene(maxPlotHeight / maxPlotWidth, options);
+  }
 
-      // Vertical mesh lines
-      for (let i = 0; i < numNodesX; i++) {
-        meshLinesX.push(...reshapedXCoordinates[i], null);
-        meshLinesY.push(...reshapedYCoordinates[i], null);
-      }
+  let plotData = [solutionData];
+  if (showMesh) {
+    plotData.push(meshData);
+  }
+  return { plotData, layout };
+}
 
-      // Create the data structure for the mesh lines
-      meshData = {
-        x: meshLinesX,
-        y: meshLinesY,
-        mode: "lines",
-        type: "scatter",
-        line: {
-          color: "palegoldenrod",
-          width: 1,
-        },
-        showlegend: false,
-      };
+/**
+ * Plot a 2D solution on any mesh, by splitting its elements into triangles (Plotly mesh3d, seen from above in
+ * contour plots)
+ * @param {array} solutionVector - The computed solution vector
+ * @param {object} meshData - Object containing the nodes coordinates, nodalNumbering and elementTypes
+ * @param {string} plotType - The type of plot ("contour" or "surface")
+ * @param {boolean} showMesh - Flag to indicate if the element edges would be rendered
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildTriangulatedPlot(solutionVector, meshData, plotType, showMesh, options) {
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering } = meshData;
+  const meshElementTypes = getMeshElementTypes(meshData);
+  const surface = plotType === "surface";
+
+  // Triangles of the elements (the nodal numbering starts from 1)
+  const triangleVertices = [[], [], []];
+  nodalNumbering.forEach((elementNodes, elementIndex) => {
+    elementTriangulations[meshElementTypes[elementIndex]].forEach((triangle) => {
+      triangle.forEach((localNodeIndex, vertexIndex) => {
+        triangleVertices[vertexIndex].push(elementNodes[localNodeIndex] - 1);
+      });
+    });
+  });
+
+  // Create the data structure for the solution plot (contour plots are lit uniformly, so that only the
+  // colors show)
+  const [minValue, maxValue] = options.range || [];
+  const solutionData = {
+    type: "mesh3d",
+    x: Array.from(nodesXCoordinates),
+    y: Array.from(nodesYCoordinates),
+    z: surface ? Array.from(solutionVector) : new Array(nodesXCoordinates.length).fill(0),
+    i: triangleVertices[0],
+    j: triangleVertices[1],
+    k: triangleVertices[2],
+    intensity: Array.from(solutionVector),
+    colorscale: options.colorscale,
+    cmin: minValue,
+    cmax: maxValue,
+    colorbar: { title: withUnits(options.fieldName, options.units) },
+    lighting: surface ? undefined : { ambient: 1, diffuse: 0, specular: 0, roughness: 1, fresnel: 0 },
+    hovertemplate: `x: %{x}<br>y: %{y}<br>${options.fieldName}: %{intensity}<extra></extra>`,
+    name: options.fieldName,
+  };
+
+  // Create the element edges if showMesh is true (drawn on the surface of surface plots)
+  let plotData = [solutionData];
+  if (showMesh) {
+    const { xCoordinates, yCoordinates, values } = collectElementEdges(
+      meshData,
+      meshElementTypes,
+      solutionVector
+    );
+    plotData.push({
+      type: "scatter3d",
+      mode: "lines",
+      x: xCoordinates,
+      y: yCoordinates,
+      z: surface ? values : xCoordinates.map((x) => (x === null ? null : 0)),
+      line: { color: "palegoldenrod", width: 2 },
+      hoverinfo: "skip",
+      showlegend: false,
+    });
+  }
+
+  // Scale the plot to the extent of the mesh
+  let maxWindowWidth = getMaxPlotWidth();
+  const aspectRatio = getMeshAspectRatio(meshData);
+
+  // Set the layout, with an orthographic camera looking down the z-axis for contour plots
+  let layout = {
+    title: options.title,
+    width: maxWindowWidth,
+    height: Math.min(maxWindowWidth * Math.max(aspectRatio, 0.25), 2 * maxWindowWidth),
+    scene: {
+      xaxis: { title: withUnits("x", options.lengthUnits) },
+      yaxis: { title: withUnits("y", options.lengthUnits) },
+      zaxis: { visible: false },
+      aspectmode: "manual",
+      aspectratio: { x: 1, y: aspectRatio, z: 0.01 },
+      camera: {
+        eye: { x: 0, y: 0, z: 2 },
+        up: { x: 0, y: 1, z: 0 },
+        projection: { type: "orthographic" },
+      },
+      dragmode: "pan",
+    },
+  };
+  if (surface) {
+    layout.height = Math.max(layout.height, maxWindowWidth * 0.75);
+    layout.scene = getSurfaceScene(aspectRatio, options);
+  }
+
+  return { plotData, layout };
+}
+
+/**
+ * Plot a 2D solution sampled along a polyline against the distance along it
+ * @param {array} solutionVector - The computed solution vector
+ * @param {object} meshData - The meshData of the solution
+ * @param {boolean} showMesh - Flag to indicate if the sampled points would be marked
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildSampledLinePlot(solutionVector, meshData, showMesh, options) {
+  if (!options.linePoints) {
+    throw new Error("Line plots of 2D solutions require the linePoints plot option");
+  }
+  const { distances, values } = sampleAlongPolyline({ solutionVector, meshData }, options.linePoints, {
+    numSamples: options.numSamples,
+  });
+
+  // Create the data structure for the line plot (points outside the mesh are left out)
+  let lineData = {
+    x: distances,
+    y: values,
+    mode: showMesh ? "lines+markers" : "lines",
+    type: "scatter",
+    line: { color: "rgb(219, 64, 82)", width: 2 },
+    name: options.fieldName,
+  };
+
+  // Set the layout for the line plot
+  let maxWindowWidth = getMaxPlotWidth();
+  let layout = {
+    title: options.title,
+    width: maxWindowWidth,
+    height: maxWindowWidth / 2,
+    xaxis: { title: withUnits("Distance along the line", options.lengthUnits) },
+    yaxis: { title: withUnits(options.fieldName, options.units), range: options.range },
+  };
+
+  return { plotData: [lineData], layout };
+}
+
+/**
+ * Plot the arrows of a nodal vector field, e.g. the heat flux, colored by their magnitude
+ * @param {array} solutionVector - The computed solution vector
+ * @param {object} meshData - The meshData of the solution
+ * @param {boolean} showMesh - Flag to indicate if the element edges would be rendered
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildVectorFieldPlot(solutionVector, meshData, showMesh, options) {
+  const { nodesXCoordinates, nodesYCoordinates, nodalNumbering } = meshData;
+  let { vectorField, fieldName } = options;
+  if (!vectorField) {
+    if (!options.materialConfig) {
+      throw new Error("Quiver plots require the vectorField or the materialConfig (heat flux) plot option");
     }
+    const { heatFluxX, heatFluxY } = computeNodalHeatFlux(
+      { solutionVector, meshData },
+      options.materialConfig
+    );
+    vectorField = [heatFluxX, heatFluxY];
+    fieldName = options.fieldName === "Solution" ? "Heat flux" : options.fieldName;
+  }
+  const [xComponents, yComponents] = vectorField;
+  if (xComponents.length !== nodesXCoordinates.length || yComponents.length !== nodesXCoordinates.length) {
+    throw new Error(
+      `The vector field has ${xComponents.length} values, expected ${nodesXCoordinates.length} (one per node)`
+    );
+  }
+  const magnitudes = Array.from(xComponents, (xComponent, nodeIndex) =>
+    Math.hypot(xComponent, yComponents[nodeIndex])
+  );
 
-    // Set a fixed maximum window size for the plot
-    let maxWindowWidth = Math.min(window.innerWidth, 700);
-    let maxPlotWidth = Math.max(...reshapedXForPlot);
-    let maxPlotHeight = Math.max(...reshapedYCoordinates[0]);
-    let zoomFactor = maxWindowWidth / maxPlotWidth;
-    let plotWidth = zoomFactor * maxPlotWidth;
-    let plotHeight = zoomFactor * maxPlotHeight;
+  // Scale the longest arrow to about the size of the elements
+  const xSpan = Math.max(...nodesXCoordinates) - Math.min(...nodesXCoordinates);
+  const ySpan = Math.max(...nodesYCoordinates) - Math.min(...nodesYCoordinates);
+  const arrowScale = options.arrowScale || 0.9 * Math.sqrt((xSpan * ySpan || 1) / nodalNumbering.length);
+  const maxMagnitude = Math.max(...magnitudes) || 1;
 
-    // Set the layout for the contour plot
-    let layout = {
-      title: `${plotType} plot${showMesh ? " with mesh" : ""} - ${solverConfig}`,
-      width: plotWidth,
-      height: plotHeight,
-      xaxis: { title: "x" },
-      yaxis: { title: "y" },
-    };
+  // Arrows as polylines separated by null values, with a head of two short segments
+  const arrowsX = [];
+  const arrowsY = [];
+  magnitudes.forEach((magnitude, nodeIndex) => {
+    if (magnitude === 0) {
+      return;
+    }
+    const x = nodesXCoordinates[nodeIndex];
+    const y = nodesYCoordinates[nodeIndex];
+    const arrowLength = (arrowScale * magnitude) / maxMagnitude;
+    const angle = Math.atan2(yComponents[nodeIndex], xComponents[nodeIndex]);
+    const tipX = x + arrowLength * Math.cos(angle);
+    const tipY = y + arrowLength * Math.sin(angle);
+    const headLength = 0.3 * arrowLength;
+    arrowsX.push(x, tipX, null);
+    arrowsY.push(y, tipY, null);
+    [Math.PI - Math.PI / 8, Math.PI + Math.PI / 8].forEach((headAngle) => {
+      arrowsX.push(tipX, tipX + headLength * Math.cos(angle + headAngle), null);
+      arrowsY.push(tipY, tipY + headLength * Math.sin(angle + headAngle), null);
+    });
+  });
 
-    // Create the plot using Plotly
-    let plotData = [contourData];
-    if (showMesh) {
-      plotData.push(meshData);
+  let plotData = [];
+  if (showMesh) {
+    const { xCoordinates, yCoordinates } = collectElementEdges(meshData, getMeshElementTypes(meshData));
+    plotData.push({
+      x: xCoordinates,
+      y: yCoordinates,
+      mode: "lines",
+      type: "scatter",
+      line: { color: "palegoldenrod", width: 1 },
+      hoverinfo: "skip",
+      showlegend: false,
+    });
+  }
+  const [minValue, maxValue] = options.range || [];
+  plotData.push(
+    {
+      x: arrowsX,
+      y: arrowsY,
+      mode: "lines",
+      type: "scatter",
+      line: { color: "rgb(60, 60, 60)", width: 1.5 },
+      hoverinfo: "skip",
+      showlegend: false,
+    },
+    {
+      // Base points of the arrows, colored by the magnitude of the vectors
+      x: Array.from(nodesXCoordinates),
+      y: Array.from(nodesYCoordinates),
+      mode: "markers",
+      type: "scatter",
+      marker: {
+        size: 5,
+        color: magnitudes,
+        colorscale: options.colorscale,
+        cmin: minValue,
+        cmax: maxValue,
+        showscale: true,
+        colorbar: { title: withUnits(fieldName, options.units) },
+      },
+      hovertemplate: `x: %{x}<br>y: %{y}<br>${fieldName}: %{marker.color}<extra></extra>`,
+      showlegend: false,
     }
-    Plotly.newPlot(plotDivId, plotData, layout);
+  );
+
+  return { plotData, layout: getEqualAxesLayout(meshData, options) };
+}
+
+/**
+ * Plot the mesh, with the node and element numbers and the boundaries highlighted
+ * @param {object} meshData - The meshData of the solution
+ * @param {string} meshDimension - The dimension of the mesh
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The plotData and layout of the plot
+ */
+function buildMeshPlot(meshData, meshDimension, options) {
+  const { nodesXCoordinates, nodalNumbering, boundaryElements = {} } = meshData;
+  const nodesYCoordinates =
+    meshDimension === "1D" ? new Array(nodesXCoordinates.length).fill(0) : meshData.nodesYCoordinates;
+  const meshNodesData = { ...meshData, nodesYCoordinates };
+  const meshElementTypes = getMeshElementTypes(meshData, meshDimension);
+  const { showNumbering = true } = options;
+
+  // Element edges (the elements of 1D meshes are drawn through their nodes)
+  let edges = { xCoordinates: [], yCoordinates: [] };
+  if (meshDimension === "1D") {
+    nodalNumbering.forEach((elementNodes) => {
+      elementNodes.forEach((nodeNumber) => {
+        edges.xCoordinates.push(nodesXCoordinates[nodeNumber - 1]);
+        edges.yCoordinates.push(0);
+      });
+      edges.xCoordinates.push(null);
+      edges.yCoordinates.push(null);
+    });
+  } else {
+    edges = collectElementEdges(meshNodesData, meshElementTypes);
   }
+  let plotData = [
+    {
+      x: edges.xCoordinates,
+      y: edges.yCoordinates,
+      mode: "lines",
+      type: "scatter",
+      line: { color: "rgb(150, 150, 150)", width: 1 },
+      hoverinfo: "skip",
+      name: "Elements",
+    },
+  ];
+
+  // Boundaries, one trace each (sides of 2D elements, end nodes of 1D elements)
+  Object.keys(boundaryElements).forEach((boundaryName) => {
+    const boundaryX = [];
+    const boundaryY = [];
+    boundaryElements[boundaryName].forEach(([elementIndex, side]) => {
+      const sideNodes = elementTypes[meshElementTypes[elementIndex]].sideNodes[side].map(
+        (localNodeIndex) => nodalNumbering[elementIndex][localNodeIndex] - 1
+      );
+      const { xCoordinates, yCoordinates } = interpolateSide(sideNodes, meshNodesData);
+      boundaryX.push(...xCoordinates, null);
+      boundaryY.push(...yCoordinates, null);
+    });
+    plotData.push({
+      x: boundaryX,
+      y: boundaryY,
+      mode: meshDimension === "1D" ? "markers" : "lines",
+      type: "scatter",
+      line: { width: 4 },
+      marker: { size: 12 },
+      name: boundaryName,
+    });
+  });
+
+  // Nodes and element numbers (at the centroid of the nodes of each element)
+  plotData.push({
+    x: Array.from(nodesXCoordinates),
+    y: Array.from(nodesYCoordinates),
+    mode: showNumbering ? "markers+text" : "markers",
+    type: "scatter",
+    marker: { size: 4, color: "rgb(40, 40, 40)" },
+    text: Array.from(nodesXCoordinates, (_, nodeIndex) => String(nodeIndex + 1)),
+    textposition: "top right",
+    textfont: { size: 9 },
+    name: "Nodes",
+  });
+  if (showNumbering) {
+    plotData.push({
+      x: nodalNumbering.map(
+        (elementNodes) =>
+          elementNodes.reduce((sum, nodeNumber) => sum + nodesXCoordinates[nodeNumber - 1], 0) /
+          elementNodes.length
+      ),
+      y: nodalNumbering.map(
+        (elementNodes) =>
+          elementNodes.reduce((sum, nodeNumber) => sum + nodesYCoordinates[nodeNumber - 1], 0) /
+          elementNodes.length
+      ),
+      mode: "text",
+      type: "scatter",
+      text: nodalNumbering.map((_, elementIndex) => String(elementIndex)),
+      textfont: { size: 10, color: "rgb(31, 119, 180)" },
+      name: "Element numbers",
+    });
+  }
+
+  const layout = getEqualAxesLayout(meshNodesData, options);
+  if (meshDimension === "1D") {
+    layout.height = getMaxPlotWidth() / 3;
+    layout.yaxis = { visible: false };
+  }
+  return { plotData, layout };
+}
+
+/**
+ * Collect the edges of the elements of a 2D mesh as polylines separated by null values, drawing each edge
+ * shared by two elements once (sides of quadratic elements pass through their mid-side nodes)
+ * @param {object} meshData - Object containing the nodes coordinates and nodalNumbering
+ * @param {array} meshElementTypes - The type of each element
+ * @param {array} [nodalValues] - Nodal values interpolated along the edges (e.g., for surface plots)
+ * @returns {object} The xCoordinates and yCoordinates of the polylines, and the values along them
+ */
+function collectElementEdges(meshData, meshElementTypes, nodalValues) {
+  const xCoordinates = [];
+  const yCoordinates = [];
+  const values = [];
+  const drawnEdges = new Set();
+  meshData.nodalNumbering.forEach((elementNodes, elementIndex) => {
+    elementTypes[meshElementTypes[elementIndex]].sideNodes.forEach((localSideNodes) => {
+      const sideNodes = localSideNodes.map((localNodeIndex) => elementNodes[localNodeIndex] - 1);
+      const firstNode = sideNodes[0];
+      const lastNode = sideNodes[sideNodes.length - 1];
+      const edgeKey = `${Math.min(firstNode, lastNode)}-${Math.max(firstNode, lastNode)}`;
+      if (drawnEdges.has(edgeKey)) {
+        return;
+      }
+      drawnEdges.add(edgeKey);
+
+      const side = interpolateSide(sideNodes, meshData, nodalValues);
+      xCoordinates.push(...side.xCoordinates, null);
+      yCoordinates.push(...side.yCoordinates, null);
+      values.push(...side.values, null);
+    });
+  });
+  return { xCoordinates, yCoordinates, values };
+}
+
+/**
+ * Return the points of an element side, interpolated quadratically through the mid-side node of quadratic
+ * elements (the sides of 1D elements are single nodes)
+ * @param {array} sideNodes - The global indices (starting from 0) of the nodes of the side
+ * @param {object} meshData - Object containing the nodes coordinates
+ * @param {array} [nodalValues] - Nodal values interpolated along the side
+ * @returns {object} The xCoordinates and yCoordinates of the points, and the values at them
+ */
+function interpolateSide(sideNodes, { nodesXCoordinates, nodesYCoordinates }, nodalValues) {
+  const nodalArrays = [nodesXCoordinates, nodesYCoordinates, nodalValues || []];
+  if (sideNodes.length < 3) {
+    const [xCoordinates, yCoordinates, values] = nodalArrays.map((nodalArray) =>
+      sideNodes.map((nodeIndex) => nodalArray[nodeIndex])
+    );
+    return { xCoordinates, yCoordinates, values };
+  }
+
+  // Quadratic interpolation along the side through its mid-side node
+  const [firstNode, midNode, lastNode] = sideNodes;
+  const [xCoordinates, yCoordinates, values] = nodalArrays.map((nodalArray) =>
+    Array.from({ length: quadraticSideSegments + 1 }, (_, segmentIndex) => {
+      const s = segmentIndex / quadraticSideSegments;
+      return (
+        (1 - s) * (1 - 2 * s) * nodalArray[firstNode] +
+        4 * s * (1 - s) * nodalArray[midNode] +
+        s * (2 * s - 1) * nodalArray[lastNode]
+      );
+    })
+  );
+  return { xCoordinates, yCoordinates, values };
+}
+
+/**
+ * Return the type of each element of a mesh, inferred from its number of nodes if not given
+ * @param {object} meshData - Object containing the nodalNumbering and (optionally) the elementTypes
+ * @param {string} [meshDimension="2D"] - The dimension of the mesh
+ * @returns {array} The type of each element
+ */
+function getMeshElementTypes({ nodalNumbering, elementTypes: meshElementTypes }, meshDimension = "2D") {
+  if (meshElementTypes) {
+    return meshElementTypes;
+  }
+  const elementTypesByNumNodes =
+    meshDimension === "1D" ? { 2: "line2", 3: "line3" } : { 3: "tri3", 4: "quad4", 6: "tri6", 9: "quad9" };
+  return nodalNumbering.map((elementNodes) => elementTypesByNumNodes[elementNodes.length]);
+}
+
+/**
+ * Return the ratio of the height to the width of the bounding box of a 2D mesh
+ * @param {object} meshData - Object containing the nodes coordinates
+ * @returns {number} The aspect ratio of the mesh
+ */
+function getMeshAspectRatio({ nodesXCoordinates, nodesYCoordinates }) {
+  const xSpan = Math.max(...nodesXCoordinates) - Math.min(...nodesXCoordinates) || 1;
+  const ySpan = Math.max(...nodesYCoordinates) - Math.min(...nodesYCoordinates) || 1;
+  return ySpan / xSpan;
+}
+
+/**
+ * Return the layout of the 2D plots drawn over the mesh, with axes of equal scales
+ * @param {object} meshData - Object containing the nodes coordinates
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The layout of the plot
+ */
+function getEqualAxesLayout(meshData, options) {
+  let maxWindowWidth = getMaxPlotWidth();
+  const aspectRatio = getMeshAspectRatio(meshData);
+  return {
+    title: options.title,
+    width: maxWindowWidth,
+    height: Math.min(maxWindowWidth * Math.max(aspectRatio, 0.25) + 100, 2 * maxWindowWidth),
+    xaxis: { title: withUnits("x", options.lengthUnits) },
+    yaxis: { title: withUnits("y", options.lengthUnits), scaleanchor: "x" },
+  };
+}
+
+/**
+ * Return the 3D scene of surface plots
+ * @param {number} aspectRatio - The ratio of the height to the width of the mesh
+ * @param {object} options - Options of the plot (see plotSolution)
+ * @returns {object} The scene of the layout
+ */
+function getSurfaceScene(aspectRatio, options) {
+  return {
+    xaxis: { title: withUnits("x", options.lengthUnits) },
+    yaxis: { title: withUnits("y", options.lengthUnits) },
+    zaxis: { title: withUnits(options.fieldName, options.units), range: options.range },
+    aspectmode: "manual",
+    aspectratio: { x: 1, y: aspectRatio, z: 0.5 },
+  };
+}
+
+/**
+ * Append the units to the title of an axis or colorbar
+ * @param {string} title - The title
+ * @param {string} [units] - The units
+ * @returns {string} The title followed by the units in parentheses, if given
+ */
+function withUnits(title, units) {
+  return units ? `${title} (${units})` : title;
+}
+
+/**
+ * Return the Plotly library, which is loaded separately (e.g., with a <script> tag), so that the rest of
+ * FEAScript runs without it (e.g., in Node.js or in Web Workers)
+ * @returns {object} The Plotly library
+ */
+function getPlotly() {
+  if (typeof globalThis.Plotly === "undefined") {
+    throw new Error("plotSolution requires the Plotly library, which is not loaded");
+  }
+  return globalThis.Plotly;
+}
+
+/**
+ * Return the maximum width of the plots: 700 pixels, or the width of the browser window if smaller
+ * @returns {number} The maximum width of the plots
+ */
+function getMaxPlotWidth() {
+  return typeof window !== "undefined" ? Math.min(window.innerWidth, 700) : 700;
+}
+
+/**
+ * Reshape a one-dimensional array into a two-dimensional array (row by row)
+ * @param {array} array - The array to be reshaped
+ * @param {number} numRows - The number of rows
+ * @param {number} numColumns - The number of columns
+ * @returns {array} The two-dimensional array
+ */
+function reshapeArray(array, numRows, numColumns) {
+  return Array.from({ length: numRows }, (_, rowIndex) =>
+    Array.from(array).slice(rowIndex * numColumns, (rowIndex + 1) * numColumns)
+  );
 }